@@ -19,6 +19,11 @@ let secrets = {
 		"MaxAgeSeconds": 300
 	}]
 },
+	"localFs": {
+		"storagePath": process.env.LOCAL_FS_PATH,
+		"secret": process.env.LOCAL_FS_SECRET,
+		"url": process.env.LOCAL_FS_URL
+	},
 	"authentication": process.env.AUTHENTICATION
 };
 
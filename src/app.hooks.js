@@ -1,35 +1,5 @@
 // Global hooks that run for every service
-const sanitizeHtml = require('sanitize-html');
-
-const sanitize = (data, options) => {
-	// https://www.npmjs.com/package/sanitize-html
-	if ((options||{}).html === true) {
-		// editor-content data
-		data = sanitizeHtml(data, {
-			allowedTags: [ 'h1', 'h2', 'h3', 'blockquote', 'p', 'a', 'ul', 'ol', 's', 'u', 'span', 'del',
-				'li', 'b', 'i', 'img', 'strong', 'em', 'strike', 'code', 'hr', 'br', 'div', 'rechnen',
-				'table', 'thead', 'caption', 'tbody', 'tr', 'th', 'td', 'pre', 'audio', 'video' ],
-			allowedAttributes: false, // allow all attributes of allowed tags
-			allowedSchemes: [ 'http', 'https', 'ftp', 'mailto' ],
-			parser: {
-				decodeEntities: true
-			}
-		});
-		data = data.replace(/(&lt;script&gt;).*?(&lt;\/script&gt;)/gim, ''); // force remove script tags
-		data = data.replace(/(<script>).*?(<\/script>)/gim, ''); // force remove script tags
-	} else {
-		// non editor-content data
-		data = sanitizeHtml(data, {
-			allowedTags: [], // disallow all tags
-			allowedAttributes: [], // disallow all attributes
-			allowedSchemes: [], // disallow url schemes
-			parser: {
-				decodeEntities: true
-			}
-		});
-	}
-	return data;
-};
+const {sanitize} = require('./hooks/sanitize');
 
 /**
  * Strips JS/HTML Code from data and returns clean version of it
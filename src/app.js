@@ -14,6 +14,7 @@ const socketio = require('feathers-socketio');
 const middleware = require('./middleware');
 const sockets = require('./sockets');
 const services = require('./services');
+const localFsUploads = require('./services/fileStorage/local-fs-service').uploads;
 const winston = require('winston');
 const defaultHeaders = require('./middleware/defaultHeaders');
 const handleResponseType = require('./middleware/handleReponseType');
@@ -37,12 +38,15 @@ app.configure(configuration(path.join(__dirname, '..')));
 setupSwagger(app);
 
 app.set("secrets", secrets);
+// req.ip is the address of the client in front of the proxies of the internal network
+app.set('trust proxy', app.get('trustProxy'));
 
 app.use(compress())
 	.options('*', cors())
 	.use(cors())
 	.use(favicon(path.join(app.get('public'), 'favicon.ico')))
 	.use('/', serveStatic(app.get('public')))
+	.configure(localFsUploads)
 	.use(bodyParser.json())
 	.use(bodyParser.urlencoded({extended: true}))
 	.use(bodyParser.raw({type: () => true, limit: '10mb'}))
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const logger = require('winston');
 const _ = require('lodash');
 const KeysModel = require('../services/keys/model');
+const {userModel} = require('../services/user/model');
 // Add any common hooks you want to share across services in here.
 
 // don't require authentication for internal requests
@@ -72,7 +73,8 @@ exports.hasPermission = function (permissionName) {
 
 		// If an api key was provided, skip
 		if ((hook.params.headers || {})["x-api-key"]) {
-			return KeysModel.findOne({ key: hook.params.headers["x-api-key"] })
+			// the signing keys of the LTI platform are no api keys
+			return KeysModel.findOne({ key: hook.params.headers["x-api-key"], name: {$ne: 'lti_platform'} })
 				.then(res => {
 					if (!res)
 						throw new errors.NotAuthenticated('API Key is invalid');
@@ -266,6 +268,19 @@ exports.injectUserId = (hook) => {
 	return hook;
 };
 
+// parents also read in the schools of their children, only their children are looked up
+const restrictToSchoolsOfChildren = (hook, user) => {
+	return userModel.find({parents: user._id}).select('schoolId').lean().exec().then(children => {
+		const schoolIds = _.uniq([user.schoolId].concat(children.map(child => child.schoolId)).map(id => id.toString()));
+		if (hook.params.query.schoolId == undefined) {
+			hook.params.query.schoolId = schoolIds.length > 1 ? {$in: schoolIds} : user.schoolId;
+		} else if (!schoolIds.includes(hook.params.query.schoolId.toString())) {
+			throw new errors.Forbidden('You do not have valid permissions to access this.');
+		}
+		return hook;
+	});
+};
+
 exports.restrictToCurrentSchool = hook => {
 	let userService = hook.app.service("users");
 		return userService.find({
@@ -282,6 +297,9 @@ exports.restrictToCurrentSchool = hook => {
 			if (access)
 				return hook;
 			if (hook.method == "get" || hook.method == "find") {
+				if (res.data[0].roles.some(role => role.name === 'parent')) {
+					return restrictToSchoolsOfChildren(hook, res.data[0]);
+				}
 				if (hook.params.query.schoolId == undefined) {
 					hook.params.query.schoolId = res.data[0].schoolId;
 				} else if (hook.params.query.schoolId != res.data[0].schoolId) {
@@ -315,28 +333,63 @@ exports.restrictToUsersOwnCourses = hook => {
 		if (access)
 			return hook;
 
-		if (hook.method === "get") {
-			let courseService = hook.app.service('courses');
-			return courseService.get(hook.id).then(course => {
-				if (!(_.some(course.userIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId))) &&
-					!(_.some(course.teacherIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId))) &&
-					!(_.some(course.substitutionIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId)))) {
-					throw new errors.Forbidden('You are not in that course.');
+		// parents read the courses of their children
+		return userService.get(res.data[0]._id).then(exports.findChildren).then(children => {
+			const childIds = children.map(child => child._id);
+			if (hook.method === "get") {
+				let courseService = hook.app.service('courses');
+				return courseService.get(hook.id).then(course => {
+					if (!(_.some(course.userIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId))) &&
+						!(_.some(course.teacherIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId))) &&
+						!(_.some(course.substitutionIds, u => JSON.stringify(u) === JSON.stringify(hook.params.account.userId))) &&
+						!(_.some(course.userIds, u => _.some(childIds, c => JSON.stringify(u) === JSON.stringify(c))))) {
+						throw new errors.Forbidden('You are not in that course.');
+					}
+				});
+			} else if (hook.method === "find") {
+				if (typeof(hook.params.query.$or) === 'undefined') {
+					hook.params.query.$or = [
+						{ userIds: res.data[0]._id },
+						{ teacherIds: res.data[0]._id },
+						{ substitutionIds: res.data[0]._id }
+					];
+					if (childIds.length > 0) {
+						hook.params.query.$or.push({ userIds: {$in: childIds} });
+					}
 				}
-			});
-		} else if (hook.method === "find") {
-			if (typeof(hook.params.query.$or) === 'undefined') {
-				hook.params.query.$or = [
-					{ userIds: res.data[0]._id },
-					{ teacherIds: res.data[0]._id },
-					{ substitutionIds: res.data[0]._id }
-				];
 			}
-		}
-		return hook;
+			return hook;
+		});
 	});
 };
 
+/**
+ * the children of a user, the children reference their parents.
+ * Only users with the permission CHILDREN_VIEW get read access to their children,
+ * which permissions they have in the services follows from their roles
+ * @param user {Object} - the user with its permissions, as returned by users.get
+ * @returns {Promise} - [{_id, schoolId}]
+ */
+exports.findChildren = user => {
+	if (!(user.permissions || []).includes('CHILDREN_VIEW')) return Promise.resolve([]);
+	return userModel.find({parents: user._id}).select('schoolId').lean().exec();
+};
+
+// sets hook.params.childIds to the ids of the children of the current user
+exports.resolveChildren = hook => {
+	const userId = (hook.params.account || {}).userId;
+	if (!userId) {
+		hook.params.childIds = [];
+		return Promise.resolve(hook);
+	}
+	return hook.app.service('/users/').get(userId)
+		.then(exports.findChildren)
+		.then(children => {
+			hook.params.childIds = children.map(child => child._id.toString());
+			return hook;
+		});
+};
+
 exports.restrictToUsersOwnClasses = hook => {
 	let userService = hook.app.service('users');
 	return userService.find({
@@ -0,0 +1,93 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const hooks = require('./hooks/children');
+const {excuseModel} = require('./model');
+const {summarize, findAttendances} = require('./helpers');
+const {courseModel} = require('../user-group/model');
+const {userModel} = require('../user/model');
+const {parseDay} = require('../timetable/parsers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+// the number of absences listed per child
+const MAX_ABSENCES = 50;
+
+/**
+ * the attendance of the children of the current user, the children reference their parents
+ */
+class AttendanceChildrenService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The attendance of the children of a parent',
+			find: {
+				parameters: [
+					{
+						description: 'the first day as YYYY-MM-DD',
+						name: 'from',
+						type: 'string'
+					},
+					{
+						description: 'the last day as YYYY-MM-DD',
+						name: 'until',
+						type: 'string'
+					}
+				],
+				summary: 'Gets the summary, the latest absences and the excuses of each child of the current user'
+			}
+		};
+	}
+
+	/**
+	 * @returns [{userId, firstName, lastName, summary, absences: [{date, courseId, courseName, status, note}], excuses}]
+	 */
+	find(params) {
+		const query = params.query || {};
+		const from = query.from ? parseDay(query.from) : undefined;
+		const until = query.until ? parseDay(query.until) : undefined;
+		if (from === null || until === null) return Promise.reject(new errors.BadRequest('Der Zeitraum muss im Format YYYY-MM-DD angegeben werden.'));
+
+		return userModel.find({parents: params.account.userId}).select('firstName lastName').lean().exec().then(children => {
+			return Promise.all(children.map(child => Promise.all([
+				findAttendances([child._id], from, until),
+				excuseModel.find({studentId: child._id}).sort({from: -1}).lean().exec()
+			]).then(([attendances, excuses]) => {
+				const absences = [];
+				attendances.forEach(attendance => (attendance.records || []).forEach(record => {
+					if (toId(record.userId) !== toId(child._id) || record.status === 'present') return;
+					absences.push({date: attendance.date, courseId: attendance.courseId, status: record.status, note: record.note});
+				}));
+				const listed = absences.slice(0, MAX_ABSENCES);
+				const courseIds = listed.map(absence => absence.courseId);
+				return courseModel.find({_id: {$in: courseIds}}).select('name').lean().exec().then(courses => ({
+					userId: toId(child._id),
+					firstName: child.firstName,
+					lastName: child.lastName,
+					summary: summarize(attendances, [child._id])[0],
+					absences: listed.map(absence => Object.assign(absence, {
+						courseName: (courses.find(course => toId(course._id) === toId(absence.courseId)) || {}).name
+					})),
+					excuses
+				}));
+			})));
+		});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/attendance/children', new AttendanceChildrenService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const childrenService = app.service('/attendance/children');
+
+	// Set up our before hooks
+	childrenService.before(hooks.before);
+
+	// Set up our after hooks
+	childrenService.after(hooks.after);
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const {attendanceModel, excuseModel} = require('./model');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * whether an excuse covers the given day
+ */
+const covers = (excuse, date) => new Date(excuse.from) <= date && date <= new Date(excuse.until);
+
+/**
+ * marks the absences which are covered by an accepted excuse of the student as excused
+ * @param records [{userId, status}] - changed in place
+ * @param excuses [Object] - the accepted excuses
+ * @param date {Date} - the day of the records
+ */
+const applyExcuses = (records, excuses, date) => {
+	records.forEach(record => {
+		if (record.status !== 'absent') return;
+		const excuse = excuses.find(candidate => toId(candidate.studentId) === toId(record.userId) && covers(candidate, date));
+		if (excuse) Object.assign(record, {status: 'excused', excuseId: excuse._id});
+	});
+	return records;
+};
+
+/**
+ * counts the statuses of the students in the given attendances
+ * @param attendances [{records}]
+ * @param userIds [String] - the students, the records of other students are ignored
+ * @returns [{userId, present, absent, excused, late, total, absenceRate}] - absenceRate is the share of absent and excused occurrences
+ */
+const summarize = (attendances, userIds) => {
+	const counts = {};
+	userIds.map(toId).forEach(userId => {
+		counts[userId] = {userId, present: 0, absent: 0, excused: 0, late: 0, total: 0};
+	});
+	attendances.forEach(attendance => (attendance.records || []).forEach(record => {
+		const count = counts[toId(record.userId)];
+		if (!count) return;
+		count[record.status]++;
+		count.total++;
+	}));
+	return Object.keys(counts).map(userId => {
+		const count = counts[userId];
+		const missed = count.absent + count.excused;
+		return Object.assign(count, {absenceRate: count.total > 0 ? Math.round(missed / count.total * 1000) / 1000 : 0});
+	});
+};
+
+/**
+ * the accepted excuses of the students which cover the given day
+ */
+const findAcceptedExcuses = (userIds, date) => {
+	return excuseModel.find({studentId: {$in: userIds}, status: 'accepted', from: {$lte: date}, until: {$gte: date}}).lean().exec();
+};
+
+/**
+ * marks the recorded absences of the student in the period of an accepted excuse as excused
+ */
+const excuseAbsences = (excuse) => {
+	return attendanceModel.update({
+		schoolId: excuse.schoolId,
+		date: {$gte: excuse.from, $lte: excuse.until},
+		records: {$elemMatch: {userId: excuse.studentId, status: 'absent'}}
+	}, {
+		$set: {'records.$.status': 'excused', 'records.$.excuseId': excuse._id}
+	}, {multi: true}).exec();
+};
+
+/**
+ * the attendances of the students, the period is optional
+ */
+const findAttendances = (userIds, from, until) => {
+	const query = {'records.userId': {$in: userIds}};
+	if (from || until) query.date = {};
+	if (from) query.date.$gte = from;
+	if (until) query.date.$lte = until;
+	return attendanceModel.find(query).sort({date: -1}).lean().exec();
+};
+
+module.exports = {
+	applyExcuses,
+	summarize,
+	findAcceptedExcuses,
+	excuseAbsences,
+	findAttendances
+};
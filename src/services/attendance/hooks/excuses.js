@@ -0,0 +1,161 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const {excuseModel} = require('../model');
+const {excuseAbsences} = require('../helpers');
+const {classModel} = require('../../user-group/model');
+const {userModel} = require('../../user/model');
+const {parseDay} = require('../../timetable/parsers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const getCurrentUser = hook => hook.app.service('/users').get(hook.params.account.userId);
+
+const isStaff = user => (user.permissions || []).includes('ATTENDANCE_EDIT');
+
+/**
+ * loads the stored excuse for patch and remove
+ */
+const loadExcuse = hook => {
+	if (!mongoose.Types.ObjectId.isValid(hook.id)) throw new errors.NotFound('Die Entschuldigung existiert nicht.');
+	return excuseModel.findById(hook.id).lean().exec().then(excuse => {
+		if (!excuse) throw new errors.NotFound('Die Entschuldigung existiert nicht.');
+		hook.params.excuse = excuse;
+		return hook;
+	});
+};
+
+/**
+ * a parent submits an excuse for a child who references the parent
+ */
+const validateSubmission = hook => {
+	const data = hook.data;
+	data.from = parseDay(data.from);
+	data.until = data.until ? parseDay(data.until) : data.from;
+	if (!data.from || !data.until) throw new errors.BadRequest('Der Zeitraum muss im Format YYYY-MM-DD angegeben werden.');
+	if (data.from > data.until) throw new errors.BadRequest('Der Zeitraum endet vor seinem Beginn.');
+	if (!data.reason) throw new errors.BadRequest('Der Grund fehlt.');
+	if (!mongoose.Types.ObjectId.isValid(data.studentId)) throw new errors.BadRequest('Der Schüler fehlt.');
+	// internal calls may give the parent
+	if (hook.params.provider || !data.parentId) data.parentId = hook.params.account.userId;
+
+	return userModel.findOne({_id: data.studentId, parents: data.parentId}).select('schoolId').lean().exec().then(student => {
+		if (!student) throw new errors.Forbidden('Du kannst nur deine eigenen Kinder entschuldigen.');
+		Object.assign(data, {schoolId: student.schoolId, status: 'submitted', reviewedBy: undefined, reviewedAt: undefined, reviewNote: undefined});
+		return hook;
+	});
+};
+
+/**
+ * informs the teachers of the classes of the student about a new excuse
+ */
+const notifyTeachers = hook => {
+	const excuse = hook.result;
+	return Promise.all([
+		classModel.find({userIds: excuse.studentId}).select('teacherIds').lean().exec(),
+		userModel.findById(excuse.studentId).select('firstName lastName').lean().exec()
+	]).then(([classes, student]) => {
+		const teacherIds = classes
+			.reduce((ids, schoolClass) => ids.concat(schoolClass.teacherIds || []), [])
+			.map(toId)
+			.filter((id, index, ids) => ids.indexOf(id) === index);
+		if (teacherIds.length === 0 || !student) return hook;
+		globalHooks.sendEmail(hook, {
+			subject: `Entschuldigung für ${student.firstName} ${student.lastName}`,
+			userIds: teacherIds,
+			content: {
+				text: `Für ${student.firstName} ${student.lastName} wurde eine Entschuldigung eingereicht:\n\n${excuse.reason}\n\n`
+					+ 'Bitte prüfe sie in der Anwesenheitsübersicht.'
+			}
+		});
+		return hook;
+	});
+};
+
+/**
+ * teachers and administrators accept or reject a submitted excuse of their school
+ */
+const validateReview = hook => {
+	const excuse = hook.params.excuse;
+	if (excuse.status !== 'submitted') throw new errors.Conflict('Die Entschuldigung wurde bereits geprüft.');
+	if (!['accepted', 'rejected'].includes(hook.data.status)) throw new errors.BadRequest('Die Entschuldigung kann nur angenommen oder abgelehnt werden.');
+
+	const loadUser = hook.params.provider ? getCurrentUser(hook) : Promise.resolve();
+	return loadUser.then(user => {
+		if (user && (!isStaff(user) || toId(user.schoolId) !== toId(excuse.schoolId))) {
+			throw new errors.Forbidden('Nur die Lehrkräfte der Schule können die Entschuldigung prüfen.');
+		}
+		hook.data = {
+			status: hook.data.status,
+			reviewNote: hook.data.reviewNote,
+			reviewedBy: (hook.params.account || {}).userId,
+			reviewedAt: new Date(),
+			updatedAt: new Date()
+		};
+		return hook;
+	});
+};
+
+/**
+ * the recorded absences in the period of an accepted excuse become excused
+ */
+const excuseRecordedAbsences = hook => {
+	if (hook.result.status !== 'accepted') return hook;
+	return excuseAbsences(hook.result).then(() => hook);
+};
+
+/**
+ * a parent withdraws an excuse before it is reviewed
+ */
+const restrictToSubmitter = globalHooks.ifNotLocal(hook => {
+	const excuse = hook.params.excuse;
+	if (toId(excuse.parentId) !== toId(hook.params.account.userId)) throw new errors.Forbidden('Nur die eigenen Entschuldigungen können zurückgezogen werden.');
+	if (excuse.status !== 'submitted') throw new errors.Conflict('Die Entschuldigung wurde bereits geprüft.');
+	return hook;
+});
+
+/**
+ * parents see their own excuses, teachers and administrators those of their school
+ */
+const restrictFind = globalHooks.ifNotLocal(hook => {
+	return getCurrentUser(hook).then(user => {
+		const restriction = isStaff(user) ? {schoolId: user.schoolId} : {parentId: user._id};
+		hook.params.query = Object.assign({}, hook.params.query, restriction);
+		return hook;
+	});
+});
+
+const restrictGet = globalHooks.ifNotLocal(hook => {
+	return getCurrentUser(hook).then(user => {
+		const excuse = hook.result;
+		const allowed = isStaff(user)
+			? toId(user.schoolId) === toId(excuse.schoolId)
+			: toId(user._id) === toId(excuse.parentId);
+		if (!allowed) throw new errors.Forbidden('Du kannst diese Entschuldigung nicht sehen.');
+		return hook;
+	});
+});
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('ATTENDANCE_VIEW'), restrictFind],
+	get: [globalHooks.hasPermission('ATTENDANCE_VIEW')],
+	create: [globalHooks.hasPermission('EXCUSE_CREATE'), validateSubmission],
+	update: [hooks.disable()],
+	patch: [globalHooks.hasPermission('ATTENDANCE_EDIT'), loadExcuse, validateReview],
+	remove: [globalHooks.hasPermission('EXCUSE_CREATE'), loadExcuse, restrictToSubmitter]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [restrictGet],
+	create: [notifyTeachers],
+	update: [],
+	patch: [excuseRecordedAbsences],
+	remove: []
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const {attendanceModel} = require('../model');
+const {applyExcuses, findAcceptedExcuses} = require('../helpers');
+const {courseModel} = require('../../user-group/model');
+const lessonModel = require('../../lesson/model');
+const {parseDay, getWeekday} = require('../../timetable/parsers');
+const restrictToCurrentSchool = globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool);
+
+const toId = (id) => id ? id.toString() : undefined;
+
+// the occurrence of an attendance can't be changed
+const fixedFields = ['schoolId', 'courseId', 'courseTimeId', 'lessonId', 'date', 'takenBy'];
+
+/**
+ * loads the stored attendance for patch and remove
+ */
+const loadAttendance = hook => {
+	if (!mongoose.Types.ObjectId.isValid(hook.id)) throw new errors.NotFound('Die Anwesenheit existiert nicht.');
+	return attendanceModel.findById(hook.id).lean().exec().then(attendance => {
+		if (!attendance) throw new errors.NotFound('Die Anwesenheit existiert nicht.');
+		hook.params.attendance = attendance;
+		return hook;
+	});
+};
+
+/**
+ * resolves the occurrence by the course time and the day or by the lesson
+ */
+const resolveOccurrence = (hook, course) => {
+	const data = hook.data;
+	if (data.lessonId) {
+		return lessonModel.findOne({_id: data.lessonId, courseId: course._id}).select('date').lean().exec().then(lesson => {
+			if (!lesson) throw new errors.BadRequest('Das Thema gehört nicht zum Kurs.');
+			data.date = parseDay(data.date || lesson.date);
+			if (!data.date) throw new errors.BadRequest('Das Thema hat kein Datum.');
+			data.courseTimeId = null;
+		});
+	}
+	data.date = parseDay(data.date);
+	if (!data.date) throw new errors.BadRequest('Das Datum muss im Format YYYY-MM-DD angegeben werden.');
+	if (!data.courseTimeId) throw new errors.BadRequest('Die Unterrichtszeit oder das Thema fehlt.');
+	const time = (course.times || []).find(courseTime => toId(courseTime._id) === toId(data.courseTimeId));
+	if (!time) throw new errors.BadRequest('Der Kurs hat diese Unterrichtszeit nicht.');
+	if (getWeekday(data.date) !== time.weekday) throw new errors.BadRequest('Die Unterrichtszeit findet an diesem Tag nicht statt.');
+	data.lessonId = null;
+	return Promise.resolve();
+};
+
+/**
+ * checks the occurrence and that the records are given for students of the course,
+ * absences which are covered by an accepted excuse are marked as excused
+ */
+const validateAttendance = hook => {
+	const stored = hook.params.attendance;
+	if (stored) fixedFields.forEach(field => delete hook.data[field]);
+	const courseId = stored ? stored.courseId : hook.data.courseId;
+
+	return courseModel.findById(courseId).lean().exec().then(course => {
+		if (!course) throw new errors.NotFound('Der Kurs existiert nicht.');
+		hook.params.course = course;
+		return (stored ? Promise.resolve() : resolveOccurrence(hook, course)).then(() => {
+			if (!stored) {
+				hook.data.schoolId = course.schoolId;
+				hook.data.takenBy = (hook.params.account || {}).userId;
+			}
+			hook.data.updatedAt = new Date();
+			if (!hook.data.records) return hook;
+
+			const studentIds = (course.userIds || []).map(toId);
+			const seen = [];
+			(hook.data.records || []).forEach(record => {
+				const userId = toId(record.userId);
+				if (!studentIds.includes(userId)) throw new errors.BadRequest(`${userId} ist kein Teilnehmer des Kurses.`);
+				if (seen.includes(userId)) throw new errors.BadRequest(`Für ${userId} ist die Anwesenheit mehrfach angegeben.`);
+				seen.push(userId);
+			});
+			const date = stored ? stored.date : hook.data.date;
+			return findAcceptedExcuses(seen, date).then(excuses => {
+				applyExcuses(hook.data.records, excuses, new Date(date));
+				return hook;
+			});
+		});
+	});
+};
+
+/**
+ * the teachers and substitutes of a course take its attendance, the administrators those of their school
+ */
+const restrictToCourseTeachers = globalHooks.ifNotLocal(hook => {
+	const userId = toId(hook.params.account.userId);
+	const load = hook.params.course
+		? Promise.resolve(hook.params.course)
+		: courseModel.findById(hook.params.attendance.courseId).lean().exec();
+	return Promise.all([load, hook.app.service('/users').get(userId)]).then(([course, user]) => {
+		const schoolId = course ? course.schoolId : hook.params.attendance.schoolId;
+		if (toId(schoolId) !== toId(user.schoolId)) throw new errors.Forbidden('Der Kurs gehört nicht zu deiner Schule.');
+		if ((user.permissions || []).includes('SCHOOL_EDIT')) return hook;
+		const teacherIds = course ? (course.teacherIds || []).concat(course.substitutionIds || []).map(toId) : [];
+		if (!teacherIds.includes(userId)) throw new errors.Forbidden('Nur die Lehrkräfte des Kurses können die Anwesenheit erfassen.');
+		return hook;
+	});
+});
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('ATTENDANCE_EDIT'), restrictToCurrentSchool],
+	get: [globalHooks.hasPermission('ATTENDANCE_EDIT')],
+	create: [globalHooks.hasPermission('ATTENDANCE_EDIT'), validateAttendance, restrictToCourseTeachers],
+	update: [hooks.disable()],
+	patch: [globalHooks.hasPermission('ATTENDANCE_EDIT'), loadAttendance, validateAttendance, restrictToCourseTeachers],
+	remove: [globalHooks.hasPermission('ATTENDANCE_EDIT'), loadAttendance, restrictToCourseTeachers]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [globalHooks.ifNotLocal(globalHooks.denyIfNotCurrentSchool({errorMessage: 'Die Anwesenheit gehört nicht zur eigenen Schule!'}))],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
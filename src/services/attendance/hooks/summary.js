@@ -0,0 +1,49 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const {userModel} = require('../../user/model');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * teachers and administrators see the summaries of their school,
+ * students only their own and parents those of their children
+ */
+const restrictSummary = globalHooks.ifNotLocal(hook => {
+	const query = hook.params.query || {};
+	return hook.app.service('/users').get(hook.params.account.userId).then(user => {
+		if ((user.permissions || []).includes('ATTENDANCE_EDIT')) {
+			hook.params.query = Object.assign({}, query, {schoolId: user.schoolId});
+			return hook;
+		}
+		if (!query.userId || query.classId || query.courseId) throw new errors.Forbidden('Du kannst nur deine eigene Anwesenheit sehen.');
+		if (toId(query.userId) === toId(user._id)) return hook;
+		return userModel.count({_id: query.userId, parents: user._id}).exec().then(count => {
+			if (count === 0) throw new errors.Forbidden('Du kannst nur die Anwesenheit deiner Kinder sehen.');
+			return hook;
+		});
+	});
+});
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('ATTENDANCE_VIEW'), restrictSummary],
+	get: [hooks.disable()],
+	create: [hooks.disable()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
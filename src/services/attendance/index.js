@@ -0,0 +1,42 @@
+'use strict';
+
+const service = require('feathers-mongoose');
+const {attendanceModel, excuseModel} = require('./model');
+const hooks = require('./hooks');
+const excuseHooks = require('./hooks/excuses');
+const summaryService = require('./summary-service');
+const childrenService = require('./children-service');
+
+module.exports = function () {
+	const app = this;
+
+	// registered before /attendance, otherwise /attendance/:id would match them
+	app.configure(summaryService);
+	app.configure(childrenService);
+
+	/* Attendance model */
+	app.use('/attendance', service({
+		Model: attendanceModel,
+		paginate: {
+			default: 25,
+			max: 1000
+		},
+		lean: true
+	}));
+	const attendanceService = app.service('/attendance');
+	attendanceService.before(hooks.before);
+	attendanceService.after(hooks.after);
+
+	/* Excuse model */
+	app.use('/excuses', service({
+		Model: excuseModel,
+		paginate: {
+			default: 25,
+			max: 100
+		},
+		lean: true
+	}));
+	const excuseService = app.service('/excuses');
+	excuseService.before(excuseHooks.before);
+	excuseService.after(excuseHooks.after);
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+// attendance-model.js - A mongoose model
+//
+// See http://mongoosejs.com/docs/models.html
+// for more of what you can do here.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const statuses = ['present', 'absent', 'excused', 'late'];
+const excuseStates = ['submitted', 'accepted', 'rejected'];
+
+/**
+ * excuseId {ObjectId} - the accepted excuse which excused the absence
+ */
+const recordSchema = new Schema({
+	userId: {type: Schema.Types.ObjectId, ref: 'user', required: true},
+	status: {type: String, enum: statuses, required: true},
+	note: {type: String},
+	excuseId: {type: Schema.Types.ObjectId, ref: 'excuse'}
+}, {_id: false});
+
+/**
+ * the attendance of the students at one occurrence of a course, given by a course time or a lesson on a day
+ * date {Date} - the day of the occurrence (UTC midnight)
+ */
+const attendanceSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
+	courseId: {type: Schema.Types.ObjectId, ref: 'course', required: true},
+	courseTimeId: {type: Schema.Types.ObjectId},
+	lessonId: {type: Schema.Types.ObjectId, ref: 'lesson'},
+	date: {type: Date, required: true},
+	records: [recordSchema],
+	takenBy: {type: Schema.Types.ObjectId, ref: 'user'},
+	createdAt: {type: Date, 'default': Date.now},
+	updatedAt: {type: Date, 'default': Date.now}
+});
+
+attendanceSchema.index({courseId: 1, date: 1, courseTimeId: 1, lessonId: 1}, {unique: true});
+attendanceSchema.index({'records.userId': 1, date: 1});
+
+/**
+ * an excuse for the absence of a student from one day until another, submitted by a parent and reviewed by a teacher
+ * from, until {Date} - the first and the last day (UTC midnight)
+ */
+const excuseSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
+	studentId: {type: Schema.Types.ObjectId, ref: 'user', required: true},
+	parentId: {type: Schema.Types.ObjectId, ref: 'user', required: true},
+	from: {type: Date, required: true},
+	until: {type: Date, required: true},
+	reason: {type: String, required: true},
+	status: {type: String, enum: excuseStates, 'default': 'submitted'},
+	reviewedBy: {type: Schema.Types.ObjectId, ref: 'user'},
+	reviewedAt: {type: Date},
+	reviewNote: {type: String},
+	createdAt: {type: Date, 'default': Date.now},
+	updatedAt: {type: Date, 'default': Date.now}
+});
+
+const attendanceModel = mongoose.model('attendance', attendanceSchema);
+const excuseModel = mongoose.model('excuse', excuseSchema);
+
+module.exports = {
+	attendanceModel,
+	excuseModel
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const hooks = require('./hooks/summary');
+const {summarize, findAttendances} = require('./helpers');
+const {classModel, courseModel} = require('../user-group/model');
+const {userModel} = require('../user/model');
+const {parseDay} = require('../timetable/parsers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the optional period of the query
+ * @returns {from, until} - undefined if not given, null if invalid
+ */
+const parsePeriod = (query) => ({
+	from: query.from ? parseDay(query.from) : undefined,
+	until: query.until ? parseDay(query.until) : undefined
+});
+
+/**
+ * the absence summaries of a student, the students of a class or the students of a course
+ */
+class AttendanceSummaryService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The absence summaries of students',
+			find: {
+				parameters: [
+					{
+						description: 'the id of a student',
+						name: 'userId',
+						type: 'string'
+					},
+					{
+						description: 'the id of a class, summarizes its students',
+						name: 'classId',
+						type: 'string'
+					},
+					{
+						description: 'the id of a course, summarizes its students and only its attendances',
+						name: 'courseId',
+						type: 'string'
+					},
+					{
+						description: 'the first day as YYYY-MM-DD',
+						name: 'from',
+						type: 'string'
+					},
+					{
+						description: 'the last day as YYYY-MM-DD',
+						name: 'until',
+						type: 'string'
+					}
+				],
+				summary: 'Counts the present, absent, excused and late occurrences per student'
+			}
+		};
+	}
+
+	/**
+	 * @returns {from, until, students: [{userId, firstName, lastName, present, absent, excused, late, total, absenceRate}]}
+	 */
+	find(params) {
+		const query = params.query || {};
+		const {from, until} = parsePeriod(query);
+		if (from === null || until === null) return Promise.reject(new errors.BadRequest('Der Zeitraum muss im Format YYYY-MM-DD angegeben werden.'));
+		const id = query.userId || query.classId || query.courseId;
+		if (!mongoose.Types.ObjectId.isValid(id)) return Promise.reject(new errors.BadRequest('Der Schüler, die Klasse oder der Kurs fehlt.'));
+
+		return this.getGroup(query).then(group => {
+			if (!group) throw new errors.NotFound('Die Gruppe existiert nicht.');
+			if (query.schoolId && toId(query.schoolId) !== toId(group.schoolId)) {
+				throw new errors.Forbidden('Die Gruppe gehört nicht zu deiner Schule.');
+			}
+			const userIds = group.userIds || [];
+			return Promise.all([
+				findAttendances(userIds, from, until),
+				userModel.find({_id: {$in: userIds}}).select('firstName lastName').lean().exec()
+			]).then(([attendances, users]) => {
+				if (query.courseId) attendances = attendances.filter(attendance => toId(attendance.courseId) === toId(query.courseId));
+				const names = {};
+				users.forEach(user => {
+					names[toId(user._id)] = {firstName: user.firstName, lastName: user.lastName};
+				});
+				return {
+					from,
+					until,
+					students: summarize(attendances, userIds).map(summary => Object.assign(names[summary.userId] || {}, summary))
+				};
+			});
+		});
+	}
+
+	/**
+	 * @returns {schoolId, userIds}
+	 */
+	getGroup(query) {
+		if (query.userId) {
+			return userModel.findById(query.userId).select('schoolId').lean().exec()
+				.then(user => user ? {schoolId: user.schoolId, userIds: [user._id]} : undefined);
+		}
+		const model = query.classId ? classModel : courseModel;
+		return model.findById(query.classId || query.courseId).select('schoolId userIds').lean().exec();
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/attendance/summary', new AttendanceSummaryService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const summaryService = app.service('/attendance/summary');
+
+	// Set up our before hooks
+	summaryService.before(hooks.before);
+
+	// Set up our after hooks
+	summaryService.after(hooks.after);
+};
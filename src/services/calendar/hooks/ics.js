@@ -0,0 +1,26 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+
+exports.before = {
+	all: [],
+	// the token of the feed authenticates the request
+	get: [],
+	find: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('CALENDAR_VIEW')],
+	create: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('CALENDAR_VIEW')],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('CALENDAR_VIEW')]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
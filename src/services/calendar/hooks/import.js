@@ -0,0 +1,54 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const _ = require('lodash');
+const {courseModel, classModel} = require('../../user-group/model');
+
+const includesUser = (ids, userId) => _.some(ids, id => JSON.stringify(id) === JSON.stringify(userId));
+
+/**
+ * events of a course or class may only be imported by its teachers or the administrators of the school
+ */
+const restrictToScopeTeachers = hook => {
+	const options = Buffer.isBuffer(hook.data) || typeof hook.data === 'string'
+		? hook.params.query || {}
+		: Object.assign({}, hook.params.query, hook.data);
+	const userId = hook.params.account.userId;
+	if (!options.scope || options.scope === 'user') return hook;
+
+	const model = options.scope === 'course' ? courseModel : classModel;
+	return Promise.all([
+		hook.app.service('users').find({query: {_id: userId, $populate: 'roles'}}),
+		model.findById(options.scopeId).exec()
+	]).then(([users, group]) => {
+		if (!group) throw new errors.NotFound(`The ${options.scope} was not found.`);
+		const user = users.data[0];
+		if (includesUser(group.teacherIds, userId) || includesUser(group.substitutionIds, userId)) return hook;
+		const isAdmin = _.some(user.roles, role => role.name === 'administrator');
+		if (isAdmin && JSON.stringify(user.schoolId) === JSON.stringify(group.schoolId)) return hook;
+		throw new errors.Forbidden(`You are not a teacher of that ${options.scope}.`);
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [hooks.disable()],
+	get: [hooks.disable()],
+	create: [globalHooks.hasPermission('CALENDAR_CREATE'), globalHooks.ifNotLocal(restrictToScopeTeachers)],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -0,0 +1,308 @@
+'use strict';
+
+const {weekdays, toICalendar} = require('./ics');
+
+/**
+ * unfolds the content lines (RFC 5545 3.1)
+ */
+const unfold = (text) => String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+
+const unescapeText = (text) => String(text || '')
+	.replace(/\\[nN]/g, '\n')
+	.replace(/\\([;,\\])/g, '$1');
+
+/**
+ * splits a content line into name, params and value, quoted param values may contain ':' and ';'
+ */
+const parseLine = (line) => {
+	let inQuotes = false;
+	let valueStart = -1;
+	for (let i = 0; i < line.length; i++) {
+		if (line[i] === '"') inQuotes = !inQuotes;
+		if (line[i] === ':' && !inQuotes) {
+			valueStart = i;
+			break;
+		}
+	}
+	if (valueStart < 0) return undefined;
+	const [name, ...rawParams] = line.substring(0, valueStart).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+	const params = {};
+	rawParams.forEach(param => {
+		const [key, ...value] = param.split('=');
+		params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+	});
+	return {name: name.toUpperCase(), params, value: line.substring(valueStart + 1)};
+};
+
+/**
+ * builds the tree of components, properties with the same name are collected in arrays
+ */
+const parseComponents = (text) => {
+	const root = {type: 'ROOT', properties: {}, components: []};
+	const stack = [root];
+	unfold(text).forEach(rawLine => {
+		const line = parseLine(rawLine);
+		if (!line) return;
+		const current = stack[stack.length - 1];
+		if (line.name === 'BEGIN') {
+			const component = {type: line.value.toUpperCase(), properties: {}, components: []};
+			current.components.push(component);
+			stack.push(component);
+		} else if (line.name === 'END') {
+			if (stack.length > 1) stack.pop();
+		} else {
+			current.properties[line.name] = (current.properties[line.name] || []).concat(line);
+		}
+	});
+	return root;
+};
+
+const first = (component, name) => (component.properties[name] || [])[0];
+
+const parseOffset = (value) => {
+	const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(value || '');
+	if (!match) return 0;
+	const minutes = parseInt(match[2]) * 60 + parseInt(match[3]) + parseInt(match[4] || 0) / 60;
+	return (match[1] === '-' ? -1 : 1) * minutes * 60 * 1000;
+};
+
+/**
+ * @returns {Object} - {year, month (0 - 11), day, hours, minutes, seconds, utc, allDay}
+ */
+const parseDateParts = (value) => {
+	const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+	if (!match) return undefined;
+	return {
+		year: parseInt(match[1]),
+		month: parseInt(match[2]) - 1,
+		day: parseInt(match[3]),
+		hours: parseInt(match[4] || 0),
+		minutes: parseInt(match[5] || 0),
+		seconds: parseInt(match[6] || 0),
+		utc: !!match[7],
+		allDay: match[4] === undefined
+	};
+};
+
+// the local time as if it was utc, used to compare local times without a timezone library
+const naiveTime = (parts) => Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds);
+
+/**
+ * @returns {Object} - {freq, until, count, interval, byDay, byMonth, wkst}
+ */
+const parseRRule = (value) => {
+	if (!value) return undefined;
+	const rule = {};
+	value.split(';').forEach(part => {
+		const [key, ruleValue] = part.split('=');
+		rule[key.toUpperCase()] = ruleValue;
+	});
+	if (!rule.FREQ) return undefined;
+	return {
+		freq: rule.FREQ.toUpperCase(),
+		until: rule.UNTIL,
+		count: rule.COUNT ? parseInt(rule.COUNT) : undefined,
+		interval: rule.INTERVAL ? parseInt(rule.INTERVAL) : undefined,
+		byDay: rule.BYDAY,
+		byMonth: rule.BYMONTH ? parseInt(rule.BYMONTH) : undefined,
+		wkst: rule.WKST
+	};
+};
+
+/**
+ * the day of month of e.g. the last sunday (-1SU) or the second monday (2MO) of a month
+ */
+const nthWeekdayOfMonth = (year, month, byDay) => {
+	const match = /^([+-]?\d)?([A-Z]{2})$/.exec(byDay || '');
+	if (!match) return undefined;
+	const n = parseInt(match[1] || 1);
+	// weekdays start on monday, getUTCDay on sunday
+	const weekday = (weekdays.indexOf(match[2]) + 1) % 7;
+	if (n > 0) {
+		const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+		return 1 + (weekday - firstDay + 7) % 7 + (n - 1) * 7;
+	}
+	const lastDate = new Date(Date.UTC(year, month + 1, 0));
+	const lastDay = lastDate.getUTCDay();
+	return lastDate.getUTCDate() - (lastDay - weekday + 7) % 7 + (n + 1) * 7;
+};
+
+/**
+ * the local times at which an observance (STANDARD or DAYLIGHT) of a VTIMEZONE starts in the given year
+ */
+const getTransitions = (observance, year) => {
+	const start = parseDateParts((first(observance, 'DTSTART') || {}).value);
+	if (!start) return [];
+	const rrule = parseRRule((first(observance, 'RRULE') || {}).value);
+	if (!rrule || rrule.freq !== 'YEARLY' || !rrule.byMonth) return [naiveTime(start)];
+	return [year - 1, year]
+		.filter(y => y >= start.year)
+		.map(y => naiveTime(Object.assign({}, start, {
+			year: y,
+			month: rrule.byMonth - 1,
+			day: rrule.byDay ? nthWeekdayOfMonth(y, rrule.byMonth - 1, rrule.byDay) : start.day
+		})));
+};
+
+/**
+ * the offset of a timezone at a local time, given by the observances of its VTIMEZONE
+ */
+const getOffset = (vTimezone, parts) => {
+	const time = naiveTime(parts);
+	let latest;
+	vTimezone.components
+		.filter(observance => ['STANDARD', 'DAYLIGHT'].includes(observance.type))
+		.forEach(observance => {
+			getTransitions(observance, parts.year)
+				.filter(transition => transition <= time)
+				.forEach(transition => {
+					if (!latest || transition > latest.transition) latest = {transition, observance};
+				});
+		});
+	if (!latest) return 0;
+	return parseOffset((first(latest.observance, 'TZOFFSETTO') || {}).value);
+};
+
+// times without a known timezone are taken as local times of the school
+const defaultTimezone = parseComponents(toICalendar('', [])).components[0].components
+	.find(component => component.type === 'VTIMEZONE');
+
+const toParts = (date) => ({
+	year: date.getUTCFullYear(),
+	month: date.getUTCMonth(),
+	day: date.getUTCDate(),
+	hours: date.getUTCHours(),
+	minutes: date.getUTCMinutes(),
+	seconds: date.getUTCSeconds()
+});
+
+/**
+ * the local time of a date in the school's timezone, given by the utc fields of the returned date
+ */
+const toSchoolTime = (date) => {
+	const guess = new Date(date.getTime() + getOffset(defaultTimezone, toParts(date)));
+	return new Date(date.getTime() + getOffset(defaultTimezone, toParts(guess)));
+};
+
+/**
+ * the date of a local time in the school's timezone, the inverse of toSchoolTime
+ */
+const fromSchoolTime = (localTime) => new Date(localTime.getTime() - getOffset(defaultTimezone, toParts(localTime)));
+
+/**
+ * converts a DATE or DATE-TIME property to a date
+ * @param property {Object} - {params, value}
+ * @param timezones {Object} - the VTIMEZONE components of the calendar by TZID
+ * @returns {Object} - {date, allDay} or undefined for invalid values
+ */
+const parseDate = (property, timezones) => {
+	if (!property) return undefined;
+	const parts = parseDateParts(property.value);
+	if (!parts) return undefined;
+	if (parts.utc) return {date: new Date(naiveTime(parts)), allDay: false};
+	// all day events start at midnight of the school's timezone
+	const vTimezone = (!parts.allDay && timezones[property.params.TZID]) || defaultTimezone;
+	return {date: new Date(naiveTime(parts) - getOffset(vTimezone, parts)), allDay: parts.allDay};
+};
+
+/**
+ * EXDATE may contain several comma separated dates and may be given several times
+ */
+const parseDateList = (properties, timezones) => {
+	const dates = [];
+	(properties || []).forEach(property => {
+		property.value.split(',').forEach(value => {
+			const date = parseDate({params: property.params, value}, timezones);
+			if (date) dates.push(date.date);
+		});
+	});
+	return dates;
+};
+
+/**
+ * parses a DURATION value like P1D or PT1H30M
+ * @returns {Number} milliseconds
+ */
+const parseDuration = (value) => {
+	const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+	if (!match) return undefined;
+	const [, sign, w, d, h, m, s] = match.map(v => v === undefined ? 0 : v);
+	const seconds = ((parseInt(w) * 7 + parseInt(d)) * 24 + parseInt(h)) * 3600 + parseInt(m) * 60 + parseInt(s);
+	return (sign === '-' ? -1 : 1) * seconds * 1000;
+};
+
+const frequencies = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * the calendar service only knows an end date of a recurrence, so COUNT is converted to UNTIL
+ */
+const getRepeatUntil = (rrule, start, timezones) => {
+	if (rrule.until) {
+		const until = parseDate({params: {}, value: rrule.until}, timezones);
+		return until && until.date;
+	}
+	if (!rrule.count || !frequencies.includes(rrule.freq)) return undefined;
+	const until = new Date(start);
+	const steps = (rrule.count - 1) * (rrule.interval || 1);
+	if (rrule.freq === 'DAILY') until.setUTCDate(until.getUTCDate() + steps);
+	if (rrule.freq === 'WEEKLY') until.setUTCDate(until.getUTCDate() + steps * 7);
+	if (rrule.freq === 'MONTHLY') until.setUTCMonth(until.getUTCMonth() + steps);
+	if (rrule.freq === 'YEARLY') until.setUTCFullYear(until.getUTCFullYear() + steps);
+	return until;
+};
+
+/**
+ * parses the VEVENTs of an iCalendar file
+ * @param text {String} - the content of the .ics file
+ * @returns [Object] - {uid, summary, description, location, start, end, allDay, rrule, exdates, recurrenceId}
+ */
+const parseEvents = (text) => {
+	const root = parseComponents(text);
+	const calendar = root.components.find(component => component.type === 'VCALENDAR') || root;
+	const timezones = {};
+	calendar.components
+		.filter(component => component.type === 'VTIMEZONE')
+		.forEach(component => {
+			timezones[(first(component, 'TZID') || {}).value] = component;
+		});
+
+	return calendar.components
+		.filter(component => component.type === 'VEVENT')
+		.map(component => {
+			const start = parseDate(first(component, 'DTSTART'), timezones);
+			if (!start) return undefined;
+			let end = parseDate(first(component, 'DTEND'), timezones);
+			if (!end) {
+				const duration = parseDuration((first(component, 'DURATION') || {}).value);
+				// an all day event without end lasts one day, other events have no duration
+				const defaultDuration = start.allDay ? 24 * 60 * 60 * 1000 : 0;
+				end = {date: new Date(start.date.getTime() + (duration === undefined ? defaultDuration : duration))};
+			}
+			const rrule = parseRRule((first(component, 'RRULE') || {}).value);
+			const recurrenceId = parseDate(first(component, 'RECURRENCE-ID'), timezones);
+			return {
+				uid: (first(component, 'UID') || {}).value,
+				summary: unescapeText((first(component, 'SUMMARY') || {}).value),
+				description: unescapeText((first(component, 'DESCRIPTION') || {}).value),
+				location: unescapeText((first(component, 'LOCATION') || {}).value),
+				start: start.date,
+				end: end.date,
+				allDay: start.allDay,
+				rrule: rrule ? Object.assign(rrule, {until: getRepeatUntil(rrule, start.date, timezones)}) : undefined,
+				exdates: parseDateList(component.properties.EXDATE, timezones),
+				recurrenceId: recurrenceId && recurrenceId.date
+			};
+		})
+		.filter(event => event);
+};
+
+module.exports = {
+	unfold,
+	parseLine,
+	parseDate,
+	parseDuration,
+	parseRRule,
+	parseEvents,
+	toSchoolTime,
+	fromSchoolTime
+};
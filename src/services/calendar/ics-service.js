@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const logger = require('winston');
+const errors = require('feathers-errors');
+const hooks = require('./hooks/ics');
+const {icsTokenModel} = require('./model');
+const {toICalendar, weekdays} = require('./ics');
+const {courseModel} = require('../user-group/model');
+const {homeworkModel} = require('../homework/model');
+
+const getUserId = (params) => (params.account || {}).userId || (params.payload || {}).userId;
+
+const toTokenResult = (doc) => ({
+	token: doc.token,
+	path: `/calendar/ics/${doc.token}`,
+	createdAt: doc.createdAt
+});
+
+/**
+ * converts an event of the calendar service to the event of the feed,
+ * the recurrence is given by the same fields which are used to create events
+ */
+const calendarEventToEvent = (event) => {
+	const attributes = event.attributes || {};
+	return {
+		uid: event._id || event.id,
+		summary: event.summary,
+		description: event.description,
+		location: event.location,
+		start: new Date(event.start),
+		end: new Date(event.end),
+		rrule: attributes.repeat_freq ? {
+			freq: attributes.repeat_freq,
+			interval: attributes.repeat_interval,
+			wkst: attributes.repeat_wkst,
+			until: attributes.repeat_until
+		} : undefined,
+		exdates: attributes.exdate
+	};
+};
+
+/**
+ * a course time recurs weekly from the start of the course until its end
+ */
+const courseTimeToEvent = (course, time) => {
+	// weekday 0 is monday, startTime and duration are milliseconds of the local day
+	const day = moment(course.startDate || course.createdAt).startOf('day');
+	while (day.isoWeekday() - 1 !== time.weekday) day.add(1, 'day');
+	const start = day.clone().add(time.startTime || 0, 'ms');
+	const end = start.clone().add(time.duration || 0, 'ms');
+	return {
+		uid: `course-time-${time._id}@schul-cloud`,
+		summary: course.name,
+		description: course.description,
+		location: time.room,
+		start: start.format('YYYYMMDD[T]HHmmss'),
+		end: end.format('YYYYMMDD[T]HHmmss'),
+		rrule: {
+			freq: 'WEEKLY',
+			byDay: weekdays[time.weekday],
+			until: course.untilDate
+		}
+	};
+};
+
+const homeworkToEvent = (homework) => ({
+	uid: `homework-${homework._id}@schul-cloud`,
+	summary: `Abgabe: ${homework.name}${homework.courseId ? ` (${homework.courseId.name})` : ''}`,
+	start: homework.dueDate,
+	end: homework.dueDate
+});
+
+class IcsService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'A subscribable iCalendar feed of the calendar, the course times and the homework due dates of a user'
+		};
+	}
+
+	/**
+	 * the feed is authenticated by the token only, so calendar apps can subscribe to it
+	 * @param token {String}
+	 * @returns {filename, ics}
+	 */
+	get(token, params) {
+		return icsTokenModel.findOne({token}).exec().then(doc => {
+			if (!doc) throw new errors.NotFound('The calendar feed does not exist or was revoked.');
+			const userId = doc.userId;
+
+			return courseModel.find({$or: [{userIds: userId}, {teacherIds: userId}, {substitutionIds: userId}]}).exec()
+				.then(courses => Promise.all([
+					this.getCalendarEvents(userId),
+					courses,
+					homeworkModel.find({
+						dueDate: {$ne: null},
+						archived: {$ne: userId},
+						$or: [
+							{teacherId: userId},
+							{courseId: {$in: courses.map(course => course._id)}, private: {$ne: true}, availableDate: {$lte: new Date()}}
+						]
+					}).populate('courseId').exec()
+				]))
+				.then(([calendarEvents, courses, homeworks]) => {
+					// course times which are synchronized to the calendar service are taken from the course
+					const events = calendarEvents
+						.filter(event => !event['x-sc-courseTimeId'])
+						.map(calendarEventToEvent);
+					courses.forEach(course => {
+						(course.times || []).forEach(time => events.push(courseTimeToEvent(course, time)));
+					});
+					homeworks.forEach(homework => events.push(homeworkToEvent(homework)));
+
+					return {
+						filename: 'schul-cloud',
+						ics: toICalendar('Schul-Cloud', events)
+					};
+				});
+		});
+	}
+
+	/**
+	 * the feed still contains the course times and homework if the calendar service isn't available
+	 */
+	getCalendarEvents(userId) {
+		return this.app.service('/calendar').find({query: {all: true, expand: false}, payload: {userId: userId.toString()}})
+			.catch(err => {
+				logger.warn('calendar service is not available for the ics feed', err.message);
+				return [];
+			});
+	}
+
+	/**
+	 * @returns the feed token of the current user
+	 */
+	find(params) {
+		return icsTokenModel.find({userId: getUserId(params)}).exec()
+			.then(docs => docs.map(toTokenResult));
+	}
+
+	/**
+	 * creates a new token for the current user, an existing token is revoked
+	 */
+	create(data, params) {
+		const token = crypto.randomBytes(24).toString('hex');
+		return icsTokenModel.findOneAndUpdate(
+			{userId: getUserId(params)},
+			{token, createdAt: new Date()},
+			{upsert: true, new: true}
+		).exec().then(toTokenResult);
+	}
+
+	/**
+	 * revokes the token of the current user
+	 */
+	remove(token, params) {
+		return icsTokenModel.findOneAndRemove({userId: getUserId(params), token}).exec().then(doc => {
+			if (!doc) throw new errors.NotFound('The calendar feed does not exist.');
+			return toTokenResult(doc);
+		});
+	}
+}
+
+/**
+ * express middleware which sends the feed as text/calendar instead of json
+ */
+const sendCalendar = (req, res, next) => {
+	if (!res.data || typeof res.data.ics !== 'string') return next();
+	res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+	res.setHeader('Content-Disposition', `inline; filename="${res.data.filename}.ics"`);
+	res.send(res.data.ics);
+};
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the feed is sent by the middleware
+	app.use('/calendar/ics', new IcsService(app), sendCalendar);
+
+	// Get our initialize service to that we can bind hooks
+	const icsService = app.service('/calendar/ics');
+
+	// Set up our before hooks
+	icsService.before(hooks.before);
+
+	// Set up our after hooks
+	icsService.after(hooks.after);
+};
+
+module.exports.courseTimeToEvent = courseTimeToEvent;
@@ -0,0 +1,131 @@
+'use strict';
+
+const moment = require('moment');
+
+// course times are stored as local times of the school
+const TIMEZONE = 'Europe/Berlin';
+
+const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const vTimezone = [
+	'BEGIN:VTIMEZONE',
+	`TZID:${TIMEZONE}`,
+	'BEGIN:DAYLIGHT',
+	'TZOFFSETFROM:+0100',
+	'TZOFFSETTO:+0200',
+	'TZNAME:CEST',
+	'DTSTART:19700329T020000',
+	'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+	'END:DAYLIGHT',
+	'BEGIN:STANDARD',
+	'TZOFFSETFROM:+0200',
+	'TZOFFSETTO:+0100',
+	'TZNAME:CET',
+	'DTSTART:19701025T030000',
+	'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+	'END:STANDARD',
+	'END:VTIMEZONE'
+];
+
+/**
+ * escapes a TEXT value (RFC 5545 3.3.11)
+ */
+const escapeText = (text) => String(text || '')
+	.replace(/\\/g, '\\\\')
+	.replace(/;/g, '\\;')
+	.replace(/,/g, '\\,')
+	.replace(/\r?\n/g, '\\n');
+
+/**
+ * folds a content line after 75 octets (RFC 5545 3.1)
+ */
+const foldLine = (line) => {
+	const parts = [];
+	let current = '';
+	let size = 0;
+	for (const char of line) {
+		const length = Buffer.byteLength(char);
+		if (size + length > 75) {
+			parts.push(current);
+			current = ' ';
+			size = 1;
+		}
+		current += char;
+		size += length;
+	}
+	parts.push(current);
+	return parts.join('\r\n');
+};
+
+const formatUtc = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+/**
+ * formats a date as DATE-TIME property, local times are given as string 'YYYYMMDDTHHmmss' in the school's timezone
+ */
+const formatDateTime = (name, date) => {
+	if (typeof date === 'string') return `${name};TZID=${TIMEZONE}:${date}`;
+	return `${name}:${formatUtc(date)}`;
+};
+
+const formatRRule = ({freq, interval, byDay, wkst, until}) => {
+	const parts = [`FREQ=${freq.toUpperCase()}`];
+	if (interval) parts.push(`INTERVAL=${interval}`);
+	if (byDay) parts.push(`BYDAY=${byDay}`);
+	if (wkst) parts.push(`WKST=${wkst}`);
+	if (until) parts.push(`UNTIL=${formatUtc(until)}`);
+	return `RRULE:${parts.join(';')}`;
+};
+
+/**
+ * @param event {Object} - {uid, summary, description, location, start, end, rrule: {freq, interval, byDay, wkst, until}, exdates}
+ * @returns [String] the lines of the VEVENT
+ */
+const toVEvent = (event) => {
+	const lines = [
+		'BEGIN:VEVENT',
+		`UID:${event.uid}`,
+		`DTSTAMP:${formatUtc(event.dtstamp || new Date())}`,
+		formatDateTime('DTSTART', event.start)
+	];
+	if (event.end) lines.push(formatDateTime('DTEND', event.end));
+	lines.push(`SUMMARY:${escapeText(event.summary)}`);
+	if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+	if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+	if (event.rrule && event.rrule.freq) lines.push(formatRRule(event.rrule));
+	if (event.rrule && (event.exdates || []).length > 0) lines.push(`EXDATE:${event.exdates.map(formatUtc).join(',')}`);
+	lines.push('END:VEVENT');
+	return lines;
+};
+
+/**
+ * creates an iCalendar object (RFC 5545)
+ * @param name {String} - the name of the calendar shown by calendar apps
+ * @param events [Object] - see toVEvent
+ * @returns {String}
+ */
+const toICalendar = (name, events) => {
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Schul-Cloud//Schul-Cloud Server//DE',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		`X-WR-CALNAME:${escapeText(name)}`,
+		`X-WR-TIMEZONE:${TIMEZONE}`
+	].concat(vTimezone);
+	events.forEach(event => {
+		lines.push(...toVEvent(event));
+	});
+	lines.push('END:VCALENDAR');
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+	TIMEZONE,
+	weekdays,
+	escapeText,
+	foldLine,
+	formatUtc,
+	toVEvent,
+	toICalendar
+};
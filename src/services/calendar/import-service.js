@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const request = require('request-promise-native');
+const errors = require('feathers-errors');
+const hooks = require('./hooks/import');
+const {parseEvents, toSchoolTime} = require('./ics-parser');
+const {weekdays} = require('./ics');
+const {publicLookup, checkPublicUrl, isAllowedRedirect} = require('../helpers/network');
+
+const REQUEST_TIMEOUT = 4000; // in ms
+const MAX_CONTENT_LENGTH = 5 * 1024 * 1024; // in bytes
+const MAX_REDIRECTS = 5;
+
+const scopes = ['user', 'course', 'class'];
+
+const getUserId = (params) => (params.account || {}).userId || (params.payload || {}).userId;
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * the fallback of events without UID, the same event gets the same key in every import
+ */
+const getFallbackUid = (event) => crypto.createHash('sha1')
+	.update(JSON.stringify([event.start ? event.start.toISOString() : null, event.summary || null, event.rrule || null]))
+	.digest('hex');
+
+// the weekday (MO-SU) of a date in the school's timezone, getUTCDay starts on sunday
+const getWeekday = (date) => weekdays[(toSchoolTime(date).getUTCDay() + 6) % 7];
+
+/**
+ * the calendar service repeats a weekly event on the weekday of its start,
+ * so a series on several weekdays (BYDAY=MO,WE) is imported as one series per weekday
+ */
+const splitByWeekday = (event) => {
+	const days = ((event.rrule || {}).byDay || '').split(',').filter(day => weekdays.includes(day));
+	if (event.rrule.freq !== 'WEEKLY' || days.length < 2) return [event];
+	return days.map(day => {
+		const start = new Date(event.start);
+		while (getWeekday(start) !== day) start.setUTCDate(start.getUTCDate() + 1);
+		const shift = start.getTime() - new Date(event.start).getTime();
+		return Object.assign({}, event, {
+			uid: `${event.uid}#${day}`,
+			start,
+			end: new Date(new Date(event.end).getTime() + shift)
+		});
+	});
+};
+
+/**
+ * converts the parsed VEVENTs to the request bodies of the calendar service
+ * @param events [Object] - the result of parseEvents
+ * @param scope {String} - user, course or class
+ * @param scopeId {String}
+ */
+const toEventBodies = (events, scope, scopeId) => {
+	events = events.map(event => event.uid ? event : Object.assign({}, event, {uid: getFallbackUid(event)}));
+
+	// changed occurrences (RECURRENCE-ID) are imported as single events and left out of the series
+	events.filter(event => event.recurrenceId).forEach(override => {
+		const series = events.find(event => event.uid === override.uid && !event.recurrenceId);
+		if (series) series.exdates.push(override.recurrenceId);
+	});
+
+	let bodies = [];
+	events.forEach(event => {
+		const uid = event.recurrenceId ? `${event.uid}/${event.recurrenceId.toISOString()}` : event.uid;
+		const series = event.rrule ? splitByWeekday(Object.assign({}, event, {uid})) : [Object.assign({}, event, {uid})];
+		series.forEach(item => bodies.push({
+			importUid: item.uid,
+			summary: item.summary,
+			location: item.location,
+			description: item.description,
+			startDate: item.start.toISOString(),
+			endDate: item.end.toISOString(),
+			frequency: item.rrule ? item.rrule.freq : undefined,
+			// the weekday of the series, WKST of the rule is only the start of the week
+			weekday: item.rrule ? getWeekday(item.start) : undefined,
+			interval: item.rrule ? item.rrule.interval : undefined,
+			repeat_until: item.rrule && item.rrule.until ? item.rrule.until.toISOString() : undefined,
+			exdates: item.exdates.length > 0 ? item.exdates.map(date => date.toISOString()) : undefined,
+			courseId: scope === 'course' ? scopeId : undefined,
+			scopeId
+		}));
+	});
+	return bodies;
+};
+
+class CalendarImportService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'Imports the events of an iCalendar file or url into the calendar of a user, course or class',
+			create: {
+				parameters: [
+					{
+						description: 'the content of an .ics file, can also be sent as request body',
+						name: 'ics',
+						type: 'string'
+					},
+					{
+						description: 'the url of an .ics file',
+						name: 'url',
+						type: 'string'
+					},
+					{
+						description: 'the scope of the events: user (default), course or class',
+						name: 'scope',
+						type: 'string'
+					},
+					{
+						description: 'the id of the course or class',
+						name: 'scopeId',
+						type: 'string'
+					},
+					{
+						description: 'only returns the events which would be imported',
+						name: 'dryRun',
+						type: 'boolean'
+					}
+				],
+				summary: 'Imports the events of an iCalendar file, events with an already imported UID are skipped'
+			}
+		};
+	}
+
+	/**
+	 * the options are taken from the query if the file is sent as request body
+	 */
+	create(data, params) {
+		const options = Buffer.isBuffer(data) || typeof data === 'string'
+			? Object.assign({}, params.query, {ics: data.toString('utf8')})
+			: Object.assign({}, params.query, data);
+		const userId = getUserId(params);
+		const scope = options.scope || 'user';
+		const scopeId = scope === 'user' ? userId.toString() : options.scopeId;
+		if (!scopes.includes(scope)) return Promise.reject(new errors.BadRequest(`Unknown scope ${scope}`));
+		if (!scopeId) return Promise.reject(new errors.BadRequest('Missing scopeId'));
+
+		return Promise.all([this.loadCalendar(options), this.getImportedUids(userId, scopeId)])
+			.then(([ics, importedUids]) => {
+				const bodies = toEventBodies(parseEvents(ics), scope, scopeId);
+				if (bodies.length === 0) throw new errors.BadRequest('The calendar does not contain any events.');
+
+				const events = bodies.map(body => {
+					const status = importedUids.has(body.importUid) ? 'duplicate' : 'new';
+					importedUids.add(body.importUid);
+					return Object.assign({status}, body);
+				});
+				if (isTrue(options.dryRun)) return events;
+
+				// the events are created one after another to not flood the calendar service
+				return events.reduce((promise, event) => promise.then(() => {
+					if (event.status !== 'new') return;
+					const body = Object.assign({}, event);
+					delete body.status;
+					return this.app.service('/calendar').create(body, {payload: {userId: userId.toString()}})
+						.then(() => {
+							event.status = 'created';
+						});
+				}), Promise.resolve()).then(() => events);
+			})
+			.then(events => ({
+				dryRun: isTrue(options.dryRun),
+				scope,
+				scopeId,
+				created: events.filter(event => event.status === 'created').length,
+				skipped: events.filter(event => event.status === 'duplicate').length,
+				events
+			}));
+	}
+
+	loadCalendar({ics, url}) {
+		if (ics) return Promise.resolve(ics);
+		if (!url) return Promise.reject(new errors.BadRequest('Either an ics file or an url is required.'));
+		const calendarUrl = url.replace(/^webcal:\/\//i, 'https://');
+		return checkPublicUrl(calendarUrl, 'Only public http and https urls can be imported.').then(() => {
+			const calendarRequest = request({
+				uri: calendarUrl,
+				timeout: REQUEST_TIMEOUT,
+				lookup: publicLookup,
+				maxRedirects: MAX_REDIRECTS,
+				// hosts given as ip address aren't resolved by the lookup, so their redirects are checked here
+				followRedirect: function (response) {
+					return isAllowedRedirect(this.uri.href, response.headers.location);
+				}
+			});
+			let contentLength = 0;
+			const tooLarge = () => {
+				if (calendarRequest._aborted) return;
+				calendarRequest.abort();
+				calendarRequest.emit('error', new Error('The calendar is too large.'));
+			};
+			calendarRequest.on('response', response => {
+				if (parseInt(response.headers['content-length'], 10) > MAX_CONTENT_LENGTH) tooLarge();
+			});
+			calendarRequest.on('data', chunk => {
+				contentLength += chunk.length;
+				if (contentLength > MAX_CONTENT_LENGTH) tooLarge();
+			});
+			return calendarRequest.catch(err => {
+				throw new errors.BadRequest(`The calendar could not be loaded from ${calendarUrl}`);
+			});
+		});
+	}
+
+	/**
+	 * the UIDs of the events which were already imported into the scope
+	 */
+	getImportedUids(userId, scopeId) {
+		return this.app.service('/calendar').find({query: {all: true, expand: false}, payload: {userId: userId.toString()}})
+			.then(events => new Set(events
+				.filter(event => {
+					const scopeIds = (event.relationships || {})['scope-ids'];
+					return !scopeIds || scopeIds.includes(scopeId.toString());
+				})
+				.map(event => event['x-sc-importUid'])
+				.filter(uid => uid)));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/calendar/import', new CalendarImportService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const importService = app.service('/calendar/import');
+
+	// Set up our before hooks
+	importService.before(hooks.before);
+
+	// Set up our after hooks
+	importService.after(hooks.after);
+};
+
+module.exports.toEventBodies = toEventBodies;
@@ -2,6 +2,10 @@
 
 const request = require('request-promise-native');
 const hooks = require('./hooks');
+const icsService = require('./ics-service');
+const importService = require('./import-service');
+const LocalService = require('./local-service');
+const {convertJsonApiToEvent, convertEventToJsonApi} = require('./jsonApi');
 
 const REQUEST_TIMEOUT = 4000; // in ms
 
@@ -12,61 +16,6 @@ function toQueryString(paramsObject) {
 		.join('&');
 }
 
-/**
- * converts a jsonApi-event to a plain event
- * @param event {object}
- */
-const convertJsonApiToEvent = (event) => {
-	event._id = event.attributes.uid;
-	event.start = new Date(event.attributes.dtstart).getTime();
-	event.end = new Date(event.attributes.dtend).getTime();
-	event.summary = event.attributes.summary;
-	event.title = event.attributes.summary;
-	event.location = event.attributes.location;
-	event.description = event.attributes.description;
-
-	// calendar service ignore case of x-params on event-creation
-	event["x-sc-courseId"]  = event.attributes["x-sc-courseid"];
-	event["x-sc-courseTimeId"] = event.attributes["x-sc-coursetimeid"];
-	return event;
-};
-
-/**
- * Converts the Server-Request-Body to JsonApi-Body
- * @param body
- * @returns {object} - valid json-api body for calendar-service
- */
-const convertEventToJsonApi = (body) => {
-	return {
-		data: [
-			{
-				type: "event",
-				attributes: {
-					summary: body.summary,
-					location: body.location,
-					description: body.description,
-					dtstart: body.startDate,
-					dtend: body.endDate || new Date(new Date(body.startDate).getTime() + body.duration).toISOString(),
-					dtstamp: new Date,
-					transp: "OPAQUE",
-					sequence: 0,
-					repeat_freq: body.frequency,
-					repeat_wkst: body.weekday,
-					repeat_until: body.repeat_until,
-					"x-sc-courseId": body.courseId,
-					"x-sc-courseTimeId": body.courseTimeId
-				},
-				relationships: {
-					"scope-ids": [
-						body.scopeId
-					],
-					"separate-users": false
-				}
-			}
-		]
-	};
-};
-
 class Service {
 	constructor(options) {
 		this.options = options || {};
@@ -119,6 +68,16 @@ class Service {
 						name: 'repeat_until',
 						type: 'date'
 					},
+					{
+						description: 'the interval of the repetition, e.g. 2 for every second week',
+						name: 'interval',
+						type: 'number'
+					},
+					{
+						description: 'the dates of a repeated event which are left out',
+						name: 'exdates',
+						type: 'array'
+					},
 					{
 						description: 'the course reference of a event, e.g. for linking to a course page',
 						name: 'courseId',
@@ -129,6 +88,11 @@ class Service {
 						name: 'courseTimeId',
 						type: 'string'
 					},
+					{
+						description: 'the UID of an imported iCalendar event',
+						name: 'importUid',
+						type: 'string'
+					},
 					{
 						description: 'the scope reference of a event',
 						name: 'scopeId',
@@ -284,8 +248,15 @@ class Service {
 module.exports = function () {
 	const app = this;
 
+	// Setup the ics feed and import before the calendar, otherwise /calendar/:id would match their routes
+	app.configure(icsService);
+	app.configure(importService);
+
+	// the built-in calendar is used if it is configured or no calendar service is given
+	const backend = (app.get('calendar') || {}).backend || ((app.get('services') || {}).calendar ? 'proxy' : 'local');
+
 	// Initialize our service with any options it requires
-	app.use('/calendar', new Service());
+	app.use('/calendar', backend === 'local' ? new LocalService() : new Service());
 
 	// Get our initialize service to that we can bind hooks
 	const contentService = app.service('/calendar');
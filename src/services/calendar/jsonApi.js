@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * converts a jsonApi-event to a plain event
+ * @param event {object}
+ */
+const convertJsonApiToEvent = (event) => {
+	event._id = event.attributes.uid;
+	event.start = new Date(event.attributes.dtstart).getTime();
+	event.end = new Date(event.attributes.dtend).getTime();
+	event.summary = event.attributes.summary;
+	event.title = event.attributes.summary;
+	event.location = event.attributes.location;
+	event.description = event.attributes.description;
+
+	// calendar service ignore case of x-params on event-creation
+	event["x-sc-courseId"]  = event.attributes["x-sc-courseid"];
+	event["x-sc-courseTimeId"] = event.attributes["x-sc-coursetimeid"];
+	event["x-sc-importUid"] = event.attributes["x-sc-importuid"];
+	return event;
+};
+
+/**
+ * Converts the Server-Request-Body to JsonApi-Body
+ * @param body
+ * @returns {object} - valid json-api body for calendar-service
+ */
+const convertEventToJsonApi = (body) => {
+	return {
+		data: [
+			{
+				type: "event",
+				attributes: {
+					summary: body.summary,
+					location: body.location,
+					description: body.description,
+					dtstart: body.startDate,
+					dtend: body.endDate || new Date(new Date(body.startDate).getTime() + body.duration).toISOString(),
+					dtstamp: new Date,
+					transp: "OPAQUE",
+					sequence: 0,
+					repeat_freq: body.frequency,
+					repeat_wkst: body.weekday,
+					repeat_until: body.repeat_until,
+					repeat_interval: body.interval,
+					exdate: body.exdates,
+					"x-sc-courseId": body.courseId,
+					"x-sc-courseTimeId": body.courseTimeId,
+					"x-sc-importUid": body.importUid
+				},
+				relationships: {
+					"scope-ids": [
+						body.scopeId
+					],
+					"separate-users": false
+				}
+			}
+		]
+	};
+};
+
+module.exports = {
+	convertJsonApiToEvent,
+	convertEventToJsonApi
+};
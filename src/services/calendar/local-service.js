@@ -0,0 +1,232 @@
+'use strict';
+
+const moment = require('moment');
+const mongoose = require('mongoose');
+const errors = require('feathers-errors');
+const {calendarEventModel} = require('./model');
+const {weekdays} = require('./ics');
+const {convertJsonApiToEvent, convertEventToJsonApi} = require('./jsonApi');
+
+const units = {DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years'};
+
+// limits the expansion of endless series
+const MAX_OCCURRENCES = 1000;
+const MAX_ITERATIONS = 2 * MAX_OCCURRENCES;
+
+// the longest period which can be queried
+const MAX_PERIOD_YEARS = 5;
+
+// external requests are always made for the authenticated user, only internal calls name the user in the payload
+const getUserId = (params) => params.provider
+	? (params.account || {}).userId
+	: (params.account || {}).userId || (params.payload || {}).userId;
+
+/**
+ * the start dates of a (recurring) event within the given period,
+ * weekly events repeat on the weekday given by repeat_wkst
+ * @param event {Object} - the stored event
+ * @param from {Date}
+ * @param until {Date}
+ * @returns [Date]
+ */
+const getOccurrences = (event, from, until) => {
+	const duration = event.dtend.getTime() - event.dtstart.getTime();
+	const overlaps = start => start.getTime() <= until.getTime() && start.getTime() + duration >= from.getTime();
+	if (!units[event.repeat_freq]) return overlaps(event.dtstart) ? [event.dtstart] : [];
+
+	const first = moment(event.dtstart);
+	if (event.repeat_freq === 'WEEKLY' && weekdays.includes(event.repeat_wkst)) {
+		while (weekdays[first.isoWeekday() - 1] !== event.repeat_wkst) first.add(1, 'day');
+	}
+	const end = event.repeat_until && event.repeat_until < until ? event.repeat_until : until;
+	const exdates = (event.exdate || []).map(date => date.getTime());
+	const interval = event.repeat_interval || 1;
+	// the series starts with the last interval before the period, older occurrences can't overlap it
+	const elapsed = moment(from.getTime() - duration).diff(first, units[event.repeat_freq]);
+	const skipped = Math.max(0, Math.floor(elapsed / interval) - 1);
+	const occurrences = [];
+	for (let i = skipped; i < skipped + MAX_ITERATIONS && occurrences.length < MAX_OCCURRENCES; i++) {
+		// adding to the first date keeps the day of month of monthly events
+		const start = first.clone().add(i * interval, units[event.repeat_freq]).toDate();
+		if (start > end) break;
+		if (overlaps(start) && !exdates.includes(start.getTime())) occurrences.push(start);
+	}
+	return occurrences;
+};
+
+/**
+ * converts a stored event to the json-api event of the calendar service
+ */
+const toJsonApi = (event, start) => {
+	const id = event._id.toString();
+	const dtstart = start || event.dtstart;
+	return {
+		type: 'event',
+		id,
+		attributes: {
+			uid: id,
+			summary: event.summary,
+			location: event.location,
+			description: event.description,
+			dtstart: dtstart.toISOString(),
+			dtend: new Date(dtstart.getTime() + event.dtend.getTime() - event.dtstart.getTime()).toISOString(),
+			dtstamp: event.dtstamp,
+			transp: event.transp,
+			sequence: event.sequence,
+			repeat_freq: event.repeat_freq,
+			repeat_wkst: event.repeat_wkst,
+			repeat_until: event.repeat_until,
+			repeat_interval: event.repeat_interval,
+			exdate: event.exdate,
+			// lower case like the x-params of the calendar service
+			"x-sc-courseid": event.courseId ? event.courseId.toString() : undefined,
+			"x-sc-coursetimeid": event.courseTimeId ? event.courseTimeId.toString() : undefined,
+			"x-sc-importuid": event.importUid
+		},
+		relationships: {
+			"scope-ids": event.scopeIds
+		}
+	};
+};
+
+const toEvent = (event, start) => Object.assign(convertJsonApiToEvent(toJsonApi(event, start)), {allDay: false});
+
+/**
+ * converts the request body the same way as for the calendar service and maps the attributes to the model
+ */
+const toModel = (body) => {
+	const {attributes, relationships} = convertEventToJsonApi(body).data[0];
+	return {
+		summary: attributes.summary,
+		location: attributes.location,
+		description: attributes.description,
+		dtstart: attributes.dtstart,
+		dtend: attributes.dtend,
+		dtstamp: attributes.dtstamp,
+		transp: attributes.transp,
+		sequence: attributes.sequence,
+		repeat_freq: attributes.repeat_freq ? attributes.repeat_freq.toUpperCase() : undefined,
+		repeat_wkst: attributes.repeat_wkst ? attributes.repeat_wkst.toUpperCase() : undefined,
+		repeat_until: attributes.repeat_until,
+		repeat_interval: attributes.repeat_interval,
+		exdate: attributes.exdate || [],
+		scopeIds: relationships["scope-ids"].filter(id => id).map(id => id.toString()),
+		courseId: attributes["x-sc-courseId"],
+		courseTimeId: attributes["x-sc-courseTimeId"],
+		importUid: attributes["x-sc-importUid"]
+	};
+};
+
+/**
+ * a mongo based replacement of the external calendar service with the same interface as the proxy,
+ * the access to the events is given by the scopes of /resolve/scopes
+ */
+class LocalService {
+	constructor(options) {
+		this.options = options || {};
+		this.docs = {
+			description: 'The built-in calendar, used if no standalone schul-cloud calendar service is configured'
+		};
+	}
+
+	/**
+	 * @returns {Object} - the authorities of the user by scope id
+	 */
+	getScopes(userId) {
+		if (!userId) return Promise.reject(new errors.NotAuthenticated('Missing user.'));
+		return this.app.service('/resolve/scopes').get(userId, {}).then(response => {
+			const scopes = {};
+			response.data.forEach(scope => {
+				scopes[scope.id.toString()] = scope.attributes.authorities;
+			});
+			return scopes;
+		});
+	}
+
+	canWrite(scopes, scopeIds) {
+		return scopeIds.length > 0 && scopeIds.every(id => (scopes[id] || []).includes('can-write'));
+	}
+
+	create(data, params) {
+		const userId = getUserId(params);
+		const event = Object.assign(toModel(data), {createdBy: userId});
+		return this.getScopes(userId).then(scopes => {
+			if (!this.canWrite(scopes, event.scopeIds)) throw new errors.Forbidden('You are not allowed to create events in this scope.');
+			return calendarEventModel.create(event);
+		}).then(created => [toEvent(created)]);
+	}
+
+	/**
+	 * the recurring events are expanded to their occurrences in the period given by from and until
+	 * (default is one year before and after now), with expand=false or all=true all events and series
+	 * of the scopes are returned without expansion
+	 */
+	find(params) {
+		const query = params.query || {};
+		const expand = query.expand !== false && query.expand !== 'false' && query.all !== true && query.all !== 'true';
+		const scopeEvents = scopes => ({scopeIds: {$in: Object.keys(scopes)}});
+		if (!expand) {
+			return this.getScopes(getUserId(params))
+				.then(scopes => calendarEventModel.find(scopeEvents(scopes)).sort({dtstart: 1}).exec())
+				.then(events => events.map(event => toEvent(event)));
+		}
+
+		const from = query.from ? new Date(query.from) : moment().subtract(1, 'year').toDate();
+		const until = query.until ? new Date(query.until) : moment().add(1, 'year').toDate();
+		if (isNaN(from.getTime()) || isNaN(until.getTime()) || from > until) {
+			return Promise.reject(new errors.BadRequest('from and until have to be dates, from before until.'));
+		}
+		if (moment(from).add(MAX_PERIOD_YEARS, 'years').toDate() < until) {
+			return Promise.reject(new errors.BadRequest(`The period must not be longer than ${MAX_PERIOD_YEARS} years.`));
+		}
+
+		return this.getScopes(getUserId(params)).then(scopes => {
+			return calendarEventModel.find(Object.assign(scopeEvents(scopes), {
+				dtstart: {$lte: until},
+				$or: [{dtend: {$gte: from}}, {repeat_freq: {$exists: true, $ne: null}}]
+			})).sort({dtstart: 1}).exec();
+		}).then(events => {
+			let result = [];
+			events.forEach(event => {
+				getOccurrences(event, from, until).forEach(start => result.push(toEvent(event, start)));
+			});
+			return result.sort((a, b) => a.start - b.start);
+		});
+	}
+
+	update(id, data, params) {
+		return this.findWritable(id, params).then(event => {
+			const changes = toModel(data);
+			if (changes.scopeIds.length === 0) changes.scopeIds = event.scopeIds;
+			changes.sequence = (event.sequence || 0) + 1;
+			return calendarEventModel.findByIdAndUpdate(id, changes, {new: true}).exec();
+		}).then(updated => [toEvent(updated)]);
+	}
+
+	remove(id, params) {
+		return this.findWritable(id, params)
+			.then(event => calendarEventModel.findByIdAndRemove(id).exec())
+			.then(_ => ({message: "Successful deleted event"}));
+	}
+
+	findWritable(id, params) {
+		if (!mongoose.Types.ObjectId.isValid(id)) return Promise.reject(new errors.NotFound('The event was not found.'));
+		return Promise.all([
+			calendarEventModel.findById(id).exec(),
+			this.getScopes(getUserId(params))
+		]).then(([event, scopes]) => {
+			if (!event) throw new errors.NotFound('The event was not found.');
+			if (!event.scopeIds.some(scopeId => (scopes[scopeId] || []).includes('can-write'))) {
+				throw new errors.Forbidden('You are not allowed to edit this event.');
+			}
+			return event;
+		});
+	}
+
+	setup(app, path) {
+		this.app = app;
+	}
+}
+
+module.exports = LocalService;
+module.exports.getOccurrences = getOccurrences;
@@ -0,0 +1,59 @@
+'use strict';
+
+// model.js - A mongoose model
+//
+// See http://mongoosejs.com/docs/models.html
+// for more of what you can do here.
+
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+/**
+ * the secret token of a user's ICS feed, calendar apps can't send a JWT
+ * so the token in the url is the only authentication of the feed
+ */
+const icsTokenSchema = new Schema({
+	userId: {type: Schema.Types.ObjectId, ref: 'user', required: true, unique: true},
+	token: {type: String, required: true, unique: true},
+	createdAt: {type: Date, 'default': Date.now}
+});
+
+const icsTokenModel = mongoose.model('icsToken', icsTokenSchema);
+
+const frequencies = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/**
+ * an event of the built-in calendar, used if no external calendar service is configured
+ * the fields follow the attributes of the calendar service
+ */
+const calendarEventSchema = new Schema({
+	summary: {type: String},
+	location: {type: String},
+	description: {type: String},
+	dtstart: {type: Date, required: true},
+	dtend: {type: Date, required: true},
+	dtstamp: {type: Date, 'default': Date.now},
+	transp: {type: String, 'default': 'OPAQUE'},
+	sequence: {type: Number, 'default': 0},
+	repeat_freq: {type: String, enum: frequencies},
+	repeat_wkst: {type: String, enum: weekdays},
+	repeat_until: {type: Date},
+	repeat_interval: {type: Number, min: 1},
+	exdate: [{type: Date}],
+	scopeIds: [{type: String, required: true, index: true}],
+	courseId: {type: Schema.Types.ObjectId, ref: 'course'},
+	courseTimeId: {type: Schema.Types.ObjectId},
+	importUid: {type: String},
+	createdBy: {type: Schema.Types.ObjectId, ref: 'user'}
+}, {
+	timestamps: true
+});
+
+const calendarEventModel = mongoose.model('calendarEvent', calendarEventSchema);
+
+module.exports = {
+	icsTokenModel,
+	calendarEventModel
+};
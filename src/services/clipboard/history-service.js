@@ -0,0 +1,83 @@
+const hooks = require('./hooks/history');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const ClipboardEventModel = require('../../sockets/clipboard/clipboard-event-model');
+const {replay} = require('../../sockets/clipboard/history');
+
+class ClipboardHistoryService {
+
+	constructor(app) {
+		this.app = app;
+	}
+
+	/**
+	 * lists the past and running clipboard sessions of a course
+	 * @param params contains the courseId given by the route
+	 * @returns [{_id, startedAt, endedAt, fromVersion, toVersion, events}]
+	 */
+	find(params) {
+		return ClipboardEventModel.aggregate([
+			{$match: {course: mongoose.Types.ObjectId(params.courseId)}},
+			{$group: {
+				_id: '$session',
+				startedAt: {$min: '$createdAt'},
+				endedAt: {$max: '$createdAt'},
+				fromVersion: {$min: '$version'},
+				toVersion: {$max: '$version'},
+				events: {$sum: 1}
+			}},
+			{$sort: {startedAt: -1}}
+		]).exec();
+	}
+
+	/**
+	 * reconstructs the board state at a point in a session
+	 * @param id {ObjectId} - the id of the session
+	 * @param params contains the courseId given by the route, the version of the state in query (default is the end of the session)
+	 * @returns {session, version, createdAt, board, desks, events}
+	 */
+	get(id, params) {
+		if (!mongoose.Types.ObjectId.isValid(id)) return Promise.reject(new errors.BadRequest('Invalid session id.'));
+		const version = parseInt((params.query || {}).version);
+
+		return ClipboardEventModel.find({course: params.courseId, session: id}).sort({version: 1}).lean().exec()
+			.then(events => {
+				const start = events.find(event => event.action === 'SESSION_START');
+				if (!start) throw new errors.NotFound('The session was not found.');
+
+				const replayed = events.filter(event => event === start || isNaN(version) || event.version <= version);
+				const last = replayed[replayed.length - 1];
+				const state = replay(start.payload, replayed.filter(event => event !== start));
+				return {
+					session: id,
+					version: last.version,
+					createdAt: last.createdAt,
+					board: state.board,
+					desks: state.desks,
+					// the timeline of the session to navigate between the versions
+					events: events.map(event => ({
+						version: event.version,
+						action: event.action,
+						user: event.user,
+						createdAt: event.createdAt
+					}))
+				};
+			});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/courses/:courseId/clipboard/sessions', new ClipboardHistoryService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const historyService = app.service('/courses/:courseId/clipboard/sessions');
+
+	// Set up our before hooks
+	historyService.before(hooks.before);
+
+	// Set up our after hooks
+	historyService.after(hooks.after);
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const _ = require('lodash');
+const CourseModel = require('../../user-group/model').courseModel;
+
+const includesUser = (ids, userId) => _.some(ids, id => JSON.stringify(id) === JSON.stringify(userId));
+
+/**
+ * only the teachers of the course may review what was shown on the clipboard
+ */
+const restrictToCourseTeachers = hook => {
+	const userId = hook.params.account.userId;
+	return CourseModel.findById(hook.params.courseId).exec().then(course => {
+		if (!course) throw new errors.NotFound('The course was not found.');
+		if (includesUser(course.teacherIds, userId) || includesUser(course.substitutionIds, userId)) return hook;
+		throw new errors.Forbidden('You are not a teacher of that course.');
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt'), globalHooks.ifNotLocal(restrictToCourseTeachers)],
+	find: [],
+	get: [],
+	create: [hooks.disable()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -5,6 +5,7 @@ const express = require('express');
 const errors = require('feathers-errors');
 const path = require("path");
 const auth = require('feathers-authentication');
+const historyService = require('./history-service');
 
 module.exports = function () {
     const app = this;
@@ -12,6 +13,8 @@ module.exports = function () {
         auth.express.authenticate('jwt', {exposeCookies: true, exposeHeaders: true})
     );
     app.use('/clipboard/uploads', feathers.static(path.join(__dirname, '/../../../uploads')));
+    // Setup the replay of past clipboard sessions
+    app.configure(historyService);
 };
 
 
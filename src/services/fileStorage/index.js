@@ -1,11 +1,14 @@
 'use strict';
 const modelService = require('./model-service');
 const proxyService = require('./proxy-service');
+const localFsService = require('./local-fs-service');
 
 module.exports = function () {
 	const app = this;
 	// Setup proxy services
 	app.configure(proxyService);
+	// Setup routes for signed urls of the local file storage
+	app.configure(localFsService);
 	// Setup model services
 	app.configure(modelService);
 };
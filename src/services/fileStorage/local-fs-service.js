@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const pathUtil = require('path');
+const logger = require('winston');
+const LocalFsStrategy = require('./strategies/localFs');
+
+/**
+ * collects the signed parameters of a request to a url generated by LocalFsStrategy.generateSignedUrl
+ */
+const getSignedParams = (req, action) => {
+	return {
+		action,
+		schoolId: req.params.schoolId,
+		key: req.params.key,
+		expires: req.query.expires,
+		fileType: req.query.fileType,
+		download: req.query.download === '1',
+		signature: req.query.signature
+	};
+};
+
+const checkSignedRequest = (action) => (req, res, next) => {
+	const params = getSignedParams(req, action);
+	if (req.query.action !== action || !LocalFsStrategy.verifySignature(params)) {
+		return res.status(403).send({message: 'The signature of the url is invalid or expired'});
+	}
+
+	try {
+		req.filePath = LocalFsStrategy.resolveFilePath(params.schoolId, params.key);
+	} catch (err) {
+		return res.status(400).send({message: err.message});
+	}
+	req.signedParams = params;
+	next();
+};
+
+const downloadFile = (req, res) => {
+	const {download, key} = req.signedParams;
+	if (download) res.attachment(pathUtil.basename(key));
+	res.sendFile(req.filePath, err => {
+		if (!err) return;
+		if (!res.headersSent) res.status(err.status === 404 ? 404 : 500).send({message: 'The file could not be read'});
+		logger.error(err);
+	});
+};
+
+/**
+ * streams the request body into the file, the body parsers of the app are not applied to this route
+ */
+const uploadFile = (req, res) => {
+	if (req.signedParams.fileType && !req.is(req.signedParams.fileType)) {
+		return res.status(400).send({message: 'The content type does not match the signed url'});
+	}
+	if (parseInt(req.headers['content-length'], 10) > LocalFsStrategy.maxFileSize) {
+		return res.status(413).set('Connection', 'close').send({message: 'The file is too large'});
+	}
+
+	let tooLarge = false;
+	LocalFsStrategy.mkdirp(pathUtil.dirname(req.filePath))
+		.then(_ => new Promise((resolve, reject) => {
+			const writeStream = fs.createWriteStream(req.filePath);
+			let size = 0;
+			req.on('data', chunk => {
+				size += chunk.length;
+				if (size <= LocalFsStrategy.maxFileSize) return;
+				tooLarge = true;
+				req.unpipe(writeStream);
+				writeStream.end();
+				reject(new Error('The file is too large'));
+			});
+			req.on('aborted', () => reject(new Error('The upload was aborted')));
+			writeStream.on('error', reject);
+			writeStream.on('finish', () => {
+				if (!tooLarge) resolve();
+			});
+			req.pipe(writeStream);
+		}))
+		.then(_ => res.status(200).end())
+		.catch(err => {
+			// incomplete files are not kept
+			fs.unlink(req.filePath, () => {});
+			if (tooLarge) return res.status(413).set('Connection', 'close').send({message: 'The file is too large'});
+			logger.error(err);
+			if (!res.headersSent) res.status(500).send({message: 'The file could not be stored'});
+		});
+};
+
+const route = `${LocalFsStrategy.signedUrlRoute}/:schoolId/:key`;
+
+// serves the signed urls of the local file storage, the signature replaces any authentication
+module.exports = function () {
+	const app = this;
+	app.get(route, checkSignedRequest('getObject'), downloadFile);
+};
+
+// the uploads are streamed, so they are registered in app.js before the body parsers
+module.exports.uploads = function () {
+	const app = this;
+	app.put(route, checkSignedRequest('putObject'), uploadFile);
+};
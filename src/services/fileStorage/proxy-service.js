@@ -2,6 +2,7 @@
 const pathUtil = require('path').posix;
 const hooks = require('./hooks');
 const AWSStrategy = require('./strategies/awsS3');
+const LocalFsStrategy = require('./strategies/localFs');
 const errors = require('feathers-errors');
 const swaggerDocs = require('./docs/');
 const filePermissionHelper = require('./utils/filePermissionHelper');
@@ -15,7 +16,8 @@ const rp = require('request-promise-native');
 const fs = require('fs');
 
 const strategies = {
-	awsS3: AWSStrategy
+	awsS3: AWSStrategy,
+	localFs: LocalFsStrategy
 };
 
 const createCorrectStrategy = (fileStorageType) => {
@@ -0,0 +1,245 @@
+const promisify = require('es6-promisify');
+const errors = require('feathers-errors');
+const SchoolModel = require('../../school/model');
+const UserModel = require('../../user/model');
+const crypto = require('crypto');
+const fs = require('fs');
+const pathUtil = require('path');
+const logger = require('winston');
+const filePermissionHelper = require('../utils/filePermissionHelper');
+const removeLeadingSlash = require('../utils/filePathHelper').removeLeadingSlash;
+const returnFileType = require('../utils/filePathHelper').returnFileType;
+let localFsConfig;
+try {
+	(process.env.NODE_ENV === 'production') ? localFsConfig = require("../../../../config/secrets.js").localFs : localFsConfig = require("../../../../config/secrets.json").localFs;
+} catch (e) {
+	localFsConfig = undefined;
+}
+localFsConfig = localFsConfig || {};
+
+const AbstractFileStorageStrategy = require('./interface.js');
+
+const storageRoot = pathUtil.resolve(localFsConfig.storagePath || pathUtil.join(__dirname, '../../../../uploads/fileStorage'));
+const baseUrl = (localFsConfig.url || 'http://localhost:3030').replace(/\/$/, '');
+const signedUrlRoute = '/fileStorage/localFs';
+const signedUrlExpiration = 60; // seconds, same as for AWS signed urls
+const maxFileSize = localFsConfig.maxFileSize || 1024 * 1024 * 1024; // in bytes
+
+const signingSecret = localFsConfig.secret || (() => {
+	// without a shared secret, urls are only valid for this instance and until the next restart
+	logger.log('warn', 'No secret for the local file storage configured, using a random one');
+	return crypto.randomBytes(32).toString('hex');
+})();
+
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const rmdir = promisify(fs.rmdir);
+const mkdir = promisify(fs.mkdir);
+
+/**
+ * creates the given directory including all missing parent directories
+ */
+const mkdirp = (dirPath) => {
+	return mkdir(dirPath).catch(err => {
+		if (err.code === 'EEXIST') return;
+		if (err.code !== 'ENOENT') throw err;
+		return mkdirp(pathUtil.dirname(dirPath)).then(_ => mkdirp(dirPath));
+	});
+};
+
+/**
+ * removes the given file or directory including all of its content, missing entries are ignored
+ */
+const removeRecursive = (entryPath) => {
+	return stat(entryPath)
+		.then(stats => {
+			if (!stats.isDirectory()) return unlink(entryPath);
+			return readdir(entryPath)
+				.then(entries => Promise.all(entries.map(entry => removeRecursive(pathUtil.join(entryPath, entry)))))
+				.then(_ => rmdir(entryPath));
+		})
+		.catch(err => {
+			if (err.code !== 'ENOENT') throw err;
+		});
+};
+
+const copy = (source, destination) => {
+	return new Promise((resolve, reject) => {
+		const readStream = fs.createReadStream(source);
+		const writeStream = fs.createWriteStream(destination);
+		readStream.on('error', reject);
+		writeStream.on('error', reject);
+		writeStream.on('finish', resolve);
+		readStream.pipe(writeStream);
+	});
+};
+
+/**
+ * the local equivalent of a school's bucket
+ * @param schoolId {ObjectId|String}
+ */
+const getSchoolDirectory = (schoolId) => {
+	return pathUtil.join(storageRoot, `bucket-${schoolId}`);
+};
+
+/**
+ * resolves a key inside the directory of a school, keys leaving that directory are rejected
+ * @param schoolId {ObjectId|String}
+ * @param key {String} - the relative path of the file, e.g. a flat file name
+ */
+const resolveFilePath = (schoolId, key) => {
+	const schoolDirectory = getSchoolDirectory(schoolId);
+	const filePath = pathUtil.resolve(schoolDirectory, removeLeadingSlash(key || ''));
+	if (filePath !== schoolDirectory && !filePath.startsWith(schoolDirectory + pathUtil.sep)) {
+		throw new errors.BadRequest('Invalid file path');
+	}
+	return filePath;
+};
+
+const createSignature = ({action, schoolId, key, expires, fileType, download}) => {
+	return crypto.createHmac('sha256', signingSecret)
+		.update([action, schoolId, key, expires, fileType || '', download ? '1' : '0'].join('\n'))
+		.digest('hex');
+};
+
+/**
+ * checks signature and expiration of a signed url generated by the local file storage
+ * @param params {Object} - contains action, schoolId, key, expires, fileType, download and signature
+ * @returns {Boolean}
+ */
+const verifySignature = (params) => {
+	if (!params.signature || !params.expires || Number(params.expires) < Math.floor(Date.now() / 1000)) return false;
+
+	const expected = Buffer.from(createSignature(params));
+	const given = Buffer.from(String(params.signature));
+	return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const getSchoolIdForUser = (userId) => {
+	return UserModel.userModel.findById(userId).exec()
+		.then(result => {
+			if (!result || !result.schoolId) return Promise.reject(new errors.NotFound("User not found"));
+			return result.schoolId;
+		});
+};
+
+class LocalFsStrategy extends AbstractFileStorageStrategy {
+
+	create(schoolId) {
+		if (!schoolId) return Promise.reject(new errors.BadRequest('No school id parameter given'));
+		return SchoolModel.schoolModel.findById(schoolId).exec()
+			.then((result) => {
+				if (!result) return Promise.reject(new errors.NotFound('school not found'));
+				return mkdirp(getSchoolDirectory(result._id))
+					.then(_ => Promise.resolve({message: "Successfully created local storage directory!"}));
+			});
+	}
+
+	getFiles(userId, path) {
+		if (!userId || !path) return Promise.reject(new errors.BadRequest('Missing parameters'));
+		return filePermissionHelper.checkPermissions(userId, path)
+			.then(_ => getSchoolIdForUser(userId))
+			.then(schoolId => {
+				const directoryPath = resolveFilePath(schoolId, path);
+				return readdir(directoryPath)
+					.catch(err => {
+						if (err.code === 'ENOENT') return [];
+						throw err;
+					})
+					.then(entries => Promise.all(entries.map(name => {
+						return stat(pathUtil.join(directoryPath, name)).then(stats => ({name, stats}));
+					})))
+					.then(entries => {
+						const files = entries.filter(e => !e.stats.isDirectory()).map(e => ({
+							key: `${removeLeadingSlash(path).replace(/\/?$/, '/')}${e.name}`,
+							name: e.name,
+							path: `/${removeLeadingSlash(path)}`,
+							lastModified: e.stats.mtime,
+							size: e.stats.size,
+							type: returnFileType(e.name)
+						}));
+						const directories = entries.filter(e => e.stats.isDirectory()).map(e => ({name: e.name}));
+						return {files, directories};
+					});
+			});
+	}
+
+	copyFile(userId, oldPath, newPath, externalSchoolId) {
+		if (!userId || !oldPath || !newPath) {
+			return Promise.reject(new errors.BadRequest('Missing parameters'));
+		}
+		return getSchoolIdForUser(userId)
+			.then(schoolId => {
+				//files can be copied to different schools
+				const source = resolveFilePath(externalSchoolId || schoolId, oldPath);
+				const destination = resolveFilePath(schoolId, newPath);
+				return mkdirp(pathUtil.dirname(destination)).then(_ => copy(source, destination));
+			})
+			.catch(err => {
+				if (err.code === 'ENOENT') throw new errors.NotFound('The file was not found!');
+				throw err;
+			});
+	}
+
+	deleteFile(userId, path) {
+		if (!userId || !path) return Promise.reject(new errors.BadRequest('Missing parameters'));
+		return getSchoolIdForUser(userId)
+			.then(schoolId => unlink(resolveFilePath(schoolId, path)))
+			.catch(err => {
+				if (err.code !== 'ENOENT') throw err;
+			});
+	}
+
+	generateSignedUrl(userId, path, fileType, action, externalSchoolId, download) {
+		if (!userId || !path || !action || (action === 'putObject' && !fileType)) return Promise.reject(new errors.BadRequest('Missing parameters'));
+		if (!['getObject', 'putObject'].includes(action)) return Promise.reject(new errors.BadRequest(`Unsupported action ${action}`));
+		return getSchoolIdForUser(userId).then(schoolId => {
+			schoolId = (externalSchoolId || schoolId).toString();
+			const key = removeLeadingSlash(path);
+			resolveFilePath(schoolId, key); // reject invalid keys early
+
+			const params = {
+				action,
+				schoolId,
+				key,
+				expires: Math.floor(Date.now() / 1000) + signedUrlExpiration,
+				fileType: action === 'putObject' ? fileType : undefined,
+				download: !!download
+			};
+
+			let query = `action=${action}&expires=${params.expires}`;
+			if (params.fileType) query += `&fileType=${encodeURIComponent(params.fileType)}`;
+			if (params.download) query += '&download=1';
+			query += `&signature=${createSignature(params)}`;
+
+			return `${baseUrl}${signedUrlRoute}/${schoolId}/${encodeURIComponent(key)}?${query}`;
+		});
+	}
+
+	createDirectory(userId, path) {
+		if (!userId || !path) return Promise.reject(new errors.BadRequest('Missing parameters'));
+		return filePermissionHelper.checkPermissions(userId, path)
+			.then(_ => getSchoolIdForUser(userId))
+			.then(schoolId => mkdirp(resolveFilePath(schoolId, path)));
+	}
+
+	deleteDirectory(userId, path) {
+		if (!userId || !path) return Promise.reject(new errors.BadRequest('Missing parameters'));
+		return filePermissionHelper.checkPermissions(userId, path)
+			.then(_ => getSchoolIdForUser(userId))
+			.then(schoolId => {
+				const directoryPath = resolveFilePath(schoolId, path);
+				if (directoryPath === getSchoolDirectory(schoolId)) throw new errors.BadRequest('Invalid directory path');
+				return removeRecursive(directoryPath);
+			});
+	}
+}
+
+LocalFsStrategy.signedUrlRoute = signedUrlRoute;
+LocalFsStrategy.maxFileSize = maxFileSize;
+LocalFsStrategy.resolveFilePath = resolveFilePath;
+LocalFsStrategy.verifySignature = verifySignature;
+LocalFsStrategy.mkdirp = mkdirp;
+
+module.exports = LocalFsStrategy;
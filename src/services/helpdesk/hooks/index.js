@@ -3,8 +3,20 @@
 const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const problemModel = require('../model');
 const restrictToCurrentSchool = globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool);
 
+// the states a ticket may change to from its current state
+const transitions = {
+	open: ['inProgress', 'waiting', 'submitted', 'closed'],
+	inProgress: ['open', 'waiting', 'submitted', 'closed'],
+	waiting: ['inProgress', 'closed'],
+	submitted: ['inProgress', 'closed'],
+	closed: ['open']
+};
+exports.transitions = transitions;
+
 function createInfoText(user, data){
 	return "Ein neues Problem wurde gemeldet." + "\n"
 	+ "User: " + user + "\n"
@@ -43,13 +55,68 @@ const denyDbWriteOnType = hook => {
 	return hook;
 };
 
+/**
+ * the messages and the history are only changed by the ticket workflow
+ */
+const protectTicketFields = hook => {
+	['messages', 'stateHistory', 'firstResponseAt', 'closedAt'].forEach(key => {
+		delete hook.data[key];
+	});
+	return hook;
+};
+
+/**
+ * validates a change of the state and appends it to the history of the ticket
+ */
+const trackStateChange = hook => {
+	if (!hook.id || !hook.data.state) return hook;
+	return problemModel.findById(hook.id).exec().then(problem => {
+		if (!problem) throw new errors.NotFound('The problem was not found.');
+		const from = problem.state;
+		const to = hook.data.state;
+		if (from === to) return hook;
+		if (!(transitions[from] || []).includes(to)) {
+			throw new errors.BadRequest(`The state can't be changed from ${from} to ${to}.`);
+		}
+		const now = new Date();
+		hook.data.stateHistory = (problem.stateHistory || []).concat({
+			from,
+			to,
+			userId: (hook.params.account || {}).userId,
+			changedAt: now
+		});
+		if (to === 'closed') hook.data.closedAt = now;
+		if (from === 'closed') hook.data.closedAt = null;
+		hook.data.updatedAt = now;
+		return hook;
+	});
+};
+
+/**
+ * tickets can only be assigned to the helpdesk staff of the school
+ */
+const validateAssignee = hook => {
+	if (!hook.id || !hook.data.assigneeId) return hook;
+	return Promise.all([
+		problemModel.findById(hook.id).exec(),
+		hook.app.service('/users').get(hook.data.assigneeId)
+	]).then(([problem, assignee]) => {
+		if (!problem) throw new errors.NotFound('The problem was not found.');
+		const permissions = Array.from(assignee.permissions || []);
+		if (!permissions.includes('HELPDESK_EDIT') || JSON.stringify(assignee.schoolId) !== JSON.stringify(problem.schoolId)) {
+			throw new errors.BadRequest('The ticket can only be assigned to the helpdesk of the school.');
+		}
+		return hook;
+	});
+};
+
 exports.before = {
 	all: [auth.hooks.authenticate('jwt')],
 	find: [globalHooks.hasPermission('HELPDESK_VIEW')],
 	get: [globalHooks.hasPermission('HELPDESK_VIEW')],
 	create: [globalHooks.hasPermission('HELPDESK_CREATE'), restrictToCurrentSchool, denyDbWriteOnType],
-	update: [globalHooks.hasPermission('HELPDESK_EDIT'), restrictToCurrentSchool],
-	patch: [globalHooks.hasPermission('HELPDESK_EDIT'),globalHooks.permitGroupOperation, restrictToCurrentSchool],
+	update: [globalHooks.hasPermission('HELPDESK_EDIT'), restrictToCurrentSchool, protectTicketFields, validateAssignee, trackStateChange],
+	patch: [globalHooks.hasPermission('HELPDESK_EDIT'),globalHooks.permitGroupOperation, restrictToCurrentSchool, protectTicketFields, validateAssignee, trackStateChange],
 	remove: [globalHooks.hasPermission('HELPDESK_CREATE'),globalHooks.permitGroupOperation, globalHooks.ifNotLocal(globalHooks.checkSchoolOwnership)]
 };
 
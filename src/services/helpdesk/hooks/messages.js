@@ -0,0 +1,95 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const problemModel = require('../model');
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * loads the ticket of the route and whether the current user answers for the helpdesk
+ */
+const loadProblem = hook => {
+	if (!mongoose.Types.ObjectId.isValid(hook.params.problemId)) throw new errors.NotFound('The problem was not found.');
+	return problemModel.findById(hook.params.problemId).lean().exec().then(problem => {
+		if (!problem) throw new errors.NotFound('The problem was not found.');
+		const userId = (hook.params.account || {}).userId;
+		if (!userId) {
+			hook.params.helpdesk = {problem};
+			return hook;
+		}
+		return globalHooks.hasPermissionNoHook(hook, userId, 'HELPDESK_EDIT').then(isStaff => {
+			hook.params.helpdesk = {problem, isStaff: isStaff && !isSame(problem.userId, userId)};
+			return hook;
+		});
+	});
+};
+
+/**
+ * only the reporter and the helpdesk of the school may read and write the messages of a ticket
+ */
+const restrictToReporterAndStaff = hook => {
+	const {problem, isStaff} = hook.params.helpdesk;
+	const userId = hook.params.account.userId;
+	if (isSame(problem.userId, userId)) return hook;
+	if (!isStaff) throw new errors.Forbidden('You are not allowed to access the messages of this problem.');
+	return hook.app.service('/users').get(userId).then(user => {
+		if (!isSame(user.schoolId, problem.schoolId)) throw new errors.Forbidden('The problem belongs to another school.');
+		return hook;
+	});
+};
+
+/**
+ * answers of the helpdesk are sent to the reporter, answers of the reporter to the assignee or the helpdesk of the school
+ */
+const notify = hook => {
+	const {problem} = hook.params.helpdesk || {};
+	const message = hook.result;
+	if (!problem || message.internal) return hook;
+
+	const fromReporter = isSame(problem.userId, message.userId);
+	const text = (fromReporter
+		? "Es gibt eine neue Nachricht zu dem Problem \"" + problem.subject + "\".\n"
+		: "Der Helpdesk hat auf dein Problem \"" + problem.subject + "\" geantwortet.\n")
+		+ "\n" + message.text + "\n\n"
+		+ "Mit freundlichen Grüßen\n"
+		+ "Deine Schul-Cloud";
+	const subject = "Neue Nachricht: " + problem.subject;
+
+	if (!fromReporter) {
+		if (problem.userId) globalHooks.sendEmail(hook, {subject, userIds: [problem.userId.toString()], content: {text}});
+	} else if (problem.assigneeId) {
+		globalHooks.sendEmail(hook, {subject, userIds: [problem.assigneeId.toString()], content: {text}});
+	} else {
+		// the recipients by role are searched in the school of hook.data
+		globalHooks.sendEmail(Object.assign({}, hook, {data: {schoolId: problem.schoolId}}), {
+			subject,
+			roles: ["helpdesk", "administrator"],
+			content: {text}
+		});
+	}
+	return hook;
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('HELPDESK_CREATE'), loadProblem, globalHooks.ifNotLocal(restrictToReporterAndStaff)],
+	find: [],
+	get: [hooks.disable()],
+	create: [],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [notify],
+	update: [],
+	patch: [],
+	remove: []
+};
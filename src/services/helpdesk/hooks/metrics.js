@@ -0,0 +1,25 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('HELPDESK_VIEW'), globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool)],
+	get: [hooks.disable()],
+	create: [hooks.disable()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -3,6 +3,8 @@
 const service = require('feathers-mongoose');
 const problemModel = require('./model');
 const hooks = require('./hooks');
+const messageService = require('./message-service');
+const metricsService = require('./metrics-service');
 
 module.exports = function () {
 	const app = this;
@@ -16,6 +18,9 @@ module.exports = function () {
 		lean: true
 	};
 
+	// registered before /helpdesk, otherwise /helpdesk/:id would match the metrics
+	app.configure(metricsService);
+
 	// Initialize our service with any options it requires
 	app.use('/helpdesk', service(options));
 
@@ -27,4 +32,7 @@ module.exports = function () {
 
 	// Set up our after hooks
 	helpdeskService.after(hooks.after);
+
+	// Setup the conversation of a ticket
+	app.configure(messageService);
 };
@@ -0,0 +1,124 @@
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const hooks = require('./hooks/messages');
+const problemModel = require('./model');
+
+const getUserId = (params) => (params.account || {}).userId || (params.payload || {}).userId;
+
+/**
+ * nests the replies below the answered messages
+ * @param messages [Object] - the messages of a ticket in order of creation
+ * @returns [Object] - the messages which don't answer another message, each with its replies
+ */
+const toThread = (messages) => {
+	const byId = {};
+	const roots = [];
+	messages.forEach(message => {
+		byId[message._id.toString()] = Object.assign({}, message, {replies: []});
+	});
+	messages.forEach(message => {
+		const parent = message.replyTo ? byId[message.replyTo.toString()] : undefined;
+		(parent ? parent.replies : roots).push(byId[message._id.toString()]);
+	});
+	return roots;
+};
+
+class HelpdeskMessageService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The conversation between the reporter of a problem and the helpdesk'
+		};
+	}
+
+	/**
+	 * @param params contains the problemId given by the route
+	 * @returns [Object] - the threaded messages, internal notes are only returned to the helpdesk
+	 */
+	find(params) {
+		return this.loadProblem(params.problemId, this.getContext(params).problem).then(problem => {
+			const isStaff = this.isStaff(params, problem, getUserId(params));
+			const messages = (problem.messages || []).filter(message => isStaff || !message.internal);
+			return toThread(messages);
+		});
+	}
+
+	/**
+	 * adds a message to the ticket, the first public answer of the helpdesk is the response time of the ticket
+	 * and an answer of the reporter to a waiting ticket puts it back in progress
+	 * @param data {text, replyTo, internal}
+	 */
+	create(data, params) {
+		const userId = getUserId(params);
+		if (!data.text) return Promise.reject(new errors.BadRequest('The message text is missing.'));
+
+		return this.loadProblem(params.problemId, this.getContext(params).problem).then(problem => {
+			const isStaff = this.isStaff(params, problem, userId);
+			if (data.replyTo && !(problem.messages || []).some(message => message._id.toString() === data.replyTo.toString())) {
+				throw new errors.BadRequest('The answered message does not exist.');
+			}
+
+			const now = new Date();
+			const message = {
+				_id: new mongoose.Types.ObjectId(),
+				userId,
+				text: data.text,
+				internal: isStaff && (data.internal === true || data.internal === 'true'),
+				replyTo: data.replyTo,
+				createdAt: now
+			};
+			const update = {$push: {messages: message}, $set: {updatedAt: now}};
+			if (isStaff && !message.internal && !problem.firstResponseAt) {
+				update.$set.firstResponseAt = now;
+			}
+			if (!isStaff && problem.state === 'waiting') {
+				update.$set.state = 'inProgress';
+				update.$push.stateHistory = {from: 'waiting', to: 'inProgress', userId, changedAt: now};
+			}
+
+			return problemModel.findByIdAndUpdate(problem._id, update, {new: true}).lean().exec()
+				.then(updated => Object.assign({problemId: updated._id, state: updated.state}, message));
+		});
+	}
+
+	getContext(params) {
+		return params.helpdesk || {};
+	}
+
+	/**
+	 * the hooks decide about the role, internal calls without hooks treat everyone but the reporter as staff
+	 */
+	isStaff(params, problem, userId) {
+		const context = this.getContext(params);
+		if (typeof context.isStaff === 'boolean') return context.isStaff;
+		return JSON.stringify(problem.userId) !== JSON.stringify(userId);
+	}
+
+	loadProblem(problemId, problem) {
+		if (problem) return Promise.resolve(problem);
+		if (!mongoose.Types.ObjectId.isValid(problemId)) return Promise.reject(new errors.NotFound('The problem was not found.'));
+		return problemModel.findById(problemId).lean().exec().then(problem => {
+			if (!problem) throw new errors.NotFound('The problem was not found.');
+			return problem;
+		});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/helpdesk/:problemId/messages', new HelpdeskMessageService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const messageService = app.service('/helpdesk/:problemId/messages');
+
+	// Set up our before hooks
+	messageService.before(hooks.before);
+
+	// Set up our after hooks
+	messageService.after(hooks.after);
+};
+
+module.exports.toThread = toThread;
@@ -0,0 +1,110 @@
+const errors = require('feathers-errors');
+const hooks = require('./hooks/metrics');
+const problemModel = require('./model');
+
+const states = problemModel.schema.path('state').enumValues;
+const priorities = problemModel.schema.path('priority').enumValues;
+
+const average = (values) => values.length === 0 ? null : Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+const median = (values) => {
+	if (values.length === 0) return null;
+	const sorted = values.slice().sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+const countBy = (keys, problems, field) => {
+	const result = {};
+	keys.forEach(key => {
+		result[key] = problems.filter(problem => problem[field] === key).length;
+	});
+	return result;
+};
+
+/**
+ * @param problems [Object] - the tickets of a school
+ * @returns {Object} - the counts and the response and resolution times in ms
+ */
+const computeMetrics = (problems) => {
+	const responseTimes = problems
+		.filter(problem => problem.firstResponseAt)
+		.map(problem => new Date(problem.firstResponseAt) - new Date(problem.createdAt));
+	const resolutionTimes = problems
+		.filter(problem => problem.state === 'closed' && problem.closedAt)
+		.map(problem => new Date(problem.closedAt) - new Date(problem.createdAt));
+	return {
+		total: problems.length,
+		byState: countBy(states, problems, 'state'),
+		byPriority: countBy(priorities, problems, 'priority'),
+		answered: responseTimes.length,
+		unanswered: problems.length - responseTimes.length,
+		averageFirstResponseTime: average(responseTimes),
+		medianFirstResponseTime: median(responseTimes),
+		averageResolutionTime: average(resolutionTimes)
+	};
+};
+
+class HelpdeskMetricsService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The service level metrics of the helpdesk of a school',
+			find: {
+				parameters: [
+					{
+						description: 'the id of the school',
+						name: 'schoolId',
+						type: 'string'
+					},
+					{
+						description: 'only tickets created after this date',
+						name: 'from',
+						type: 'string'
+					},
+					{
+						description: 'only tickets created before this date',
+						name: 'until',
+						type: 'string'
+					}
+				],
+				summary: 'Counts the tickets by state and priority and computes the response and resolution times in ms'
+			}
+		};
+	}
+
+	find(params) {
+		const query = params.query || {};
+		if (!query.schoolId) return Promise.reject(new errors.BadRequest('Missing schoolId'));
+
+		const conditions = {schoolId: query.schoolId};
+		if (query.from || query.until) {
+			conditions.createdAt = {};
+			if (query.from) conditions.createdAt.$gte = new Date(query.from);
+			if (query.until) conditions.createdAt.$lte = new Date(query.until);
+		}
+		return problemModel.find(conditions)
+			.select('state priority createdAt firstResponseAt closedAt')
+			.lean().exec()
+			.then(problems => Object.assign({schoolId: query.schoolId}, computeMetrics(problems)));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/helpdesk/metrics', new HelpdeskMetricsService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const metricsService = app.service('/helpdesk/metrics');
+
+	// Set up our before hooks
+	metricsService.before(hooks.before);
+
+	// Set up our after hooks
+	metricsService.after(hooks.after);
+};
+
+module.exports.computeMetrics = computeMetrics;
@@ -9,7 +9,27 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
 const categories = ['', 'dashboard', 'courses', 'classes', 'calendar', 'homework', 'files', 'content', 'administration', 'login_registration', 'other', 'technical_problem'];
-const states = ['open', 'closed', 'submitted'];
+const states = ['open', 'inProgress', 'waiting', 'submitted', 'closed'];
+const priorities = ['low', 'normal', 'high', 'urgent'];
+
+/**
+ * a message between the reporter and the helpdesk staff,
+ * replyTo references the answered message, internal notes are only visible for the staff
+ */
+const messageSchema = new Schema({
+	userId: {type: Schema.Types.ObjectId, ref: 'user', required: true},
+	text: {type: String, required: true},
+	internal: {type: Boolean, 'default': false},
+	replyTo: {type: Schema.Types.ObjectId},
+	createdAt: {type: Date, 'default': Date.now}
+});
+
+const stateChangeSchema = new Schema({
+	from: {type: String, enum: states},
+	to: {type: String, enum: states, required: true},
+	userId: {type: Schema.Types.ObjectId, ref: 'user'},
+	changedAt: {type: Date, 'default': Date.now}
+}, {_id: false});
 
 const problemSchema = new Schema({
 	subject: {type: String, required: true},
@@ -17,11 +37,18 @@ const problemSchema = new Schema({
 	currentState : {type: String},
 	targetState: {type: String},
 	state: {type: String, enum: states, default: 'open'},
+	stateHistory: [stateChangeSchema],
+	priority: {type: String, enum: priorities, default: 'normal'},
+	assigneeId: {type: Schema.Types.ObjectId, ref: 'user'},
 	notes: {type: String},
+	messages: [messageSchema],
 	order: {type: Number, default: 0},
 	userId: {type: Schema.Types.ObjectId, ref: 'user'},
 	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
 	forwardedAt: {type: Date},
+	// used for the response time metrics
+	firstResponseAt: {type: Date},
+	closedAt: {type: Date},
 	createdAt: {type: Date, 'default': Date.now},
 	updatedAt: {type: Date, 'default': Date.now}
 });
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * guesses the delimiter by the first line, spreadsheet programs with german locale use semicolons
+ */
+const detectDelimiter = (text) => {
+	const firstLine = text.split(/\r?\n/)[0];
+	const count = (char) => firstLine.split(char).length - 1;
+	return [';', ',', '\t'].reduce((best, char) => count(char) > count(best) ? char : best, ',');
+};
+
+/**
+ * parses a csv file (RFC 4180), quoted values may contain delimiters, quotes ("") and line breaks
+ * @param text {String}
+ * @param delimiter {String} - detected if not given
+ * @returns [[String]] - the rows, empty lines are skipped
+ */
+const parseCsv = (text, delimiter) => {
+	text = String(text || '').replace(/^\uFEFF/, '');
+	delimiter = delimiter || detectDelimiter(text);
+
+	const rows = [];
+	let row = [];
+	let value = '';
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				value += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				value += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(value);
+			value = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(value);
+			rows.push(row);
+			row = [];
+			value = '';
+		} else {
+			value += char;
+		}
+	}
+	row.push(value);
+	rows.push(row);
+	return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+/**
+ * parses a csv file with a header line
+ * @returns [Object] - the rows by the (trimmed) column names of the header, __line is the number of the row counting the header as 1
+ */
+const parseCsvWithHeader = (text, delimiter) => {
+	const [header, ...rows] = parseCsv(text, delimiter);
+	if (!header) return [];
+	const columns = header.map(column => column.trim());
+	return rows.map((values, index) => {
+		const result = {__line: index + 2};
+		columns.forEach((column, i) => {
+			result[column] = (values[i] || '').trim();
+		});
+		return result;
+	});
+};
+
+module.exports = {
+	parseCsv,
+	parseCsvWithHeader
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+const url = require('url');
+const errors = require('feathers-errors');
+
+const ipv4ToNumber = (address) => address.split('.').reduce((result, part) => result * 256 + parseInt(part, 10), 0);
+
+// the loopback, private, link-local, shared and multicast networks, the server must not request them for users
+const internalIpv4Networks = [
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+	['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].map(([network, bits]) => ({network: ipv4ToNumber(network), size: Math.pow(2, 32 - bits)}));
+
+/**
+ * whether the ip address is reachable from the internet
+ */
+const isPublicAddress = (address) => {
+	const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+	if (mapped) return isPublicAddress(mapped[1]);
+	const hexMapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address || '');
+	if (hexMapped) {
+		const number = parseInt(hexMapped[1], 16) * 65536 + parseInt(hexMapped[2], 16);
+		return isPublicAddress([24, 16, 8, 0].map(shift => Math.floor(number / Math.pow(2, shift)) % 256).join('.'));
+	}
+	if (net.isIPv4(address)) {
+		const number = ipv4ToNumber(address);
+		return !internalIpv4Networks.some(({network, size}) => number >= network && number < network + size);
+	}
+	if (net.isIPv6(address)) {
+		const normalized = address.toLowerCase();
+		// unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+		return !(normalized === '::' || normalized === '::1' || /^f[c-d]/.test(normalized) || /^fe[89ab]/.test(normalized) || /^ff/.test(normalized));
+	}
+	return false;
+};
+
+/**
+ * dns.lookup which fails for internal addresses, it's used for every connection of the request
+ * including the redirects, so a host can't be resolved to an internal address after it was checked
+ */
+const publicLookup = (hostname, options, callback) => {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+	dns.lookup(hostname, options, (err, address, family) => {
+		if (err) return callback(err);
+		const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+		if (!addresses.every(isPublicAddress)) return callback(new Error(`${hostname} is not a public host`));
+		return callback(null, address, family);
+	});
+};
+
+/**
+ * @param address {String} - the url which the server will request
+ * @param message {String} - the message of the BadRequest if the url isn't allowed
+ * @returns {Promise} - rejects if the url isn't http(s) or its host is an internal address
+ */
+const checkPublicUrl = (address, message) => {
+	const {protocol, hostname} = url.parse(address);
+	if (!['http:', 'https:'].includes(protocol) || !hostname) return Promise.reject(new errors.BadRequest(message));
+	// the brackets of ipv6 addresses are removed by url.parse
+	if (net.isIP(hostname)) {
+		return isPublicAddress(hostname) ? Promise.resolve() : Promise.reject(new errors.BadRequest(message));
+	}
+	return new Promise((resolve, reject) => {
+		publicLookup(hostname, {all: true}, err => err ? reject(new errors.BadRequest(message)) : resolve());
+	});
+};
+
+/**
+ * whether a redirect of a request to a public url may be followed
+ */
+const isAllowedRedirect = (from, location) => {
+	const {protocol, hostname} = url.parse(url.resolve(from, location || ''));
+	return ['http:', 'https:'].includes(protocol) && (!net.isIP(hostname) || isPublicAddress(hostname));
+};
+
+module.exports = {
+	isPublicAddress,
+	publicLookup,
+	checkPublicUrl,
+	isAllowedRedirect
+};
@@ -47,7 +47,9 @@ const populateUser = (app, data) => {
 
 const insertUserToDB = (app,data,user)=>{
 	if(user._id){
-        return app.service('users').remove(user._id).then( ()=>{
+        // the not activated account of an imported user is replaced by the registered one
+        return accountModel.remove({userId: user._id, activated: false, password: {$exists: false}}).exec()
+        .then(() => app.service('users').remove(user._id)).then( ()=>{
             return app.service('users').create(user, { _additional:{parentEmail:data.parent_email, asTask:'student'} })
             .catch(err=> {
                  throw new errors.BadRequest("Fehler beim Updaten der Nutzerdaten.");}
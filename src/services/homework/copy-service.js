@@ -19,7 +19,7 @@ class HomeworkCopyService {
         return HomeworkModel.findOne({_id: id}).exec()
 			.then(copyAssignment => {
 				let tempAssignment = JSON.parse(JSON.stringify(copyAssignment));
-				tempAssignment = _.omit(tempAssignment, ['_id', 'stats', 'isTeacher', 'archived', '__v' ]);
+				tempAssignment = _.omit(tempAssignment, ['_id', 'stats', 'isTeacher', 'archived', 'deadlineExtensions', '__v' ]);
 				tempAssignment.private = true;
 				tempAssignment.name = tempAssignment.name + " - Copy";
 
@@ -44,7 +44,7 @@ class HomeworkCopyService {
 		return HomeworkModel.findOne({ _id: data._id })
 			.then(copyAssignment => {
 				let tempAssignment = JSON.parse(JSON.stringify(copyAssignment));
-				tempAssignment = _.omit(tempAssignment, ['_id', 'stats', 'isTeacher', 'archived', '__v', 'courseId', 'lessonId' ]);
+				tempAssignment = _.omit(tempAssignment, ['_id', 'stats', 'isTeacher', 'archived', 'deadlineExtensions', '__v', 'courseId', 'lessonId' ]);
 				tempAssignment.courseId = data.courseId;
 				tempAssignment.lessonId = data.lessonId;
 
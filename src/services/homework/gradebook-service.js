@@ -0,0 +1,155 @@
+const hooks = require('./hooks/gradebook');
+const errors = require('feathers-errors');
+const {homeworkModel, submissionModel} = require('./model');
+const courseModel = require('../user-group/model').courseModel;
+const _ = require('lodash');
+
+/**
+ * lower percentage bounds for the 15-point scale of the Oberstufe, index = points
+ */
+const pointBounds = [0, 20, 27, 33, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95];
+
+/**
+ * converts a percentage (0-100) to the 15-point scale of the Oberstufe
+ * @param percentage {Number}
+ * @returns {Number} 0 - 15 points
+ */
+const toPoints = (percentage) => {
+	if (typeof percentage !== 'number') return undefined;
+	let points = 0;
+	pointBounds.forEach((bound, i) => {
+		if (percentage >= bound) points = i;
+	});
+	return points;
+};
+
+/**
+ * converts a percentage (0-100) to the German grade scale,
+ * each grade covers three points of the Oberstufe scale (15-13 = 1, ..., 3-1 = 5, 0 = 6)
+ * @param percentage {Number}
+ * @returns {Number} 1 - 6
+ */
+const toGrade = (percentage) => {
+	const points = toPoints(percentage);
+	if (points === undefined) return undefined;
+	if (points === 0) return 6;
+	return 6 - Math.ceil(points / 3);
+};
+
+/**
+ * all students which are graded by a submission
+ */
+const getGradedStudents = (submission) => {
+	if (submission.courseGroupId && (submission.courseGroupId.userIds || []).length > 0) return submission.courseGroupId.userIds;
+	if ((submission.teamMembers || []).length > 0) return submission.teamMembers;
+	return [submission.studentId];
+};
+
+/**
+ * calculates the weighted average of all graded homework of a student
+ * @param grades {Object} - the grades of a student by homework id
+ * @param homeworks [Homework]
+ * @returns {Number} the average in percent or undefined if nothing was graded yet
+ */
+const getWeightedAverage = (grades, homeworks) => {
+	let weightSum = 0;
+	let gradeSum = 0;
+	homeworks.forEach(homework => {
+		const grade = grades[homework._id.toString()];
+		if (typeof grade !== 'number') return;
+		const weight = typeof homework.gradeWeight === 'number' ? homework.gradeWeight : 1;
+		weightSum += weight;
+		gradeSum += weight * grade;
+	});
+	if (weightSum === 0) return undefined;
+	return Math.round((gradeSum / weightSum) * 100) / 100;
+};
+
+class GradebookService {
+
+	constructor(app) {
+		this.app = app;
+	}
+
+	/**
+	 * Aggregates the grades of all submissions in a course.
+	 * @param courseId, the id of the course given by the route
+	 * @param params.gradebook set by hooks, contains the ids of the visible students
+	 * @returns {homeworks, students} - the rows of the student x homework matrix including averages
+	 */
+	find(params) {
+		const courseId = params.courseId;
+		const visibleStudentIds = (params.gradebook || {}).studentIds;
+
+		return courseModel.findById(courseId).populate('userIds').exec()
+			.then(course => {
+				if (!course) throw new errors.NotFound('The course was not found!');
+
+				// private homework is not visible to the students, so it isn't graded in the course
+				return homeworkModel.find({courseId, private: {$ne: true}}).sort({dueDate: 1}).exec()
+					.then(homeworks => {
+						return submissionModel.find({homeworkId: {$in: homeworks.map(h => h._id)}})
+							.populate('courseGroupId')
+							.exec()
+							.then(submissions => {
+								// map grades by student and homework
+								let grades = {};
+								submissions.filter(s => typeof s.grade === 'number').forEach(submission => {
+									getGradedStudents(submission).forEach(studentId => {
+										studentId = (studentId._id || studentId).toString();
+										grades[studentId] = grades[studentId] || {};
+										grades[studentId][submission.homeworkId.toString()] = submission.grade;
+									});
+								});
+
+								let students = course.userIds;
+								if (visibleStudentIds) {
+									students = students.filter(s => visibleStudentIds.includes(s._id.toString()));
+								}
+
+								return {
+									homeworks: homeworks.map(h => ({
+										_id: h._id,
+										name: h.name,
+										dueDate: h.dueDate,
+										gradeWeight: typeof h.gradeWeight === 'number' ? h.gradeWeight : 1
+									})),
+									students: _.sortBy(students, ['lastName', 'firstName']).map(student => {
+										const studentGrades = grades[student._id.toString()] || {};
+										const average = getWeightedAverage(studentGrades, homeworks);
+										return {
+											_id: student._id,
+											firstName: student.firstName,
+											lastName: student.lastName,
+											grades: studentGrades,
+											average,
+											grade: toGrade(average),
+											points: toPoints(average)
+										};
+									})
+								};
+							});
+					});
+			});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/courses/:courseId/gradebook', new GradebookService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const gradebookService = app.service('/courses/:courseId/gradebook');
+
+	// Set up our before hooks
+	gradebookService.before(hooks.before);
+
+	// Set up our after hooks
+	gradebookService.after(hooks.after);
+};
+
+module.exports.toGrade = toGrade;
+module.exports.toPoints = toPoints;
+module.exports.getWeightedAverage = getWeightedAverage;
@@ -0,0 +1,60 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const _ = require('lodash');
+
+const includesUser = (ids, userId) => _.some(ids, id => JSON.stringify(id) === JSON.stringify(userId));
+
+/**
+ * administrators and teachers of the course see the whole gradebook,
+ * students of the course only see their own grades and parents those of their children
+ */
+const restrictToCourseMembers = hook => {
+	const userId = hook.params.account.userId;
+	return hook.app.service('users').find({
+		query: {
+			_id: userId,
+			$populate: 'roles'
+		}
+	}).then(res => {
+		const isAdmin = _.some(res.data[0].roles, role => ['administrator', 'superhero'].includes(role.name));
+		return hook.app.service('courses').get(hook.params.courseId).then(course => {
+			if (isAdmin || includesUser(course.teacherIds, userId) || includesUser(course.substitutionIds, userId)) {
+				return hook;
+			}
+			if (includesUser(course.userIds, userId)) {
+				hook.params.gradebook = {studentIds: [userId.toString()]};
+				return hook;
+			}
+			const childIds = (hook.params.childIds || []).filter(childId => includesUser(course.userIds, childId));
+			if (childIds.length > 0) {
+				hook.params.gradebook = {studentIds: childIds};
+				return hook;
+			}
+			throw new errors.Forbidden('You are not in that course.');
+		});
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('SUBMISSIONS_VIEW'), globalHooks.ifNotLocal(globalHooks.resolveChildren), globalHooks.ifNotLocal(restrictToCourseMembers)],
+	get: [hooks.disable()],
+	create: [hooks.disable()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -78,8 +78,10 @@ const hasViewPermissionAfter = hook => {
                         || (!e.private && ((e.courseId || {}).substitutionIds||[]).includes((hook.params.account || {}).userId.toString()));
         const isStudent = ( (e.courseId != null)
                         && ((e.courseId || {}).userIds || []).includes(((hook.params.account || {}).userId || "").toString()) );
+        // parents read the homework of the courses of their children
+        const isParent = ((e.courseId || {}).userIds || []).some(userId => (hook.params.childIds || []).includes(userId.toString()));
         const published = (( new Date(e.availableDate) < new Date() )) && !e.private;
-        return isTeacher || (isStudent && published);
+        return isTeacher || ((isStudent || isParent) && published);
     }
 
     let data = JSON.parse(JSON.stringify(hook.result.data || hook.result));
@@ -144,6 +146,24 @@ const addStats = hook => {
                     };
                     c.isTeacher = isTeacher(hook.params.account.userId, c);
                 }
+
+                // parents see the submissions and grades of their children
+                const childIds = (hook.params.childIds || []).filter(childId => ((c.courseId || {}).userIds || []).includes(childId));
+                if(childIds.length > 0){
+                    const homeworkSubmissions = submissions.data.filter(s => c._id.toString() == s.homeworkId.toString());
+                    c.childSubmissions = childIds.map(childId => {
+                        const childSubmission = homeworkSubmissions.find(s => {
+                            const userIds = [s.studentId].concat(s.teamMembers || [], (s.courseGroupId || {}).userIds || []);
+                            return userIds.some(userId => (userId || '').toString() == childId);
+                        });
+                        return {
+                            userId: childId,
+                            submitted: !!childSubmission && isValidSubmission(childSubmission),
+                            grade: (childSubmission || {}).grade,
+                            gradeComment: (childSubmission || {}).gradeComment
+                        };
+                    });
+                }
                 return c;
             });
             if(arrayed){data = data[0];}
@@ -169,13 +189,23 @@ const hasPatchPermission = hook => {
     });
 };
 
+const setDeadlineExtensionGrantor = hook => {
+    // deadline extensions can only be granted by teachers, see hasPatchPermission
+    (hook.data.deadlineExtensions || []).forEach(extension => {
+        if (!extension.grantedBy) {
+            extension.grantedBy = (hook.params.account || {}).userId;
+        }
+    });
+    return Promise.resolve(hook);
+};
+
 exports.before = {
     all: [auth.hooks.authenticate('jwt')],
-    find: [globalHooks.hasPermission('HOMEWORK_VIEW'), globalHooks.mapPaginationQuery.bind(this), hasViewPermissionBefore],
-    get: [globalHooks.hasPermission('HOMEWORK_VIEW'), hasViewPermissionBefore],
-    create: [globalHooks.hasPermission('HOMEWORK_CREATE')],
-    update: [globalHooks.hasPermission('HOMEWORK_EDIT')],
-    patch: [globalHooks.hasPermission('HOMEWORK_EDIT'),globalHooks.permitGroupOperation, hasPatchPermission],
+    find: [globalHooks.hasPermission('HOMEWORK_VIEW'), globalHooks.mapPaginationQuery.bind(this), hasViewPermissionBefore, globalHooks.ifNotLocal(globalHooks.resolveChildren)],
+    get: [globalHooks.hasPermission('HOMEWORK_VIEW'), hasViewPermissionBefore, globalHooks.ifNotLocal(globalHooks.resolveChildren)],
+    create: [globalHooks.hasPermission('HOMEWORK_CREATE'), setDeadlineExtensionGrantor],
+    update: [globalHooks.hasPermission('HOMEWORK_EDIT'), setDeadlineExtensionGrantor],
+    patch: [globalHooks.hasPermission('HOMEWORK_EDIT'),globalHooks.permitGroupOperation, hasPatchPermission, setDeadlineExtensionGrantor],
     remove: [globalHooks.hasPermission('HOMEWORK_CREATE'),globalHooks.permitGroupOperation]
 };
 
@@ -0,0 +1,65 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const _ = require('lodash');
+const HomeworkModel = require('../model').homeworkModel;
+const CourseModel = require('../../user-group/model').courseModel;
+
+const includesUser = (ids, userId) => _.some(ids, id => JSON.stringify(id) === JSON.stringify(userId));
+
+const isCourseTeacher = (course, userId) => {
+	return includesUser((course || {}).teacherIds, userId) || includesUser((course || {}).substitutionIds, userId);
+};
+
+/**
+ * only the teachers of a homework or course (and administrators for courses) may export the grades
+ */
+const restrictToTeachers = hook => {
+	const userId = hook.params.account.userId;
+
+	if (hook.params.homeworkId) {
+		return HomeworkModel.findById(hook.params.homeworkId).populate('courseId').exec()
+			.then(homework => {
+				if (!homework) throw new errors.NotFound('The homework was not found!');
+				if (JSON.stringify(homework.teacherId) === JSON.stringify(userId) || (!homework.private && isCourseTeacher(homework.courseId, userId))) {
+					return hook;
+				}
+				throw new errors.Forbidden("The homework doesn't belong to you!");
+			});
+	}
+
+	return Promise.all([
+		hook.app.service('users').find({query: {_id: userId, $populate: 'roles'}}),
+		CourseModel.findById(hook.params.courseId).exec()
+	]).then(([users, course]) => {
+		if (!course) throw new errors.NotFound('The course was not found!');
+		const user = users.data[0];
+		const roles = (user.roles || []).map(role => role.name);
+		if (isCourseTeacher(course, userId) || roles.includes('superhero')) return hook;
+		if (roles.includes('administrator') && JSON.stringify(user.schoolId) === JSON.stringify(course.schoolId)) return hook;
+		throw new errors.Forbidden('You are not a teacher of that course.');
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('SUBMISSIONS_SCHOOL_VIEW'), globalHooks.ifNotLocal(restrictToTeachers)],
+	get: [hooks.disable()],
+	create: [hooks.disable()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -4,6 +4,7 @@ const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication');
 const errors = require('feathers-errors');
+const HomeworkModel = require('../model').homeworkModel;
 
 const filterRequestedSubmissions = hook => {
 	// if no db query was given, try to slim down/restrict db request
@@ -31,6 +32,14 @@ const filterRequestedSubmissions = hook => {
 						hook.params.query.$or = [
 							{ studentId: user._id }
 						];
+						// parents - also the submissions of their children
+						const childIds = hook.params.childIds || [];
+						if (childIds.length > 0) {
+							hook.params.query.$or.push(
+								{ studentId: { $in: childIds } },
+								{ teamMembers: { $in: childIds } }
+							);
+						}
 					}
 				});
 			}).catch(err => {
@@ -67,7 +76,9 @@ const filterApplicableSubmissions = hook => {
                     ||
                     c.teamMembers.includes(hook.params.account.userId.toString()) // or is a teamMember
                     ||
-                    courseGroup.userIds.includes(hook.params.account.userId.toString())) { // or in the courseGroup
+                    courseGroup.userIds.includes(hook.params.account.userId.toString()) // or in the courseGroup
+                    ||
+                    (hook.params.childIds || []).some(childId => c.studentId.toString() == childId || c.teamMembers.includes(childId))) { // or is parent of a submitting student
                     return true;
                 } else if (c.homeworkId.courseId) {
                     const courseService = hook.app.service('/courses');
@@ -317,20 +328,125 @@ const hasDeletePermission = hook => {
 };
 
 
+const idOf = value => ((value || {})._id || value || '').toString();
+
+/**
+ * the due date of a homework for the given students/team, including granted deadline extensions
+ * @param homework {Homework}
+ * @param userIds [ObjectId] - the submitting students
+ * @param courseGroupId {ObjectId} - the submitting team
+ * @returns {Date}
+ */
+const getDueDate = (homework, userIds, courseGroupId) => {
+    userIds = (userIds || []).map(idOf);
+    let dueDate = new Date(homework.dueDate);
+    (homework.deadlineExtensions || []).forEach(extension => {
+        const isExtended = (extension.userIds || []).some(userId => userIds.includes(idOf(userId)))
+            || (courseGroupId && idOf(extension.courseGroupId) === idOf(courseGroupId));
+        if (isExtended && new Date(extension.dueDate) > dueDate) {
+            dueDate = new Date(extension.dueDate);
+        }
+    });
+    return dueDate;
+};
+
+/**
+ * whether the request hands in the submission, changes of team members or replies keep it on time
+ */
+const handsIn = hook => {
+    if (hook.method === 'create') return true;
+    const submission = hook.data.submission || {};
+    if (hook.data.comment !== undefined && hook.data.comment !== submission.comment) return true;
+    if (hook.data.fileIds === undefined) return false;
+    const fileIds = (hook.data.fileIds || []).map(idOf);
+    const storedFileIds = (submission.fileIds || []).map(idOf);
+    return fileIds.length !== storedFileIds.length || fileIds.some(id => !storedFileIds.includes(id));
+};
+
+const checkDueDate = hook => {
+    if (hook.data.isTeacher) {
+        return Promise.resolve(hook);
+    }
+    // only teachers decide about lateness and penalties
+    delete hook.data.late;
+    delete hook.data.gradeBeforePenalty;
+    if (!handsIn(hook)) {
+        return Promise.resolve(hook);
+    }
+
+    const homework = hook.data.homework;
+    const courseGroupId = hook.data.courseGroupId || (hook.data.submission || {}).courseGroupId;
+    const dueDate = getDueDate(homework, [hook.params.account.userId], courseGroupId);
+    if (new Date() <= dueDate) {
+        return Promise.resolve(hook);
+    }
+    if (homework.latePolicy === 'reject') {
+        return Promise.reject(new errors.Forbidden({
+            "message": "Die Abgabefrist ist abgelaufen!"
+        }));
+    }
+    hook.data.late = true;
+    return Promise.resolve(hook);
+};
+
+const applyLatePenalty = hook => {
+    if (!hook.data.isTeacher || !Number.isInteger(hook.data.grade)) {
+        return Promise.resolve(hook);
+    }
+    const homework = hook.data.homework;
+    const submission = hook.data.submission || {};
+    const late = (typeof hook.data.late === 'boolean') ? hook.data.late : submission.late;
+    // an unchanged grade was already reduced, the penalty is computed from the grade which was given
+    const grade = (hook.data.grade === submission.grade && Number.isInteger(submission.gradeBeforePenalty))
+        ? submission.gradeBeforePenalty
+        : hook.data.grade;
+    if (late && homework.latePolicy === 'penalty' && homework.latePenalty > 0) {
+        hook.data.gradeBeforePenalty = grade;
+        hook.data.grade = Math.round(grade * (100 - homework.latePenalty) / 100);
+    } else {
+        hook.data.grade = grade;
+        hook.data.gradeBeforePenalty = null;
+    }
+    return Promise.resolve(hook);
+};
+
+const addDueDate = hook => {
+    let data = hook.result.data || hook.result;
+    const arrayed = Array.isArray(data);
+    data = arrayed ? data : [data];
+    const homeworkIds = data.map(s => idOf(s.homeworkId));
+    return HomeworkModel.find({_id: {$in: homeworkIds}}).exec()
+        .then(homeworks => {
+            // replace the entries in place, the list is shared with filterApplicableSubmissions
+            data.forEach((s, i) => {
+                let c = JSON.parse(JSON.stringify(s));
+                const homework = homeworks.find(h => h._id.toString() === idOf(c.homeworkId));
+                if (homework) {
+                    c.dueDate = getDueDate(homework, [c.studentId].concat(c.teamMembers || []), c.courseGroupId);
+                }
+                data[i] = c;
+            });
+            if (!arrayed) {
+                hook.result = data[0];
+            }
+            return Promise.resolve(hook);
+        });
+};
+
 exports.before = {
     all: [auth.hooks.authenticate('jwt'), stringifyUserId],
-    find: [globalHooks.hasPermission('SUBMISSIONS_VIEW'), filterRequestedSubmissions, globalHooks.mapPaginationQuery.bind(this)],
+    find: [globalHooks.hasPermission('SUBMISSIONS_VIEW'), globalHooks.ifNotLocal(globalHooks.resolveChildren), filterRequestedSubmissions, globalHooks.mapPaginationQuery.bind(this)],
     get: [globalHooks.hasPermission('SUBMISSIONS_VIEW')],
-    create: [globalHooks.hasPermission('SUBMISSIONS_CREATE'), insertHomeworkData, insertSubmissionsData, setTeamMembers, noSubmissionBefore, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, canGrade],
-    update: [globalHooks.hasPermission('SUBMISSIONS_EDIT'), insertSubmissionData, insertHomeworkData, insertSubmissionsData, hasEditPermission, preventNoTeamMember, canRemoveOwner, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, canGrade],
-    patch: [globalHooks.hasPermission('SUBMISSIONS_EDIT'), insertSubmissionData, insertHomeworkData, insertSubmissionsData, hasEditPermission, preventNoTeamMember, canRemoveOwner, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, globalHooks.permitGroupOperation, canGrade],
+    create: [globalHooks.hasPermission('SUBMISSIONS_CREATE'), insertHomeworkData, insertSubmissionsData, setTeamMembers, noSubmissionBefore, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, canGrade, checkDueDate, applyLatePenalty],
+    update: [globalHooks.hasPermission('SUBMISSIONS_EDIT'), insertSubmissionData, insertHomeworkData, insertSubmissionsData, hasEditPermission, preventNoTeamMember, canRemoveOwner, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, canGrade, checkDueDate, applyLatePenalty],
+    patch: [globalHooks.hasPermission('SUBMISSIONS_EDIT'), insertSubmissionData, insertHomeworkData, insertSubmissionsData, hasEditPermission, preventNoTeamMember, canRemoveOwner, noDuplicateSubmissionForTeamMembers, populateCourseGroup, maxTeamMembers, globalHooks.permitGroupOperation, canGrade, checkDueDate, applyLatePenalty],
     remove: [globalHooks.hasPermission('SUBMISSIONS_CREATE'), insertSubmissionData, insertHomeworkData, insertSubmissionsData, globalHooks.permitGroupOperation, hasDeletePermission]
 };
 
 exports.after = {
     all: [],
-    find: [filterApplicableSubmissions],
-    get: [],
+    find: [addDueDate, filterApplicableSubmissions],
+    get: [addDueDate],
     create: [],
     update: [],
     patch: [],
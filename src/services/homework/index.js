@@ -1,6 +1,8 @@
 'use strict';
 const copyService = require('./copy-service');
 const modelService = require('./model-service');
+const gradebookService = require('./gradebook-service');
+const submissionExportService = require('./submission-export-service');
 
 module.exports = function () {
 	const app = this;
@@ -8,4 +10,8 @@ module.exports = function () {
 	app.configure(copyService);
 	// Setup model services
 	app.configure(modelService);
+	// Setup gradebook service
+	app.configure(gradebookService);
+	// Setup export of submissions as spreadsheet
+	app.configure(submissionExportService);
 };
@@ -8,6 +8,22 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const latePolicies = ['reject', 'markLate', 'penalty'];
+
+/**
+ * a later due date for single students or a team
+ * userIds {[ObjectId]} - the students which got the extension
+ * courseGroupId {ObjectId} - the team which got the extension
+ * grantedBy {ObjectId} - the teacher who granted the extension
+ */
+const deadlineExtensionSchema = new Schema({
+    userIds: [{type: Schema.Types.ObjectId, ref: 'user'}],
+    courseGroupId: {type: Schema.Types.ObjectId, ref: 'courseGroup'},
+    dueDate: {type: Date, required: true},
+    grantedBy: {type: Schema.Types.ObjectId, ref: 'user'},
+    createdAt: {type: Date, 'default': Date.now}
+});
+
 const homeworkModel = mongoose.model('homework', new Schema({
     schoolId: {type: Schema.Types.ObjectId, required: true},
     createdAt: {type: Date, 'default': Date.now},
@@ -19,10 +35,15 @@ const homeworkModel = mongoose.model('homework', new Schema({
     teacherId: {type: Schema.Types.ObjectId, required: true, ref: 'user'},
     courseId: {type: Schema.Types.ObjectId, 'default': null, ref: 'course'},
     lessonId: {type: Schema.Types.ObjectId, 'default': null, ref: 'lesson'},
+    ltiToolId: {type: Schema.Types.ObjectId, 'default': null, ref: 'ltiTool'}, // the tool grades the submissions through the LTI outcome service
     private: {type: Boolean},
     publicSubmissions: {type: Boolean},
     teamSubmissions: {type: Boolean},
     maxTeamMembers: {type: Number, 'default':null, min: 1},
+    gradeWeight: {type: Number, 'default': 1, min: 0},
+    latePolicy: {type: String, enum: latePolicies, 'default': 'markLate'},
+    latePenalty: {type: Number, 'default': 0, min: 0, max: 100}, // in percent of the grade, for latePolicy 'penalty'
+    deadlineExtensions: [deadlineExtensionSchema],
     archived: [{type: Schema.Types.ObjectId, ref: 'user'}]
 }));
 
@@ -34,6 +55,8 @@ const submissionModel = mongoose.model('submission', new Schema({
     comment: {type: String},
     grade: {type: Number, min: 0, max: 100},
     gradeComment: {type: String},
+    gradeBeforePenalty: {type: Number, min: 0, max: 100},
+    late: {type: Boolean, 'default': false},
     homeworkId: {type: Schema.Types.ObjectId, required: true, ref: 'homework'},
     studentId: {type: Schema.Types.ObjectId, required: true, ref: 'user'},
     teamMembers: [{type: Schema.Types.ObjectId, required: true, ref: 'user'}],
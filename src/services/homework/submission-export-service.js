@@ -0,0 +1,183 @@
+const stream = require('stream');
+const hooks = require('./hooks/submissionExport');
+const errors = require('feathers-errors');
+const Excel = require('exceljs');
+const {homeworkModel, submissionModel} = require('./model');
+
+const columns = [
+	{header: 'Aufgabe', key: 'homework', width: 30},
+	{header: 'Vorname', key: 'firstName', width: 20},
+	{header: 'Nachname', key: 'lastName', width: 20},
+	{header: 'Teammitglieder', key: 'teamMembers', width: 40},
+	{header: 'Bewertung', key: 'grade', width: 10},
+	{header: 'Kommentar zur Bewertung', key: 'gradeComment', width: 40},
+	{header: 'Abgegeben am', key: 'createdAt', width: 22},
+	{header: 'Zuletzt geändert am', key: 'updatedAt', width: 22},
+	{header: 'Verspätet', key: 'late', width: 10}
+];
+
+const formats = {
+	csv: 'text/csv; charset=utf-8',
+	xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const getName = (user) => `${(user || {}).firstName || ''} ${(user || {}).lastName || ''}`.trim();
+
+// the editor content of grade comments is html, but a spreadsheet cell only takes plain text
+const stripHtml = (text) => (text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const toRow = (submission, homework) => {
+	const student = submission.studentId || {};
+	const teamMembers = (submission.courseGroupId || {}).userIds || submission.teamMembers || [];
+	return {
+		homework: homework.name,
+		firstName: student.firstName,
+		lastName: student.lastName,
+		teamMembers: teamMembers
+			.filter(member => member && member._id && member._id.toString() !== (student._id || '').toString())
+			.map(getName)
+			.join(', '),
+		grade: typeof submission.grade === 'number' ? submission.grade : '',
+		gradeComment: stripHtml(submission.gradeComment),
+		createdAt: submission.createdAt ? new Date(submission.createdAt).toISOString() : '',
+		updatedAt: submission.updatedAt ? new Date(submission.updatedAt).toISOString() : '',
+		late: submission.late ? 'ja' : 'nein'
+	};
+};
+
+/**
+ * spreadsheet applications evaluate cells which start with these characters as formula,
+ * the apostrophe makes them text
+ */
+const escapeFormula = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) ? `'${value}` : value;
+
+const escapeCsvValue = (value) => {
+	value = (value === undefined || value === null) ? '' : String(escapeFormula(value));
+	if (/[";\r\n]/.test(value)) value = `"${value.replace(/"/g, '""')}"`;
+	return value;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(';') + '\r\n';
+
+const writeCsv = (res, rows) => new Promise((resolve, reject) => {
+	// the byte order mark and semicolons let spreadsheet applications with German locale open the file directly
+	res.write('\ufeff' + toCsvLine(columns.map(c => c.header)));
+	const lines = new stream.Transform({
+		writableObjectMode: true,
+		transform: (row, encoding, callback) => callback(null, toCsvLine(columns.map(c => row[c.key])))
+	});
+	rows.on('error', reject);
+	res.on('finish', resolve);
+	rows.pipe(lines).pipe(res);
+});
+
+// exceljs writes strings as text cells, so they don't need the escaping of formulas
+const writeXlsx = (res, rows) => new Promise((resolve, reject) => {
+	const workbook = new Excel.stream.xlsx.WorkbookWriter({stream: res});
+	const worksheet = workbook.addWorksheet('Abgaben');
+	worksheet.columns = columns;
+	rows.on('data', row => worksheet.addRow(row).commit());
+	rows.on('error', reject);
+	rows.on('end', () => {
+		worksheet.commit();
+		workbook.commit().then(resolve, reject);
+	});
+});
+
+/**
+ * express middleware which streams the result of the export service as file instead of json
+ */
+const sendSpreadsheet = (req, res, next) => {
+	const {format, filename, rows} = res.data;
+	res.setHeader('Content-Type', formats[format]);
+	res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+	// the submissions aren't loaded any further if the download is cancelled
+	res.on('close', () => rows.destroy());
+
+	const write = format === 'xlsx' ? writeXlsx : writeCsv;
+	write(res, rows).catch(next);
+};
+
+/**
+ * the rows of the submissions, one homework after another in the order of the hand-in,
+ * the submissions are loaded by a cursor while the rows are written
+ * @returns {stream.Readable} - the rows in object mode
+ */
+const createRows = (homeworks) => {
+	const rows = new stream.PassThrough({objectMode: true});
+	const written = () => new Promise(resolve => {
+		rows.once('drain', resolve);
+		rows.once('close', resolve);
+	});
+	homeworks.reduce((promise, homework) => promise.then(() => {
+		return submissionModel.find({homeworkId: homework._id})
+			.sort({createdAt: 1})
+			.populate('studentId')
+			.populate('teamMembers')
+			.populate({path: 'courseGroupId', populate: {path: 'userIds'}})
+			.cursor()
+			.eachAsync(submission => {
+				if (rows.destroyed) throw new Error('The export was cancelled.');
+				if (!rows.write(toRow(submission, homework))) return written();
+			});
+	}), Promise.resolve())
+		.then(() => rows.end())
+		.catch(err => {
+			if (!rows.destroyed) rows.emit('error', err);
+		});
+	return rows;
+};
+
+class SubmissionExportService {
+
+	constructor(app) {
+		this.app = app;
+	}
+
+	/**
+	 * exports the submissions of a homework or of all homework in a course
+	 * @param params contains either homeworkId or courseId given by the route, format (csv, xlsx) in query
+	 * @returns {format, filename, rows} - the rows are a stream, they are written by the middleware
+	 */
+	find(params) {
+		const format = (params.query || {}).format || 'csv';
+		if (!formats[format]) return Promise.reject(new errors.BadRequest(`Unsupported format ${format}`));
+
+		let homeworkQuery;
+		if (params.homeworkId) homeworkQuery = {_id: params.homeworkId};
+		else if (params.courseId) homeworkQuery = {courseId: params.courseId, private: {$ne: true}};
+		else return Promise.reject(new errors.BadRequest('Missing parameters'));
+
+		return homeworkModel.find(homeworkQuery).sort({dueDate: 1}).exec()
+			.then(homeworks => {
+				if (params.homeworkId && homeworks.length === 0) throw new errors.NotFound('The homework was not found!');
+
+				const filename = params.homeworkId ? `Abgaben-${params.homeworkId}` : `Abgaben-Kurs-${params.courseId}`;
+				return {format, filename, rows: createRows(homeworks)};
+			});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the files are sent by the middleware
+	app.use('/homework/:homeworkId/submissions/export', new SubmissionExportService(app), sendSpreadsheet);
+	app.use('/courses/:courseId/submissions/export', new SubmissionExportService(app), sendSpreadsheet);
+
+	// Get our initialize service to that we can bind hooks
+	const homeworkExportService = app.service('/homework/:homeworkId/submissions/export');
+	const courseExportService = app.service('/courses/:courseId/submissions/export');
+
+	// Set up our before hooks
+	homeworkExportService.before(hooks.before);
+	courseExportService.before(hooks.before);
+
+	// Set up our after hooks
+	homeworkExportService.after(hooks.after);
+	courseExportService.after(hooks.after);
+};
+
+module.exports.toRow = toRow;
+module.exports.escapeCsvValue = escapeCsvValue;
+module.exports.escapeFormula = escapeFormula;
@@ -28,6 +28,9 @@ const pseudonym = require("./pseudonym");
 const consent = require('./consent');
 const mongoose = require('mongoose');
 const clipboard = require('./clipboard');
+const timetable = require('./timetable');
+const room = require('./room');
+const attendance = require('./attendance');
 
 module.exports = function () {
     const app = this;
@@ -62,6 +65,9 @@ module.exports = function () {
     app.configure(pseudonym);
     app.configure(consent);
     app.configure(clipboard);
+    app.configure(timetable);
+    app.configure(room);
+    app.configure(attendance);
     app.configure(wopi);
     app.configure(pseudonym);
     app.configure(consent);
@@ -11,6 +11,10 @@ const Schema = mongoose.Schema;
 const keySchema = new Schema({
 	name: {type: String, required: true},
 	key: {type: String, required: true},
+	// the signing keys of the LTI platform, the key is the private JWK
+	kid: {type: String},
+	publicJwk: {type: Object},
+	retiredAt: {type: Date},
 	createdAt: {type: Date, 'default': Date.now},
 	updatedAt: {type: Date, 'default': Date.now}
 },{
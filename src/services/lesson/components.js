@@ -0,0 +1,155 @@
+'use strict';
+
+const Ajv = require('ajv');
+const errors = require('feathers-errors');
+const {sanitize} = require('../../hooks/sanitize');
+
+const ajv = new Ajv({allErrors: true});
+
+// the content components of the lessons by their name in contents[].component
+const components = {};
+
+const httpUrl = {type: 'string', pattern: '^https?://'};
+const text = {type: 'string'};
+
+/**
+ * the sanitization rules, they are applied after the global sanitization of app.hooks.js
+ */
+const rules = {
+	// editor content
+	html: value => sanitize(value, {html: true}),
+	// plain text, even in fields which are named like editor content
+	text: value => sanitize(value, {html: false})
+};
+
+/**
+ * registers a content component
+ * @param name {String} - the value of contents[].component
+ * @param schema {Object} - the JSON schema of contents[].content
+ * @param sanitization {Object} - the rule of each string field by its path in the content, `[]` stands for the items of an array,
+ * e.g. {'resources[].title': 'text'}
+ */
+const registerComponent = (name, {schema, sanitization}) => {
+	components[name] = {schema, sanitization: sanitization || {}, validate: ajv.compile(schema)};
+};
+
+const isRegistered = (name) => Object.prototype.hasOwnProperty.call(components, name);
+
+/**
+ * applies the rule to all values at the path
+ */
+const sanitizePath = (value, path, rule) => {
+	if (value === null || value === undefined) return value;
+	if (path.length === 0) return typeof value === 'string' ? rules[rule](value) : value;
+	const [segment, ...rest] = path;
+	const isArray = segment.endsWith('[]');
+	const key = isArray ? segment.slice(0, -2) : segment;
+	if (typeof value !== 'object' || value[key] === undefined) return value;
+	value[key] = isArray && Array.isArray(value[key])
+		? value[key].map(item => sanitizePath(item, rest, rule))
+		: sanitizePath(value[key], rest, rule);
+	return value;
+};
+
+/**
+ * validates and sanitizes the contents of a lesson
+ * @param contents {[Object]} - contents[].content is changed in place
+ * @returns the contents
+ * @throws BadRequest - for unknown components and contents which don't match the schema of their component
+ */
+const prepareContents = (contents) => {
+	return (contents || []).map((item, index) => {
+		if (!item || !isRegistered(item.component)) {
+			throw new errors.BadRequest(`Unbekannte Komponente: ${(item || {}).component}`);
+		}
+		const component = components[item.component];
+		item.content = item.content || {};
+		if (!component.validate(item.content)) {
+			throw new errors.BadRequest(`Der Inhalt ${index + 1} (${item.component}) ist ungültig: ${ajv.errorsText(component.validate.errors)}`);
+		}
+		if (typeof item.title === 'string') item.title = rules.text(item.title);
+		Object.keys(component.sanitization).forEach(path => {
+			sanitizePath(item.content, path.split('.'), component.sanitization[path]);
+		});
+		return item;
+	});
+};
+
+registerComponent('text', {
+	schema: {
+		type: 'object',
+		properties: {text}
+	},
+	sanitization: {text: 'html'}
+});
+
+// empty blocks have no resources yet
+registerComponent('resources', {
+	schema: {
+		type: 'object',
+		properties: {
+			resources: {
+				type: 'array',
+				items: {
+					type: 'object',
+					required: ['url'],
+					properties: {url: httpUrl, title: text, description: text, client: text, merlinReference: text}
+				}
+			}
+		}
+	},
+	sanitization: {'resources[].title': 'text', 'resources[].description': 'text', 'resources[].client': 'text'}
+});
+
+registerComponent('geoGebra', {
+	schema: {
+		type: 'object',
+		required: ['materialId'],
+		properties: {materialId: {type: 'string', pattern: '^[A-Za-z0-9]*$'}}
+	}
+});
+
+registerComponent('Etherpad', {
+	schema: {
+		type: 'object',
+		properties: {title: text, description: text, url: httpUrl}
+	},
+	sanitization: {title: 'text', description: 'text'}
+});
+
+registerComponent('neXboard', {
+	schema: {
+		type: 'object',
+		properties: {board: text, title: text, description: text, url: httpUrl}
+	},
+	sanitization: {title: 'text', description: 'text'}
+});
+
+registerComponent('internal', {
+	schema: {
+		type: 'object',
+		properties: {url: {type: 'string', pattern: '^(/|https?://)'}}
+	}
+});
+
+// the content which LTI 1.3 tools add by deep linking
+registerComponent('ltiTool', {
+	schema: {
+		type: 'object',
+		required: ['ltiToolId', 'url'],
+		properties: {
+			ltiToolId: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+			url: httpUrl,
+			title: text,
+			text,
+			custom: {type: 'object', additionalProperties: {type: ['string', 'number', 'boolean']}}
+		}
+	},
+	sanitization: {title: 'text', text: 'text'}
+});
+
+module.exports = {
+	registerComponent,
+	isRegistered,
+	prepareContents
+};
@@ -4,7 +4,11 @@ const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication');
 const lesson = require('../model');
+const lessonRevisionModel = require('../revision-model');
+const {storeRevision} = require('../revisions');
+const {prepareContents} = require('../components');
 const nanoid = require('nanoid');
+const logger = require('winston');
 
 const checkIfCourseGroupLesson = (permission1, permission2, isCreating, hook) => {
 	// find courseGroupId in different ways (POST, FIND ...)
@@ -31,6 +35,37 @@ const checkIfCourseShareable = (hook) => {
 		});
 };
 
+// the contents have to match the schema of their component and are sanitized by its rules
+const validateContents = (hook) => {
+	if (hook.data && hook.data.contents) prepareContents(hook.data.contents);
+	return hook;
+};
+
+// lessons which were created before the versioning get their current state as first revision
+const storeBaseRevision = (hook) => {
+	return lessonRevisionModel.count({lessonId: hook.id}).exec().then(count => {
+		if (count > 0) return hook;
+		return lesson.findById(hook.id).lean().exec()
+			.then(topic => topic ? storeRevision(topic) : undefined)
+			.then(() => hook);
+	});
+};
+
+// every change of a lesson is stored as revision, the change itself succeeded even if this fails
+const storeLessonRevision = (hook) => {
+	if (!hook.result || Array.isArray(hook.result)) return hook;
+	return storeRevision(hook.result, (hook.params.account || {}).userId)
+		.then(() => hook)
+		.catch(err => {
+			logger.warn('the revision of the lesson could not be stored', err.message);
+			return hook;
+		});
+};
+
+const removeRevisions = (hook) => {
+	return lessonRevisionModel.remove({lessonId: hook.id}).exec().then(() => hook);
+};
+
 exports.before = {
 	all: [auth.hooks.authenticate('jwt'), (hook) => {
 		if(hook.data && hook.data.contents) {
@@ -43,9 +78,9 @@ exports.before = {
 	}],
 	find: [globalHooks.hasPermission('TOPIC_VIEW')],
 	get: [globalHooks.hasPermission('TOPIC_VIEW')],
-	create: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_CREATE', 'TOPIC_CREATE', true), globalHooks.injectUserId, globalHooks.checkCorrectCourseId],
-	update: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_EDIT', 'TOPIC_EDIT', false)],
-	patch: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_EDIT', 'TOPIC_EDIT', false), globalHooks.permitGroupOperation, globalHooks.checkCorrectCourseId],
+	create: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_CREATE', 'TOPIC_CREATE', true), globalHooks.injectUserId, globalHooks.checkCorrectCourseId, validateContents],
+	update: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_EDIT', 'TOPIC_EDIT', false), validateContents, storeBaseRevision],
+	patch: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_EDIT', 'TOPIC_EDIT', false), globalHooks.permitGroupOperation, globalHooks.checkCorrectCourseId, validateContents, storeBaseRevision],
 	remove: [checkIfCourseGroupLesson.bind(this, 'COURSEGROUP_CREATE', 'TOPIC_CREATE', false), globalHooks.permitGroupOperation]
 };
 
@@ -53,8 +88,8 @@ exports.after = {
 	all: [],
 	find: [],
 	get: [],
-	create: [checkIfCourseShareable],
-	update: [],
-	patch: [],
-	remove: []
+	create: [checkIfCourseShareable, storeLessonRevision],
+	update: [storeLessonRevision],
+	patch: [storeLessonRevision],
+	remove: [removeRevisions]
 };
@@ -0,0 +1,53 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const lesson = require('../model');
+const {courseModel, courseGroupModel} = require('../../user-group/model');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+// the history of a lesson is shown to the teachers of the course and the members of the course group
+const restrictToLessonEditors = (hook) => {
+	const userId = toId(hook.params.account.userId);
+	if (!mongoose.Types.ObjectId.isValid(hook.params.lessonId)) throw new errors.NotFound('Das Thema existiert nicht.');
+	return lesson.findById(hook.params.lessonId).lean().exec().then(topic => {
+		if (!topic) throw new errors.NotFound('Das Thema existiert nicht.');
+		return Promise.all([
+			courseModel.findById(topic.courseId).lean().exec(),
+			topic.courseGroupId ? courseGroupModel.findById(topic.courseGroupId).lean().exec() : Promise.resolve()
+		]).then(([course, courseGroup]) => {
+			const editorIds = [].concat(
+				(course || {}).teacherIds || [],
+				(course || {}).substitutionIds || [],
+				(courseGroup || {}).userIds || []
+			).map(toId);
+			if (!editorIds.includes(userId)) throw new errors.Forbidden('Du kannst die Versionen dieses Themas nicht sehen.');
+			return hook;
+		});
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('TOPIC_VIEW'), globalHooks.ifNotLocal(restrictToLessonEditors)],
+	find: [],
+	get: [],
+	// restoring patches the lesson, which checks the permissions to edit it
+	create: [],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -7,6 +7,8 @@ const copyHooks = require('./hooks/copy');
 const _ = require('lodash');
 const errors = require('feathers-errors');
 const FileModel = require('../fileStorage/model').fileModel;
+const revisionService = require('./revision-service');
+const {isRegistered} = require('./components');
 
 class LessonFilesService {
 
@@ -135,10 +137,13 @@ module.exports = function () {
 
 	app.use('/lessons/copy', new LessonCopyService(app));
 
+	app.configure(revisionService);
+
 
 	// Return all lesson.contets which have component = query.type And User = query.user or null
 	app.use('/lessons/contents/:type/', {
 		find(params) {
+			if (!isRegistered(params.query.type)) return Promise.reject(new errors.BadRequest(`Unbekannte Komponente: ${params.query.type}`));
 			return lesson.aggregate([
 				{$unwind: '$contents'},
 				{$match: {"contents.component": params.query.type}},
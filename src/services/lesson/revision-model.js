@@ -0,0 +1,28 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// a snapshot of a lesson after a change, the content blocks keep their ids so the revisions can be compared per block
+const lessonRevisionSchema = new Schema({
+	lessonId: { type: Schema.Types.ObjectId, ref: 'lesson', required: true, index: true },
+	revision: { type: Number, required: true },
+	editorId: { type: Schema.Types.ObjectId, ref: 'user' },
+	name: { type: String },
+	description: { type: String },
+	contents: [{
+		_id: { type: Schema.Types.ObjectId },
+		user: { type: Schema.ObjectId, ref: 'user' },
+		component: { type: String },
+		title: { type: String },
+		content: { },
+		hidden: { type: Boolean }
+	}],
+	createdAt: { type: Date, 'default': Date.now }
+});
+
+lessonRevisionSchema.index({ lessonId: 1, revision: -1 }, { unique: true });
+
+const lessonRevisionModel = mongoose.model('lessonRevision', lessonRevisionSchema);
+
+module.exports = lessonRevisionModel;
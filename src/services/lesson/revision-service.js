@@ -0,0 +1,132 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const hooks = require('./hooks/revisions');
+const lesson = require('./model');
+const lessonRevisionModel = require('./revision-model');
+const {diffRevisions} = require('./revisions');
+
+const findRevision = (lessonId, revision) => {
+	const number = parseInt(revision, 10);
+	if (isNaN(number)) return Promise.reject(new errors.BadRequest('Die Version muss eine Zahl sein.'));
+	return lessonRevisionModel.findOne({lessonId, revision: number}).lean().exec().then(found => {
+		if (!found) throw new errors.NotFound(`Die Version ${number} existiert nicht.`);
+		return found;
+	});
+};
+
+/**
+ * the stored revisions of a lesson, a revision is identified by its number
+ */
+class LessonRevisionService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The revisions of a lesson, every change is stored as snapshot',
+			find: {
+				summary: 'Lists the revisions with editor and timestamp, without their contents'
+			},
+			get: {
+				summary: 'Returns the snapshot of the revision with the given number'
+			},
+			create: {
+				summary: 'Restores the revision given by data.revision, the restored state is stored as new revision'
+			}
+		};
+	}
+
+	find(params) {
+		return lessonRevisionModel.find({lessonId: params.lessonId})
+			.sort({revision: -1})
+			.select('revision editorId name createdAt')
+			.populate('editorId', 'firstName lastName')
+			.lean().exec();
+	}
+
+	get(id, params) {
+		return findRevision(params.lessonId, id);
+	}
+
+	/**
+	 * @param data.revision - the number of the revision to restore
+	 * @returns the patched lesson
+	 */
+	create(data, params) {
+		return Promise.all([
+			findRevision(params.lessonId, (data || {}).revision),
+			lesson.findById(params.lessonId).lean().exec()
+		]).then(([revision, topic]) => {
+			const restored = {
+				name: revision.name,
+				description: revision.description,
+				contents: revision.contents,
+				courseId: topic.courseId
+			};
+			if (topic.courseGroupId) restored.courseGroupId = topic.courseGroupId;
+			// the patch runs the permission hooks of the lessons with the params of the user
+			return this.app.service('/lessons').patch(params.lessonId, restored, Object.assign({}, params, {query: {}}));
+		});
+	}
+}
+
+/**
+ * compares two revisions of a lesson
+ */
+class LessonRevisionDiffService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The differences between two revisions of a lesson per content block',
+			find: {
+				parameters: [
+					{
+						description: 'the number of the older revision',
+						name: 'from',
+						type: 'integer'
+					},
+					{
+						description: 'the number of the newer revision, the latest revision by default',
+						name: 'to',
+						type: 'integer'
+					}
+				],
+				summary: 'Returns the changes of name and description and the status of each content block'
+			}
+		};
+	}
+
+	find(params) {
+		const query = params.query || {};
+		const latest = () => lessonRevisionModel.findOne({lessonId: params.lessonId}).sort({revision: -1}).lean().exec()
+			.then(found => {
+				if (!found) throw new errors.NotFound('Das Thema hat keine Versionen.');
+				return found;
+			});
+		return Promise.all([
+			findRevision(params.lessonId, query.from),
+			query.to !== undefined ? findRevision(params.lessonId, query.to) : latest()
+		]).then(([from, to]) => diffRevisions(from, to));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the diff has to be registered before the revisions
+	app.use('/lessons/:lessonId/revisions/diff', new LessonRevisionDiffService(app));
+	app.use('/lessons/:lessonId/revisions', new LessonRevisionService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const diffService = app.service('/lessons/:lessonId/revisions/diff');
+	const revisionService = app.service('/lessons/:lessonId/revisions');
+
+	// Set up our before hooks
+	diffService.before(hooks.before);
+	revisionService.before(hooks.before);
+
+	// Set up our after hooks
+	diffService.after(hooks.after);
+	revisionService.after(hooks.after);
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const _ = require('lodash');
+const lessonRevisionModel = require('./revision-model');
+
+// the number of revisions which are kept per lesson, older ones are removed
+const MAX_REVISIONS = 50;
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the versioned fields of a lesson
+ */
+const createSnapshot = (lesson) => ({
+	name: lesson.name,
+	description: lesson.description,
+	contents: (lesson.contents || []).map(content => ({
+		_id: content._id,
+		user: content.user,
+		component: content.component,
+		title: content.title,
+		content: content.content,
+		hidden: content.hidden
+	}))
+});
+
+const isSameSnapshot = (a, b) => JSON.stringify(createSnapshot(a)) === JSON.stringify(createSnapshot(b));
+
+/**
+ * stores the lesson as new revision unless it equals the latest one, only the latest MAX_REVISIONS are kept
+ * @param lesson - the lesson after the change
+ * @param editorId - the user who made the change
+ * @returns {Promise} - the new revision, undefined if nothing was stored
+ */
+const storeRevision = (lesson, editorId) => {
+	return lessonRevisionModel.findOne({lessonId: lesson._id}).sort({revision: -1}).lean().exec().then(latest => {
+		if (latest && isSameSnapshot(latest, lesson)) return undefined;
+		return lessonRevisionModel.create(Object.assign({
+			lessonId: lesson._id,
+			revision: latest ? latest.revision + 1 : 1,
+			editorId
+		}, createSnapshot(lesson))).then(revision => {
+			return lessonRevisionModel.find({lessonId: lesson._id}).sort({revision: -1}).skip(MAX_REVISIONS).select('_id').lean().exec()
+				.then(outdated => outdated.length > 0
+					? lessonRevisionModel.remove({_id: {$in: outdated.map(r => r._id)}}).exec()
+					: undefined)
+				.then(() => revision.toObject());
+		});
+	});
+};
+
+const compareField = (from, to, field) => _.isEqual(JSON.parse(JSON.stringify(from[field] === undefined ? null : from[field])),
+	JSON.parse(JSON.stringify(to[field] === undefined ? null : to[field])));
+
+/**
+ * compares two revisions per content block, the blocks are matched by their ids
+ * @returns {name, description, contents} - name and description are only given if they changed,
+ * each content has a status (added, removed, changed or unchanged) and the changed fields with their old and new value
+ */
+const diffRevisions = (from, to) => {
+	const diff = {from: from.revision, to: to.revision};
+	['name', 'description'].forEach(field => {
+		if (!compareField(from, to, field)) diff[field] = {from: from[field], to: to[field]};
+	});
+
+	const previous = _.keyBy(from.contents || [], content => toId(content._id));
+	const current = _.keyBy(to.contents || [], content => toId(content._id));
+	const block = (content, status, changes) => Object.assign({
+		_id: content._id,
+		component: content.component,
+		title: content.title,
+		status
+	}, changes ? {changes} : {});
+
+	diff.contents = (to.contents || []).map(content => {
+		const old = previous[toId(content._id)];
+		if (!old) return block(content, 'added');
+		const changed = ['component', 'title', 'content', 'hidden'].filter(field => !compareField(old, content, field));
+		if (changed.length === 0) return block(content, 'unchanged');
+		return block(content, 'changed', changed.reduce((changes, field) => Object.assign(changes, {
+			[field]: {from: old[field], to: content[field]}
+		}), {}));
+	}).concat((from.contents || [])
+		.filter(content => !current[toId(content._id)])
+		.map(content => block(content, 'removed')));
+	return diff;
+};
+
+module.exports = {
+	MAX_REVISIONS,
+	createSnapshot,
+	storeRevision,
+	diffRevisions
+};
@@ -3,15 +3,36 @@
 const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication').hooks;
+const errors = require('feathers-errors');
 const model = require('../link-model');
 const service = require('../index');
 
+/**
+ * the creator and the school of a link are taken from the current user, the clicks are only counted by the redirect.
+ * Internal calls without a user give them in the data.
+ */
+const setOwner = hook => {
+	delete hook.data.clicks;
+	delete hook.data.clickedAt;
+	if (hook.data.expiresAt && isNaN(new Date(hook.data.expiresAt).getTime())) {
+		throw new errors.BadRequest('Invalid expiry date.');
+	}
+	const userId = (hook.params.account || {}).userId;
+	if (!userId) return hook;
+	return hook.app.service('/users').get(userId).then(user => {
+		hook.data.creatorId = userId;
+		hook.data.schoolId = user.schoolId;
+		return hook;
+	});
+};
+
 exports.before = service => {
 	return {
 		all: [],
-		find: [],
+		// administrators only see the links of their school
+		find: [auth.authenticate('jwt'), globalHooks.hasPermission('LINK_VIEW'), globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool)],
 		get: [hooks.disable('external')],	// handled by redirection middleware
-		create: [auth.authenticate('jwt'), globalHooks.hasPermission('LINK_CREATE')],
+		create: [auth.authenticate('jwt'), globalHooks.hasPermission('LINK_CREATE'), setOwner],
 		update: [hooks.disable()],
 		patch: [hooks.disable()],
 		remove: [hooks.disable()]
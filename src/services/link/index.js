@@ -1,10 +1,26 @@
 'use strict';
 
 const service = require('feathers-mongoose');
+const logger = require('winston');
 const link = require('./link-model');
 const hooks = require('./hooks');
 const hashService = require('../helpers/hash');
 
+/**
+ * the page shown instead of the redirect if a link can't be used
+ */
+const linkPage = (message) => `<!DOCTYPE html>
+<html lang="de">
+	<head>
+		<meta charset="utf-8">
+		<title>Schul-Cloud</title>
+	</head>
+	<body style="font-family: Helvetica, Arial, sans-serif; text-align: center; margin-top: 100px;">
+		<h1>Schul-Cloud</h1>
+		<p>${message}</p>
+	</body>
+</html>`;
+
 module.exports = function () {
 	const app = this;
 
@@ -20,16 +36,37 @@ module.exports = function () {
 	let linkService = service(options);
 
 	function redirectToTarget(req, res, next) {
-		if(req.method === 'GET' && !req.query.target) {	// capture these requests and issue a redirect
-			const linkId = req.params.__feathersId;
-			linkService.get(linkId)
-				.then(data => res.redirect(data.target))
-				.catch(error => res.status(500).send(error));
+		const linkId = req.params.__feathersId;
+		// capture these requests and issue a redirect, the listing of the links is handled by the service
+		if(req.method === 'GET' && linkId && !req.query.target) {
+			const expired = () => res.status(410).send(linkPage('Dieser Link ist abgelaufen. Bitte frage bei der Person nach, von der du den Link erhalten hast.'));
+			const notFound = () => res.status(404).send(linkPage('Dieser Link existiert nicht.'));
+			// the ids are short ids of letters and digits
+			if (!/^[a-zA-Z0-9]+$/.test(linkId)) return notFound();
+			link.findById(linkId).lean().exec()
+				.then(data => {
+					if (!data) return notFound();
+					const now = new Date();
+					if (data.expiresAt && new Date(data.expiresAt) <= now) return expired();
+					// the condition on the clicks makes sure parallel clicks don't exceed the maximum
+					const conditions = {_id: linkId};
+					if (data.maxUses) conditions.clicks = {$lt: data.maxUses};
+					return link.findOneAndUpdate(conditions, {
+						$inc: {clicks: 1},
+						$push: {clickedAt: {$each: [now], $slice: -link.maxClickTimes}}
+					}, {new: true}).lean().exec()
+						.then(updated => updated ? res.redirect(updated.target) : expired());
+				})
+				.catch(error => {
+					if (error.name === 'CastError') return notFound();
+					logger.error('the link could not be opened', error);
+					res.status(500).send(linkPage('Der Link kann gerade nicht geöffnet werden. Bitte versuche es später noch einmal.'));
+				});
 		} else {
 			next();
 		}
 	}
-	
+
 	class registrationLinkService {
 		constructor(options) {
 			this.options = options || {};
@@ -58,7 +95,12 @@ module.exports = function () {
 			linkData.link = linkData.link.replace(/(https?:\/\/)|(\/)+/g, "$1$2");
 			
 			// generate short url
-			await app.service('link').create({target: linkData.link}).then(generatedShortLink => {
+			// the link belongs to the school of the registration, the current user is only known for external requests
+			await app.service('link').create({
+				target: linkData.link,
+				schoolId: data.schoolId,
+				creatorId: ((params || {}).account || {}).userId
+			}).then(generatedShortLink => {
 				linkData.shortLink = `${(data.host || process.env.HOST)}/link/${generatedShortLink._id}`;
 			}).catch(err => {
 				return Promise.reject(new Error('Fehler beim Erstellen des Kurzlinks.'));
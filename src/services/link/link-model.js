@@ -10,6 +10,7 @@ const ShortId = require('mongoose-shortid-nodeps');
 
 const Schema = mongoose.Schema;
 const linkLength = 5;
+const maxClickTimes = 100;
 
 const linkSchema = new Schema({
 	_id: {
@@ -19,9 +20,18 @@ const linkSchema = new Schema({
 		retries: 20  // number of retries on collision
 	},
 	target: {type: String, required: true},
+	// the link can't be used after the date or the number of uses, both are optional
+	expiresAt: {type: Date},
+	maxUses: {type: Number, min: 1},
+	creatorId: {type: Schema.Types.ObjectId, ref: 'user'},
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', index: true},
+	clicks: {type: Number, 'default': 0},
+	// the times of the latest clicks, older ones are only counted
+	clickedAt: [{type: Date}],
 	createdAt: {type: Date, 'default': Date.now}
 });
 
 const linkModel = mongoose.model('link', linkSchema);
 linkModel.linkLength = linkLength;
+linkModel.maxClickTimes = maxClickTimes;
 module.exports = linkModel;
@@ -0,0 +1,139 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const jose = require('node-jose');
+const rp = require('request-promise-native');
+const hooks = require('./hooks/deepLinking');
+const ltiToolModel = require('./model');
+const lessonModel = require('../lesson/model');
+const {prepareContents} = require('../lesson/components');
+const {CLAIM, DEEP_LINKING_CLAIM, getIssuer, mapContentItems} = require('./lti13');
+const {verifyJwt, verifyPlatformJwt} = require('./platform-keys');
+const {isCourseTeacher, loadLaunchContext} = require('./helpers');
+const {publicLookup, checkPublicUrl, isAllowedRedirect} = require('../helpers/network');
+
+const REQUEST_TIMEOUT = 4000; // in ms
+const MAX_REDIRECTS = 5;
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the payload of a JWT without verification, it only tells which tool has signed it
+ */
+const decodeJwt = (token) => {
+	try {
+		return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64').toString('utf8'));
+	} catch (err) {
+		return undefined;
+	}
+};
+
+/**
+ * the deep_link_return_url of the LTI 1.3 platform, the tools return the content which the teacher has selected
+ */
+class LtiDeepLinkingService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The return url of LTI 1.3 deep linking requests',
+			create: {
+				summary: 'Adds the content items of the LtiDeepLinkingResponse in the JWT field to the lesson and redirects to it'
+			}
+		};
+	}
+
+	/**
+	 * @param data.JWT - the LtiDeepLinkingResponse signed by the tool
+	 * @returns {contents, redirect} - the added lesson contents and the url of the lesson, the middleware redirects to it
+	 */
+	create(data, params) {
+		const token = (data || {}).JWT;
+		const unverified = decodeJwt(token);
+		if (!unverified || typeof unverified.iss !== 'string') return Promise.reject(new errors.BadRequest('Die Antwort des Tools ist ungültig.'));
+
+		// the copies of a tool in the courses share the registration of the template
+		return ltiToolModel.findOne({client_id: unverified.iss, lti_version: 'LTI-1p3'}).lean().exec().then(registered => {
+			if (!registered) throw new errors.NotAuthenticated('Das Tool ist nicht registriert.');
+			return this.getToolKeys(registered)
+				.then(keys => verifyJwt(token, keys))
+				.then(payload => {
+					const audience = [].concat(payload.aud || []);
+					if (!audience.includes(getIssuer(this.app))
+						|| payload[`${CLAIM}message_type`] !== 'LtiDeepLinkingResponse'
+						|| payload[`${CLAIM}deployment_id`] !== registered.deployment_id) {
+						throw new errors.BadRequest('Die Antwort des Tools ist ungültig.');
+					}
+					return verifyPlatformJwt(payload[`${DEEP_LINKING_CLAIM}data`])
+						.then(hint => this.addContents(hint, payload.iss, payload[`${DEEP_LINKING_CLAIM}content_items`]));
+				});
+		});
+	}
+
+	/**
+	 * the tool publishes its keys by the jwks_url or it is registered with a public key,
+	 * the jwks_url is given by the teacher who registered the tool, so only public hosts are requested
+	 * @returns {Promise} - a key or key store of node-jose
+	 */
+	getToolKeys(tool) {
+		if (tool.jwks_url) {
+			return checkPublicUrl(tool.jwks_url, 'Die Schlüssel des Tools müssen unter einer öffentlichen Adresse liegen.')
+				.then(() => rp({
+					uri: tool.jwks_url,
+					json: true,
+					timeout: REQUEST_TIMEOUT,
+					lookup: publicLookup,
+					maxRedirects: MAX_REDIRECTS,
+					followRedirect: function (response) {
+						return isAllowedRedirect(this.uri.href, response.headers.location);
+					}
+				}).catch(err => {
+					throw new errors.BadRequest('Die Schlüssel des Tools konnten nicht geladen werden.');
+				}))
+				.then(jwks => jose.JWK.asKeyStore(jwks));
+		}
+		return jose.JWK.asKey(tool.public_key, 'pem');
+	}
+
+	/**
+	 * the teacher who started the deep linking request has to be still a teacher of the course
+	 * @param clientId - the issuer of the response, the tool of the request has to be registered with it
+	 */
+	addContents(hint, clientId, items) {
+		if (!hint.lessonId) return Promise.reject(new errors.BadRequest('Die Antwort gehört zu keiner Deep Linking Anfrage.'));
+		return loadLaunchContext(this.app, {toolId: hint.toolId, courseId: hint.courseId, userId: hint.sub}).then(({tool, course, user}) => {
+			if (tool.client_id !== clientId) throw new errors.BadRequest('Die Antwort gehört nicht zu diesem Tool.');
+			if (!isCourseTeacher(course, user)) throw new errors.Forbidden('Nur Lehrer des Kurses können Inhalte hinzufügen.');
+			const contents = prepareContents(mapContentItems(tool, items)).map(content => Object.assign({user: user._id}, content));
+			return lessonModel.update({_id: hint.lessonId, courseId: course._id}, {$push: {contents: {$each: contents}}}).exec()
+				.then(() => ({
+					contents,
+					redirect: `${process.env.HOST}/courses/${toId(course._id)}/topics/${hint.lessonId}`
+				}));
+		});
+	}
+}
+
+/**
+ * express middleware which leads the browser of the teacher back to the lesson
+ */
+const redirectToLesson = (req, res, next) => {
+	if (!res.data || !res.data.redirect) return next();
+	res.redirect(res.data.redirect);
+};
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the response is sent by the middleware
+	app.use('/ltiTools/deepLinking', new LtiDeepLinkingService(app), redirectToLesson);
+
+	// Get our initialize service to that we can bind hooks
+	const deepLinkingService = app.service('/ltiTools/deepLinking');
+
+	// Set up our before hooks
+	deepLinkingService.before(hooks.before);
+
+	// Set up our after hooks
+	deepLinkingService.after(hooks.after);
+};
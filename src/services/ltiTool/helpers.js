@@ -0,0 +1,65 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const ltiToolModel = require('./model');
+const {courseModel} = require('../user-group/model');
+const {mapRoles} = require('./lti');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the tool has to belong to the course and the user has to take part in it
+ */
+const checkCourse = (tool, course, user) => {
+	if (!(course.ltiToolIds || []).map(toId).includes(toId(tool._id))) {
+		throw new errors.BadRequest('Das Tool gehört nicht zum Kurs.');
+	}
+	const memberIds = [].concat(course.userIds || [], course.teacherIds || [], course.substitutionIds || []).map(toId);
+	if (!memberIds.includes(toId(user._id))) throw new errors.Forbidden('Du nimmst nicht an diesem Kurs teil.');
+};
+
+/**
+ * whether the user teaches the course
+ */
+const isCourseTeacher = (course, user) => [].concat(course.teacherIds || [], course.substitutionIds || [])
+	.map(toId)
+	.includes(toId(user._id));
+
+/**
+ * loads and checks everything a launch of the tool depends on, the course is optional
+ * @returns {tool, course, user, roles} - roles are the LTI roles of the user which are enabled for the tool
+ */
+const loadLaunchContext = (app, {toolId, courseId, userId}) => {
+	if (!mongoose.Types.ObjectId.isValid(toolId)) return Promise.reject(new errors.NotFound('Das Tool existiert nicht.'));
+	if (courseId && !mongoose.Types.ObjectId.isValid(courseId)) return Promise.reject(new errors.NotFound('Der Kurs existiert nicht.'));
+
+	return Promise.all([
+		ltiToolModel.findById(toolId).lean().exec(),
+		courseId ? courseModel.findById(courseId).lean().exec() : Promise.resolve(),
+		app.service('/users').get(userId, {query: {$populate: 'roles'}})
+	]).then(([tool, course, user]) => {
+		if (!tool) throw new errors.NotFound('Das Tool existiert nicht.');
+		if (courseId && !course) throw new errors.NotFound('Der Kurs existiert nicht.');
+		if (course) checkCourse(tool, course, user);
+
+		const roles = mapRoles((user.roles || []).map(role => role.name))
+			.filter(role => (tool.roles || []).length === 0 || tool.roles.includes(role));
+		if (roles.length === 0) throw new errors.Forbidden('Das Tool ist für deine Rolle nicht freigegeben.');
+		return {tool, course, user, roles};
+	});
+};
+
+/**
+ * the pseudonym of the user for the tool, it is created on the first request
+ */
+const getPseudonym = (app, tool, user) => {
+	return app.service('/pseudonym').find({query: {userId: user._id, toolId: tool._id}})
+		.then(pseudonyms => pseudonyms.data[0].pseudonym);
+};
+
+module.exports = {
+	isCourseTeacher,
+	loadLaunchContext,
+	getPseudonym
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+const hooks = require('feathers-hooks');
+
+exports.before = {
+	// the tools authenticate by the signature of the response, which contains the message hint signed by the platform
+	all: [],
+	find: [hooks.disable()],
+	get: [hooks.disable()],
+	create: [],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -3,19 +3,49 @@
 const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const uuid = require('uuid/v4');
+
+// the clients don't know the secrets, so copies of a template and replaced tools keep the stored secret
+const restoreSecret = hook => {
+  if (Array.isArray(hook.data) || hook.data.secret) return hook;
+  const toolId = hook.method === 'create' ? hook.data.originTool : hook.id;
+  if (!toolId) return hook;
+  return hook.app.service('/ltiTools').get(toolId).then(tool => {
+    hook.data.secret = tool.secret;
+    return hook;
+  });
+};
+
+// LTI 1.3 tools are registered with their login url and public keys, the platform issues the client_id and the deployment_id
+const prepareRegistration = hook => {
+  const data = hook.data;
+  if (Array.isArray(data) || data.lti_version !== 'LTI-1p3') return hook;
+  if (!data.login_url || !(data.jwks_url || data.public_key)) {
+    throw new errors.BadRequest('Ein LTI 1.3 Tool benötigt eine login_url und eine jwks_url oder einen public_key.');
+  }
+  if (data.client_id && data.deployment_id) return hook;
+  const stored = hook.method === 'update' ? hook.app.service('/ltiTools').get(hook.id) : Promise.resolve({});
+  return stored.then(tool => {
+    data.client_id = data.client_id || tool.client_id || uuid();
+    data.deployment_id = data.deployment_id || tool.deployment_id || uuid();
+    return hook;
+  });
+};
 
 exports.before = {
   all: [auth.hooks.authenticate('jwt')],
   find: [globalHooks.hasPermission('TOOL_VIEW')],
   get: [globalHooks.hasPermission('TOOL_VIEW')],
-  create: [globalHooks.hasPermission('TOOL_CREATE')],
-  update: [globalHooks.hasPermission('TOOL_EDIT')],
+  create: [globalHooks.hasPermission('TOOL_CREATE'), restoreSecret, prepareRegistration],
+  update: [globalHooks.hasPermission('TOOL_EDIT'), restoreSecret, prepareRegistration],
   patch: [globalHooks.hasPermission('TOOL_EDIT')],
   remove: [globalHooks.hasPermission('TOOL_CREATE')]
 };
 
 exports.after = {
-  all: [],
+  // the launches are signed by the server, so the secret is never sent to clients
+  all: [hooks.remove('secret')],
   find: [],
   get: [],
   create: [],
@@ -0,0 +1,26 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+
+exports.before = {
+	all: [],
+	// the key set is public, the tools fetch it without authentication
+	find: [],
+	get: [hooks.disable()],
+	create: [auth.hooks.authenticate('jwt'), globalHooks.isSuperHero()],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
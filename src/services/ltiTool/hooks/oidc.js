@@ -0,0 +1,26 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+
+exports.before = {
+	// the browser of the user is redirected here by the tool, so the user is authenticated by the cookie
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('TOOL_VIEW')],
+	get: [hooks.disable()],
+	create: [globalHooks.hasPermission('TOOL_VIEW')],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -3,10 +3,22 @@
 const service = require('feathers-mongoose');
 const ltiTool = require('./model');
 const hooks = require('./hooks');
+const launchService = require('./launch-service');
+const outcomeService = require('./outcome-service');
+const jwksService = require('./jwks-service');
+const oidcService = require('./oidc-service');
+const deepLinkingService = require('./deep-linking-service');
 
 module.exports = function() {
   const app = this;
 
+  // the launch, the outcomes and the LTI 1.3 endpoints have to be registered before the tools, otherwise their routes are taken as tool id
+  app.configure(launchService);
+  app.configure(outcomeService);
+  app.configure(jwksService);
+  app.configure(oidcService);
+  app.configure(deepLinkingService);
+
 	const options = {
     Model: ltiTool,
     paginate: {
@@ -0,0 +1,53 @@
+'use strict';
+
+const hooks = require('./hooks/jwks');
+const {rotateKeys, getPublicKeys} = require('./platform-keys');
+
+/**
+ * the public keys of the LTI 1.3 platform, the tools verify the id_tokens and message hints with them
+ */
+class LtiJwksService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The JSON Web Key Set of the LTI 1.3 platform',
+			find: {
+				summary: 'Returns the current and the recently retired public keys'
+			},
+			create: {
+				summary: 'Rotates the signing key immediately, the previous key stays published for the retirement period'
+			}
+		};
+	}
+
+	/**
+	 * @returns {keys: [JWK]}
+	 */
+	find(params) {
+		return getPublicKeys();
+	}
+
+	/**
+	 * @returns {kid} - the id of the new signing key
+	 */
+	create(data, params) {
+		return rotateKeys().then(key => ({kid: key.kid}));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/ltiTools/jwks', new LtiJwksService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const jwksService = app.service('/ltiTools/jwks');
+
+	// Set up our before hooks
+	jwksService.before(hooks.before);
+
+	// Set up our after hooks
+	jwksService.after(hooks.after);
+};
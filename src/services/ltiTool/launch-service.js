@@ -0,0 +1,194 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const hooks = require('./hooks/launch');
+const {homeworkModel} = require('../homework/model');
+const lessonModel = require('../lesson/model');
+const {signLaunch, customParameters} = require('./lti');
+const {getOutcomeServiceUrl, createSourcedId} = require('./outcomes');
+const {createMessageHint, createLoginParameters} = require('./lti13');
+const {signJwt} = require('./platform-keys');
+const {isCourseTeacher, loadLaunchContext, getPseudonym} = require('./helpers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the signed launch of an LTI 1.1 tool, the secret of the tool never leaves the server,
+ * LTI 1.3 tools are launched by the OIDC login initiation instead
+ */
+class LtiLaunchService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The signed LTI 1.1 launch or the LTI 1.3 login initiation of a tool for the current user',
+			find: {
+				parameters: [
+					{
+						description: 'the id of the course in which the tool is launched',
+						name: 'courseId',
+						type: 'string'
+					},
+					{
+						description: 'the id of a homework of the course which is graded by the tool',
+						name: 'homeworkId',
+						type: 'string'
+					},
+					{
+						description: 'the id of a lesson of the course, LTI 1.3 tools are launched with a deep linking request to add content to it',
+						name: 'lessonId',
+						type: 'string'
+					}
+				],
+				summary: 'Assembles and signs the launch parameters, the client posts them as auto-submitting form to the url'
+			}
+		};
+	}
+
+	/**
+	 * students who launch a tool for a homework get the parameters of the outcome service
+	 * @param params.ltiToolId - the id of the tool given by the route
+	 * @returns {url, method, fields} - the form fields include the oauth signature or the signed lti_message_hint
+	 */
+	find(params) {
+		const query = params.query || {};
+		const userId = (params.account || {}).userId;
+		if (query.homeworkId && (!query.courseId || !mongoose.Types.ObjectId.isValid(query.homeworkId))) {
+			return Promise.reject(new errors.BadRequest('Die Aufgabe kann nur in ihrem Kurs gestartet werden.'));
+		}
+		if (query.lessonId && (!query.courseId || !mongoose.Types.ObjectId.isValid(query.lessonId))) {
+			return Promise.reject(new errors.BadRequest('Inhalte können nur zu Themen eines Kurses hinzugefügt werden.'));
+		}
+
+		return Promise.all([
+			loadLaunchContext(this.app, {toolId: params.ltiToolId, courseId: query.courseId, userId}),
+			query.homeworkId ? homeworkModel.findById(query.homeworkId).lean().exec() : Promise.resolve(),
+			query.lessonId ? lessonModel.findById(query.lessonId).lean().exec() : Promise.resolve()
+		]).then(([context, homework, lesson]) => {
+			const {tool, course, user} = context;
+			if (query.homeworkId && !homework) throw new errors.NotFound('Die Aufgabe existiert nicht.');
+			if (homework) this.checkHomework(tool, course, homework);
+			if (query.lessonId && !lesson) throw new errors.NotFound('Das Thema existiert nicht.');
+			if (lesson) this.checkLesson(course, lesson, user);
+
+			if (tool.lti_version === 'LTI-1p3') {
+				if (homework) throw new errors.BadRequest('Aufgaben können nur von LTI 1.1 Tools bewertet werden.');
+				return this.initiateLogin(Object.assign({lesson}, context));
+			}
+			if (lesson) throw new errors.BadRequest('Inhalte können nur von LTI 1.3 Tools hinzugefügt werden.');
+			return this.signLaunch(Object.assign({homework}, context));
+		});
+	}
+
+	/**
+	 * the LTI 1.1 launch, signed with the secret of the tool
+	 */
+	signLaunch({tool, course, homework, user, roles}) {
+		return Promise.all([
+			this.getUserParameters(tool, user),
+			this.getOutcomeParameters(tool, course, homework, user)
+		]).then(([userParameters, outcomeParameters]) => {
+			const parameters = Object.assign({
+				lti_message_type: tool.lti_message_type,
+				lti_version: tool.lti_version,
+				resource_link_id: tool.resource_link_id,
+				roles: roles.join(','),
+				launch_presentation_locale: 'de-DE',
+				launch_presentation_document_target: 'window',
+				tool_consumer_info_product_family_code: 'schul-cloud'
+			}, userParameters, outcomeParameters, customParameters(tool.customs));
+			if (course) {
+				Object.assign(parameters, {
+					context_id: toId(course._id),
+					context_title: course.name,
+					context_type: 'CourseSection'
+				});
+			}
+			return {
+				url: tool.url,
+				method: 'POST',
+				fields: signLaunch(tool.url, parameters, tool.key, tool.secret)
+			};
+		});
+	}
+
+	/**
+	 * the third-party initiated login of LTI 1.3, the tool answers with an authentication request to /ltiTools/oidc/auth
+	 * which gets the context of the launch back from the signed lti_message_hint
+	 */
+	initiateLogin({tool, course, lesson, user}) {
+		return signJwt(createMessageHint({tool, user, course, lesson})).then(messageHint => ({
+			url: tool.login_url,
+			method: 'POST',
+			fields: createLoginParameters(this.app, tool, user, messageHint)
+		}));
+	}
+
+	/**
+	 * the homework has to be graded by the tool and belong to the course
+	 */
+	checkHomework(tool, course, homework) {
+		if (toId(homework.ltiToolId) !== toId(tool._id) || toId(homework.courseId) !== toId(course._id)) {
+			throw new errors.BadRequest('Die Aufgabe wird nicht von diesem Tool bewertet.');
+		}
+	}
+
+	/**
+	 * only the teachers of the course can add content to its lessons
+	 */
+	checkLesson(course, lesson, user) {
+		if (toId(lesson.courseId) !== toId(course._id)) throw new errors.BadRequest('Das Thema gehört nicht zum Kurs.');
+		if (!isCourseTeacher(course, user)) throw new errors.Forbidden('Nur Lehrer des Kurses können Inhalte hinzufügen.');
+	}
+
+	/**
+	 * the user parameters which are allowed by the privacy permission of the tool,
+	 * anonymous launches only get the pseudonym of the user for this tool
+	 */
+	getUserParameters(tool, user) {
+		const privacy = tool.privacy_permission || 'anonymous';
+		if (privacy === 'anonymous') {
+			return getPseudonym(this.app, tool, user).then(pseudonym => ({user_id: pseudonym}));
+		}
+		const parameters = {user_id: toId(user._id)};
+		if (privacy === 'e-mail' || privacy === 'public') {
+			parameters.lis_person_contact_email_primary = user.email;
+		}
+		if (privacy === 'name' || privacy === 'public') {
+			Object.assign(parameters, {
+				lis_person_name_given: user.firstName,
+				lis_person_name_family: user.lastName,
+				lis_person_name_full: `${user.firstName} ${user.lastName}`
+			});
+		}
+		return Promise.resolve(parameters);
+	}
+
+	/**
+	 * the tool reports the score of a student for the homework to the outcome service
+	 */
+	getOutcomeParameters(tool, course, homework, user) {
+		if (!homework || !(course.userIds || []).map(toId).includes(toId(user._id))) return Promise.resolve({});
+		return getPseudonym(this.app, tool, user).then(pseudonym => ({
+			lis_outcome_service_url: getOutcomeServiceUrl(this.app),
+			lis_result_sourcedid: createSourcedId({courseId: toId(course._id), homeworkId: toId(homework._id), pseudonym})
+		}));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/ltiTools/:ltiToolId/launch', new LtiLaunchService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const launchService = app.service('/ltiTools/:ltiToolId/launch');
+
+	// Set up our before hooks
+	launchService.before(hooks.before);
+
+	// Set up our after hooks
+	launchService.after(hooks.after);
+};
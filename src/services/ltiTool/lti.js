@@ -0,0 +1,148 @@
+'use strict';
+
+const crypto = require('crypto');
+const url = require('url');
+
+// the LTI roles of the Schul-Cloud roles
+const ltiRoles = {
+	student: 'Learner',
+	demoStudent: 'Learner',
+	teacher: 'Instructor',
+	demoTeacher: 'Instructor',
+	administrator: 'Administrator',
+	superhero: 'Administrator',
+	parent: 'Mentor'
+};
+
+/**
+ * the public url of the server, the tools call it back
+ */
+const getBackendUrl = (app) => {
+	const backendUrl = process.env.PUBLIC_BACKEND_URL || `http://${app.get('host')}:${app.get('port')}`;
+	return backendUrl.replace(/\/$/, '');
+};
+
+/**
+ * percent encoding of RFC 3986 as required by OAuth 1.0a
+ */
+const percentEncode = (value) => encodeURIComponent(value)
+	.replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+
+/**
+ * the base string URI of OAuth 1.0a: lower case scheme and host, without default port, query and fragment
+ */
+const normalizeUrl = (launchUrl) => {
+	const parsed = url.parse(launchUrl);
+	const protocol = parsed.protocol.toLowerCase();
+	const defaultPort = (protocol === 'http:' && parsed.port === '80') || (protocol === 'https:' && parsed.port === '443');
+	const host = parsed.hostname.toLowerCase() + (parsed.port && !defaultPort ? `:${parsed.port}` : '');
+	return `${protocol}//${host}${parsed.pathname || '/'}`;
+};
+
+/**
+ * signs the parameters of a form post with HMAC-SHA1, the parameters of the query of the url are part of the signature
+ * @param method {String} - the http method
+ * @param launchUrl {String}
+ * @param parameters {Object} - the form parameters including the oauth parameters
+ * @param consumerSecret {String}
+ * @returns {String} - the oauth_signature
+ */
+const sign = (method, launchUrl, parameters, consumerSecret) => {
+	const query = url.parse(launchUrl, true).query;
+	const pairs = [];
+	[query, parameters].forEach(source => Object.keys(source).forEach(key => {
+		[].concat(source[key]).forEach(value => pairs.push([percentEncode(key), percentEncode(value)]));
+	}));
+	const normalized = pairs
+		.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+		.map(pair => pair.join('='))
+		.join('&');
+	const baseString = [method.toUpperCase(), percentEncode(normalizeUrl(launchUrl)), percentEncode(normalized)].join('&');
+	return crypto.createHmac('sha1', `${percentEncode(consumerSecret)}&`).update(baseString).digest('base64');
+};
+
+/**
+ * adds the oauth parameters and the signature to the launch parameters
+ * @returns {Object} - the signed parameters, the given parameters are not changed
+ */
+const signLaunch = (launchUrl, parameters, consumerKey, consumerSecret) => {
+	const signed = Object.assign({}, parameters, {
+		oauth_consumer_key: consumerKey,
+		oauth_nonce: crypto.randomBytes(16).toString('hex'),
+		oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+		oauth_signature_method: 'HMAC-SHA1',
+		oauth_version: '1.0',
+		oauth_callback: 'about:blank'
+	});
+	signed.oauth_signature = sign('POST', launchUrl, signed, consumerSecret);
+	return signed;
+};
+
+/**
+ * the oauth parameters of an Authorization header
+ * @param header {String} - e.g. OAuth realm="", oauth_consumer_key="key", ...
+ * @returns {Object} - the decoded parameters without realm, undefined if it is no OAuth header
+ */
+const parseAuthorization = (header) => {
+	if (!/^OAuth\s/i.test(header || '')) return undefined;
+	const parameters = {};
+	header.replace(/^OAuth\s+/i, '').split(',').forEach(pair => {
+		const match = /^\s*([^=\s]+)="([^"]*)"\s*$/.exec(pair);
+		if (match && match[1] !== 'realm') parameters[decodeURIComponent(match[1])] = decodeURIComponent(match[2]);
+	});
+	return parameters;
+};
+
+/**
+ * the oauth_body_hash of a request body
+ */
+const bodyHash = (body) => crypto.createHash('sha1').update(body).digest('base64');
+
+/**
+ * whether the signature of the oauth parameters of a request with a signed body is valid,
+ * the body itself is covered by the oauth_body_hash
+ * @param requestUrl {String} - the url the request was sent to
+ * @param parameters {Object} - the oauth parameters including oauth_signature
+ * @param consumerSecret {String}
+ */
+const verifySignature = (requestUrl, parameters, consumerSecret) => {
+	const unsigned = Object.assign({}, parameters);
+	delete unsigned.oauth_signature;
+	const expected = Buffer.from(sign('POST', requestUrl, unsigned, consumerSecret));
+	const given = Buffer.from(String(parameters.oauth_signature || ''));
+	return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * maps the names of the Schul-Cloud roles to LTI roles, unknown roles are dropped
+ * @param roleNames [String]
+ * @returns [String] - without duplicates
+ */
+const mapRoles = (roleNames) => roleNames
+	.map(name => ltiRoles[name])
+	.filter((role, index, roles) => role && roles.indexOf(role) === index);
+
+/**
+ * the custom parameters of a tool, the keys are lower case and other characters than letters and digits become _
+ */
+const customParameters = (customs) => {
+	const parameters = {};
+	(customs || []).forEach(custom => {
+		if (!custom.key) return;
+		parameters[`custom_${custom.key.toLowerCase().replace(/[^a-z0-9]/g, '_')}`] = custom.value || '';
+	});
+	return parameters;
+};
+
+module.exports = {
+	getBackendUrl,
+	percentEncode,
+	normalizeUrl,
+	sign,
+	signLaunch,
+	parseAuthorization,
+	bodyHash,
+	verifySignature,
+	mapRoles,
+	customParameters
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const {getBackendUrl, customParameters} = require('./lti');
+
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const DEEP_LINKING_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+
+// the LIS role vocabulary of LTI 1.3 for the roles of mapRoles
+const roleUris = {
+	Learner: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner',
+	Instructor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+	Mentor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Mentor',
+	Administrator: 'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator'
+};
+
+// the lifetime of the login hints and id_tokens in seconds
+const TOKEN_LIFETIME = 5 * 60;
+// the hint of a deep linking request is returned with the response, after the teacher has selected the content in the tool
+const DEEP_LINKING_LIFETIME = 2 * 60 * 60;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * the issuer of the platform, it's the public url of the server
+ */
+const getIssuer = (app) => getBackendUrl(app);
+
+const getDeepLinkingReturnUrl = (app) => `${getBackendUrl(app)}/ltiTools/deepLinking`;
+
+/**
+ * the payload of the signed lti_message_hint, it carries the context of the launch through the OIDC login
+ * @param lessonId - only given for deep linking requests
+ */
+const createMessageHint = ({tool, user, course, lesson}) => ({
+	sub: user._id.toString(),
+	toolId: tool._id.toString(),
+	courseId: course ? course._id.toString() : undefined,
+	lessonId: lesson ? lesson._id.toString() : undefined,
+	exp: now() + (lesson ? DEEP_LINKING_LIFETIME : TOKEN_LIFETIME)
+});
+
+/**
+ * the parameters of the third-party initiated login, the client posts them to the login_url of the tool
+ * @param messageHint {String} - the signed message hint
+ */
+const createLoginParameters = (app, tool, user, messageHint) => ({
+	iss: getIssuer(app),
+	login_hint: user._id.toString(),
+	target_link_uri: tool.url,
+	lti_message_hint: messageHint,
+	client_id: tool.client_id,
+	lti_deployment_id: tool.deployment_id
+});
+
+/**
+ * the claims of the id_token of a resource link or deep linking launch
+ * @param subject {String} - the user id or the pseudonym of the user for anonymous tools
+ * @param roles {[String]} - the roles of mapRoles
+ * @param messageHint {String} - the signed message hint, deep linking responses return it as data
+ */
+const createIdTokenClaims = (app, {tool, user, course, lesson, roles, subject, nonce, messageHint}) => {
+	const issuedAt = now();
+	const privacy = tool.privacy_permission || 'anonymous';
+	const claims = {
+		iss: getIssuer(app),
+		aud: tool.client_id,
+		sub: subject,
+		iat: issuedAt,
+		exp: issuedAt + TOKEN_LIFETIME,
+		nonce,
+		[`${CLAIM}message_type`]: lesson ? 'LtiDeepLinkingRequest' : 'LtiResourceLinkRequest',
+		[`${CLAIM}version`]: '1.3.0',
+		[`${CLAIM}deployment_id`]: tool.deployment_id,
+		[`${CLAIM}target_link_uri`]: tool.url,
+		[`${CLAIM}roles`]: roles.map(role => roleUris[role]),
+		[`${CLAIM}launch_presentation`]: {locale: 'de-DE', document_target: 'window'},
+		[`${CLAIM}tool_platform`]: {guid: getIssuer(app), product_family_code: 'schul-cloud'}
+	};
+
+	const custom = customParameters(tool.customs);
+	if (Object.keys(custom).length > 0) {
+		claims[`${CLAIM}custom`] = Object.keys(custom)
+			.reduce((result, key) => Object.assign(result, {[key.replace(/^custom_/, '')]: custom[key]}), {});
+	}
+	if (course) {
+		claims[`${CLAIM}context`] = {id: course._id.toString(), title: course.name, type: ['CourseSection']};
+	}
+	if (lesson) {
+		claims[`${DEEP_LINKING_CLAIM}deep_linking_settings`] = {
+			deep_link_return_url: getDeepLinkingReturnUrl(app),
+			accept_types: ['link', 'ltiResourceLink'],
+			accept_presentation_document_targets: ['window', 'iframe'],
+			accept_multiple: true,
+			auto_create: true,
+			data: messageHint
+		};
+	} else {
+		claims[`${CLAIM}resource_link`] = {id: tool.resource_link_id || tool._id.toString(), title: tool.name};
+	}
+	if (privacy === 'e-mail' || privacy === 'public') {
+		claims.email = user.email;
+	}
+	if (privacy === 'name' || privacy === 'public') {
+		Object.assign(claims, {given_name: user.firstName, family_name: user.lastName, name: `${user.firstName} ${user.lastName}`});
+	}
+	return claims;
+};
+
+/**
+ * the lesson contents of the content items of a deep linking response, other types than link and ltiResourceLink are ignored
+ * @param items {[Object]} - the content_items claim
+ */
+const mapContentItems = (tool, items) => [].concat(items || [])
+	.map(item => {
+		if (!item) return undefined;
+		// resource links without url are launched with the url of the tool
+		const itemUrl = item.url || (item.type === 'ltiResourceLink' ? tool.url : undefined);
+		if (typeof itemUrl !== 'string' || !/^https?:\/\//.test(itemUrl)) return undefined;
+		if (item.type === 'link') {
+			return {
+				component: 'resources',
+				title: item.title || '',
+				content: {resources: [{url: itemUrl, title: item.title || itemUrl, description: item.text || '', client: tool.name}]}
+			};
+		}
+		if (item.type === 'ltiResourceLink') {
+			return {
+				component: 'ltiTool',
+				title: item.title || tool.name,
+				content: {ltiToolId: tool._id.toString(), url: itemUrl, title: item.title || '', text: item.text || '', custom: item.custom || {}}
+			};
+		}
+		return undefined;
+	})
+	.filter(content => content);
+
+module.exports = {
+	CLAIM,
+	DEEP_LINKING_CLAIM,
+	getIssuer,
+	getDeepLinkingReturnUrl,
+	createMessageHint,
+	createLoginParameters,
+	createIdTokenClaims,
+	mapContentItems
+};
@@ -8,11 +8,14 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// LTI 1.1 tools are signed with key and secret, LTI 1.3 tools are registered with client_id and keys
+const isSignedWithSecret = function() { return this.lti_version !== 'LTI-1p3'; };
+
 const ltiTool = new Schema({
   name: { type: String },
   url: { type: String, required: true },
-  key: { type: String, required: true },
-  secret: { type: String, required: true },
+  key: { type: String, required: isSignedWithSecret },
+  secret: { type: String, required: isSignedWithSecret },
   logo_url: { type: String },
   lti_message_type: { type: String, required: true },
   lti_version: { type: String, required: true },
@@ -25,6 +28,13 @@ const ltiTool = new Schema({
   createdAt: { type: Date, 'default': Date.now },
   updatedAt: { type: Date, 'default': Date.now },
   originTool: { type: Schema.Types.ObjectId, ref: 'ltiTool'},
+  // the LTI 1.3 registration, client_id and deployment_id are issued by the platform
+  client_id: { type: String },
+  deployment_id: { type: String },
+  login_url: { type: String }, // the OIDC login initiation url of the tool
+  redirect_uris: [{ type: String }], // the launch url is always allowed
+  jwks_url: { type: String }, // the public keys of the tool, either as url or as key
+  public_key: { type: String }
 });
 
 const ltiToolModel = mongoose.model('ltiTool', ltiTool);
@@ -0,0 +1,118 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const hooks = require('./hooks/oidc');
+const lessonModel = require('../lesson/model');
+const {createIdTokenClaims} = require('./lti13');
+const {signJwt, verifyPlatformJwt} = require('./platform-keys');
+const {loadLaunchContext, getPseudonym} = require('./helpers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+/**
+ * the OIDC authorization endpoint of the LTI 1.3 platform, the tools send the authentication request of the login here
+ */
+class LtiOidcService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The OIDC authorization endpoint for LTI 1.3 launches',
+			find: {
+				summary: 'Answers the authentication request of a tool with the id_token, which is posted to the redirect_uri by an auto-submitting form'
+			},
+			create: {
+				summary: 'Same as find, for authentication requests which are sent as form post'
+			}
+		};
+	}
+
+	/**
+	 * @param params.query - the authentication request of the tool
+	 * @returns {form: {url, method, fields}} - the fields are the id_token and the state, sent by the middleware
+	 */
+	find(params) {
+		const request = params.query || {};
+		const userId = toId((params.account || {}).userId);
+		if (request.scope !== 'openid' || request.response_type !== 'id_token' || request.response_mode !== 'form_post') {
+			return Promise.reject(new errors.BadRequest('Die Authentifizierungsanfrage wird nicht unterstützt.'));
+		}
+		if (request.prompt && request.prompt !== 'none') return Promise.reject(new errors.BadRequest('Die Authentifizierungsanfrage wird nicht unterstützt.'));
+		if (!request.nonce) return Promise.reject(new errors.BadRequest('Die Authentifizierungsanfrage enthält keine nonce.'));
+
+		return verifyPlatformJwt(request.lti_message_hint).then(hint => {
+			// the hint was created for the launch of the current user
+			if (hint.sub !== request.login_hint || hint.sub !== userId) throw new errors.Forbidden('Der Start des Tools gehört zu einem anderen Nutzer.');
+
+			return Promise.all([
+				loadLaunchContext(this.app, {toolId: hint.toolId, courseId: hint.courseId, userId}),
+				hint.lessonId ? lessonModel.findById(hint.lessonId).lean().exec() : Promise.resolve()
+			]).then(([context, lesson]) => {
+				const {tool, user} = context;
+				if (tool.lti_version !== 'LTI-1p3' || request.client_id !== tool.client_id) {
+					throw new errors.BadRequest('Die client_id gehört nicht zum Tool.');
+				}
+				if (![tool.url].concat(tool.redirect_uris || []).includes(request.redirect_uri)) {
+					throw new errors.BadRequest('Die redirect_uri ist für das Tool nicht registriert.');
+				}
+				if (hint.lessonId && !lesson) throw new errors.NotFound('Das Thema existiert nicht.');
+
+				const subject = (tool.privacy_permission || 'anonymous') === 'anonymous'
+					? getPseudonym(this.app, tool, user)
+					: Promise.resolve(toId(user._id));
+				return subject
+					.then(sub => signJwt(createIdTokenClaims(this.app, Object.assign({lesson, subject: sub, nonce: request.nonce, messageHint: request.lti_message_hint}, context))))
+					.then(idToken => ({
+						form: {
+							url: request.redirect_uri,
+							method: 'POST',
+							fields: Object.assign({id_token: idToken}, request.state ? {state: request.state} : {})
+						}
+					}));
+			});
+		});
+	}
+
+	create(data, params) {
+		return this.find(Object.assign({}, params, {query: data}));
+	}
+}
+
+const escapeHtml = (text) => String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
+
+/**
+ * express middleware which sends the answer of the authorization endpoint as auto-submitting form
+ */
+const sendForm = (req, res, next) => {
+	if (!res.data || !res.data.form) return next();
+	const form = res.data.form;
+	const inputs = Object.keys(form.fields)
+		.map(name => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(form.fields[name])}">`)
+		.join('');
+	res.status(200);
+	res.setHeader('Content-Type', 'text/html; charset=utf-8');
+	res.send('<!DOCTYPE html><html><body onload="document.forms[0].submit()">'
+		+ `<form action="${escapeHtml(form.url)}" method="${form.method}">${inputs}`
+		+ '<noscript><button type="submit">Weiter</button></noscript></form></body></html>');
+};
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the response is sent by the middleware
+	app.use('/ltiTools/oidc/auth', new LtiOidcService(app), sendForm);
+
+	// Get our initialize service to that we can bind hooks
+	const oidcService = app.service('/ltiTools/oidc/auth');
+
+	// Set up our before hooks
+	oidcService.before(hooks.before);
+
+	// Set up our after hooks
+	oidcService.after(hooks.after);
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const hooks = require('./hooks/outcome');
+const ltiToolModel = require('./model');
+const Pseudonym = require('../pseudonym/model');
+const {homeworkModel, submissionModel} = require('../homework/model');
+const {courseModel} = require('../user-group/model');
+const {parseAuthorization, bodyHash, verifySignature} = require('./lti');
+const {getOutcomeServiceUrl, parseSourcedId, parseOutcomeRequest, buildOutcomeResponse} = require('./outcomes');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const operations = ['replaceResult', 'readResult', 'deleteResult'];
+
+// the allowed difference between the oauth_timestamp and the server time in seconds
+const MAX_CLOCK_SKEW = 5 * 60;
+
+/**
+ * the LTI 1.1 Basic Outcomes service, the tools report the scores of the students for homework which is linked to them
+ */
+class LtiOutcomeService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The LTI 1.1 Basic Outcomes service for the grade passback of tools',
+			create: {
+				summary: 'Handles replaceResult, readResult and deleteResult, the body is an imsx_POXEnvelopeRequest signed with the oauth_body_hash'
+			}
+		};
+	}
+
+	/**
+	 * @param data {Buffer} - the raw xml body
+	 * @param params.headers.authorization - the OAuth header of the tool
+	 * @returns {xml} - the imsx_POXEnvelopeResponse, sent by the middleware
+	 */
+	create(data, params) {
+		const body = Buffer.isBuffer(data) ? data : Buffer.from(typeof data === 'string' ? data : '');
+		const oauth = parseAuthorization((params.headers || {}).authorization);
+		if (!oauth) return Promise.reject(new errors.NotAuthenticated('Die Anfrage ist nicht signiert.'));
+
+		const request = parseOutcomeRequest(body.toString('utf8'));
+		const respond = (codeMajor, description, score) => ({
+			xml: buildOutcomeResponse({messageId: request.messageId, operation: request.operation, codeMajor, description, score})
+		});
+		if (!operations.includes(request.operation)) return Promise.resolve(respond('unsupported', `${request.operation} wird nicht unterstützt.`));
+		const sourced = parseSourcedId(request.sourcedId);
+		if (!sourced || !mongoose.Types.ObjectId.isValid(sourced.homeworkId) || !mongoose.Types.ObjectId.isValid(sourced.courseId)) {
+			return Promise.resolve(respond('failure', 'Die lis_result_sourcedid ist ungültig.'));
+		}
+
+		return this.resolveSourcedId(sourced).then(context => {
+			if (!context) return respond('failure', 'Die lis_result_sourcedid ist ungültig.');
+			this.verifyRequest(body, oauth, context.tool);
+			return this[request.operation](context, request)
+				.then(score => respond('success', 'Das Ergebnis wurde verarbeitet.', score))
+				.catch(err => respond('failure', err.message));
+		});
+	}
+
+	/**
+	 * @returns {tool, homework, userId} - undefined if the homework isn't graded by a tool or the pseudonym isn't a student of the course
+	 */
+	resolveSourcedId(sourced) {
+		return homeworkModel.findById(sourced.homeworkId).lean().exec().then(homework => {
+			if (!homework || !homework.ltiToolId || toId(homework.courseId) !== sourced.courseId) return undefined;
+			return Promise.all([
+				ltiToolModel.findById(homework.ltiToolId).lean().exec(),
+				courseModel.findById(homework.courseId).select('userIds').lean().exec()
+			]).then(([tool, course]) => {
+				if (!tool || !course) return undefined;
+				// the pseudonyms of copied tools belong to the template
+				const toolIds = [tool._id, tool.originTool].filter(id => id);
+				return Pseudonym.findOne({pseudonym: sourced.pseudonym, toolId: {$in: toolIds}}).lean().exec().then(pseudonym => {
+					if (!pseudonym || !(course.userIds || []).map(toId).includes(toId(pseudonym.userId))) return undefined;
+					return {tool, homework, userId: pseudonym.userId};
+				});
+			});
+		});
+	}
+
+	/**
+	 * checks the consumer key, the body hash, the timestamp and the signature of the tool
+	 */
+	verifyRequest(body, oauth, tool) {
+		const age = Math.abs(Date.now() / 1000 - parseInt(oauth.oauth_timestamp, 10));
+		if (oauth.oauth_consumer_key !== tool.key
+			|| oauth.oauth_signature_method !== 'HMAC-SHA1'
+			|| oauth.oauth_body_hash !== bodyHash(body)
+			|| !(age <= MAX_CLOCK_SKEW)
+			|| !verifySignature(getOutcomeServiceUrl(this.app), oauth, tool.secret)) {
+			throw new errors.NotAuthenticated('Die Signatur ist ungültig.');
+		}
+	}
+
+	findSubmission({homework, userId}) {
+		return submissionModel.findOne({homeworkId: homework._id, $or: [{studentId: userId}, {teamMembers: userId}]}).exec();
+	}
+
+	/**
+	 * stores the score (0.0 - 1.0) as grade in percent
+	 */
+	replaceResult(context, request) {
+		const score = Number(request.score);
+		if (!/^\s*\d*\.?\d+\s*$/.test(request.score || '') || score < 0 || score > 1) {
+			return Promise.reject(new errors.BadRequest('Das Ergebnis muss zwischen 0.0 und 1.0 liegen.'));
+		}
+		const grade = Math.round(score * 100);
+		return this.findSubmission(context).then(submission => {
+			if (submission) return submissionModel.update({_id: submission._id}, {grade, updatedAt: new Date()}).exec();
+			return submissionModel.create({
+				schoolId: context.homework.schoolId,
+				homeworkId: context.homework._id,
+				studentId: context.userId,
+				teamMembers: [context.userId],
+				grade
+			});
+		}).then(() => undefined);
+	}
+
+	/**
+	 * @returns {Number} - the score, null if the student isn't graded yet
+	 */
+	readResult(context) {
+		return this.findSubmission(context).then(submission => {
+			return submission && typeof submission.grade === 'number' ? submission.grade / 100 : null;
+		});
+	}
+
+	deleteResult(context) {
+		return this.findSubmission(context).then(submission => {
+			if (!submission) return undefined;
+			return submissionModel.update({_id: submission._id}, {$unset: {grade: 1}, updatedAt: new Date()}).exec();
+		}).then(() => undefined);
+	}
+}
+
+/**
+ * express middleware which sends the response of the outcome service as xml instead of json
+ */
+const sendXml = (req, res, next) => {
+	if (!res.data || typeof res.data.xml !== 'string') return next();
+	res.status(200);
+	res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+	res.send(res.data.xml);
+};
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires, the response is sent by the middleware
+	app.use('/ltiTools/outcomes', new LtiOutcomeService(app), sendXml);
+
+	// Get our initialize service to that we can bind hooks
+	const outcomeService = app.service('/ltiTools/outcomes');
+
+	// Set up our before hooks
+	outcomeService.before(hooks.before);
+
+	// Set up our after hooks
+	outcomeService.after(hooks.after);
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const crypto = require('crypto');
+const {getBackendUrl} = require('./lti');
+
+/**
+ * the public url of the outcome service, which is sent to the tools with the launch
+ */
+const getOutcomeServiceUrl = (app) => `${getBackendUrl(app)}/ltiTools/outcomes`;
+
+/**
+ * the lis_result_sourcedid of a student for a homework, the student is given by the pseudonym for the tool
+ */
+const createSourcedId = ({courseId, homeworkId, pseudonym}) => [courseId, homeworkId, pseudonym].join(':');
+
+/**
+ * @returns {courseId, homeworkId, pseudonym} - undefined if the sourcedid wasn't created by createSourcedId
+ */
+const parseSourcedId = (sourcedId) => {
+	const parts = (sourcedId || '').split(':');
+	if (parts.length !== 3 || parts.some(part => !part)) return undefined;
+	return {courseId: parts[0], homeworkId: parts[1], pseudonym: parts[2]};
+};
+
+const escapeXml = (text) => String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&apos;');
+
+const unescapeXml = (text) => text
+	.replace(/&lt;/g, '<')
+	.replace(/&gt;/g, '>')
+	.replace(/&quot;/g, '"')
+	.replace(/&apos;/g, "'")
+	.replace(/&amp;/g, '&');
+
+/**
+ * the text of the first element with the given name, namespace prefixes are ignored
+ */
+const getXmlValue = (xml, tag) => {
+	const match = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+	return match ? unescapeXml(match[1].trim()) : undefined;
+};
+
+/**
+ * the parts of a Basic Outcomes request which are used by the outcome service
+ * @param xml {String} - the imsx_POXEnvelopeRequest
+ * @returns {messageId, operation, sourcedId, score} - operation is e.g. replaceResult, score is the text of the resultScore
+ */
+const parseOutcomeRequest = (xml) => {
+	const body = getXmlValue(xml, 'imsx_POXBody') || '';
+	const operation = /<(?:\w+:)?(\w+)Request[\s>]/.exec(body);
+	const resultScore = getXmlValue(body, 'resultScore');
+	return {
+		messageId: getXmlValue(xml, 'imsx_messageIdentifier'),
+		operation: operation ? operation[1] : undefined,
+		sourcedId: getXmlValue(body, 'sourcedId'),
+		score: resultScore !== undefined ? getXmlValue(resultScore, 'textString') : undefined
+	};
+};
+
+/**
+ * the imsx_POXEnvelopeResponse to a Basic Outcomes request
+ * @param codeMajor {String} - success, failure or unsupported
+ * @param score {Number} - the score of a readResult, null if there is no result
+ */
+const buildOutcomeResponse = ({messageId, operation, codeMajor, description, score}) => {
+	const severity = codeMajor === 'success' ? 'status' : (codeMajor === 'unsupported' ? 'warning' : 'error');
+	let body = '';
+	if (codeMajor === 'success' && operation === 'readResult') {
+		body = '<readResultResponse><result><resultScore><language>en</language>'
+			+ `<textString>${score === null || score === undefined ? '' : score}</textString>`
+			+ '</resultScore></result></readResultResponse>';
+	} else if (codeMajor === 'success') {
+		body = `<${operation}Response/>`;
+	}
+	return '<?xml version="1.0" encoding="UTF-8"?>'
+		+ '<imsx_POXEnvelopeResponse xmlns="http://www.imsglobal.org/services/ltiv1p1/xsd/imsoms_v1p0">'
+		+ '<imsx_POXHeader><imsx_POXResponseHeaderInfo>'
+		+ '<imsx_version>V1.0</imsx_version>'
+		+ `<imsx_messageIdentifier>${crypto.randomBytes(16).toString('hex')}</imsx_messageIdentifier>`
+		+ '<imsx_statusInfo>'
+		+ `<imsx_codeMajor>${codeMajor}</imsx_codeMajor>`
+		+ `<imsx_severity>${severity}</imsx_severity>`
+		+ `<imsx_description>${escapeXml(description || '')}</imsx_description>`
+		+ `<imsx_messageRefIdentifier>${escapeXml(messageId || '')}</imsx_messageRefIdentifier>`
+		+ `<imsx_operationRefIdentifier>${escapeXml(operation || '')}</imsx_operationRefIdentifier>`
+		+ '</imsx_statusInfo>'
+		+ '</imsx_POXResponseHeaderInfo></imsx_POXHeader>'
+		+ `<imsx_POXBody>${body}</imsx_POXBody>`
+		+ '</imsx_POXEnvelopeResponse>';
+};
+
+module.exports = {
+	getOutcomeServiceUrl,
+	createSourcedId,
+	parseSourcedId,
+	getXmlValue,
+	parseOutcomeRequest,
+	buildOutcomeResponse
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+const crypto = require('crypto');
+const jose = require('node-jose');
+const errors = require('feathers-errors');
+const keyModel = require('../keys/model');
+
+const KEY_NAME = 'lti_platform';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// a new signing key is generated when the current one is older
+const ROTATION_INTERVAL = 90 * DAY;
+
+// retired keys are still published, so the tools can verify tokens which were signed shortly before the rotation
+const RETIREMENT_PERIOD = 7 * DAY;
+
+/**
+ * generates a new signing key and retires the others
+ * @returns {Promise} - the stored key
+ */
+const rotateKeys = () => {
+	return jose.JWK.createKeyStore().generate('RSA', 2048, {alg: 'RS256', use: 'sig', kid: crypto.randomBytes(16).toString('hex')})
+		.then(key => keyModel.create({
+			name: KEY_NAME,
+			kid: key.kid,
+			key: JSON.stringify(key.toJSON(true)),
+			publicJwk: key.toJSON()
+		}))
+		.then(created => {
+			const now = new Date();
+			return keyModel.update({name: KEY_NAME, retiredAt: null, _id: {$ne: created._id}}, {$set: {retiredAt: now}}, {multi: true}).exec()
+				.then(() => keyModel.remove({name: KEY_NAME, retiredAt: {$lt: new Date(now.getTime() - RETIREMENT_PERIOD)}}).exec())
+				.then(() => created.toObject());
+		});
+};
+
+/**
+ * the current signing key, rotated after the rotation interval
+ */
+const getSigningKey = () => {
+	return keyModel.findOne({name: KEY_NAME, retiredAt: null}).sort({createdAt: -1}).lean().exec()
+		.then(stored => (!stored || Date.now() - new Date(stored.createdAt).getTime() > ROTATION_INTERVAL) ? rotateKeys() : stored)
+		.then(stored => jose.JWK.asKey(JSON.parse(stored.key)));
+};
+
+/**
+ * the public keys of the platform, including the recently retired ones
+ * @returns {keys: [JWK]}
+ */
+const getPublicKeys = () => {
+	const retiredAfter = new Date(Date.now() - RETIREMENT_PERIOD);
+	return keyModel.find({name: KEY_NAME, $or: [{retiredAt: null}, {retiredAt: {$gte: retiredAfter}}]})
+		.sort({createdAt: -1}).lean().exec()
+		.then(keys => ({keys: keys.map(key => key.publicJwk)}));
+};
+
+/**
+ * signs the payload as JWT with the current key of the platform
+ * @returns {Promise} - the compact JWT
+ */
+const signJwt = (payload) => {
+	return getSigningKey().then(key => jose.JWS.createSign({format: 'compact', fields: {typ: 'JWT', kid: key.kid}}, key)
+		.update(JSON.stringify(payload))
+		.final());
+};
+
+/**
+ * verifies the signature and the expiry of a JWT
+ * @param token {String}
+ * @param keys {Object} - a key or key store of node-jose
+ * @returns {Promise} - the payload
+ */
+const verifyJwt = (token, keys) => {
+	return jose.JWS.createVerify(keys).verify(String(token || ''))
+		.catch(() => {
+			throw new errors.NotAuthenticated('Die Signatur des Tokens ist ungültig.');
+		})
+		.then(result => {
+			const payload = JSON.parse(result.payload.toString('utf8'));
+			if (typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) throw new errors.NotAuthenticated('Das Token ist abgelaufen.');
+			return payload;
+		});
+};
+
+/**
+ * verifies a JWT which was signed by the platform itself
+ */
+const verifyPlatformJwt = (token) => {
+	return getPublicKeys()
+		.then(jwks => jose.JWK.asKeyStore(jwks))
+		.then(keyStore => verifyJwt(token, keyStore));
+};
+
+module.exports = {
+	rotateKeys,
+	getPublicKeys,
+	signJwt,
+	verifyJwt,
+	verifyPlatformJwt
+};
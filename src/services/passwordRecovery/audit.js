@@ -0,0 +1,61 @@
+'use strict';
+
+const logger = require('winston');
+const errors = require('feathers-errors');
+const {passwordRecoveryAuditModel} = require('./model');
+
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // in ms
+const MAX_REQUESTS_PER_USERNAME = 3;
+const MAX_REQUESTS_PER_IP = 10;
+const MAX_FAILED_RESETS_PER_IP = 10;
+
+/**
+ * writes an entry of the audit trail, a failing audit doesn't fail the recovery
+ * @param entry {action, success, reason, username, account, recovery, ip}
+ */
+const record = (entry) => {
+	return passwordRecoveryAuditModel.create(entry)
+		.catch(err => {
+			logger.error('could not write the password recovery audit trail', err);
+		});
+};
+
+const countRecent = (conditions) => {
+	return passwordRecoveryAuditModel.count(Object.assign({
+		createdAt: {$gte: new Date(Date.now() - RATE_LIMIT_WINDOW)}
+	}, conditions)).exec();
+};
+
+/**
+ * rejects the request of a recovery if there were too many requests for the username or from the ip
+ */
+const checkRequestLimit = (username, ip) => {
+	return Promise.all([
+		countRecent({action: 'request', username, success: true}),
+		ip ? countRecent({action: 'request', ip}) : 0
+	]).then(([byUsername, byIp]) => {
+		if (byUsername >= MAX_REQUESTS_PER_USERNAME || byIp >= MAX_REQUESTS_PER_IP) {
+			return record({action: 'request', success: false, reason: 'rate limit', username, ip}).then(() => {
+				throw new errors.TooManyRequests('Too many password recoveries were requested, please try again later.');
+			});
+		}
+	});
+};
+
+/**
+ * rejects a password reset if there were too many invalid attempts from the ip
+ */
+const checkResetLimit = (ip) => {
+	if (!ip) return Promise.resolve();
+	return countRecent({action: 'reset', ip, success: false}).then(failed => {
+		if (failed >= MAX_FAILED_RESETS_PER_IP) {
+			throw new errors.TooManyRequests('Too many invalid password resets, please try again later.');
+		}
+	});
+};
+
+module.exports = {
+	record,
+	checkRequestLimit,
+	checkResetLimit
+};
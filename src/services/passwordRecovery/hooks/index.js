@@ -2,42 +2,97 @@
 
 const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
-const auth = require('feathers-authentication');
-const bcrypt = require('bcryptjs');
-const local = require('feathers-authentication-local');
-
-const hashId = (hook) => {
-	if (!hook.data.password) {
-		const accountService = hook.app.service('/accounts');
-
-		const username = hook.data.username;
-		return accountService.find({
-			query: {
-				username: username
+const errors = require('feathers-errors');
+const {record, checkRequestLimit} = require('../audit');
+
+const RECOVERY_TTL = 2 * 60 * 60 * 1000; // in ms
+
+/**
+ * binds the recovery to the account of the username, the client can't set the expiry or the state.
+ * Unknown usernames get the same response without creating a recovery, so they can't be probed
+ */
+const resolveAccount = (hook) => {
+	const username = hook.data.username;
+	const ip = hook.params.ip;
+	if (!username) throw new errors.BadRequest('Missing username.');
+	hook.params.recovery = {username, ip};
+
+	// internal requests are not limited
+	return (hook.params.provider ? checkRequestLimit(username, ip) : Promise.resolve())
+		.then(() => hook.app.service('/accounts').find({query: {username}}))
+		.then(accounts => {
+			const account = accounts[0];
+			if (!account) {
+				return record({action: 'request', success: false, reason: 'unknown username', username, ip}).then(() => {
+					hook.result = {};
+					return hook;
+				});
 			}
-		}).then((account) => {
-			account = account[0];
-			hook.data.account = account._id;
+			hook.params.recovery.account = account;
+			hook.data = {
+				account: account._id,
+				expiresAt: new Date(Date.now() + RECOVERY_TTL)
+			};
+			return hook;
 		});
+};
+
+const auditRequest = (hook) => {
+	const {username, ip, account} = hook.params.recovery;
+	if (!account) return hook;
+	return record({action: 'request', success: true, username, ip, account: account._id, recovery: hook.result._id})
+		.then(() => hook);
+};
+
+/**
+ * the recovery link is only sent to the owner of the account
+ */
+const sendInfo = (hook) => {
+	const {account} = hook.params.recovery;
+	if (!account || !account.userId) return hook;
+	globalHooks.sendEmail(hook, {
+		"subject": "Passwort zurücksetzen für die Schul-Cloud",
+		"userIds": [account.userId.toString()],
+		"content": {
+			"text": "Für deinen Account " + account.username + " wurde ein neues Passwort angefordert.\n"
+			+ "Über den folgenden Link kannst du innerhalb der nächsten zwei Stunden ein neues Passwort vergeben:\n"
+			+ process.env.HOST + "/pwrecovery/" + hook.result._id + "\n\n"
+			+ "Falls du kein neues Passwort angefordert hast, kannst du diese E-Mail ignorieren.\n\n"
+			+ "Mit freundlichen Grüßen\n"
+			+ "Deine Schul-Cloud"
+		}
+	});
+	return hook;
+};
+
+/**
+ * used or expired recoveries are not shown, mongo removes expired ones with a delay
+ */
+const rejectInvalid = (hook) => {
+	const recovery = hook.result;
+	if (recovery.changed || new Date(recovery.expiresAt) <= new Date()) {
+		throw new errors.NotFound('The password recovery link is invalid or has expired.');
 	}
+	return hook;
 };
 
+// only requesting a recovery and opening its link are public, the reset uses /passwordRecovery/reset
 exports.before = {
 	all: [],
-	find: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('PWRECOVERY_VIEW')],
+	find: [hooks.disable('external')],
 	get: [],
-	create: [hashId,
-		local.hooks.hashPassword({passwordField: 'password'})],
-	update: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('PWRECOVERY_EDIT')],
-	patch: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('PWRECOVERY_EDIT'),globalHooks.permitGroupOperation],
-	remove: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('PWRECOVERY_CREATE'),globalHooks.permitGroupOperation]
+	create: [resolveAccount],
+	update: [hooks.disable('external')],
+	patch: [hooks.disable('external')],
+	remove: [hooks.disable('external')]
 };
 
 exports.after = {
 	all: [],
 	find: [],
-	get: [],
-	create: [],
+	get: [globalHooks.ifNotLocal(rejectInvalid)],
+	// the token is never returned to the requesting client
+	create: [auditRequest, sendInfo, globalHooks.removeResponse()],
 	update: [],
 	patch: [],
 	remove: []
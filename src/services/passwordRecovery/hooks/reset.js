@@ -0,0 +1,24 @@
+'use strict';
+
+const hooks = require('feathers-hooks');
+const local = require('feathers-authentication-local');
+
+exports.before = {
+	all: [],
+	find: [hooks.disable()],
+	get: [hooks.disable()],
+	create: [local.hooks.hashPassword({passwordField: 'password'})],
+	update: [hooks.disable()],
+	patch: [hooks.disable()],
+	remove: [hooks.disable()]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
@@ -1,33 +1,86 @@
 'use strict';
 
 const service = require('feathers-mongoose');
-const passwordRecovery = require('./model');
+const mongoose = require('mongoose');
+const {passwordRecoveryModel} = require('./model');
 const hooks = require('./hooks');
+const resetHooks = require('./hooks/reset');
+const {record, checkResetLimit} = require('./audit');
 const AccountModel = require('./../account/model');
 const errors = require('feathers-errors');
 
+/**
+ * the reason of an invalid reset, only written to the audit trail
+ */
+const getInvalidReason = (resetId, accountId) => {
+	return passwordRecoveryModel.findById(resetId).exec().then(recovery => {
+		if (!recovery) return 'unknown recovery';
+		if (recovery.changed) return 'already used';
+		if (recovery.expiresAt <= new Date()) return 'expired';
+		if (recovery.account.toString() !== accountId.toString()) return 'wrong account';
+		return 'invalid';
+	});
+};
+
 class ChangePasswordService {
 	constructor() {
 	}
 
-	create(data) {
-		return AccountModel.update({"_id": data.accountId}, {"password": data.password})
-			.then((account) => {
-				return passwordRecovery.update({"_id": data.resetId}, {"changed": true})
-					.then((_ => {
-						return account;
-					}));
-			}).catch((error) => {
-				return error;
+	/**
+	 * a recovery can be used once, before it expires and only for the account it was requested for
+	 * @param data {resetId, accountId, password}
+	 */
+	create(data, params) {
+		const ip = params.ip;
+		const {resetId, accountId, password} = data;
+		if (!resetId || !password || !mongoose.Types.ObjectId.isValid(accountId)) {
+			return Promise.reject(new errors.BadRequest('Missing resetId, accountId or password.'));
+		}
+
+		const now = new Date();
+		return checkResetLimit(ip)
+			// the recovery is marked as used first, so it can't be used twice by parallel requests
+			.then(() => passwordRecoveryModel.findOneAndUpdate(
+				{_id: resetId, account: accountId, changed: false, expiresAt: {$gt: now}},
+				{changed: true, usedAt: now, updatedAt: now},
+				{new: true}
+			).exec())
+			.then(recovery => {
+				if (!recovery) {
+					return getInvalidReason(resetId, accountId)
+						.then(reason => record({action: 'reset', success: false, reason, recovery: resetId, account: accountId, ip}))
+						.then(() => {
+							throw new errors.BadRequest('The password recovery link is invalid or has expired.');
+						});
+				}
+				return AccountModel.update({"_id": recovery.account}, {"password": password}).exec()
+					.then(account => {
+						// other open recoveries of the account can't be used anymore
+						return passwordRecoveryModel.update(
+							{account: recovery.account, changed: false},
+							{changed: true, updatedAt: now},
+							{multi: true}
+						).exec()
+							.then(() => record({action: 'reset', success: true, recovery: resetId, account: recovery.account, ip}))
+							.then(() => account);
+					});
 			});
 	}
 }
 
+/**
+ * express middleware which passes the ip of the request to the services
+ */
+const exposeIp = (req, res, next) => {
+	req.feathers = Object.assign({}, req.feathers, {ip: req.ip});
+	next();
+};
+
 module.exports = function () {
 	const app = this;
 
 	const options = {
-		Model: passwordRecovery,
+		Model: passwordRecoveryModel,
 		paginate: {
 			default: 100,
 			max: 100
@@ -36,9 +89,9 @@ module.exports = function () {
 	};
 
 	// Initialize our service with any options it requires
-	app.use('/passwordRecovery', service(options));
+	app.use('/passwordRecovery', exposeIp, service(options));
 
-	app.use('/passwordRecovery/reset', new ChangePasswordService);
+	app.use('/passwordRecovery/reset', exposeIp, new ChangePasswordService);
 
 	// Get our initialize service to that we can bind hooks
 	const passwordRecoveryService = app.service('/passwordRecovery');
@@ -47,9 +100,9 @@ module.exports = function () {
 
 	// Set up our before hooks
 	passwordRecoveryService.before(hooks.before);
-	changePasswordService.before(hooks.before);
+	changePasswordService.before(resetHooks.before);
 
 	// Set up our after hooks
 	passwordRecoveryService.after(hooks.after);
-	changePasswordService.after(hooks.after);
+	changePasswordService.after(resetHooks.after);
 };
@@ -19,10 +19,36 @@ const passwordRecoverySchema = new Schema({
 	},
 	account: {type: Schema.Types.ObjectId, ref: 'account'},
 	changed: {type: Boolean, 'default': false},
+	usedAt: {type: Date},
+	expiresAt: {type: Date, required: true},
 	createdAt: {type: Date, 'default': Date.now},
 	updatedAt: {type: Date, 'default': Date.now}
 });
 
+// mongo removes the expired recoveries, the services check the expiry as well because the removal runs only once a minute
+passwordRecoverySchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+/**
+ * every request of a recovery and every attempt to reset a password, also used for the rate limiting
+ */
+const passwordRecoveryAuditSchema = new Schema({
+	action: {type: String, enum: ['request', 'reset'], required: true},
+	success: {type: Boolean, required: true},
+	reason: {type: String},
+	username: {type: String},
+	account: {type: Schema.Types.ObjectId, ref: 'account'},
+	recovery: {type: String},
+	ip: {type: String},
+	createdAt: {type: Date, 'default': Date.now}
+});
+
+passwordRecoveryAuditSchema.index({action: 1, username: 1, createdAt: -1});
+passwordRecoveryAuditSchema.index({action: 1, ip: 1, createdAt: -1});
+
 const passwordRecoveryModel = mongoose.model('passwordRecovery', passwordRecoverySchema);
+const passwordRecoveryAuditModel = mongoose.model('passwordRecoveryAudit', passwordRecoveryAuditSchema);
 
-module.exports = passwordRecoveryModel;
+module.exports = {
+	passwordRecoveryModel,
+	passwordRecoveryAuditModel
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const errors = require('feathers-errors');
+const globalHooks = require('../../hooks');
 
 // get an json api conform entry
 const getDataEntry = ({type, id, name, authorities = ["can-read"], attributes = {}}) => {
@@ -45,11 +46,17 @@ class ScopeResolver {
 					]
 				}));
 
-				// find courses and classes where user is student or teacher
-				return Promise.all([
-					courseService.find({query: {$or: [{userIds: user._id}, {teacherIds: user._id}]}, headers: {"x-api-key": (params.headers || {})["x-api-key"]}}),
-					classService.find({query: {$or: [{userIds: user._id}, {teacherIds: user._id}]}, headers: {"x-api-key": (params.headers || {})["x-api-key"]}})
-				]).then(([courses, classes]) => {
+				// find courses and classes where user is student or teacher, parents read the courses of their children
+				return globalHooks.findChildren(user).then(children => {
+					const query = {$or: [{userIds: user._id}, {teacherIds: user._id}]};
+					const courseQuery = children.length > 0
+						? {$or: query.$or.concat([{userIds: {$in: children.map(child => child._id)}}])}
+						: query;
+					return Promise.all([
+						courseService.find({query: courseQuery, headers: {"x-api-key": (params.headers || {})["x-api-key"]}}),
+						classService.find({query, headers: {"x-api-key": (params.headers || {})["x-api-key"]}})
+					]);
+				}).then(([courses, classes]) => {
 					courses.data = courses.data.map(c => {
 						c.attributes = {
 							scopeType: 'course'
@@ -0,0 +1,154 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const moment = require('moment');
+const {roomModel, bookingModel} = require('./model');
+const {courseModel} = require('../user-group/model');
+const {findConflicts} = require('../timetable/parsers');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * sets the room references of course times, a time with a room name gets the room of the school with this name
+ * and a time with a room reference gets the name of the room
+ * @param schoolId {ObjectId}
+ * @param times [Object] - the course times, changed in place
+ * @returns {Promise} - rejects if a referenced room doesn't belong to the school
+ */
+const resolveRooms = (schoolId, times) => {
+	const names = times.filter(time => !time.roomId && time.room).map(time => time.room.trim());
+	const ids = times.filter(time => time.roomId).map(time => time.roomId);
+	if (names.length === 0 && ids.length === 0) return Promise.resolve(times);
+
+	return roomModel.find({
+		schoolId,
+		$or: [
+			{_id: {$in: ids}},
+			{name: {$in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i'))}}
+		]
+	}).lean().exec().then(rooms => {
+		times.forEach(time => {
+			if (time.roomId) {
+				const room = rooms.find(candidate => toId(candidate._id) === toId(time.roomId));
+				if (!room) throw new errors.BadRequest('Der Raum gehört nicht zur Schule.');
+				time.room = room.name;
+			} else if (time.room) {
+				const room = rooms.find(candidate => candidate.name.toLowerCase() === time.room.trim().toLowerCase());
+				if (room) time.roomId = room._id;
+			}
+		});
+		return times;
+	});
+};
+
+/**
+ * finds the times of other running courses of the school which use the same room at the same time
+ * @param course {_id, name, schoolId, times} - the course with the new times, _id is undefined for a new course
+ * @returns [{type, resource, weekday, start, end, courses}] - resource is the name of the room
+ */
+const findRoomConflicts = (course) => {
+	const roomIds = (course.times || []).filter(time => time.roomId).map(time => time.roomId);
+	if (roomIds.length === 0) return Promise.resolve([]);
+
+	const toSlots = (other) => ({
+		name: other.name,
+		times: (other.times || []).map(time => Object.assign({}, time, {room: toId(time.roomId)}))
+	});
+	const query = {
+		schoolId: course.schoolId,
+		archivedAt: null,
+		$or: [{untilDate: null}, {untilDate: {$gte: new Date()}}],
+		'times.roomId': {$in: roomIds}
+	};
+	if (course._id) query._id = {$ne: course._id};
+	return courseModel.find(query).select('name times').lean().exec().then(others => {
+		const names = {};
+		course.times.forEach(time => {
+			if (time.roomId) names[toId(time.roomId)] = time.room;
+		});
+		// each other course is compared on its own, so only the conflicts with the given course are found
+		return others.reduce((conflicts, other) => conflicts.concat(findConflicts([toSlots(course), toSlots(other)])), [])
+			.map(conflict => Object.assign(conflict, {resource: names[conflict.resource] || conflict.resource}));
+	});
+};
+
+/**
+ * whether a weekly course time takes place within the given period
+ */
+const overlapsCourseTime = (course, time, start, end) => {
+	const day = moment(start).startOf('day');
+	for (; day.toDate() < end; day.add(1, 'day')) {
+		if (day.isoWeekday() - 1 !== time.weekday) continue;
+		const lessonStart = day.clone().add(time.startTime || 0, 'ms').toDate();
+		const lessonEnd = new Date(lessonStart.getTime() + (time.duration || 0));
+		const running = (!course.startDate || new Date(course.startDate) <= lessonEnd)
+			&& (!course.untilDate || new Date(course.untilDate) >= lessonStart);
+		if (running && lessonStart < end && start < lessonEnd) return true;
+	}
+	return false;
+};
+
+/**
+ * finds the bookings and course times which use the room within the period of a booking
+ * @param booking {_id, roomId, start, end}
+ * @returns [{type: 'booking'|'course', id, name}]
+ */
+const findBookingConflicts = (booking) => {
+	const start = new Date(booking.start);
+	const end = new Date(booking.end);
+	const query = {roomId: booking.roomId, start: {$lt: end}, end: {$gt: start}};
+	if (booking._id) query._id = {$ne: booking._id};
+	return Promise.all([
+		bookingModel.find(query).lean().exec(),
+		courseModel.find({'times.roomId': booking.roomId, archivedAt: null}).select('name times startDate untilDate').lean().exec()
+	]).then(([bookings, courses]) => {
+		const conflicts = bookings.map(other => ({type: 'booking', id: toId(other._id), name: other.title}));
+		courses.forEach(course => {
+			const used = course.times.some(time => toId(time.roomId) === toId(booking.roomId)
+				&& overlapsCourseTime(course, time, start, end));
+			if (used) conflicts.push({type: 'course', id: toId(course._id), name: course.name});
+		});
+		return conflicts;
+	});
+};
+
+/**
+ * creates the rooms of a school from the room names of its course times and references them,
+ * the names of the course times are kept
+ * @returns {rooms: [String], courses: Number} - the names of the created rooms and the number of changed courses
+ */
+const migrateRoomNames = (schoolId, dryRun) => {
+	return Promise.all([
+		courseModel.find({schoolId, times: {$elemMatch: {room: {$nin: [null, '']}, roomId: null}}}).lean().exec(),
+		roomModel.find({schoolId}).lean().exec()
+	]).then(([courses, rooms]) => {
+		const existing = rooms.map(room => room.name.toLowerCase());
+		const missing = [];
+		courses.forEach(course => course.times.forEach(time => {
+			const name = (time.room || '').trim();
+			if (!name || time.roomId) return;
+			if (!existing.includes(name.toLowerCase()) && !missing.some(other => other.toLowerCase() === name.toLowerCase())) {
+				missing.push(name);
+			}
+		}));
+		const result = {rooms: missing, courses: courses.length};
+		if (dryRun) return result;
+
+		return missing.reduce((promise, name) => promise.then(() => roomModel.create({schoolId, name})), Promise.resolve())
+			.then(() => courses.reduce((promise, course) => promise.then(() => {
+				return resolveRooms(schoolId, course.times)
+					.then(times => courseModel.update({_id: course._id}, {$set: {times}}).exec());
+			}), Promise.resolve()))
+			.then(() => result);
+	});
+};
+
+module.exports = {
+	resolveRooms,
+	findRoomConflicts,
+	overlapsCourseTime,
+	findBookingConflicts,
+	migrateRoomNames
+};
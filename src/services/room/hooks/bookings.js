@@ -0,0 +1,94 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const {roomModel, bookingModel} = require('../model');
+const {findBookingConflicts} = require('../helpers');
+const restrictToCurrentSchool = globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool);
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const getCurrentUser = hook => hook.app.service('/users').get(hook.params.account.userId);
+
+/**
+ * loads the stored booking for patch and remove
+ */
+const loadBooking = hook => {
+	if (!mongoose.Types.ObjectId.isValid(hook.id)) throw new errors.NotFound('Die Buchung existiert nicht.');
+	return bookingModel.findById(hook.id).lean().exec().then(booking => {
+		if (!booking) throw new errors.NotFound('Die Buchung existiert nicht.');
+		hook.params.booking = booking;
+		return hook;
+	});
+};
+
+/**
+ * the bookings are made for the current user, internal calls may give the user
+ */
+const setOwner = hook => {
+	if (hook.params.provider || !hook.data.userId) hook.data.userId = hook.params.account.userId;
+	return hook;
+};
+
+/**
+ * checks the period and that the room of the school is free, the conflicts are given in the error data
+ */
+const validateBooking = hook => {
+	const stored = hook.params.booking;
+	if (stored) ['schoolId', 'userId'].forEach(field => delete hook.data[field]);
+	const booking = Object.assign({}, stored, hook.data);
+	const start = new Date(booking.start);
+	const end = new Date(booking.end);
+	if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new errors.BadRequest('Der Beginn und das Ende müssen angegeben werden.');
+	if (start >= end) throw new errors.BadRequest('Das Ende muss nach dem Beginn liegen.');
+	if (!mongoose.Types.ObjectId.isValid(booking.roomId)) throw new errors.BadRequest('Der Raum fehlt.');
+
+	const loadUser = hook.params.provider ? getCurrentUser(hook) : Promise.resolve();
+	return Promise.all([roomModel.findById(booking.roomId).lean().exec(), loadUser]).then(([room, user]) => {
+		if (!room) throw new errors.NotFound('Der Raum existiert nicht.');
+		if (user && toId(user.schoolId) !== toId(room.schoolId)) throw new errors.Forbidden('Der Raum gehört nicht zu deiner Schule.');
+		hook.data.schoolId = room.schoolId;
+		hook.data.updatedAt = new Date();
+		return findBookingConflicts(Object.assign(booking, {start, end}));
+	}).then(conflicts => {
+		if (conflicts.length > 0) throw new errors.Conflict('Der Raum ist in diesem Zeitraum bereits belegt.', {conflicts});
+		return hook;
+	});
+};
+
+/**
+ * a booking can be changed by its owner and the administrators of the school
+ */
+const restrictToOwner = globalHooks.ifNotLocal(hook => {
+	return getCurrentUser(hook).then(user => {
+		const booking = hook.params.booking;
+		if (toId(user.schoolId) !== toId(booking.schoolId)) throw new errors.Forbidden('Die Buchung gehört nicht zu deiner Schule.');
+		if (toId(user._id) !== toId(booking.userId) && !(user.permissions || []).includes('SCHOOL_EDIT')) {
+			throw new errors.Forbidden('Nur die eigenen Buchungen können geändert werden.');
+		}
+		return hook;
+	});
+});
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('USERGROUP_VIEW'), restrictToCurrentSchool],
+	get: [globalHooks.hasPermission('USERGROUP_VIEW')],
+	create: [globalHooks.hasPermission('USERGROUP_EDIT'), setOwner, validateBooking],
+	update: [hooks.disable()],
+	patch: [globalHooks.hasPermission('USERGROUP_EDIT'), loadBooking, restrictToOwner, validateBooking],
+	remove: [globalHooks.hasPermission('USERGROUP_EDIT'), loadBooking, restrictToOwner]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [globalHooks.ifNotLocal(globalHooks.denyIfNotCurrentSchool({errorMessage: 'Die Buchung gehört nicht zur eigenen Schule!'}))],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
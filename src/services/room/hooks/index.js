@@ -0,0 +1,58 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const {courseModel} = require('../../user-group/model');
+const {bookingModel} = require('../model');
+const restrictToCurrentSchool = globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool);
+
+/**
+ * a room can't be removed while course times or bookings use it
+ */
+const preventRemoveIfUsed = hook => {
+	return Promise.all([
+		courseModel.count({'times.roomId': hook.id}).exec(),
+		bookingModel.count({roomId: hook.id, end: {$gt: new Date()}}).exec()
+	]).then(([courses, bookings]) => {
+		if (courses > 0 || bookings > 0) {
+			throw new errors.Conflict(`Der Raum wird noch von ${courses} Kursen und ${bookings} Buchungen verwendet.`);
+		}
+		return hook;
+	});
+};
+
+/**
+ * only the rooms of the own school can be changed
+ */
+const scopeToCurrentSchool = globalHooks.ifNotLocal(hook => {
+	return hook.app.service('/users').get(hook.params.account.userId).then(user => {
+		hook.params.query = Object.assign({}, hook.params.query, {schoolId: user.schoolId});
+		return hook;
+	});
+});
+
+const setUpdatedAt = hook => {
+	hook.data.updatedAt = new Date();
+	return hook;
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('USERGROUP_VIEW'), restrictToCurrentSchool],
+	get: [globalHooks.hasPermission('USERGROUP_VIEW')],
+	create: [globalHooks.hasPermission('SCHOOL_EDIT'), restrictToCurrentSchool],
+	update: [globalHooks.hasPermission('SCHOOL_EDIT'), restrictToCurrentSchool, scopeToCurrentSchool, setUpdatedAt],
+	patch: [globalHooks.hasPermission('SCHOOL_EDIT'), restrictToCurrentSchool, globalHooks.permitGroupOperation, scopeToCurrentSchool, setUpdatedAt],
+	remove: [globalHooks.hasPermission('SCHOOL_EDIT'), globalHooks.permitGroupOperation, scopeToCurrentSchool, preventRemoveIfUsed]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [globalHooks.ifNotLocal(globalHooks.denyIfNotCurrentSchool({errorMessage: 'Der Raum gehört nicht zur eigenen Schule!'}))],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
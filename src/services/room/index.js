@@ -0,0 +1,40 @@
+'use strict';
+
+const service = require('feathers-mongoose');
+const {roomModel, bookingModel} = require('./model');
+const hooks = require('./hooks');
+const bookingHooks = require('./hooks/bookings');
+const migrationService = require('./migration-service');
+
+module.exports = function () {
+	const app = this;
+
+	// registered before /rooms, otherwise /rooms/:id would match the migration
+	app.configure(migrationService);
+
+	/* Room model */
+	app.use('/rooms', service({
+		Model: roomModel,
+		paginate: {
+			default: 25,
+			max: 1000
+		},
+		lean: true
+	}));
+	const roomService = app.service('/rooms');
+	roomService.before(hooks.before);
+	roomService.after(hooks.after);
+
+	/* Booking model */
+	app.use('/bookings', service({
+		Model: bookingModel,
+		paginate: {
+			default: 25,
+			max: 1000
+		},
+		lean: true
+	}));
+	const bookingService = app.service('/bookings');
+	bookingService.before(bookingHooks.before);
+	bookingService.after(bookingHooks.after);
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+const hooks = require('./hooks/migration');
+const {migrateRoomNames} = require('./helpers');
+
+/**
+ * replaces the room names of the course times of a school by references to rooms
+ */
+class RoomMigrationService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'Creates the rooms of a school from the room names of its course times',
+			create: {
+				parameters: [
+					{
+						description: 'only returns the rooms which would be created',
+						name: 'dryRun',
+						type: 'boolean'
+					}
+				],
+				summary: 'Creates the missing rooms and references them in the course times of the school of the current user'
+			}
+		};
+	}
+
+	/**
+	 * @returns {dryRun, rooms: [String], courses: Number}
+	 */
+	create(data, params) {
+		const dryRun = (data || {}).dryRun === true || (data || {}).dryRun === 'true';
+		return this.app.service('/users').get(params.account.userId)
+			.then(user => migrateRoomNames(user.schoolId, dryRun))
+			.then(result => Object.assign({dryRun}, result));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/rooms/migration', new RoomMigrationService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const migrationService = app.service('/rooms/migration');
+
+	// Set up our before hooks
+	migrationService.before(hooks.before);
+
+	// Set up our after hooks
+	migrationService.after(hooks.after);
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+// room-model.js - A mongoose model
+//
+// See http://mongoosejs.com/docs/models.html
+// for more of what you can do here.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// rooms are used by course times and bookings, resources (e.g. a laptop cart) by bookings only
+const roomTypes = ['room', 'resource'];
+
+const roomSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
+	name: {type: String, required: true},
+	type: {type: String, enum: roomTypes, 'default': 'room'},
+	capacity: {type: Number, min: 0},
+	equipment: [{type: String}],
+	description: {type: String},
+	createdAt: {type: Date, 'default': Date.now},
+	updatedAt: {type: Date, 'default': Date.now}
+});
+
+roomSchema.index({schoolId: 1, name: 1}, {unique: true});
+
+/**
+ * an ad-hoc reservation of a room or resource, e.g. for an exam or a parents' evening
+ */
+const bookingSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
+	roomId: {type: Schema.Types.ObjectId, ref: 'room', required: true},
+	userId: {type: Schema.Types.ObjectId, ref: 'user', required: true},
+	title: {type: String, required: true},
+	start: {type: Date, required: true},
+	end: {type: Date, required: true},
+	courseId: {type: Schema.Types.ObjectId, ref: 'course'},
+	createdAt: {type: Date, 'default': Date.now},
+	updatedAt: {type: Date, 'default': Date.now}
+});
+
+bookingSchema.index({roomId: 1, start: 1, end: 1});
+
+const roomModel = mongoose.model('room', roomSchema);
+const bookingModel = mongoose.model('booking', bookingSchema);
+
+module.exports = {
+	roomModel,
+	bookingModel
+};
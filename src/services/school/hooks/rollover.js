@@ -0,0 +1,40 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+
+/**
+ * administrators can only change the year of their own school
+ */
+const restrictToOwnSchool = hook => {
+	const userId = hook.params.account.userId;
+	return Promise.all([
+		hook.app.service('/users').get(userId),
+		globalHooks.hasRole(hook, userId, 'superhero')
+	]).then(([user, isSuperHero]) => {
+		if (isSuperHero || JSON.stringify(user.schoolId) === JSON.stringify(hook.params.schoolId)) return hook;
+		throw new errors.Forbidden('Der Schuljahreswechsel ist nur für die eigene Schule möglich.');
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt'), globalHooks.hasPermission('SCHOOL_EDIT'), globalHooks.ifNotLocal(restrictToOwnSchool)],
+	find: [],
+	get: [],
+	create: [],
+	update: [hooks.disable()],
+	patch: [],
+	remove: []
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [],
+	create: [],
+	update: [],
+	patch: [],
+	remove: []
+};
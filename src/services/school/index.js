@@ -3,6 +3,7 @@
 const service = require('feathers-mongoose');
 const schoolModels = require('./model');
 const hooks = require('./hooks');
+const rolloverService = require('./rollover-service');
 
 module.exports = function () {
 	const app = this;
@@ -51,4 +52,7 @@ module.exports = function () {
 	const gradeLevelService = app.service('/gradeLevels');
 	gradeLevelService.before(hooks.before);
 	gradeLevelService.after(hooks.after);
+
+	/* rollover Service */
+	app.configure(rolloverService);
 };
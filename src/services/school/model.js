@@ -8,7 +8,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
-const fileStorageTypes = ['awsS3'];
+const fileStorageTypes = ['awsS3', 'localFs'];
 
 const schoolSchema = new Schema({
 	name: {type: String, required: true},
@@ -34,12 +34,32 @@ const gradeLevelSchema = new Schema({
 	name: {type: String, required: true}
 });
 
+/**
+ * the rollover of a school to the next school year, the plan is computed as preview and executed after a confirmation
+ */
+const rolloverSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true, index: true},
+	fromYear: {type: Schema.Types.ObjectId, ref: 'year'},
+	toYear: {type: Schema.Types.ObjectId, ref: 'year', required: true},
+	status: {type: String, enum: ['preview', 'running', 'done', 'failed'], 'default': 'preview'},
+	plan: {type: Object, required: true},
+	result: {type: Object},
+	error: {type: String},
+	createdBy: {type: Schema.Types.ObjectId, ref: 'user'},
+	executedBy: {type: Schema.Types.ObjectId, ref: 'user'},
+	executedAt: {type: Date}
+},{
+	timestamps: true
+});
+
 const schoolModel = mongoose.model('school', schoolSchema);
 const yearModel = mongoose.model('year', yearSchema);
 const gradeLevelModel = mongoose.model('gradeLevel', gradeLevelSchema);
+const rolloverModel = mongoose.model('rollover', rolloverSchema);
 
 module.exports = {
 	schoolModel,
 	yearModel,
-	gradeLevelModel
+	gradeLevelModel,
+	rolloverModel
 };
@@ -0,0 +1,275 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const hooks = require('./hooks/rollover');
+const {schoolModel, yearModel, gradeLevelModel, rolloverModel} = require('./model');
+const {classModel, courseModel} = require('../user-group/model');
+const {userModel} = require('../user/model');
+const roleModel = require('../role/model');
+const accountModel = require('../account/model');
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const getUserId = (params) => (params.account || {}).userId;
+
+/**
+ * the school years are named like 2017/18, so their order is given by the name
+ */
+const sortYears = (years) => years.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+const sortGradeLevels = (gradeLevels) => gradeLevels.slice().sort((a, b) => Number(a.name) - Number(b.name));
+
+/**
+ * computes what the rollover will change, without any side effects
+ * @param school {Object}
+ * @param years [Object] - all school years
+ * @param gradeLevels [Object] - all grade levels
+ * @param classes [Object] - the classes of the school
+ * @param courses [Object] - the courses of the school
+ * @param studentIds [String] - the ids of the students which are members of the classes
+ * @param toYearId {String} - the next school year, default is the year after the current one
+ * @param now {Date}
+ * @returns {fromYear, toYear, classes, graduatingClasses, graduates, courses}
+ */
+const computePlan = ({school, years, gradeLevels, classes, courses, studentIds, toYearId, now}) => {
+	const sortedYears = sortYears(years);
+	const fromYear = sortedYears.find(year => toId(year._id) === toId(school.currentYear));
+	const toYear = toYearId
+		? sortedYears.find(year => toId(year._id) === toId(toYearId))
+		: sortedYears[sortedYears.indexOf(fromYear) + 1];
+	if (!toYear) throw new errors.BadRequest('Es gibt kein nächstes Schuljahr.');
+	if (fromYear && toId(fromYear._id) === toId(toYear._id)) throw new errors.BadRequest('Das Schuljahr ist bereits das aktuelle.');
+
+	const levels = sortGradeLevels(gradeLevels);
+	const students = new Set(studentIds.map(toId));
+	const plan = {
+		fromYear: fromYear ? {_id: toId(fromYear._id), name: fromYear.name} : undefined,
+		toYear: {_id: toId(toYear._id), name: toYear.name},
+		classes: [],
+		graduatingClasses: [],
+		graduates: [],
+		courses: []
+	};
+
+	classes
+		.filter(schoolClass => toId(schoolClass.year) === (plan.fromYear || {})._id)
+		.forEach(schoolClass => {
+			const level = levels.findIndex(gradeLevel => toId(gradeLevel._id) === toId(schoolClass.gradeLevel));
+			const byGradeLevel = schoolClass.nameFormat === 'gradeLevel+name' && level >= 0;
+			if (byGradeLevel && level === levels.length - 1) {
+				const graduates = (schoolClass.userIds || []).map(toId).filter(id => students.has(id));
+				plan.graduatingClasses.push({
+					classId: toId(schoolClass._id),
+					name: `${levels[level].name}${schoolClass.name}`,
+					graduates
+				});
+				graduates.forEach(id => {
+					if (!plan.graduates.includes(id)) plan.graduates.push(id);
+				});
+				return;
+			}
+			const nextLevel = byGradeLevel ? levels[level + 1] : undefined;
+			plan.classes.push({
+				classId: toId(schoolClass._id),
+				name: byGradeLevel ? `${levels[level].name}${schoolClass.name}` : schoolClass.name,
+				newName: byGradeLevel ? `${nextLevel.name}${schoolClass.name}` : schoolClass.name,
+				gradeLevel: nextLevel ? toId(nextLevel._id) : undefined,
+				users: (schoolClass.userIds || []).length,
+				teachers: (schoolClass.teacherIds || []).length
+			});
+		});
+
+	courses
+		.filter(course => !course.archivedAt && course.untilDate && new Date(course.untilDate) < now)
+		.forEach(course => {
+			plan.courses.push({courseId: toId(course._id), name: course.name, untilDate: course.untilDate});
+		});
+
+	return plan;
+};
+
+/**
+ * advances a school to the next school year: the classes are copied to the new year with the next grade level,
+ * the ended courses are archived and the students of the last grade level are removed
+ */
+class RolloverService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The rollover of a school to the next school year, created as preview and executed by a patch with confirm'
+		};
+	}
+
+	find(params) {
+		return rolloverModel.find({schoolId: params.schoolId}).sort({createdAt: -1}).lean().exec();
+	}
+
+	get(id, params) {
+		return this.getJob(id, params.schoolId);
+	}
+
+	/**
+	 * computes the preview of the rollover, an earlier preview of the school is replaced
+	 * @param data {toYear} - the id of the next school year (optional)
+	 */
+	create(data, params) {
+		const schoolId = params.schoolId;
+		return schoolModel.findById(schoolId).lean().exec().then(school => {
+			if (!school) throw new errors.NotFound('Die Schule existiert nicht.');
+			return Promise.all([
+				yearModel.find({}).lean().exec(),
+				gradeLevelModel.find({}).lean().exec(),
+				classModel.find({schoolId}).lean().exec(),
+				courseModel.find({schoolId}).select('name untilDate archivedAt').lean().exec(),
+				roleModel.findOne({name: 'student'}).lean().exec()
+			]).then(([years, gradeLevels, classes, courses, studentRole]) => {
+				const memberIds = classes.reduce((ids, schoolClass) => ids.concat(schoolClass.userIds || []), []);
+				const findStudents = studentRole
+					? userModel.find({_id: {$in: memberIds}, roles: studentRole._id}).select('_id').lean().exec()
+					: Promise.resolve([]);
+				return findStudents
+					.then(students => computePlan({
+						school,
+						years,
+						gradeLevels,
+						classes,
+						courses,
+						studentIds: students.map(student => student._id),
+						toYearId: (data || {}).toYear,
+						now: new Date()
+					}));
+			});
+		}).then(plan => {
+			return rolloverModel.remove({schoolId, status: 'preview'}).exec()
+				.then(() => rolloverModel.create({
+					schoolId,
+					fromYear: (plan.fromYear || {})._id,
+					toYear: plan.toYear._id,
+					plan,
+					createdBy: getUserId(params)
+				}));
+		}).then(job => job.toObject());
+	}
+
+	/**
+	 * executes the previewed rollover
+	 * @param data {confirm: true}
+	 */
+	patch(id, data, params) {
+		if (!data || !(data.confirm === true || data.confirm === 'true')) {
+			return Promise.reject(new errors.BadRequest('Die Ausführung muss mit confirm bestätigt werden.'));
+		}
+		return this.getJob(id, params.schoolId).then(job => {
+			if (job.status !== 'preview') throw new errors.Conflict('Der Schuljahreswechsel wurde bereits ausgeführt.');
+			return schoolModel.findById(job.schoolId).lean().exec().then(school => {
+				// the plan is outdated if the year was changed in the meantime
+				if (toId(school.currentYear) !== toId(job.fromYear)) {
+					throw new errors.Conflict('Das Schuljahr der Schule hat sich geändert, bitte erstelle eine neue Vorschau.');
+				}
+				// only one request can start the job
+				return rolloverModel.findOneAndUpdate(
+					{_id: job._id, status: 'preview'},
+					{status: 'running', executedBy: getUserId(params), executedAt: new Date()},
+					{new: true}
+				).lean().exec();
+			});
+		}).then(job => {
+			if (!job) throw new errors.Conflict('Der Schuljahreswechsel wurde bereits ausgeführt.');
+			const result = {createdClassIds: [], archivedCourseIds: [], removedUserIds: []};
+			return this.execute(job, result)
+				.then(() => rolloverModel.findByIdAndUpdate(job._id, {status: 'done', result}, {new: true}).lean().exec())
+				// the progress is kept, a new rollover continues where this one failed
+				.catch(err => rolloverModel.findByIdAndUpdate(job._id, {status: 'failed', result, error: err.message}).exec().then(() => {
+					throw err;
+				}));
+		});
+	}
+
+	/**
+	 * cancels a preview
+	 */
+	remove(id, params) {
+		return this.getJob(id, params.schoolId).then(job => {
+			if (job.status !== 'preview') throw new errors.Conflict('Nur eine Vorschau kann verworfen werden.');
+			return rolloverModel.findByIdAndRemove(job._id).lean().exec();
+		});
+	}
+
+	/**
+	 * executes the plan and collects the changes in the result, a class which was already copied
+	 * to the next year by a failed rollover is not copied again
+	 */
+	execute(job, result) {
+		const {plan} = job;
+
+		return plan.classes.reduce((promise, entry) => promise.then(() => {
+			return classModel.findById(entry.classId).lean().exec().then(schoolClass => {
+				if (!schoolClass) return;
+				return classModel.findOne({
+					schoolId: schoolClass.schoolId,
+					name: schoolClass.name,
+					year: plan.toYear._id,
+					gradeLevel: entry.gradeLevel || null
+				}).select('_id').lean().exec().then(copy => copy || classModel.create({
+					name: schoolClass.name,
+					schoolId: schoolClass.schoolId,
+					userIds: schoolClass.userIds,
+					teacherIds: schoolClass.teacherIds,
+					year: plan.toYear._id,
+					gradeLevel: entry.gradeLevel,
+					nameFormat: schoolClass.nameFormat
+				})).then(created => {
+					result.createdClassIds.push(toId(created._id));
+				});
+			});
+		}), Promise.resolve())
+			.then(() => {
+				const courseIds = plan.courses.map(course => course.courseId);
+				return courseModel.update({_id: {$in: courseIds}}, {archivedAt: new Date()}, {multi: true}).exec()
+					.then(() => {
+						result.archivedCourseIds = courseIds;
+					});
+			})
+			.then(() => plan.graduates.reduce((promise, userId) => promise.then(() => {
+				// the user service removes the students from their classes and courses
+				return this.app.service('/users').remove(userId)
+					.then(() => accountModel.remove({userId: mongoose.Types.ObjectId(userId)}).exec())
+					.then(() => {
+						result.removedUserIds.push(userId);
+					})
+					.catch(err => {
+						if (err.code !== 404) throw err;
+					});
+			}), Promise.resolve()))
+			.then(() => schoolModel.findByIdAndUpdate(job.schoolId, {currentYear: plan.toYear._id}).exec())
+			.then(() => result);
+	}
+
+	getJob(id, schoolId) {
+		if (!mongoose.Types.ObjectId.isValid(id)) return Promise.reject(new errors.NotFound('Der Schuljahreswechsel existiert nicht.'));
+		return rolloverModel.findOne({_id: id, schoolId}).lean().exec().then(job => {
+			if (!job) throw new errors.NotFound('Der Schuljahreswechsel existiert nicht.');
+			return job;
+		});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/schools/:schoolId/rollover', new RolloverService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const rolloverService = app.service('/schools/:schoolId/rollover');
+
+	// Set up our before hooks
+	rolloverService.before(hooks.before);
+
+	// Set up our after hooks
+	rolloverService.after(hooks.after);
+};
+
+module.exports.computePlan = computePlan;
@@ -0,0 +1,169 @@
+'use strict';
+
+const globalHooks = require('../../../hooks');
+const hooks = require('feathers-hooks');
+const auth = require('feathers-authentication');
+const errors = require('feathers-errors');
+const mongoose = require('mongoose');
+const logger = require('winston');
+const {substitutionModel} = require('../model');
+const {courseModel} = require('../../user-group/model');
+const {userModel} = require('../../user/model');
+const {parseDay, getWeekday, formatTime} = require('../parsers');
+const restrictToCurrentSchool = globalHooks.ifNotLocal(globalHooks.restrictToCurrentSchool);
+
+const toId = (id) => id ? id.toString() : undefined;
+
+// the lesson of an exception can't be changed, a new exception has to be created instead
+const fixedFields = ['schoolId', 'courseId', 'courseTimeId', 'date', 'createdBy'];
+
+/**
+ * loads the stored exception for patch and remove
+ */
+const loadSubstitution = hook => {
+	if (!mongoose.Types.ObjectId.isValid(hook.id)) throw new errors.NotFound('Die Vertretung existiert nicht.');
+	return substitutionModel.findById(hook.id).lean().exec().then(substitution => {
+		if (!substitution) throw new errors.NotFound('Die Vertretung existiert nicht.');
+		hook.params.substitution = substitution;
+		return hook;
+	});
+};
+
+/**
+ * checks the course time and the date of the exception and that it changes the lesson,
+ * the course and its time are kept in the params for the notification
+ */
+const validateSubstitution = hook => {
+	const stored = hook.params.substitution;
+	if (stored) {
+		fixedFields.forEach(field => delete hook.data[field]);
+	} else {
+		hook.data.date = parseDay(hook.data.date);
+		if (!hook.data.date) throw new errors.BadRequest('Das Datum muss im Format YYYY-MM-DD angegeben werden.');
+		hook.data.createdBy = (hook.params.account || {}).userId;
+	}
+	const substitution = Object.assign({}, stored, hook.data);
+
+	return courseModel.findById(substitution.courseId).lean().exec().then(course => {
+		if (!course) throw new errors.NotFound('Der Kurs existiert nicht.');
+		const time = (course.times || []).find(courseTime => toId(courseTime._id) === toId(substitution.courseTimeId));
+		if (!time) throw new errors.BadRequest('Der Kurs hat diese Unterrichtszeit nicht.');
+		if (getWeekday(new Date(substitution.date)) !== time.weekday) {
+			throw new errors.BadRequest('Die Unterrichtszeit findet an diesem Tag nicht statt.');
+		}
+
+		const cancelled = substitution.cancelled === true || substitution.cancelled === 'true';
+		if (!cancelled && !substitution.room && !substitution.substituteId) {
+			throw new errors.BadRequest('Die Stunde muss entfallen, in einen anderen Raum verlegt oder vertreten werden.');
+		}
+		if (cancelled) {
+			// a cancelled lesson has neither room nor substitute
+			Object.assign(hook.data, {room: null, substituteId: null});
+		}
+		hook.data.schoolId = stored ? stored.schoolId : course.schoolId;
+		hook.data.updatedAt = new Date();
+		hook.params.course = course;
+		hook.params.courseTime = time;
+
+		if (!hook.data.substituteId) return hook;
+		return userModel.findOne({_id: hook.data.substituteId, schoolId: course.schoolId}).select('_id').lean().exec().then(user => {
+			if (!user) throw new errors.BadRequest('Die Vertretungslehrkraft gehört nicht zur Schule.');
+			return hook;
+		});
+	});
+};
+
+/**
+ * the teachers and substitutes of a course may change the exceptions of its times, the administrators those of their school
+ */
+const restrictToCourseTeachers = hook => {
+	if (!hook.params.provider) return hook;
+	const userId = toId(hook.params.account.userId);
+	const load = hook.params.course
+		? Promise.resolve(hook.params.course)
+		: courseModel.findById(hook.params.substitution.courseId).lean().exec();
+	return Promise.all([load, hook.app.service('/users').get(userId)]).then(([course, user]) => {
+		hook.params.course = course;
+		const schoolId = course ? course.schoolId : hook.params.substitution.schoolId;
+		if (toId(schoolId) !== toId(user.schoolId)) throw new errors.Forbidden('Die Vertretung gehört nicht zu deiner Schule.');
+		if ((user.permissions || []).includes('SCHOOL_EDIT')) return hook;
+		const teacherIds = course ? (course.teacherIds || []).concat(course.substitutionIds || []).map(toId) : [];
+		if (!teacherIds.includes(userId)) throw new errors.Forbidden('Nur die Lehrkräfte des Kurses können die Vertretung ändern.');
+		return hook;
+	});
+};
+
+const restrictResultToSchool = hook => {
+	return hook.app.service('/users').get(hook.params.account.userId).then(user => {
+		if (toId(user.schoolId) !== toId(hook.result.schoolId)) throw new errors.Forbidden('Die Vertretung gehört nicht zu deiner Schule.');
+		return hook;
+	});
+};
+
+const describe = (substitution, substitute) => {
+	if (substitution.cancelled) return 'entfällt';
+	const changes = [];
+	if (substitution.room) changes.push(`findet in Raum ${substitution.room} statt`);
+	if (substitute) changes.push(`wird von ${substitute.firstName} ${substitute.lastName} vertreten`);
+	return changes.join(' und ');
+};
+
+/**
+ * notifies the students and teachers of the course and the substitute, a failed notification doesn't fail the request
+ */
+const notify = hook => {
+	const substitution = hook.method === 'remove' ? hook.params.substitution : hook.result;
+	const load = hook.params.course
+		? Promise.resolve(hook.params.course)
+		: courseModel.findById(substitution.courseId).lean().exec();
+	return load.then(course => {
+		if (!course) return hook;
+		const time = hook.params.courseTime
+			|| (course.times || []).find(courseTime => toId(courseTime._id) === toId(substitution.courseTimeId)) || {};
+		const substituteIds = [substitution.substituteId, (hook.params.substitution || {}).substituteId].filter(id => id);
+		const recipientIds = (course.userIds || []).concat(course.teacherIds || [], course.substitutionIds || [], substituteIds)
+			.map(toId)
+			.filter((id, index, ids) => ids.indexOf(id) === index);
+		const date = new Date(substitution.date);
+		const lesson = `Die Stunde ${course.name} am ${date.getUTCDate()}.${date.getUTCMonth() + 1}.${date.getUTCFullYear()}`
+			+ (time.startTime !== undefined ? ` um ${formatTime(time.startTime)} Uhr` : '');
+
+		const findSubstitute = substitution.substituteId && hook.method !== 'remove'
+			? userModel.findById(substitution.substituteId).select('firstName lastName').lean().exec()
+			: Promise.resolve();
+		return findSubstitute.then(substitute => {
+			const body = hook.method === 'remove'
+				? `${lesson} findet wieder wie geplant statt.`
+				: `${lesson} ${describe(substitution, substitute)}.${substitution.note ? ` ${substitution.note}` : ''}`;
+			return hook.app.service('/notification/messages').create({
+				title: `Vertretungsplan: ${course.name}`,
+				body,
+				action: `${process.env.HOST}/courses/${toId(course._id)}`,
+				priority: 'high',
+				scopeIds: recipientIds
+			}, {payload: {userId: toId((hook.params.account || {}).userId)}});
+		}).catch(err => {
+			logger.warn('the substitution could not be notified', err.message);
+		}).then(() => hook);
+	});
+};
+
+exports.before = {
+	all: [auth.hooks.authenticate('jwt')],
+	find: [globalHooks.hasPermission('USERGROUP_VIEW'), restrictToCurrentSchool],
+	get: [globalHooks.hasPermission('USERGROUP_VIEW')],
+	create: [globalHooks.hasPermission('USERGROUP_EDIT'), validateSubstitution, restrictToCourseTeachers],
+	update: [hooks.disable()],
+	patch: [globalHooks.hasPermission('USERGROUP_EDIT'), loadSubstitution, validateSubstitution, restrictToCourseTeachers],
+	remove: [globalHooks.hasPermission('USERGROUP_EDIT'), loadSubstitution, restrictToCourseTeachers]
+};
+
+exports.after = {
+	all: [],
+	find: [],
+	get: [globalHooks.ifNotLocal(restrictResultToSchool)],
+	create: [notify],
+	update: [],
+	patch: [notify],
+	remove: [notify]
+};
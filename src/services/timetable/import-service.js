@@ -0,0 +1,317 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const logger = require('winston');
+const hooks = require('./hooks/import');
+const {parseUntis, parseGenericCsv, detectFormat, groupByCourse, findConflicts} = require('./parsers');
+const {weekdays} = require('../calendar/ics');
+const {toSchoolTime, fromSchoolTime} = require('../calendar/ics-parser');
+const {courseModel} = require('../user-group/model');
+const {userModel} = require('../user/model');
+const roleModel = require('../role/model');
+const {getClassesByName} = require('../user-group/helpers');
+const {resolveRooms} = require('../room/helpers');
+
+const formats = ['untis', 'csv'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const sameIds = (a, b) => {
+	const ids = (a || []).map(toId).sort();
+	const others = (b || []).map(toId).sort();
+	return ids.length === others.length && ids.every((id, i) => id === others[i]);
+};
+
+/**
+ * the query contains the options as strings
+ */
+const parseJson = (value) => {
+	if (typeof value !== 'string') return value;
+	try {
+		return JSON.parse(value);
+	} catch (err) {
+		throw new errors.BadRequest(`Ungültiger Wert ${value}.`);
+	}
+};
+
+/**
+ * finds a teacher by the mapping, the last name or a unique beginning of the last name (Untis uses abbreviations like "MÜL")
+ * @param name {String} - the name of the teacher in the timetable
+ * @param teachers [Object] - the teachers of the school
+ * @param mapping {Object} - user ids by the name in the timetable
+ */
+const matchTeacher = (name, teachers, mapping) => {
+	if (mapping[name]) return teachers.find(teacher => toId(teacher._id) === toId(mapping[name]));
+	const lower = name.toLowerCase();
+	const byLastName = teachers.filter(teacher => (teacher.lastName || '').toLowerCase() === lower);
+	if (byLastName.length === 1) return byLastName[0];
+	if (lower.length < 3) return undefined;
+	const byPrefix = teachers.filter(teacher => (teacher.lastName || '').toLowerCase().startsWith(lower));
+	return byPrefix.length === 1 ? byPrefix[0] : undefined;
+};
+
+/**
+ * the first date of a weekly course time, the times are local times of the school like in the ICS feed
+ */
+const getFirstStart = (startDate, time) => {
+	const day = toSchoolTime(new Date(startDate));
+	day.setUTCHours(0, 0, 0, 0);
+	while ((day.getUTCDay() + 6) % 7 !== time.weekday) day.setUTCDate(day.getUTCDate() + 1);
+	return fromSchoolTime(new Date(day.getTime() + (time.startTime || 0)));
+};
+
+/**
+ * imports the timetable of a school from an Untis (GPU001) or csv export into the times of the courses,
+ * missing courses are created and the course times are synchronized to the calendar
+ */
+class TimetableImportService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'Imports the timetable of a school into the course times',
+			create: {
+				parameters: [
+					{
+						description: 'the content of the timetable file, can also be sent as request body',
+						name: 'file',
+						type: 'string'
+					},
+					{
+						description: 'untis (GPU001: number, class, teacher, subject, room, day, period) or csv (with the columns class, teacher, subject, room, weekday, start and end or duration), detected if not given',
+						name: 'format',
+						type: 'string'
+					},
+					{
+						description: 'the start times of the periods of the untis format as "HH:mm" or "HH:mm-HH:mm"',
+						name: 'periods',
+						type: 'array'
+					},
+					{
+						description: 'the user ids by the teacher names of the timetable, for teachers which are not found by their last name',
+						name: 'teachers',
+						type: 'object'
+					},
+					{
+						description: 'the start date of the created courses and calendar events',
+						name: 'startDate',
+						type: 'date'
+					},
+					{
+						description: 'the end date of the created courses and calendar events',
+						name: 'untilDate',
+						type: 'date'
+					},
+					{
+						description: 'only reports the changes and conflicts',
+						name: 'dryRun',
+						type: 'boolean'
+					}
+				],
+				summary: 'Sets the course times, creates the missing courses and returns a report with the double-booked rooms and teachers'
+			}
+		};
+	}
+
+	/**
+	 * the options are taken from the query if the file is sent as request body
+	 * @returns {dryRun, format, courses: [{courseId, name, action, teacherIds, times}], warnings, conflicts, calendar}
+	 */
+	create(data, params) {
+		const options = Buffer.isBuffer(data) || typeof data === 'string'
+			? Object.assign({}, params.query, {file: data.toString('utf8')})
+			: Object.assign({}, params.query, data);
+		if (!options.file) return Promise.reject(new errors.BadRequest('Die Stundenplan-Datei fehlt.'));
+		const format = options.format || detectFormat(options.file);
+		if (!formats.includes(format)) return Promise.reject(new errors.BadRequest(`Das Format ${format} ist unbekannt.`));
+
+		let mapping, periods;
+		try {
+			mapping = parseJson(options.teachers) || {};
+			periods = parseJson(options.periods);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		const startDate = options.startDate ? new Date(options.startDate) : new Date();
+		const untilDate = options.untilDate ? new Date(options.untilDate) : undefined;
+		if (isNaN(startDate.getTime()) || (untilDate && isNaN(untilDate.getTime()))) {
+			return Promise.reject(new errors.BadRequest('Das Datum ist ungültig.'));
+		}
+
+		const {lessons, warnings} = format === 'untis' ? parseUntis(options.file, periods) : parseGenericCsv(options.file);
+		if (lessons.length === 0) return Promise.reject(new errors.BadRequest('Die Datei enthält keine Unterrichtsstunden.'));
+
+		const dryRun = isTrue(options.dryRun);
+		const report = {dryRun, format, courses: [], warnings, conflicts: [], calendar: {created: 0, removed: 0, failed: 0}};
+
+		return this.app.service('/users').get(params.account.userId).then(currentUser => {
+			const schoolId = currentUser.schoolId;
+			return Promise.all([
+				getClassesByName(this.app, schoolId),
+				this.getTeachers(schoolId),
+				courseModel.find({schoolId, archivedAt: null}).lean().exec()
+			]).then(([classes, teachers, existingCourses]) => {
+				const planned = groupByCourse(lessons).map(entry => {
+					const classIds = [];
+					entry.classes.forEach(name => {
+						const schoolClass = classes[name.toLowerCase()];
+						if (schoolClass) classIds.push(toId(schoolClass._id));
+						else warnings.push({message: `Die Klasse ${name} existiert nicht (${entry.subject}).`});
+					});
+					const teacherIds = [];
+					entry.teachers.forEach(name => {
+						const teacher = matchTeacher(name, teachers, mapping);
+						if (teacher) teacherIds.push(toId(teacher._id));
+						else warnings.push({message: `Die Lehrkraft ${name} wurde nicht gefunden (${entry.subject}).`});
+					});
+					const name = entry.classes.length > 0 ? `${entry.subject} ${entry.classes.join(', ')}` : entry.subject;
+					const course = existingCourses.find(existing => existing.name.toLowerCase() === name.toLowerCase())
+						|| existingCourses.find(existing => existing.name.toLowerCase() === entry.subject.toLowerCase()
+							&& classIds.length > 0 && sameIds(existing.classIds, classIds));
+					return {
+						course,
+						name: course ? course.name : name,
+						classIds,
+						teacherIds,
+						times: entry.times.map(time => Object.assign({_id: mongoose.Types.ObjectId()}, time))
+					};
+				});
+
+				// the other courses of the school keep their times, so their rooms and teachers are checked as well
+				const importedIds = planned.filter(entry => entry.course).map(entry => toId(entry.course._id));
+				const others = existingCourses
+					.filter(course => !importedIds.includes(toId(course._id)))
+					.map(course => ({name: course.name, teachers: (course.teacherIds || []).map(toId), times: course.times}));
+				const teacherNames = {};
+				teachers.forEach(teacher => {
+					teacherNames[toId(teacher._id)] = `${teacher.firstName} ${teacher.lastName}`;
+				});
+				report.conflicts = findConflicts(planned.map(entry => ({name: entry.name, teachers: entry.teacherIds, times: entry.times})).concat(others))
+					.map(conflict => conflict.type === 'teacher'
+						? Object.assign(conflict, {resource: teacherNames[conflict.resource] || conflict.resource})
+						: conflict);
+
+				return planned.reduce((promise, entry) => promise.then(() => {
+					const result = {
+						courseId: entry.course ? toId(entry.course._id) : undefined,
+						name: entry.name,
+						action: entry.course ? 'update' : 'create',
+						teacherIds: entry.teacherIds,
+						times: entry.times.map(time => ({
+							weekday: weekdays[time.weekday],
+							startTime: moment.utc(time.startTime).format('HH:mm'),
+							endTime: moment.utc(time.startTime + time.duration).format('HH:mm'),
+							room: time.room
+						}))
+					};
+					report.courses.push(result);
+					if (dryRun) return;
+					return this.saveCourse(entry, schoolId, startDate, untilDate, params)
+						.then(course => {
+							result.courseId = toId(course._id);
+							return this.syncCalendar(entry.course, course, startDate, untilDate, currentUser, report);
+						});
+				}), Promise.resolve());
+			});
+		}).then(() => report);
+	}
+
+	getTeachers(schoolId) {
+		return roleModel.findOne({name: 'teacher'}).lean().exec().then(role => {
+			if (!role) return [];
+			return userModel.find({schoolId, roles: role._id}).select('firstName lastName').lean().exec();
+		});
+	}
+
+	/**
+	 * the imported times replace the times of an existing course, a new course gets the students of its classes by the course service
+	 */
+	saveCourse(entry, schoolId, startDate, untilDate, params) {
+		if (entry.course) {
+			return resolveRooms(schoolId, entry.times).then(times => courseModel.findByIdAndUpdate(entry.course._id, {
+				$set: {times},
+				$addToSet: {teacherIds: {$each: entry.teacherIds}}
+			}, {new: true}).lean().exec());
+		}
+		const course = {
+			name: entry.name,
+			schoolId: toId(schoolId),
+			classIds: entry.classIds,
+			teacherIds: entry.teacherIds,
+			times: entry.times,
+			startDate,
+			// the conflicts of the timetable are part of the report
+			ignoreRoomConflicts: true
+		};
+		if (untilDate) course.untilDate = untilDate;
+		return this.app.service('/courses').create(course, {account: params.account});
+	}
+
+	/**
+	 * replaces the calendar events of the old course times by weekly events of the new ones,
+	 * the calendar hook stores the event ids in the course times. The import doesn't fail if the calendar isn't available.
+	 */
+	syncCalendar(oldCourse, course, startDate, untilDate, currentUser, report) {
+		const calendarService = this.app.service('/calendar');
+		// the events belong to the first teacher, so the teacher can edit them
+		const userId = toId((course.teacherIds || [])[0] || currentUser._id);
+		const params = {payload: {userId}};
+		const oldEvents = ((oldCourse || {}).times || []).filter(time => time.eventId);
+		return oldEvents.reduce((promise, time) => promise.then(() => {
+			return calendarService.remove(time.eventId, params)
+				.then(() => {
+					report.calendar.removed++;
+				})
+				.catch(err => {
+					// the event was removed in the calendar already
+					if (err.code !== 404 && err.statusCode !== 404) throw err;
+				});
+		}), Promise.resolve())
+			.then(() => (course.times || []).reduce((promise, time) => promise.then(() => {
+				const start = getFirstStart(course.startDate || startDate, time);
+				return calendarService.create({
+					summary: course.name,
+					location: time.room,
+					description: course.description,
+					startDate: start.toISOString(),
+					duration: time.duration,
+					frequency: 'WEEKLY',
+					weekday: weekdays[time.weekday],
+					repeat_until: course.untilDate || untilDate,
+					courseId: toId(course._id),
+					courseTimeId: toId(time._id),
+					scopeId: toId(course._id)
+				}, params).then(() => {
+					report.calendar.created++;
+				});
+			}), Promise.resolve()))
+			.catch(err => {
+				logger.warn('the course times could not be synchronized to the calendar', err.message);
+				report.calendar.failed++;
+				report.warnings.push({message: `Die Termine von ${course.name} konnten nicht in den Kalender übertragen werden.`});
+			});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/timetable/import', new TimetableImportService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const importService = app.service('/timetable/import');
+
+	// Set up our before hooks
+	importService.before(hooks.before);
+
+	// Set up our after hooks
+	importService.after(hooks.after);
+};
+
+module.exports.matchTeacher = matchTeacher;
+module.exports.getFirstStart = getFirstStart;
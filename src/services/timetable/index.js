@@ -0,0 +1,38 @@
+'use strict';
+
+const service = require('feathers-mongoose');
+const hooks = require('./hooks/substitutions');
+const {substitutionModel} = require('./model');
+const importService = require('./import-service');
+const planService = require('./plan-service');
+
+module.exports = function () {
+	const app = this;
+
+	const options = {
+		Model: substitutionModel,
+		paginate: {
+			default: 100,
+			max: 1000
+		},
+		lean: true
+	};
+
+	// Setup the import of Untis and csv timetables into the course times
+	app.configure(importService);
+
+	// Setup the daily plan with the substitutions of a school
+	app.configure(planService);
+
+	// Initialize our service with any options it requires
+	app.use('/substitutions', service(options));
+
+	// Get our initialize service to that we can bind hooks
+	const substitutionService = app.service('/substitutions');
+
+	// Set up our before hooks
+	substitutionService.before(hooks.before);
+
+	// Set up our after hooks
+	substitutionService.after(hooks.after);
+};
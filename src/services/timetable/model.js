@@ -0,0 +1,39 @@
+'use strict';
+
+// timetable-model.js - A mongoose model
+//
+// See http://mongoosejs.com/docs/models.html
+// for more of what you can do here.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * a dated exception of a course time: the lesson is cancelled, moved to another room or given by a substitute teacher
+ * date {Date} - the day of the lesson (UTC midnight), its weekday is the weekday of the course time
+ * room {String} - the room instead of the room of the course time
+ * substituteId {ObjectId} - the teacher who gives the lesson instead of the teachers of the course
+ */
+const substitutionSchema = new Schema({
+	schoolId: {type: Schema.Types.ObjectId, ref: 'school', required: true},
+	courseId: {type: Schema.Types.ObjectId, ref: 'course', required: true},
+	courseTimeId: {type: Schema.Types.ObjectId, required: true},
+	date: {type: Date, required: true},
+	cancelled: {type: Boolean, 'default': false},
+	room: {type: String},
+	substituteId: {type: Schema.Types.ObjectId, ref: 'user'},
+	note: {type: String},
+	createdBy: {type: Schema.Types.ObjectId, ref: 'user'},
+	createdAt: {type: Date, 'default': Date.now},
+	updatedAt: {type: Date, 'default': Date.now}
+});
+
+// a lesson has one exception per day
+substitutionSchema.index({courseTimeId: 1, date: 1}, {unique: true});
+substitutionSchema.index({schoolId: 1, date: 1});
+
+const substitutionModel = mongoose.model('substitution', substitutionSchema);
+
+module.exports = {
+	substitutionModel
+};
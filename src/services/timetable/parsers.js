@@ -0,0 +1,233 @@
+'use strict';
+
+const {parseCsv, parseCsvWithHeader} = require('../helpers/csv');
+const {weekdays} = require('../calendar/ics');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// lessons of a course on the same day with a shorter break are merged to a double period
+const MERGE_GAP = 10 * MINUTE;
+
+// the start times of the periods if the school doesn't give its own, each period takes 45 minutes
+const defaultPeriods = ['08:00', '08:50', '09:55', '10:45', '11:45', '12:35', '13:30', '14:20', '15:10', '16:00'];
+const PERIOD_DURATION = 45 * MINUTE;
+
+const germanWeekdays = ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO'];
+
+/**
+ * @param value {String} - HH:mm
+ * @returns {Number} - the milliseconds since midnight
+ */
+const parseTime = (value) => {
+	const match = /^(\d{1,2})[:.](\d{2})$/.exec((value || '').trim());
+	if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+	return Number(match[1]) * HOUR + Number(match[2]) * MINUTE;
+};
+
+/**
+ * @param value {String|Date} - YYYY-MM-DD
+ * @returns {Date} - UTC midnight of the day, null if invalid
+ */
+const parseDay = (value) => {
+	const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value instanceof Date ? value.toISOString() : String(value || ''));
+	if (!match) return null;
+	const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+	return date.getUTCDate() === Number(match[3]) ? date : null;
+};
+
+/**
+ * @returns {Number} - 0 (monday) to 6 like the weekday of the course times
+ */
+const getWeekday = (date) => (date.getUTCDay() + 6) % 7;
+
+const formatTime = (ms) => {
+	const pad = (number) => number < 10 ? `0${number}` : `${number}`;
+	return `${pad(Math.floor(ms / HOUR))}:${pad(Math.floor(ms % HOUR / MINUTE))}`;
+};
+
+/**
+ * @param periods [String] - the periods as "HH:mm" or "HH:mm-HH:mm"
+ * @returns [{startTime, duration}]
+ */
+const parsePeriods = (periods) => (periods || defaultPeriods).map(period => {
+	const [start, end] = String(period).split('-');
+	const startTime = parseTime(start);
+	const endTime = end ? parseTime(end) : null;
+	return {startTime, duration: endTime !== null ? endTime - startTime : PERIOD_DURATION};
+});
+
+/**
+ * @param value {String} - 1 (monday) to 7 or the english or german abbreviation
+ * @returns {Number} - 0 (monday) to 6, null if invalid
+ */
+const parseWeekday = (value) => {
+	const day = (value || '').trim().toUpperCase();
+	if (/^[1-7]$/.test(day)) return Number(day) - 1;
+	const index = Math.max(weekdays.indexOf(day.substr(0, 2)), germanWeekdays.indexOf(day.substr(0, 2)));
+	return index >= 0 ? index : null;
+};
+
+const splitList = (value) => (value || '').split(/[,/]/).map(item => item.trim()).filter(item => item);
+
+/**
+ * parses the lessons of an Untis GPU001 export, the fields are
+ * lesson number, class, teacher, subject, room, day (1-7) and period
+ * @returns {lessons: [{line, classes, teachers, subject, room, weekday, startTime, duration}], warnings: [{line, message}]}
+ */
+const parseUntis = (text, periods) => {
+	const periodTimes = parsePeriods(periods);
+	const warnings = [];
+	const byPeriod = {};
+	parseCsv(text).forEach((fields, index) => {
+		const line = index + 1;
+		const [number, className, teacher, subject, room, day, period] = fields.map(field => (field || '').trim());
+		const weekday = parseWeekday(day);
+		const time = periodTimes[Number(period) - 1];
+		if (!subject) return warnings.push({line, message: 'Das Fach fehlt.'});
+		if (weekday === null) return warnings.push({line, message: `Der Tag ${day} ist ungültig.`});
+		if (!time || time.startTime === null) return warnings.push({line, message: `Die Stunde ${period} ist unbekannt.`});
+
+		// Untis exports a line per class and teacher of a lesson
+		const key = [number, subject, weekday, period].join('|');
+		const lesson = byPeriod[key] || (byPeriod[key] = {
+			line,
+			classes: [],
+			teachers: [],
+			subject,
+			room,
+			weekday,
+			startTime: time.startTime,
+			duration: time.duration
+		});
+		if (className && !lesson.classes.includes(className)) lesson.classes.push(className);
+		if (teacher && !lesson.teachers.includes(teacher)) lesson.teachers.push(teacher);
+		if (!lesson.room) lesson.room = room;
+	});
+	return {lessons: Object.keys(byPeriod).map(key => byPeriod[key]), warnings};
+};
+
+/**
+ * parses a csv file with the columns class, teacher, subject, room, weekday, start and end or duration (in minutes),
+ * several classes or teachers are separated by commas
+ */
+const parseGenericCsv = (text) => {
+	const warnings = [];
+	const lessons = [];
+	parseCsvWithHeader(text).forEach(row => {
+		const line = row.__line;
+		const weekday = parseWeekday(row.weekday);
+		const startTime = parseTime(row.start);
+		const endTime = parseTime(row.end);
+		const duration = endTime !== null ? endTime - startTime : Number(row.duration) * MINUTE;
+		if (!row.subject) return warnings.push({line, message: 'Das Fach fehlt.'});
+		if (weekday === null) return warnings.push({line, message: `Der Tag ${row.weekday} ist ungültig.`});
+		if (startTime === null) return warnings.push({line, message: `Die Uhrzeit ${row.start} ist ungültig.`});
+		if (!(duration > 0)) return warnings.push({line, message: 'Das Ende oder die Dauer fehlt.'});
+		lessons.push({
+			line,
+			classes: splitList(row.class),
+			teachers: splitList(row.teacher),
+			subject: row.subject,
+			room: row.room,
+			weekday,
+			startTime,
+			duration
+		});
+	});
+	return {lessons, warnings};
+};
+
+/**
+ * the generic format has a header line with the column names
+ */
+const detectFormat = (text) => {
+	const header = (parseCsv(text)[0] || []).map(column => column.trim().toLowerCase());
+	return header.includes('subject') ? 'csv' : 'untis';
+};
+
+/**
+ * groups the lessons by course (subject and classes) and merges consecutive lessons to one course time
+ * @returns [{key, subject, classes, teachers, times: [{weekday, startTime, duration, room}]}]
+ */
+const groupByCourse = (lessons) => {
+	const courses = {};
+	lessons.forEach(lesson => {
+		const classes = lesson.classes.slice().sort();
+		const key = `${lesson.subject}|${classes.join(',')}`.toLowerCase();
+		const course = courses[key] || (courses[key] = {key, subject: lesson.subject, classes, teachers: [], lessons: []});
+		lesson.teachers.forEach(teacher => {
+			if (!course.teachers.includes(teacher)) course.teachers.push(teacher);
+		});
+		course.lessons.push(lesson);
+	});
+	return Object.keys(courses).map(key => {
+		const course = courses[key];
+		const times = [];
+		course.lessons
+			.slice()
+			.sort((a, b) => a.weekday - b.weekday || a.startTime - b.startTime)
+			.forEach(lesson => {
+				const last = times[times.length - 1];
+				const sameRoom = last && (last.room || '') === (lesson.room || '');
+				if (last && sameRoom && last.weekday === lesson.weekday
+					&& lesson.startTime - (last.startTime + last.duration) <= MERGE_GAP) {
+					last.duration = Math.max(last.duration, lesson.startTime + lesson.duration - last.startTime);
+					return;
+				}
+				times.push({weekday: lesson.weekday, startTime: lesson.startTime, duration: lesson.duration, room: lesson.room || undefined});
+			});
+		delete course.lessons;
+		return Object.assign(course, {times});
+	});
+};
+
+/**
+ * finds the rooms and teachers which are booked by different courses at the same time
+ * @param courses [{name, teachers: [String], times: [{weekday, startTime, duration, room}]}] - the teachers as ids or names
+ * @returns [{type: 'room'|'teacher', resource, weekday, start, end, courses: [String]}]
+ */
+const findConflicts = (courses) => {
+	const slots = [];
+	courses.forEach(course => {
+		(course.times || []).forEach(time => slots.push({course, time}));
+	});
+	const conflicts = [];
+	const addConflict = (type, resource, a, b) => {
+		conflicts.push({
+			type,
+			resource,
+			weekday: weekdays[a.time.weekday],
+			start: formatTime(Math.max(a.time.startTime, b.time.startTime)),
+			end: formatTime(Math.min(a.time.startTime + a.time.duration, b.time.startTime + b.time.duration)),
+			courses: [a.course.name, b.course.name]
+		});
+	};
+	slots.forEach((a, i) => {
+		slots.slice(i + 1).forEach(b => {
+			if (a.course === b.course || a.time.weekday !== b.time.weekday) return;
+			const overlaps = a.time.startTime < b.time.startTime + b.time.duration
+				&& b.time.startTime < a.time.startTime + a.time.duration;
+			if (!overlaps) return;
+			if (a.time.room && b.time.room && a.time.room.toLowerCase() === b.time.room.toLowerCase()) {
+				addConflict('room', a.time.room, a, b);
+			}
+			(a.course.teachers || [])
+				.filter(teacher => (b.course.teachers || []).some(other => other.toString() === teacher.toString()))
+				.forEach(teacher => addConflict('teacher', teacher.toString(), a, b));
+		});
+	});
+	return conflicts;
+};
+
+module.exports = {
+	parseTime,
+	parseDay,
+	getWeekday,
+	formatTime,
+	parseUntis,
+	parseGenericCsv,
+	detectFormat,
+	groupByCourse,
+	findConflicts
+};
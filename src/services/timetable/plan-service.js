@@ -0,0 +1,142 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const moment = require('moment');
+const hooks = require('./hooks/plan');
+const {substitutionModel} = require('./model');
+const {parseDay, getWeekday, formatTime} = require('./parsers');
+const {courseModel} = require('../user-group/model');
+const {userModel} = require('../user/model');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toId = (id) => id ? id.toString() : undefined;
+
+const toName = (user) => user ? `${user.firstName} ${user.lastName}` : undefined;
+
+/**
+ * the lessons of a day by the course times and their exceptions
+ * @param courses [Object] - the courses with times on the weekday of the date
+ * @param substitutions [Object] - the exceptions of the day
+ * @param users {Object} - the teachers by id
+ * @returns [{courseId, courseTimeId, name, startTime, endTime, room, teachers, status, substitutionId, substitute, note}]
+ */
+const computeDailyPlan = ({date, courses, substitutions, users}) => {
+	const weekday = getWeekday(date);
+	const byTime = {};
+	substitutions.forEach(substitution => {
+		byTime[toId(substitution.courseTimeId)] = substitution;
+	});
+	const nextDay = new Date(date.getTime() + DAY);
+	const lessons = [];
+	courses
+		.filter(course => (!course.startDate || new Date(course.startDate) < nextDay)
+			&& (!course.untilDate || new Date(course.untilDate) >= date))
+		.forEach(course => {
+			(course.times || [])
+				.filter(time => time.weekday === weekday)
+				.forEach(time => {
+					const substitution = byTime[toId(time._id)];
+					const lesson = {
+						courseId: toId(course._id),
+						courseTimeId: toId(time._id),
+						name: course.name,
+						startTime: formatTime(time.startTime || 0),
+						endTime: formatTime((time.startTime || 0) + (time.duration || 0)),
+						room: time.room,
+						teachers: (course.teacherIds || []).map(id => toName(users[toId(id)])).filter(name => name),
+						status: 'regular'
+					};
+					if (substitution) {
+						Object.assign(lesson, {
+							status: substitution.cancelled ? 'cancelled' : 'changed',
+							substitutionId: toId(substitution._id),
+							room: substitution.room || lesson.room,
+							substitute: toName(users[toId(substitution.substituteId)]),
+							note: substitution.note
+						});
+					}
+					lessons.push(lesson);
+				});
+		});
+	return lessons.sort((a, b) => a.startTime.localeCompare(b.startTime) || a.name.localeCompare(b.name));
+};
+
+/**
+ * the daily plan of a school with the cancelled, moved and substituted lessons
+ */
+class DailyPlanService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'The lessons of a school on a day with their substitutions',
+			find: {
+				parameters: [
+					{
+						description: 'the day as YYYY-MM-DD, default is today',
+						name: 'date',
+						type: 'string'
+					},
+					{
+						description: 'only returns the changed and cancelled lessons',
+						name: 'changesOnly',
+						type: 'boolean'
+					}
+				],
+				summary: 'Gets the lessons of the school of the current user on a day'
+			}
+		};
+	}
+
+	/**
+	 * @returns {date, lessons}
+	 */
+	find(params) {
+		const query = params.query || {};
+		const date = parseDay(query.date || moment().format('YYYY-MM-DD'));
+		if (!date) return Promise.reject(new errors.BadRequest('Das Datum muss im Format YYYY-MM-DD angegeben werden.'));
+		if (!query.schoolId) return Promise.reject(new errors.BadRequest('Die Schule fehlt.'));
+		const schoolId = query.schoolId;
+
+		return Promise.all([
+			courseModel.find({schoolId, archivedAt: null, 'times.weekday': getWeekday(date)})
+				.select('name teacherIds times startDate untilDate').lean().exec(),
+			substitutionModel.find({schoolId, date}).lean().exec()
+		]).then(([courses, substitutions]) => {
+			const userIds = courses
+				.reduce((ids, course) => ids.concat(course.teacherIds || []), [])
+				.concat(substitutions.map(substitution => substitution.substituteId).filter(id => id));
+			return userModel.find({_id: {$in: userIds}}).select('firstName lastName').lean().exec().then(teachers => {
+				const users = {};
+				teachers.forEach(teacher => {
+					users[toId(teacher._id)] = teacher;
+				});
+				const lessons = computeDailyPlan({date, courses, substitutions, users});
+				const changesOnly = query.changesOnly === true || query.changesOnly === 'true';
+				return {
+					date: moment.utc(date).format('YYYY-MM-DD'),
+					lessons: changesOnly ? lessons.filter(lesson => lesson.status !== 'regular') : lessons
+				};
+			});
+		});
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/timetable/plan', new DailyPlanService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const planService = app.service('/timetable/plan');
+
+	// Set up our before hooks
+	planService.before(hooks.before);
+
+	// Set up our after hooks
+	planService.after(hooks.after);
+};
+
+module.exports.computeDailyPlan = computeDailyPlan;
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * the classes of a school by lower case display name (e.g. "5a"), classes of the current school year are preferred
+ * @param app {Object} - the feathers app
+ * @param schoolId {ObjectId}
+ * @returns {Object}
+ */
+const getClassesByName = (app, schoolId) => {
+	return Promise.all([
+		app.service('/schools').get(schoolId),
+		app.service('/classes').find({query: {schoolId, $limit: 1000}})
+	]).then(([school, classes]) => {
+		const isCurrent = schoolClass => JSON.stringify(schoolClass.year) === JSON.stringify(school.currentYear);
+		const byName = {};
+		(classes.data || []).forEach(schoolClass => {
+			const name = (schoolClass.displayName || schoolClass.name || '').toLowerCase();
+			if (!byName[name] || (!isCurrent(byName[name]) && isCurrent(schoolClass))) byName[name] = schoolClass;
+		});
+		return byName;
+	});
+};
+
+module.exports = {
+	getClassesByName
+};
@@ -4,6 +4,8 @@ const globalHooks = require('../../../hooks');
 const hooks = require('feathers-hooks');
 const auth = require('feathers-authentication');
 const _ = require('lodash');
+const errors = require('feathers-errors');
+const {resolveRooms, findRoomConflicts} = require('../../room/helpers');
 const ClassModel = require('../model').classModel;
 const CourseModel = require('../model').courseModel;
 
@@ -76,13 +78,60 @@ const deleteWholeClassFromCourse = (hook) => {
 	});
 };
 
+/**
+ * references the rooms of the course times and rejects times which use a room of another course at the same time,
+ * with ignoreRoomConflicts the course is saved and the conflicts are returned as warnings
+ * @param hook - contains the request body with the times
+ */
+const validateRoomTimes = (hook) => {
+	if (!Array.isArray((hook.data || {}).times)) return hook;
+	const ignoreConflicts = hook.data.ignoreRoomConflicts === true || hook.data.ignoreRoomConflicts === 'true';
+	delete hook.data.ignoreRoomConflicts;
+
+	const loadCourse = hook.id
+		? CourseModel.findById(hook.id).select('schoolId name').lean().exec()
+		: Promise.resolve();
+	return loadCourse.then(course => {
+		const schoolId = hook.data.schoolId || (course || {}).schoolId;
+		const name = hook.data.name || (course || {}).name;
+		if (!schoolId) return hook;
+		return resolveRooms(schoolId, hook.data.times)
+			.then(times => findRoomConflicts({_id: hook.id, name, schoolId, times}))
+			.then(conflicts => {
+				if (conflicts.length > 0 && !ignoreConflicts) {
+					throw new errors.Conflict('Der Raum ist zu dieser Zeit bereits durch einen anderen Kurs belegt.', {conflicts});
+				}
+				hook.params.roomConflicts = conflicts;
+				return hook;
+			});
+	});
+};
+
+/**
+ * the courses archived by the rollover of the school year are only listed if the query asks for them,
+ * e.g. with archivedAt[$exists]=true
+ */
+const filterArchivedCourses = (hook) => {
+	const query = hook.params.query || {};
+	if (!('archivedAt' in query)) hook.params.query = Object.assign({}, query, {archivedAt: null});
+	return hook;
+};
+
+/**
+ * returns the ignored room conflicts as warnings
+ */
+const addRoomConflicts = (hook) => {
+	if ((hook.params.roomConflicts || []).length > 0) hook.result.roomConflicts = hook.params.roomConflicts;
+	return hook;
+};
+
 exports.before = {
 	all: [auth.hooks.authenticate('jwt')],
-	find: [globalHooks.hasPermission('USERGROUP_VIEW'), restrictToCurrentSchool, restrictToUsersOwnCourses],
+	find: [globalHooks.hasPermission('USERGROUP_VIEW'), restrictToCurrentSchool, restrictToUsersOwnCourses, globalHooks.ifNotLocal(filterArchivedCourses)],
 	get: [restrictToUsersOwnCourses],
-	create: [globalHooks.injectUserId, globalHooks.hasPermission('USERGROUP_CREATE'), restrictToCurrentSchool],
-	update: [globalHooks.hasPermission('USERGROUP_EDIT'), restrictToCurrentSchool],
-	patch: [globalHooks.hasPermission('USERGROUP_EDIT'), restrictToCurrentSchool, globalHooks.permitGroupOperation, deleteWholeClassFromCourse],
+	create: [globalHooks.injectUserId, globalHooks.hasPermission('USERGROUP_CREATE'), restrictToCurrentSchool, validateRoomTimes],
+	update: [globalHooks.hasPermission('USERGROUP_EDIT'), restrictToCurrentSchool, validateRoomTimes],
+	patch: [globalHooks.hasPermission('USERGROUP_EDIT'), restrictToCurrentSchool, globalHooks.permitGroupOperation, deleteWholeClassFromCourse, validateRoomTimes],
 	remove: [globalHooks.hasPermission('USERGROUP_CREATE'), restrictToCurrentSchool, globalHooks.permitGroupOperation]
 };
 
@@ -90,8 +139,8 @@ exports.after = {
 	all: [],
 	find: [],
 	get: [globalHooks.ifNotLocal(globalHooks.denyIfNotCurrentSchool({errorMessage: 'Die angefragte Gruppe gehört nicht zur eigenen Schule!'}))],
-	create: [addWholeClassToCourse],
-	update: [],
-	patch: [addWholeClassToCourse],
+	create: [addWholeClassToCourse, addRoomConflicts],
+	update: [addRoomConflicts],
+	patch: [addWholeClassToCourse, addRoomConflicts],
 	remove: []
 };
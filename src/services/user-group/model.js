@@ -23,13 +23,15 @@ const getUserGroupSchema = (additional = {}) => {
  * weekday {Number} - from 0 to 6, the weekday the course take place (e.g. 0 = monday, 1 = tuesday ... )
  * eventId {String} - id of the event in the external calendar-service
  * room {String} - a specific location for the recurring course lesson, e.g. a room number
+ * roomId {ObjectId} - the room of the school, room is kept as its name
  */
 const timeSchema = new Schema({
 	weekday: {type: Number, min: 0, max: 6, required: true},
 	startTime: {type: Number},
 	duration: {type: Number},
 	eventId: {type: String},
-	room: {type: String}
+	room: {type: String},
+	roomId: {type: Schema.Types.ObjectId, ref: 'room'}
 });
 
 const courseModel = mongoose.model('course', getUserGroupSchema({
@@ -42,7 +44,9 @@ const courseModel = mongoose.model('course', getUserGroupSchema({
 	startDate: {type: Date},
 	untilDate: {type: Date},
 	shareToken: { type: String, unique: true },
-	times: [timeSchema]
+	times: [timeSchema],
+	// set by the school year rollover for courses which ended
+	archivedAt: {type: Date}
 }));
 
 // represents a sub-group of students inside a course, e.g. for projects etc.
@@ -249,6 +249,11 @@ const securePatching = (hook) => {
 	});
 };
 
+// used to validate the rows of the bulk import
+exports.sanitizeData = sanitizeData;
+exports.checkUnique = checkUnique;
+exports.checkUniqueAccount = checkUniqueAccount;
+
 exports.before = function(app) {
 	return {
 		all: [],
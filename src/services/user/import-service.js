@@ -0,0 +1,209 @@
+'use strict';
+
+const errors = require('feathers-errors');
+const hooks = require('./hooks/import');
+const userHooks = require('./hooks');
+const accountModel = require('../account/model');
+const {parseCsvWithHeader} = require('../helpers/csv');
+const {getClassesByName} = require('../user-group/helpers');
+
+const requiredColumns = ['firstName', 'lastName', 'email'];
+const roles = ['student', 'teacher'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * @param value {String} - DD.MM.YYYY or YYYY-MM-DD
+ * @returns {Date} - undefined if empty, null if invalid
+ */
+const parseBirthday = (value) => {
+	if (!value) return undefined;
+	const german = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(value);
+	const date = german
+		? new Date(Date.UTC(Number(german[3]), Number(german[2]) - 1, Number(german[1])))
+		: new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * runs a hook of the user service for a row, the error message is returned instead of thrown
+ */
+const runUserHook = (userHook, app, data, params) => {
+	const hook = {app, service: app.service('/users'), method: 'create', type: 'before', data, params};
+	return Promise.resolve()
+		.then(() => userHook(hook))
+		.then(() => undefined)
+		.catch(err => err.message);
+};
+
+/**
+ * imports the students and teachers of a school from a csv file with the columns
+ * firstName, lastName, email, birthday, class and role
+ */
+class UserImportService {
+
+	constructor(app) {
+		this.app = app;
+		this.docs = {
+			description: 'Imports the users of a school from a csv file',
+			create: {
+				parameters: [
+					{
+						description: 'the content of the csv file with the columns firstName, lastName, email, birthday, class and role (student or teacher), can also be sent as request body',
+						name: 'csv',
+						type: 'string'
+					},
+					{
+						description: 'only validates the rows',
+						name: 'dryRun',
+						type: 'boolean'
+					},
+					{
+						description: 'the host of the registration links',
+						name: 'host',
+						type: 'string'
+					}
+				],
+				summary: 'Creates the users, their accounts and class memberships and returns a report per row with the registration links'
+			}
+		};
+	}
+
+	/**
+	 * the options are taken from the query if the file is sent as request body
+	 * @returns {dryRun, total, created, failed, rows: [{line, firstName, lastName, email, class, role, status, errors, userId, registrationLink}]}
+	 */
+	create(data, params) {
+		const options = Buffer.isBuffer(data) || typeof data === 'string'
+			? Object.assign({}, params.query, {csv: data.toString('utf8')})
+			: Object.assign({}, params.query, data);
+		if (!options.csv) return Promise.reject(new errors.BadRequest('Die CSV-Datei fehlt.'));
+
+		const rows = parseCsvWithHeader(options.csv);
+		if (rows.length === 0) return Promise.reject(new errors.BadRequest('Die CSV-Datei enthält keine Nutzer.'));
+		const missing = requiredColumns.filter(column => !(column in rows[0]));
+		if (missing.length > 0) return Promise.reject(new errors.BadRequest(`Der CSV-Datei fehlen die Spalten ${missing.join(', ')}.`));
+
+		const dryRun = isTrue(options.dryRun);
+		return this.app.service('/users').get(params.account.userId)
+			.then(currentUser => getClassesByName(this.app, currentUser.schoolId).then(classes => ({schoolId: currentUser.schoolId, classes})))
+			.then(({schoolId, classes}) => {
+				const emails = new Set();
+				// the rows are handled one after another, so duplicates within the file are found
+				return rows.reduce((promise, row) => promise.then(results => {
+					return this.validateRow(row, schoolId, classes, emails, params).then(result => {
+						if (dryRun || result.errors.length > 0) return results.concat(result);
+						return this.createRow(result, schoolId, options, params).then(created => results.concat(created));
+					});
+				}), Promise.resolve([]));
+			})
+			.then(results => ({
+				dryRun,
+				total: results.length,
+				created: results.filter(result => result.status === 'created').length,
+				failed: results.filter(result => result.status === 'error').length,
+				rows: results.map(result => {
+					const report = Object.assign({}, result);
+					delete report.classId;
+					delete report.birthdayDate;
+					return report;
+				})
+			}));
+	}
+
+	validateRow(row, schoolId, classes, emails, params) {
+		const email = (row.email || '').toLowerCase();
+		const result = {
+			line: row.__line,
+			firstName: row.firstName,
+			lastName: row.lastName,
+			email,
+			birthday: row.birthday,
+			class: row.class,
+			role: (row.role || 'student').toLowerCase(),
+			status: 'valid',
+			errors: []
+		};
+		if (!result.firstName) result.errors.push('Der Vorname fehlt.');
+		if (!result.lastName) result.errors.push('Der Nachname fehlt.');
+		if (!roles.includes(result.role)) result.errors.push(`Die Rolle ${row.role} ist unbekannt.`);
+		result.birthdayDate = parseBirthday(row.birthday);
+		if (result.birthdayDate === null) result.errors.push(`Das Geburtsdatum ${row.birthday} ist ungültig.`);
+		if (row.class) {
+			const schoolClass = classes[row.class.toLowerCase()];
+			if (schoolClass) result.classId = schoolClass._id.toString();
+			else result.errors.push(`Die Klasse ${row.class} existiert nicht.`);
+		}
+		if (!email) {
+			result.errors.push('Die E-Mail-Adresse fehlt.');
+			return Promise.resolve(Object.assign(result, {status: 'error'}));
+		}
+		if (emails.has(email)) result.errors.push(`Die E-Mail-Adresse ${email} kommt mehrfach in der Datei vor.`);
+		emails.add(email);
+
+		// the same checks as for the creation of a single user
+		const data = {email, schoolId: schoolId.toString()};
+		return [userHooks.sanitizeData, userHooks.checkUnique, userHooks.checkUniqueAccount].reduce((promise, userHook) => promise
+			.then(() => runUserHook(userHook, this.app, data, {account: params.account}))
+			.then(message => {
+				if (message && !result.errors.includes(message)) result.errors.push(message);
+			}), Promise.resolve())
+			.then(() => Object.assign(result, {status: result.errors.length > 0 ? 'error' : 'valid'}));
+	}
+
+	/**
+	 * creates the user with the import hash of the registration link and a not activated account,
+	 * the user is removed again if the account can't be created
+	 */
+	createRow(row, schoolId, options, params) {
+		const userService = this.app.service('/users');
+		return this.app.service('/registrationlink').create({
+			role: row.role,
+			schoolId: schoolId.toString(),
+			toHash: row.email,
+			save: true,
+			host: options.host
+		}).then(link => {
+			const user = {
+				firstName: row.firstName,
+				lastName: row.lastName,
+				email: row.email,
+				birthday: row.birthdayDate,
+				schoolId: schoolId.toString(),
+				roles: [row.role],
+				importHash: link.hash
+			};
+			// students are added to the class by the user service
+			if (row.role === 'student' && row.classId) user.classId = row.classId;
+			return userService.create(user, {account: params.account}).then(created => {
+				return accountModel.create({username: row.email, userId: created._id, activated: false})
+					.catch(err => userService.remove(created._id).then(() => {
+						throw err;
+					}))
+					.then(() => {
+						if (row.role !== 'teacher' || !row.classId) return;
+						return this.app.service('/classes').patch(row.classId, {$push: {teacherIds: created._id}});
+					})
+					.then(() => Object.assign(row, {status: 'created', userId: created._id, registrationLink: link.shortLink || link.link}));
+			});
+		}).catch(err => Object.assign(row, {status: 'error', errors: [err.message]}));
+	}
+}
+
+module.exports = function () {
+	const app = this;
+
+	// Initialize our service with any options it requires
+	app.use('/users/import', new UserImportService(app));
+
+	// Get our initialize service to that we can bind hooks
+	const importService = app.service('/users/import');
+
+	// Set up our before hooks
+	importService.before(hooks.before);
+
+	// Set up our after hooks
+	importService.after(hooks.after);
+};
+
+module.exports.parseBirthday = parseBirthday;
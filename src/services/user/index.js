@@ -5,6 +5,7 @@ const user = require('./model');
 const hooks = require('./hooks');
 const registrationPinsHooks = require('./hooks/registrationPins');
 const errors = require('feathers-errors');
+const importService = require('./import-service');
 
 const userDataFilter=(user)=>{
 	return {
@@ -49,6 +50,9 @@ module.exports = function () {
 		lean: true
 	};
 
+	// registered before /users, otherwise /users/:id would match the import
+	app.configure(importService);
+
 	app.use('/users', service(options));
 
 	const userService = app.service('/users');	
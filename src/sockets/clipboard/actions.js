@@ -1,81 +1,47 @@
+const {isAllowed, rejectAction} = require('./permissions');
+
 module.exports = (socket) => {
 
+    // actions are only executed if the permission matrix allows them for the role of the user
+    const on = (action, handler) => {
+        socket.on(action, (payload) => {
+            if(!isAllowed(socket.meta, action, payload)) return rejectAction(socket, action);
+            handler(payload);
+        });
+    };
+
+    // the state is changed by the reducers of ./history, so every action ends up in the event log
+    const dispatch = (action) => (payload) => {
+        const {user, course} = socket.meta;
+        course.dispatch(action, payload, user);
+        course.broadcastUpdate('desks');
+    };
+
     socket.on('disconnect', function () {
         const {user, course} = socket.meta;
-        delete course.users[user.id];
+        delete course.users[user.bucket][user.id];
         course.desks[user.bucket][user.id].userConnected = false;
         course.broadcastUpdate('users', 'desks');
+        if(Object.keys(course.users.students).length + Object.keys(course.users.teachers).length === 0) {
+            course.endSession();
+        }
     });
 
-    socket.on("ADD_MEDIA", (meta) => {
-        const {user, course} = socket.meta;
-        let medium = meta.medium;
-        medium.id = ++course.lastId;
-        medium.sender = user && user.name;
-        if(!course.desks[meta.deskType][meta.desk]) return;
-        course.desks[meta.deskType][meta.desk].media.push(medium);
-        course.broadcastUpdate('desks');
+    on("ADD_MEDIA", (meta) => {
+        const {user} = socket.meta;
+        if(meta.medium) meta.medium.sender = user && user.name;
+        dispatch("ADD_MEDIA")(meta);
     });
 
-    socket.on("DELETE_MEDIA", (id) => {
-        const {user, course} = socket.meta;
-        Object.keys(course.desks).forEach((deskType) => {
-            if(!course.desks[deskType]) return;
-            Object.keys(course.desks[deskType]).forEach((desk) => {
-                desk = course.desks[deskType][desk];
-                if(desk.media) {
-                    desk.media = desk.media.filter((medium) => medium.id !== id);
-                }
-            });
-        });
-        course.broadcastUpdate('desks');
-    });
+    on("DELETE_MEDIA", dispatch("DELETE_MEDIA"));
 
-    socket.on("SET_BOARD_LAYOUT", ({desk, deskType, key, maxElements}) => {
-        const {user, course} = socket.meta;
-        const deskObject = course.desks[deskType][desk];
-        if(!deskObject) return;
-        let board = deskObject.board;
-        board.layout = key;
-        board.maxElements = maxElements;
-        board.media = Object.values(board.media)
-                                .filter((media) => !!media)
-                                .slice(0, maxElements || 1)
-                                .reduce((acc, media, i) => {
-                                    acc[i] = media;
-                                    return acc;
-                                }, {});
-        course.broadcastUpdate('desks');
-    });
+    on("SET_BOARD_LAYOUT", dispatch("SET_BOARD_LAYOUT"));
 
-    socket.on("SET_MEDIA_ON_BOARD", ({desk, deskType, slot, media}) => {
-        const {user, course} = socket.meta;
-        let board = course.desks[deskType][desk].board;
-        if(slot === undefined) {
-            for(let i = 0; i < board.maxElements; i++) {
-                if(!board.media[i]) {
-                    slot = i;
-                    break;
-                }
-            }
-        }
-        if(slot === undefined) {
-            slot = 0;
-        }
-        board.media[slot] = media;
-        course.broadcastUpdate('desks');
-    });
+    on("SET_MEDIA_ON_BOARD", dispatch("SET_MEDIA_ON_BOARD"));
 
-    socket.on("CREATE_GROUP_DESK", ({name}) => {
-        const { course } = socket.meta;
-        course.desks.groups[name] = {
-            media: [],
-            board: {
-                layout: '1x1',
-                media: {}
-            },
-            name
-        };
-        course.broadcastUpdate('desks');
-    });
-};
\ No newline at end of file
+    on("CREATE_GROUP_DESK", dispatch("CREATE_GROUP_DESK"));
+
+    on("UNDO", dispatch("UNDO"));
+
+    on("REDO", dispatch("REDO"));
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+// clipboard-event-model.js - A mongoose model
+//
+// See http://mongoosejs.com/docs/models.html
+// for more of what you can do here.
+
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const clipboardEventSchema = new Schema({
+	clipboard: {type: Schema.Types.ObjectId, ref: 'clipboards', required: true},
+	course: {type: Schema.Types.ObjectId, ref: 'courses', required: true},
+	session: {type: Schema.Types.ObjectId, required: true},
+	version: {type: Number, required: true},
+	action: {type: String, required: true},
+	payload: {type: Schema.Types.Mixed},
+	user: {type: Schema.Types.ObjectId, ref: 'user'},
+	createdAt: {type: Date, 'default': Date.now}
+}, {minimize: false});
+
+clipboardEventSchema.index({clipboard: 1, version: 1}, {unique: true});
+clipboardEventSchema.index({course: 1, session: 1, version: 1});
+
+const clipboardEventModel = mongoose.model('clipboardevents', clipboardEventSchema);
+module.exports = clipboardEventModel;
@@ -0,0 +1,186 @@
+'use strict';
+
+const _ = require('lodash');
+const ClipboardModel = require('./clipboard-model');
+const ClipboardEventModel = require('./clipboard-event-model');
+
+// the number of sessions which are kept per clipboard, the events of older sessions are removed
+const MAX_SESSIONS = 20;
+
+const emptyBoard = () => ({
+	layout: '1x1',
+	media: {}
+});
+
+/**
+ * the reducers apply the clipboard actions to the state {board, desks, lastId},
+ * they are used for the live state as well as for replaying a past session
+ */
+const reducers = {
+	ADD_MEDIA: (state, {deskType, desk, medium}) => {
+		const deskObject = (state.desks[deskType] || {})[desk];
+		if (!deskObject || !medium) return;
+		deskObject.media.push(Object.assign({}, medium, {id: ++state.lastId}));
+	},
+
+	DELETE_MEDIA: (state, id) => {
+		Object.keys(state.desks).forEach((deskType) => {
+			if (!state.desks[deskType]) return;
+			Object.keys(state.desks[deskType]).forEach((desk) => {
+				desk = state.desks[deskType][desk];
+				if (desk.media) {
+					desk.media = desk.media.filter((medium) => medium.id !== id);
+				}
+			});
+		});
+	},
+
+	SET_BOARD_LAYOUT: (state, {desk, deskType, key, maxElements}) => {
+		const deskObject = (state.desks[deskType] || {})[desk];
+		if (!deskObject) return;
+		let board = deskObject.board;
+		board.layout = key;
+		board.maxElements = maxElements;
+		board.media = Object.values(board.media)
+			.filter((media) => !!media)
+			.slice(0, maxElements || 1)
+			.reduce((acc, media, i) => {
+				acc[i] = media;
+				return acc;
+			}, {});
+	},
+
+	SET_MEDIA_ON_BOARD: (state, {desk, deskType, slot, media}) => {
+		const deskObject = (state.desks[deskType] || {})[desk];
+		if (!deskObject) return;
+		let board = deskObject.board;
+		if (slot === undefined) {
+			for (let i = 0; i < board.maxElements; i++) {
+				if (!board.media[i]) {
+					slot = i;
+					break;
+				}
+			}
+		}
+		if (slot === undefined) {
+			slot = 0;
+		}
+		board.media[slot] = media;
+	},
+
+	CREATE_GROUP_DESK: (state, {name}) => {
+		state.desks.groups[name] = {
+			media: [],
+			board: emptyBoard(),
+			name
+		};
+	},
+
+	// creates the desk of a user joining the course, this can't be undone
+	ADD_DESK: (state, {bucket, userId, name}) => {
+		if (!state.desks[bucket][userId]) {
+			state.desks[bucket][userId] = {
+				media: [],
+				board: emptyBoard()
+			};
+		}
+		state.desks[bucket][userId].name = name;
+	}
+};
+
+const undoableActions = ['ADD_MEDIA', 'DELETE_MEDIA', 'SET_BOARD_LAYOUT', 'SET_MEDIA_ON_BOARD', 'CREATE_GROUP_DESK'];
+
+const applyEvent = (state, {action, payload}) => {
+	if (reducers[action]) reducers[action](state, _.cloneDeep(payload));
+	return state;
+};
+
+/**
+ * finds the events which are undone by the UNDO and REDO events of the log
+ * @param events [{action, payload}] - ordered by version
+ * @returns {Set} the undone events
+ */
+const getUndoneEvents = (events) => {
+	const undone = new Set();
+	let undoStack = [];
+	let redoStack = [];
+	events.forEach(event => {
+		if (event.action === 'UNDO') {
+			const undoneEvent = undoStack.pop();
+			if (!undoneEvent) return;
+			undone.add(undoneEvent);
+			redoStack.push(undoneEvent);
+		} else if (event.action === 'REDO') {
+			const redoneEvent = redoStack.pop();
+			if (!redoneEvent) return;
+			undone.delete(redoneEvent);
+			undoStack.push(redoneEvent);
+		} else if (undoableActions.includes(event.action)) {
+			undoStack.push(event);
+			redoStack = [];
+		}
+	});
+	return undone;
+};
+
+/**
+ * reconstructs the state from the snapshot at the start of a session and the events after it
+ * @param snapshot {Object} - {board, desks, lastId}
+ * @param events [{action, payload}] - ordered by version
+ * @returns {Object} the state {board, desks, lastId}
+ */
+const replay = (snapshot, events) => {
+	const state = {
+		board: _.cloneDeep((snapshot || {}).board) || emptyBoard(),
+		desks: _.cloneDeep((snapshot || {}).desks) || {teachers: {}, students: {}, groups: {}},
+		lastId: (snapshot || {}).lastId || 0
+	};
+	const undone = getUndoneEvents(events);
+	events
+		.filter(event => !undone.has(event))
+		.forEach(event => applyEvent(state, event));
+	return state;
+};
+
+/**
+ * removes the events of the sessions before the latest MAX_SESSIONS of a clipboard
+ * @param clipboardId {ObjectId}
+ * @returns {Promise}
+ */
+const pruneSessions = (clipboardId) => {
+	return ClipboardEventModel.find({clipboard: clipboardId, action: 'SESSION_START'})
+		.sort({version: -1}).skip(MAX_SESSIONS - 1).limit(1).select('version').lean().exec()
+		.then(([oldestKept]) => oldestKept
+			? ClipboardEventModel.remove({clipboard: clipboardId, version: {$lt: oldestKept.version}}).exec()
+			: undefined);
+};
+
+/**
+ * appends an event to the log, the version counter of the clipboard orders the events,
+ * a new session removes the oldest one if there are more than MAX_SESSIONS
+ * @param clipboardId {ObjectId}
+ * @param event {Object} - {session, action, payload, user}
+ * @returns {Promise} the created event
+ */
+const record = (clipboardId, event) => {
+	return ClipboardModel.findOneAndUpdate({_id: clipboardId}, {$inc: {version: 1}}, {new: true}).exec()
+		.then(clipboard => ClipboardEventModel.create(Object.assign({}, event, {
+			clipboard: clipboard._id,
+			course: clipboard.course,
+			version: clipboard.version
+		})))
+		.then(created => {
+			if (event.action !== 'SESSION_START') return created;
+			return pruneSessions(created.clipboard).then(() => created);
+		});
+};
+
+module.exports = {
+	MAX_SESSIONS,
+	reducers,
+	undoableActions,
+	applyEvent,
+	getUndoneEvents,
+	replay,
+	record
+};
@@ -5,15 +5,59 @@ const siofu = require("socketio-file-upload");
 const actions = require('./actions');
 const upload = require('./upload');
 const ClipboardModel = require('./clipboard-model');
+const createPubSubAdapter = require('./pubsub');
+const {authenticate, verifyCourseMembership, rejectAction} = require('./permissions');
+const {applyEvent, replay, record} = require('./history');
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const uuid = require('uuid/v4');
 const logger = require('winston');
+const errors = require('feathers-errors');
+
+// keys of the course state which are shared with the other server instances
+const sharedKeys = ['desks', 'users', 'board'];
+
+const countConnectedUsers = (course) => Object.keys(course.users.students).length + Object.keys(course.users.teachers).length;
+
+/**
+ * keeps the history of the running session in sync with the events of this and other instances
+ */
+const trackEvent = (course, event) => {
+	if (event.action === 'SESSION_START') {
+		course.history = {session: event.session, snapshot: event.payload, events: []};
+	} else if (event.action === 'SESSION_END') {
+		course.history = undefined;
+	} else if (course.history && String(course.history.session) === String(event.session)) {
+		course.history.events.push(event);
+	}
+};
 
 module.exports = function () {
 	const app = this;
 	
 	app.use(siofu.router);
+
+	const instanceId = uuid();
+	const pubsub = createPubSubAdapter((app.get('clipboard') || {}).pubsub);
+	app.set('clipboardPubSub', pubsub);
+
 	app.configure(socketio((io) => {
 
 		var courses = {};
+		// ids of the persisted clipboards, a course is rehydrated from the database once per instance
+		var clipboardIds = {};
+
+		// apply the changes of other instances and pass them to the sockets connected to this instance
+		pubsub.subscribe('clipboard', ({origin, courseId, update, lastId, event}) => {
+			const course = courses[courseId];
+			if (origin === instanceId || !course) return;
+			if (event) return trackEvent(course, event);
+			sharedKeys.filter(key => update[key]).forEach(key => {
+				course[key] = update[key];
+			});
+			course.lastId = Math.max(course.lastId, lastId || 0);
+			io.of('clipboard').to(courseId).emit('clipboardStateUpdate', update);
+		});
 
 		let joinCourse = (socket) => {
 			return new Promise((resolve, reject) => {
@@ -43,6 +87,54 @@ module.exports = function () {
 					media: {}
 				},
 				lastId: 0,
+				// the running session, undo and redo replay its events on top of the snapshot from its start
+				history: undefined,
+				pendingEvents: Promise.resolve(),
+				/**
+				 * applies an action to the state and appends it to the event log,
+				 * UNDO and REDO rebuild the state from the history of the session
+				 */
+				dispatch(action, payload, user) {
+					if (!this.history) this.startSession();
+					const event = {
+						session: this.history.session,
+						action,
+						payload: _.cloneDeep(payload),
+						user: user && user.id
+					};
+					this.recordEvent(event);
+					if (action === 'UNDO' || action === 'REDO') {
+						Object.assign(this, replay(this.history.snapshot, this.history.events));
+						// the connection state of the desks is not part of the history
+						Object.keys(this.users).forEach(bucket => {
+							Object.keys(this.desks[bucket] || {}).forEach(id => {
+								this.desks[bucket][id].userConnected = !!this.users[bucket][id];
+							});
+						});
+					} else {
+						applyEvent(this, event);
+					}
+				},
+				startSession() {
+					this.endSession();
+					this.recordEvent({
+						session: mongoose.Types.ObjectId(),
+						action: 'SESSION_START',
+						payload: _.cloneDeep({board: this.board, desks: this.desks, lastId: this.lastId})
+					});
+				},
+				endSession() {
+					if (!this.history) return;
+					this.recordEvent({session: this.history.session, action: 'SESSION_END'});
+				},
+				recordEvent(event) {
+					trackEvent(this, event);
+					pubsub.publish('clipboard', {origin: instanceId, courseId, event}).catch(logger.error);
+					// events are written one after another, so the version counter keeps their order
+					this.pendingEvents = this.pendingEvents
+						.then(() => record(clipboardIds[courseId], event))
+						.catch(logger.error);
+				},
 				broadcastUpdate(...keys) {
 					const update = keys.reduce((acc, key) => {
 						acc[key] = this[key];
@@ -50,8 +142,15 @@ module.exports = function () {
 					}, {});
 					io.of('clipboard').to(courseId).emit('clipboardStateUpdate', update);
 
+					pubsub.publish('clipboard', {
+						origin: instanceId,
+						courseId,
+						update,
+						lastId: this.lastId
+					}).catch(logger.error);
+
 					ClipboardModel.findOneAndUpdate({
-						_id: socket.meta._id
+						_id: clipboardIds[courseId]
 					}, {
 						state: {
 							board: this.board,
@@ -68,64 +167,68 @@ module.exports = function () {
 
 		
 		let initModel = (socket) => () => new Promise((resolve, reject) => {
+			let courseId = socket.meta.courseId;
+			if (clipboardIds[courseId]) return resolve();
 			let query = {
-				course: socket.meta.courseId
+				course: courseId
 			};
 			ClipboardModel.findOneAndUpdate(query, {
-				course: socket.meta.courseId,
-				version: 1,
-			}, {upsert:true}, function(err, doc){
+				// the version counts the events of the clipboard and must not be reset
+				$setOnInsert: {
+					course: courseId,
+					version: 0,
+				}
+			}, {upsert: true, new: true}, function(err, doc){
 				if (err) return reject(err);
-				if (!doc) return resolve();
+				// rehydrate the state persisted before a restart or by other instances
 				if(doc.state && doc.state.board) socket.meta.course.board = doc.state.board;
 				if(doc.state && doc.state.desks) socket.meta.course.desks = doc.state.desks;
-				if(doc.state.lastId) socket.meta.course.lastId = doc.state.lastId;
-				socket.meta._id = doc._id;
+				if(doc.state && doc.state.lastId) socket.meta.course.lastId = doc.state.lastId;
+				clipboardIds[courseId] = doc._id;
 				resolve();
 			});
 		});
 		
 		let getUser = (socket) => () => {
 			return app.service('users').get(socket.client.userId).then((result, err) => { 
-					let user = {
+					// the role inside the course is set by verifyCourseMembership
+					socket.meta.user = {
 						id: result._id,
-						role: result.permissions.indexOf("USERGROUP_EDIT") >= 0 ? 'teacher' : 'student',
 						name: result.displayName,
 					};
-					user.bucket = user.role + 's';
-					socket.meta.user = user;
 				});
 		};
 	
 		let initUserInCourse = (socket) => () => {
 			const {user, course} = socket.meta;
+			// a session lasts as long as somebody is connected to the clipboard
+			if(countConnectedUsers(course) === 0) course.startSession();
 			course.users[user.bucket][user.id] = user;
-			if(!course.desks[user.bucket][user.id]) {
-				course.desks[user.bucket][user.id] = {
-					media: [],
-					board: {
-						layout: '1x1',
-						media: {}
-					}
-				};
-			}
-			course.desks[user.bucket][user.id].name = user.name;
+			course.dispatch('ADD_DESK', {bucket: user.bucket, userId: String(user.id), name: user.name}, user);
 			course.desks[user.bucket][user.id].userConnected = true;
 			course.broadcastUpdate('users', 'desks');
 		};
 
 		let sendFullState = (socket) => () => {
+			const {desks, users, board, lastId} = socket.meta.course;
+			// only the state of the clipboard, the history and the methods of the course stay on the server
 			socket.emit("clipboardState", {
-				...socket.meta.course,
+				desks,
+				users,
+				board,
+				lastId,
 				me: socket.meta.user
 			}); //on connect send inital state
 		};
 
 		let clipboardWs = io.of('clipboard');
+		// middlewares of the default namespace are not applied to other namespaces
+		clipboardWs.use(authenticate(app));
 		clipboardWs.on('connection', (socket) => {
 			socket.meta = {};
 
 			getUser(socket)()
+				.then(verifyCourseMembership(socket))
 				.then(initCourse(socket))
 				.then(initModel(socket))
 				.then(joinCourse(socket))
@@ -133,7 +236,11 @@ module.exports = function () {
 				.then(upload(socket))
 				.then(sendFullState(socket))
 				.then(actions(socket))
-				.catch(logger.error);
+				.catch(err => {
+					if (!(err instanceof errors.FeathersError)) return logger.error(err);
+					rejectAction(socket, 'connect', err.message);
+					socket.disconnect(true);
+				});
 		});
 	}));
 };
@@ -0,0 +1,133 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const errors = require('feathers-errors');
+const _ = require('lodash');
+const CourseModel = require('../../services/user-group/model').courseModel;
+
+const includesUser = (ids, userId) => _.some(ids, id => JSON.stringify(id) === JSON.stringify(userId));
+
+/**
+ * students may only work on their own desk and on the group desks
+ */
+const isOwnOrGroupDesk = (user, deskType, desk) => {
+	return deskType === 'groups' || (deskType === 'students' && String(desk) === String(user.id));
+};
+
+const findDeskOfMedium = (course, id) => {
+	let result;
+	Object.keys(course.desks).forEach(deskType => {
+		Object.keys(course.desks[deskType] || {}).forEach(desk => {
+			if (((course.desks[deskType][desk] || {}).media || []).some(medium => medium.id === id)) {
+				result = {deskType, desk};
+			}
+		});
+	});
+	return result;
+};
+
+/**
+ * which role may emit which clipboard action, teachers of the course may do everything
+ * a function decides by the payload of the action
+ */
+const permissions = {
+	ADD_MEDIA: {
+		teacher: true,
+		student: (user, course, {deskType, desk} = {}) => isOwnOrGroupDesk(user, deskType, desk)
+	},
+	DELETE_MEDIA: {
+		teacher: true,
+		student: (user, course, id) => {
+			const desk = findDeskOfMedium(course, id);
+			return !!desk && isOwnOrGroupDesk(user, desk.deskType, desk.desk);
+		}
+	},
+	SET_BOARD_LAYOUT: {
+		teacher: true,
+		student: (user, course, {deskType, desk} = {}) => isOwnOrGroupDesk(user, deskType, desk)
+	},
+	SET_MEDIA_ON_BOARD: {
+		teacher: true,
+		student: (user, course, {deskType, desk} = {}) => isOwnOrGroupDesk(user, deskType, desk)
+	},
+	CREATE_GROUP_DESK: {
+		// an existing group desk with the same name would be replaced
+		teacher: true,
+		student: false
+	},
+	// undo and redo work on the history of the whole course
+	UNDO: {
+		teacher: true,
+		student: false
+	},
+	REDO: {
+		teacher: true,
+		student: false
+	}
+};
+
+/**
+ * checks whether the user of the socket may emit the given action
+ * @param meta {Object} - the meta data of the socket, contains user and course
+ * @param action {String} - the name of the action, e.g. DELETE_MEDIA
+ * @param payload - the data sent with the action
+ * @returns {Boolean}
+ */
+const isAllowed = (meta, action, payload) => {
+	const {user, course} = meta || {};
+	if (!user || !course || !permissions[action]) return false;
+	const permission = permissions[action][user.role];
+	if (typeof permission === 'function') return !!permission(user, course, payload);
+	return permission === true;
+};
+
+const rejectAction = (socket, action, message) => {
+	socket.emit('clipboardError', {
+		action,
+		message: message || `You are not allowed to execute ${action}.`
+	});
+};
+
+/**
+ * namespace middleware which authenticates the socket by its JWT
+ */
+const authenticate = (app) => (socket, next) => {
+	app.passport.authenticate('jwt')(socket.handshake)
+		.then(result => {
+			if (!result.success) throw new errors.NotAuthenticated();
+			socket.client.userId = result.data.account.userId;
+			next();
+		})
+		.catch(error => {
+			next(new Error('Authentication error'));
+		});
+};
+
+/**
+ * checks that the user belongs to the requested course and sets the role inside the course
+ */
+const verifyCourseMembership = (socket) => () => {
+	const courseId = socket.request._query.courseId;
+	const user = socket.meta.user;
+	if (!mongoose.Types.ObjectId.isValid(courseId)) return Promise.reject(new errors.BadRequest('Invalid course id.'));
+
+	return CourseModel.findById(courseId).exec().then(course => {
+		if (!course) throw new errors.NotFound('The course was not found.');
+		if (includesUser(course.teacherIds, user.id) || includesUser(course.substitutionIds, user.id)) {
+			user.role = 'teacher';
+		} else if (includesUser(course.userIds, user.id)) {
+			user.role = 'student';
+		} else {
+			throw new errors.Forbidden('You are not in that course.');
+		}
+		user.bucket = user.role + 's';
+	});
+};
+
+module.exports = {
+	permissions,
+	isAllowed,
+	rejectAction,
+	authenticate,
+	verifyCourseMembership
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+// adapters are loaded on demand, so their drivers are only needed when configured
+const adapters = {
+	memory: () => require('./memory'),
+	mongo: () => require('./mongo'),
+	redis: () => require('./redis')
+};
+
+/**
+ * creates the pub/sub adapter configured for the clipboard
+ * @param options {Object} - contains the adapter name (memory, mongo, redis) and its options
+ */
+module.exports = (options = {}) => {
+	const adapter = adapters[options.adapter || 'memory'];
+	if (!adapter) throw new Error(`Unknown clipboard pub/sub adapter ${options.adapter}`);
+	const Adapter = adapter();
+	return new Adapter(options);
+};
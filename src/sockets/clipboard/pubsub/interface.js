@@ -0,0 +1,29 @@
+/**
+ * distributes clipboard state changes between all server instances
+ * messages have to be serializable as JSON, handlers receive their own copy
+ */
+class AbstractPubSubAdapter {
+	constructor() {
+		if (new.target === AbstractPubSubAdapter) {
+			throw new TypeError("Cannot construct AbstractPubSubAdapter instances directly.");
+		}
+	}
+
+	publish() {
+		throw new TypeError("publish method has to be implemented.");
+	}
+
+	subscribe() {
+		throw new TypeError("subscribe method has to be implemented.");
+	}
+
+	unsubscribe() {
+		throw new TypeError("unsubscribe method has to be implemented.");
+	}
+
+	close() {
+		throw new TypeError("close method has to be implemented.");
+	}
+}
+
+module.exports = AbstractPubSubAdapter;
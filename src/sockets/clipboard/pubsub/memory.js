@@ -0,0 +1,35 @@
+const EventEmitter = require('events');
+const AbstractPubSubAdapter = require('./interface');
+
+// shared by all app instances of this process
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * default adapter, only distributes messages inside of the current process
+ */
+class MemoryPubSubAdapter extends AbstractPubSubAdapter {
+
+	publish(channel, message) {
+		// serialize like the other adapters, so no instance shares objects with another one
+		const payload = JSON.stringify(message);
+		process.nextTick(() => emitter.emit(channel, JSON.parse(payload)));
+		return Promise.resolve();
+	}
+
+	subscribe(channel, handler) {
+		emitter.on(channel, handler);
+		return Promise.resolve();
+	}
+
+	unsubscribe(channel, handler) {
+		emitter.removeListener(channel, handler);
+		return Promise.resolve();
+	}
+
+	close() {
+		return Promise.resolve();
+	}
+}
+
+module.exports = MemoryPubSubAdapter;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const logger = require('winston');
+const AbstractPubSubAdapter = require('./interface');
+
+const Schema = mongoose.Schema;
+
+// messages are only needed until every instance received them, the capped collection drops the oldest ones
+const clipboardMessageSchema = new Schema({
+	channel: {type: String, required: true},
+	payload: {type: String, required: true},
+	createdAt: {type: Date, 'default': Date.now}
+}, {capped: {size: 16 * 1024 * 1024, max: 10000}});
+
+const clipboardMessageModel = mongoose.model('clipboardmessage', clipboardMessageSchema, 'clipboardpubsub');
+
+// the delay before reconnecting a failed cursor doubles with each failure in a row
+const MIN_RECONNECT_DELAY = 1000; // in ms
+const MAX_RECONNECT_DELAY = 60 * 1000; // in ms
+
+/**
+ * distributes messages through a tailable cursor on a capped collection
+ */
+class MongoPubSubAdapter extends AbstractPubSubAdapter {
+	constructor() {
+		super();
+		this.handlers = {};
+		this.watching = false;
+		this.cursor = undefined;
+		this.reconnectTimer = undefined;
+		this.failures = 0;
+		// the latest received message, a new cursor continues after it
+		this.lastId = undefined;
+	}
+
+	publish(channel, message) {
+		return clipboardMessageModel.create({channel, payload: JSON.stringify(message)});
+	}
+
+	subscribe(channel, handler) {
+		if (!this.watching) this._watch();
+		this.handlers[channel] = (this.handlers[channel] || []).concat(handler);
+		return Promise.resolve();
+	}
+
+	unsubscribe(channel, handler) {
+		this.handlers[channel] = (this.handlers[channel] || []).filter(h => h !== handler);
+		return Promise.resolve();
+	}
+
+	close() {
+		this.watching = false;
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = undefined;
+		const cursor = this.cursor;
+		this.cursor = undefined;
+		return cursor ? cursor.close() : Promise.resolve();
+	}
+
+	/**
+	 * the id the cursor starts at, a tailable cursor which matches no message is closed by the server
+	 * so an empty collection gets a message without channel
+	 */
+	_findStart() {
+		if (this.lastId) return Promise.resolve(this.lastId);
+		return clipboardMessageModel.findOne().sort({$natural: -1}).select('_id').lean().exec()
+			.then(latest => latest || clipboardMessageModel.create({channel: '-', payload: 'null'}))
+			.then(latest => latest._id);
+	}
+
+	_watch() {
+		this.watching = true;
+		return this._findStart().then(startId => {
+			if (!this.watching) return;
+			this.lastId = startId;
+			const cursor = clipboardMessageModel.find({_id: {$gte: startId}})
+				.tailable(true, {awaitdata: true, numberOfRetries: Number.MAX_SAFE_INTEGER})
+				.lean()
+				.cursor();
+			this.cursor = cursor;
+			cursor.on('data', ({_id, channel, payload}) => {
+				this.failures = 0;
+				if (_id.equals(this.lastId)) return;
+				this.lastId = _id;
+				(this.handlers[channel] || []).forEach(handler => handler(JSON.parse(payload)));
+			});
+			cursor.on('error', err => this._reconnect(cursor, err));
+			cursor.on('end', () => this._reconnect(cursor));
+		}).catch(err => this._reconnect(undefined, err));
+	}
+
+	_reconnect(cursor, err) {
+		if (!this.watching || this.cursor !== cursor) return;
+		const delay = Math.min(MIN_RECONNECT_DELAY * Math.pow(2, this.failures), MAX_RECONNECT_DELAY);
+		this.failures += 1;
+		logger.error(`clipboard message cursor closed, reconnecting in ${delay} ms`, err);
+		this.cursor = undefined;
+		if (cursor) cursor.close().catch(closeErr => logger.warn('could not close the clipboard message cursor', closeErr));
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = undefined;
+			this._watch();
+		}, delay);
+	}
+}
+
+module.exports = MongoPubSubAdapter;
@@ -0,0 +1,55 @@
+const redis = require('redis');
+const logger = require('winston');
+const AbstractPubSubAdapter = require('./interface');
+
+/**
+ * distributes messages through any server speaking the redis protocol
+ * @param options.url {String} - e.g. redis://localhost:6379
+ * @param options.prefix {String} - prefix for the channel names
+ */
+class RedisPubSubAdapter extends AbstractPubSubAdapter {
+	constructor(options = {}) {
+		super();
+		this.prefix = options.prefix || 'schulcloud:';
+		this.handlers = {};
+		// a subscribed redis connection can't publish, so two clients are needed
+		this.publisher = redis.createClient(options.url);
+		this.subscriber = redis.createClient(options.url);
+		this.publisher.on('error', err => logger.error(err));
+		this.subscriber.on('error', err => logger.error(err));
+		this.subscriber.on('message', (channel, payload) => {
+			(this.handlers[channel] || []).forEach(handler => handler(JSON.parse(payload)));
+		});
+	}
+
+	publish(channel, message) {
+		return new Promise((resolve, reject) => {
+			this.publisher.publish(this.prefix + channel, JSON.stringify(message), err => err ? reject(err) : resolve());
+		});
+	}
+
+	subscribe(channel, handler) {
+		channel = this.prefix + channel;
+		if (!this.handlers[channel]) this.subscriber.subscribe(channel);
+		this.handlers[channel] = (this.handlers[channel] || []).concat(handler);
+		return Promise.resolve();
+	}
+
+	unsubscribe(channel, handler) {
+		channel = this.prefix + channel;
+		this.handlers[channel] = (this.handlers[channel] || []).filter(h => h !== handler);
+		if (this.handlers[channel].length === 0) {
+			delete this.handlers[channel];
+			this.subscriber.unsubscribe(channel);
+		}
+		return Promise.resolve();
+	}
+
+	close() {
+		this.publisher.quit();
+		this.subscriber.quit();
+		return Promise.resolve();
+	}
+}
+
+module.exports = RedisPubSubAdapter;
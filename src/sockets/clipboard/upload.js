@@ -3,6 +3,7 @@ const siofu = require("socketio-file-upload");
 const fileType = require('file-type');
 const readChunk = require('read-chunk');
 const logger = require('winston');
+const {isAllowed, rejectAction} = require('./permissions');
 
 module.exports = (socket) => {
     initUploadSocket(socket, (uploadedFile) => {
@@ -13,12 +14,16 @@ module.exports = (socket) => {
             sender: user && user.name,
             src: uploadedFile.meta.url + '/clipboard/uploads/' + path.basename(uploadedFile.pathName),
             type: fileType(readChunk.sync(uploadedFile.pathName, 0, 4100)),
-            id: ++course.lastId,
         };
         if(!uploadedFile.meta.deskType || !uploadedFile.meta.desk) return;
+        if(!isAllowed(socket.meta, 'ADD_MEDIA', uploadedFile.meta)) return rejectAction(socket, 'ADD_MEDIA');
         let desk = course.desks[uploadedFile.meta.deskType][uploadedFile.meta.desk];
         if(!desk) return;
-        desk.media.push(file);
+        course.dispatch('ADD_MEDIA', {
+            deskType: uploadedFile.meta.deskType,
+            desk: uploadedFile.meta.desk,
+            medium: file
+        }, user);
         course.broadcastUpdate('desks');
     });
 
@@ -0,0 +1,100 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {attendanceModel, excuseModel} = require('../../../src/services/attendance/model');
+const {summarize, applyExcuses} = require('../../../src/services/attendance/helpers');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {userModel} = require('../../../src/services/user/model');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('attendance service', function () {
+	this.timeout(20000);
+
+	const attendanceService = app.service('/attendance');
+	const excuseService = app.service('/excuses');
+	const schoolId = '0000d186816abba584714c5f';
+	const teacherParams = {account: {userId: '0000d231816abba584714c9e'}};
+	let parent, student, course;
+
+	before(() => {
+		return userModel.create({email: 'parent.attendance@schul-cloud.org', firstName: 'Petra', lastName: 'Eltern', schoolId})
+			.then(created => {
+				parent = created;
+				return userModel.create({email: 'child.attendance@schul-cloud.org', firstName: 'Karl', lastName: 'Kind', schoolId, parents: [parent._id]});
+			})
+			.then(created => {
+				student = created;
+				return courseModel.create({
+					name: 'Anwesenheitstest',
+					schoolId,
+					userIds: [student._id],
+					teacherIds: [teacherParams.account.userId],
+					times: [{weekday: 0, startTime: 8 * HOUR, duration: HOUR}]
+				});
+			})
+			.then(created => {
+				course = created;
+			});
+	});
+
+	after(() => Promise.all([
+		attendanceModel.remove({courseId: course._id}).exec(),
+		excuseModel.remove({studentId: student._id}).exec(),
+		courseModel.findByIdAndRemove(course._id).exec(),
+		userModel.remove({_id: {$in: [parent._id, student._id]}}).exec()
+	]));
+
+	it('summarizes the statuses per student', () => {
+		const attendances = [
+			{records: [{userId: 'a', status: 'present'}, {userId: 'b', status: 'absent'}]},
+			{records: [{userId: 'a', status: 'late'}, {userId: 'b', status: 'excused'}, {userId: 'c', status: 'absent'}]}
+		];
+		expect(summarize(attendances, ['a', 'b'])).to.deep.equal([
+			{userId: 'a', present: 1, absent: 0, excused: 0, late: 1, total: 2, absenceRate: 0},
+			{userId: 'b', present: 0, absent: 1, excused: 1, late: 0, total: 2, absenceRate: 1}
+		]);
+	});
+
+	it('excuses absences which are covered by an accepted excuse', () => {
+		const excuses = [{_id: 'e', studentId: 'b', from: new Date('2030-01-07'), until: new Date('2030-01-08')}];
+		const records = applyExcuses([{userId: 'a', status: 'absent'}, {userId: 'b', status: 'absent'}], excuses, new Date('2030-01-08'));
+		expect(records).to.deep.equal([{userId: 'a', status: 'absent'}, {userId: 'b', status: 'excused', excuseId: 'e'}]);
+	});
+
+	it('rejects records of students who are not in the course', () => {
+		return attendanceService.create({
+			courseId: course._id,
+			courseTimeId: course.times[0]._id,
+			date: '2030-01-07',
+			records: [{userId: parent._id, status: 'present'}]
+		}, teacherParams).catch(err => err).then(err => {
+			expect(err.code).to.equal(400);
+		});
+	});
+
+	it('takes the attendance and excuses it with an accepted excuse of a parent', () => {
+		return attendanceService.create({
+			courseId: course._id,
+			courseTimeId: course.times[0]._id,
+			date: '2030-01-07',
+			records: [{userId: student._id, status: 'absent', note: 'fehlt unentschuldigt'}]
+		}, teacherParams).then(attendance => {
+			expect(attendance.schoolId.toString()).to.equal(schoolId);
+			return excuseService.create({studentId: student._id.toString(), from: '2030-01-07', reason: 'Krank'}, {account: {userId: parent._id}});
+		}).then(excuse => {
+			expect(excuse.status).to.equal('submitted');
+			expect(excuse.parentId.toString()).to.equal(parent._id.toString());
+			return excuseService.patch(excuse._id, {status: 'accepted'}, teacherParams);
+		}).then(excuse => {
+			expect(excuse.status).to.equal('accepted');
+			return app.service('/attendance/children').find({account: {userId: parent._id}, query: {}});
+		}).then(children => {
+			expect(children).to.have.lengthOf(1);
+			expect(children[0].summary).to.include({excused: 1, absent: 0, total: 1});
+			expect(children[0].absences[0]).to.include({status: 'excused', courseName: 'Anwesenheitstest'});
+		});
+	});
+});
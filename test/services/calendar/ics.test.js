@@ -0,0 +1,77 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const mockery = require('mockery');
+const requestMock = require('./mock/mockResponses');
+const {escapeText, foldLine, toICalendar} = require('../../../src/services/calendar/ics');
+
+describe('calendar ics feed', function () {
+	this.timeout(10000);
+
+	const userId = '0000d231816abba584714c9e';
+	let app = null;
+	let icsService = null;
+
+	before(done => {
+		mockery.enable({
+			warnOnReplace: false,
+			warnOnUnregistered: false,
+			useCleanCache: true
+		});
+		mockery.registerMock('request-promise-native', requestMock);
+		app = require('../../../src/app');
+		app.setup();
+		icsService = app.service('/calendar/ics');
+		done();
+	});
+
+	after(() => {
+		mockery.deregisterAll();
+		mockery.disable();
+		return icsService.find({payload: {userId}})
+			.then(tokens => Promise.all(tokens.map(t => icsService.remove(t.token, {payload: {userId}}))));
+	});
+
+	it('escapes and folds content lines', () => {
+		expect(escapeText('Raum 1, Haus; A\nOG')).to.equal('Raum 1\\, Haus\\; A\\nOG');
+		const folded = foldLine('DESCRIPTION:' + 'a'.repeat(100)).split('\r\n');
+		expect(folded[0]).to.have.lengthOf(75);
+		expect(folded[1].startsWith(' ')).to.equal(true);
+	});
+
+	it('writes recurring events', () => {
+		const ics = toICalendar('Test', [{
+			uid: 'test',
+			summary: 'Mathe',
+			location: '101',
+			start: '20171002T080000',
+			end: '20171002T093000',
+			rrule: {freq: 'WEEKLY', byDay: 'MO', until: new Date('2018-07-01T00:00:00.000Z')}
+		}]);
+		expect(ics).to.include('DTSTART;TZID=Europe/Berlin:20171002T080000');
+		expect(ics).to.include('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20180701T000000Z');
+		expect(ics).to.include('LOCATION:101');
+	});
+
+	it('creates, regenerates and revokes the token of a user', () => {
+		let first;
+		return icsService.create({}, {payload: {userId}})
+			.then(result => {
+				first = result.token;
+				expect(result.path).to.equal(`/calendar/ics/${first}`);
+				return icsService.create({}, {payload: {userId}});
+			})
+			.then(result => {
+				expect(result.token).to.not.equal(first);
+				return icsService.get(first)
+					.then(_ => chai.fail('it succeeded', 'the old token should be revoked'))
+					.catch(err => expect(err.code).to.equal(404))
+					.then(_ => icsService.get(result.token));
+			})
+			.then(feed => {
+				expect(feed.ics.startsWith('BEGIN:VCALENDAR')).to.equal(true);
+				expect(feed.ics).to.include('SUMMARY:tttttt');
+			});
+	});
+});
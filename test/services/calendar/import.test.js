@@ -0,0 +1,134 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const mockery = require('mockery');
+const requestMock = require('./mock/mockResponses');
+const {parseEvents} = require('../../../src/services/calendar/ics-parser');
+const {toEventBodies} = require('../../../src/services/calendar/import-service');
+const {isPublicAddress} = require('../../../src/services/helpers/network');
+
+const ics = [
+	'BEGIN:VCALENDAR',
+	'VERSION:2.0',
+	'BEGIN:VEVENT',
+	'UID:holiday@school',
+	'SUMMARY:Herbstferien\\, Berlin',
+	'DTSTART;VALUE=DATE:20181022',
+	'DTEND;VALUE=DATE:20181103',
+	'END:VEVENT',
+	'BEGIN:VEVENT',
+	'UID:conference@school',
+	'SUMMARY:Konferenz',
+	'DTSTART;TZID=Europe/Berlin:20180705T140000',
+	'DURATION:PT1H30M',
+	'RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3',
+	'EXDATE;TZID=Europe/Berlin:20180712T140000',
+	'DESCRIPTION:eine lange Beschr',
+	' eibung',
+	'END:VEVENT',
+	'END:VCALENDAR'
+].join('\r\n');
+
+describe('calendar import', function () {
+	this.timeout(10000);
+
+	let app = null;
+	let importService = null;
+
+	before(done => {
+		mockery.enable({
+			warnOnReplace: false,
+			warnOnUnregistered: false,
+			useCleanCache: true
+		});
+		mockery.registerMock('request-promise-native', requestMock);
+		app = require('../../../src/app');
+		app.setup();
+		importService = app.service('/calendar/import');
+		done();
+	});
+
+	after(done => {
+		mockery.deregisterAll();
+		mockery.disable();
+		done();
+	});
+
+	it('parses events with timezones, recurrences and exceptions', () => {
+		const [holiday, conference] = parseEvents(ics);
+		expect(holiday.summary).to.equal('Herbstferien, Berlin');
+		expect(holiday.allDay).to.equal(true);
+		expect(holiday.start.toISOString()).to.equal('2018-10-21T22:00:00.000Z');
+		expect(conference.description).to.equal('eine lange Beschreibung');
+		expect(conference.start.toISOString()).to.equal('2018-07-05T12:00:00.000Z');
+		expect(conference.end.toISOString()).to.equal('2018-07-05T13:30:00.000Z');
+		expect(conference.rrule.until.toISOString()).to.equal('2018-07-19T12:00:00.000Z');
+		expect(conference.exdates.map(date => date.toISOString())).to.deep.equal(['2018-07-12T12:00:00.000Z']);
+	});
+
+	it('previews the import in a dry run', () => {
+		return importService.create({ics, dryRun: true}, {payload: {userId: '0000d231816abba584714c9e'}})
+			.then(result => {
+				expect(result.dryRun).to.equal(true);
+				expect(result.created).to.equal(0);
+				expect(result.events).to.have.lengthOf(2);
+				expect(result.events[1].frequency).to.equal('WEEKLY');
+				expect(result.events[1].status).to.equal('new');
+			});
+	});
+
+	it('creates the events in the calendar service', () => {
+		return importService.create(Buffer.from(ics), {query: {}, payload: {userId: '0000d231816abba584714c9e'}})
+			.then(result => {
+				expect(result.created).to.equal(2);
+			});
+	});
+
+	it('repeats weekly series on the weekday of their start', () => {
+		const withWeekStart = ics.replace('RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3', 'RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=3;WKST=MO');
+		const [holiday, conference] = toEventBodies(parseEvents(withWeekStart), 'user', '0000d231816abba584714c9e');
+		expect(holiday.weekday).to.equal(undefined);
+		expect(conference.weekday).to.equal('TH');
+	});
+
+	it('gives events without UID the same import key in every import', () => {
+		const withoutUid = ics.replace(/UID:[^\r]*\r\n/g, '');
+		const [holiday, conference] = toEventBodies(parseEvents(withoutUid), 'user', '0000d231816abba584714c9e');
+		const [again] = toEventBodies(parseEvents(withoutUid), 'user', '0000d231816abba584714c9e');
+		expect(holiday.importUid).to.be.a('string');
+		expect(holiday.importUid).to.not.equal(conference.importUid);
+		expect(again.importUid).to.equal(holiday.importUid);
+	});
+
+	it('does not take events without UID for duplicates of each other', () => {
+		const withoutUid = ics.replace(/UID:[^\r]*\r\n/g, '');
+		return importService.create({ics: withoutUid, dryRun: true}, {payload: {userId: '0000d231816abba584714c9e'}})
+			.then(result => {
+				expect(result.events.map(event => event.status)).to.deep.equal(['new', 'new']);
+			});
+	});
+
+	it('detects internal addresses', () => {
+		['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+			.forEach(address => expect(isPublicAddress(address), address).to.equal(false));
+		['8.8.8.8', '172.32.0.1', '2a00:1450:4001::1'].forEach(address => expect(isPublicAddress(address), address).to.equal(true));
+	});
+
+	it('rejects urls of internal hosts', () => {
+		return Promise.all(['http://169.254.169.254/latest/meta-data', 'webcal://127.0.0.1/calendar.ics', 'http://[::1]/calendar.ics']
+			.map(url => importService.create({url, dryRun: true}, {payload: {userId: '0000d231816abba584714c9e'}})
+				.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.code).to.equal(400);
+				})));
+	});
+
+	it('rejects unknown scopes', () => {
+		return importService.create({ics, scope: 'school'}, {payload: {userId: '0000d231816abba584714c9e'}})
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const LocalService = require('../../../src/services/calendar/local-service');
+const {getOccurrences} = LocalService;
+
+describe('built-in calendar', function () {
+	this.timeout(10000);
+
+	const userId = '0000d231816abba584714c9e';
+	const localService = new LocalService();
+	let createdIds = [];
+
+	before(() => {
+		localService.setup(app);
+	});
+
+	after(() => {
+		return Promise.all(createdIds.map(id => localService.remove(id, {payload: {userId}})));
+	});
+
+	it('expands recurring events within a period', () => {
+		const event = {
+			dtstart: new Date('2018-01-01T08:00:00.000Z'),
+			dtend: new Date('2018-01-01T09:00:00.000Z'),
+			repeat_freq: 'WEEKLY',
+			repeat_wkst: 'WE',
+			repeat_until: new Date('2018-01-31T00:00:00.000Z'),
+			exdate: [new Date('2018-01-10T08:00:00.000Z')]
+		};
+		const occurrences = getOccurrences(event, new Date('2018-01-01T00:00:00.000Z'), new Date('2018-12-31T00:00:00.000Z'));
+		expect(occurrences.map(date => date.toISOString())).to.deep.equal([
+			'2018-01-03T08:00:00.000Z',
+			'2018-01-17T08:00:00.000Z',
+			'2018-01-24T08:00:00.000Z'
+		]);
+	});
+
+	it('returns single events only if they are in the period', () => {
+		const event = {dtstart: new Date('2018-01-01T08:00:00.000Z'), dtend: new Date('2018-01-01T09:00:00.000Z')};
+		expect(getOccurrences(event, new Date('2018-02-01'), new Date('2018-03-01'))).to.have.lengthOf(0);
+		expect(getOccurrences(event, new Date('2017-12-01'), new Date('2018-03-01'))).to.have.lengthOf(1);
+	});
+
+	it('starts the expansion of old series at the requested period', () => {
+		const event = {
+			dtstart: new Date('2010-01-01T08:00:00.000Z'),
+			dtend: new Date('2010-01-01T09:00:00.000Z'),
+			repeat_freq: 'DAILY'
+		};
+		const occurrences = getOccurrences(event, new Date('2090-01-01T08:30:00.000Z'), new Date('2090-01-03T00:00:00.000Z'));
+		expect(occurrences.map(date => date.toISOString())).to.deep.equal([
+			'2090-01-01T08:00:00.000Z',
+			'2090-01-02T08:00:00.000Z'
+		]);
+	});
+
+	it('rejects periods longer than five years', () => {
+		return localService.find({query: {from: '2018-01-01', until: '2030-01-01'}, payload: {userId}})
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+
+	it('creates and finds events of the user scope', () => {
+		const startDate = new Date();
+		return localService.create({
+			summary: 'Elternabend',
+			startDate: startDate.toISOString(),
+			duration: 60 * 60 * 1000,
+			frequency: 'DAILY',
+			repeat_until: new Date(startDate.getTime() + 60 * 60 * 60 * 1000).toISOString(),
+			scopeId: userId
+		}, {payload: {userId}}).then(([event]) => {
+			createdIds.push(event._id);
+			expect(event.title).to.equal('Elternabend');
+			return localService.find({query: {}, payload: {userId}});
+		}).then(events => {
+			expect(events.filter(event => event._id === createdIds[0])).to.have.lengthOf(3);
+		});
+	});
+
+	it('finds events outside of the period if they are not expanded', () => {
+		let oldEventId;
+		return localService.create({
+			summary: 'Alte Konferenz',
+			startDate: '2010-03-01T08:00:00.000Z',
+			duration: 60 * 60 * 1000,
+			scopeId: userId
+		}, {payload: {userId}}).then(([event]) => {
+			oldEventId = event._id;
+			createdIds.push(oldEventId);
+			return Promise.all([
+				localService.find({query: {all: true, expand: false}, payload: {userId}}),
+				localService.find({query: {}, payload: {userId}})
+			]);
+		}).then(([all, expanded]) => {
+			expect(all.filter(event => event._id === oldEventId)).to.have.lengthOf(1);
+			expect(expanded.filter(event => event._id === oldEventId)).to.have.lengthOf(0);
+		});
+	});
+
+	it('ignores other users named in the query of external requests', () => {
+		return localService.find({provider: 'rest', query: {userId}, account: {userId: '0000d213816abba584714c0a'}}).then(events => {
+			expect(events.filter(event => event._id === createdIds[0])).to.have.lengthOf(0);
+		});
+	});
+
+	it('rejects events in scopes the user may not write to', () => {
+		return localService.create({
+			summary: 'Fremder Termin',
+			startDate: new Date().toISOString(),
+			duration: 0,
+			scopeId: '0000d213816abba584714c0a'
+		}, {payload: {userId}})
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(403);
+			});
+	});
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const app = require('../../../../src/app');
+
+chai.use(chaiHttp);
+
+describe('local file storage strategy', function () {
+	let localFs;
+	let schoolDirectory;
+	const schoolId = '0000d186816abba584714c5f';
+	const userId = '0000d213816abba584714c0a';
+	const fileContent = 'some test content';
+
+	// removes the host from the signed url, so that chai can request it from the app
+	const toRequestPath = (url) => url.replace(/^https?:\/\/[^/]+/, '');
+
+	before(function () {
+		// the strategy has to share its configuration with the signed url routes of the app
+		const LocalFsStrategy = require('../../../../src/services/fileStorage/strategies/localFs');
+		localFs = new LocalFsStrategy();
+		schoolDirectory = LocalFsStrategy.resolveFilePath(schoolId, '');
+	});
+
+	after(function () {
+		['1234-example.txt', '5678-example.txt', '1234-example.json', '9012-example.bin'].forEach(file => {
+			if (fs.existsSync(path.join(schoolDirectory, file))) fs.unlinkSync(path.join(schoolDirectory, file));
+		});
+	});
+
+	describe("create", function () {
+		it('creates a directory for the given school', function () {
+			return localFs.create(schoolId).then(res => {
+				expect(res.message).to.be.equal("Successfully created local storage directory!");
+				expect(fs.existsSync(schoolDirectory)).to.be.true;
+			});
+		});
+
+		it('rejects if no school id is given', function () {
+			return localFs.create()
+				.then(res => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.code).to.equal(400);
+				});
+		});
+	});
+
+	describe("generate signed url", function () {
+		it("uploads and downloads a file through signed urls", function () {
+			return localFs.generateSignedUrl(userId, "1234-example.txt", "text/plain", "putObject")
+				.then(url => chai.request(app)
+					.put(toRequestPath(url))
+					.set('Content-Type', 'text/plain')
+					.send(fileContent))
+				.then(res => {
+					expect(res.status).to.equal(200);
+					return localFs.generateSignedUrl(userId, "1234-example.txt", undefined, "getObject");
+				})
+				.then(url => chai.request(app).get(toRequestPath(url)))
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(res.text).to.equal(fileContent);
+				});
+		});
+
+		it("stores json files as they were sent", function () {
+			const json = '{"name": "Aufgabe", "done": false}';
+			return localFs.generateSignedUrl(userId, "1234-example.json", "application/json", "putObject")
+				.then(url => chai.request(app)
+					.put(toRequestPath(url))
+					.set('Content-Type', 'application/json')
+					.send(json))
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(fs.readFileSync(path.join(schoolDirectory, '1234-example.json'), 'utf8')).to.equal(json);
+				});
+		});
+
+		it("stores files larger than the limit of the body parsers", function () {
+			this.timeout(20000);
+			const content = Buffer.alloc(11 * 1024 * 1024, 'a');
+			return localFs.generateSignedUrl(userId, "9012-example.bin", "application/octet-stream", "putObject")
+				.then(url => chai.request(app)
+					.put(toRequestPath(url))
+					.set('Content-Type', 'application/octet-stream')
+					.send(content))
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(fs.statSync(path.join(schoolDirectory, '9012-example.bin')).size).to.equal(content.length);
+				});
+		});
+
+		it("rejects requests with a manipulated signature", function () {
+			return localFs.generateSignedUrl(userId, "1234-example.txt", undefined, "getObject")
+				.then(url => chai.request(app).get(toRequestPath(url).replace('1234-example', '5678-example')))
+				.then(res => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+				});
+		});
+
+		it("rejects keys outside of the school directory", function () {
+			return localFs.generateSignedUrl(userId, "../other-school/file.txt", undefined, "getObject")
+				.then(res => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.code).to.equal(400);
+				});
+		});
+
+		it("rejects with missing parameters", function () {
+			return localFs.generateSignedUrl()
+				.then(res => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.code).to.equal(400);
+				});
+		});
+	});
+
+	describe("copy and delete file", function () {
+		it("copies a file", function () {
+			return localFs.copyFile(userId, "1234-example.txt", "5678-example.txt").then(_ => {
+				const copied = path.join(schoolDirectory, '5678-example.txt');
+				expect(fs.readFileSync(copied, 'utf8')).to.equal(fileContent);
+			});
+		});
+
+		it("deletes a file", function () {
+			return localFs.deleteFile(userId, "5678-example.txt").then(_ => {
+				const deleted = path.join(schoolDirectory, '5678-example.txt');
+				expect(fs.existsSync(deleted)).to.be.false;
+			});
+		});
+
+		it("rejects with missing parameters", function () {
+			return localFs.deleteFile()
+				.then(res => chai.fail('it succeeded', 'should have returned an error'))
+				.catch(err => {
+					expect(err.code).to.equal(400);
+				});
+		});
+	});
+
+	describe("directories", function () {
+		it("creates, lists and deletes a directory", function () {
+			const directory = "users/0000d213816abba584714c0a/test";
+			return localFs.createDirectory(userId, directory)
+				.then(_ => localFs.getFiles(userId, "users/0000d213816abba584714c0a"))
+				.then(res => {
+					expect(res.directories.map(d => d.name)).to.include('test');
+					return localFs.deleteDirectory(userId, directory);
+				})
+				.then(_ => localFs.getFiles(userId, "users/0000d213816abba584714c0a"))
+				.then(res => {
+					expect(res.directories).to.have.lengthOf(0);
+				});
+		});
+	});
+});
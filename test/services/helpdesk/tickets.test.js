@@ -0,0 +1,100 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {toThread} = require('../../../src/services/helpdesk/message-service');
+const {computeMetrics} = require('../../../src/services/helpdesk/metrics-service');
+
+describe('helpdesk tickets', function () {
+	this.timeout(10000);
+
+	const helpdeskService = app.service('helpdesk');
+	const messageService = app.service('/helpdesk/:problemId/messages');
+	const reporterId = '0000d231816abba584714c9e';
+	const staffId = '0000d213816abba584714c0a';
+	let problemId;
+
+	before(() => {
+		return helpdeskService.create({
+			type: 'contactAdmin',
+			subject: 'Ticket mit Verlauf',
+			currentState: 'Kaputt',
+			targetState: 'Heile',
+			category: 'dashboard',
+			schoolId: '0000d186816abba584714c5f',
+			userId: reporterId
+		}).then(problem => {
+			problemId = problem._id;
+		});
+	});
+
+	after(() => {
+		return helpdeskService.remove(problemId);
+	});
+
+	it('nests replies below the answered message', () => {
+		const thread = toThread([
+			{_id: 'a', text: 'Frage'},
+			{_id: 'b', text: 'Antwort', replyTo: 'a'},
+			{_id: 'c', text: 'Nachfrage', replyTo: 'b'},
+			{_id: 'd', text: 'Neue Frage'}
+		]);
+		expect(thread.map(message => message._id)).to.deep.equal(['a', 'd']);
+		expect(thread[0].replies[0].replies[0].text).to.equal('Nachfrage');
+	});
+
+	it('computes the response and resolution times', () => {
+		const createdAt = new Date('2018-01-01T08:00:00.000Z');
+		const metrics = computeMetrics([
+			{state: 'closed', priority: 'high', createdAt, firstResponseAt: new Date('2018-01-01T09:00:00.000Z'), closedAt: new Date('2018-01-01T12:00:00.000Z')},
+			{state: 'open', priority: 'normal', createdAt, firstResponseAt: new Date('2018-01-01T11:00:00.000Z')},
+			{state: 'open', priority: 'normal', createdAt}
+		]);
+		expect(metrics.total).to.equal(3);
+		expect(metrics.byState.open).to.equal(2);
+		expect(metrics.byPriority.normal).to.equal(2);
+		expect(metrics.unanswered).to.equal(1);
+		expect(metrics.averageFirstResponseTime).to.equal(2 * 60 * 60 * 1000);
+		expect(metrics.medianFirstResponseTime).to.equal(2 * 60 * 60 * 1000);
+		expect(metrics.averageResolutionTime).to.equal(4 * 60 * 60 * 1000);
+	});
+
+	it('tracks the state changes of a ticket', () => {
+		return helpdeskService.patch(problemId, {state: 'waiting'}, {account: {userId: staffId}})
+			.then(problem => {
+				expect(problem.state).to.equal('waiting');
+				expect(problem.stateHistory).to.have.lengthOf(1);
+				expect(problem.stateHistory[0].from).to.equal('open');
+			});
+	});
+
+	it('rejects invalid state changes', () => {
+		return helpdeskService.patch(problemId, {state: 'submitted'})
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+
+	it('records the first response and hides internal notes from the reporter', () => {
+		return messageService.create({text: 'Interne Notiz', internal: true}, {problemId, account: {userId: staffId}})
+			.then(note => messageService.create({text: 'Wir kümmern uns darum.', replyTo: note._id}, {problemId, account: {userId: staffId}}))
+			.then(() => messageService.find({problemId, account: {userId: reporterId}}))
+			.then(messages => {
+				expect(messages.map(message => message.text)).to.deep.equal(['Wir kümmern uns darum.']);
+				return helpdeskService.get(problemId);
+			})
+			.then(problem => {
+				expect(problem.firstResponseAt).to.not.be.undefined;
+			});
+	});
+
+	it('puts a waiting ticket back in progress when the reporter answers', () => {
+		return messageService.create({text: 'Es geht immer noch nicht.'}, {problemId, account: {userId: reporterId}})
+			.then(message => {
+				expect(message.internal).to.equal(false);
+				expect(message.state).to.equal('inProgress');
+			});
+	});
+});
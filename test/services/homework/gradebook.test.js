@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const app = require('../../../src/app');
+const chai = require('chai');
+const gradebookService = app.service('/courses/:courseId/gradebook');
+const {toGrade, toPoints, getWeightedAverage} = require('../../../src/services/homework/gradebook-service');
+const expect = chai.expect;
+
+describe('gradebook service', function () {
+	this.timeout(10000);
+
+	it('registered the gradebook service', () => {
+		assert.ok(gradebookService);
+	});
+
+	it('converts percentages to the 15-point scale', () => {
+		expect(toPoints(100)).to.equal(15);
+		expect(toPoints(95)).to.equal(15);
+		expect(toPoints(67)).to.equal(9);
+		expect(toPoints(50)).to.equal(6);
+		expect(toPoints(19)).to.equal(0);
+		expect(toPoints(undefined)).to.equal(undefined);
+	});
+
+	it('converts percentages to German grades', () => {
+		expect(toGrade(100)).to.equal(1);
+		expect(toGrade(85)).to.equal(1);
+		expect(toGrade(84)).to.equal(2);
+		expect(toGrade(67)).to.equal(3);
+		expect(toGrade(45)).to.equal(5);
+		expect(toGrade(10)).to.equal(6);
+	});
+
+	it('calculates weighted averages of graded homework only', () => {
+		const homeworks = [{_id: 'a', gradeWeight: 1}, {_id: 'b', gradeWeight: 3}, {_id: 'c'}];
+		expect(getWeightedAverage({a: 40, b: 80}, homeworks)).to.equal(70);
+		expect(getWeightedAverage({c: 55}, homeworks)).to.equal(55);
+		expect(getWeightedAverage({}, homeworks)).to.equal(undefined);
+	});
+
+	it('aggregates the grades of a course', () => {
+		return gradebookService.find({courseId: '0000dcfbfb5c7a3f00bf21ab'})
+			.then(result => {
+				expect(result.homeworks.length).to.be.above(0);
+				const student = result.students.find(s => s._id.toString() === '0000d224816abba584714c9c');
+				expect(student.grades['59d1f63ce0a06325e8b5288b']).to.equal(67);
+				expect(student.average).to.equal(67);
+				expect(student.points).to.equal(9);
+				expect(student.grade).to.equal(3);
+			});
+	});
+
+	it('only contains the visible students', () => {
+		return gradebookService.find({
+			courseId: '0000dcfbfb5c7a3f00bf21ab',
+			gradebook: {studentIds: ['0000d213816abba584714c0a']}
+		}).then(result => {
+			expect(result.students).to.have.lengthOf(1);
+			expect(result.students[0].average).to.equal(undefined);
+		});
+	});
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+const app = require('../../../src/app');
+const chai = require('chai');
+const homeworkExportService = app.service('/homework/:homeworkId/submissions/export');
+const courseExportService = app.service('/courses/:courseId/submissions/export');
+const {escapeCsvValue, escapeFormula} = require('../../../src/services/homework/submission-export-service');
+const expect = chai.expect;
+
+const readRows = (rows) => new Promise((resolve, reject) => {
+	const result = [];
+	rows.on('data', row => result.push(row));
+	rows.on('end', () => resolve(result));
+	rows.on('error', reject);
+});
+
+describe('submission export service', function () {
+	this.timeout(10000);
+
+	it('registered the export services', () => {
+		assert.ok(homeworkExportService);
+		assert.ok(courseExportService);
+	});
+
+	it('escapes csv values', () => {
+		expect(escapeCsvValue('plain')).to.equal('plain');
+		expect(escapeCsvValue('a;b')).to.equal('"a;b"');
+		expect(escapeCsvValue('say "hi"')).to.equal('"say ""hi"""');
+		expect(escapeCsvValue(undefined)).to.equal('');
+	});
+
+	it('prevents values from being evaluated as formula', () => {
+		expect(escapeCsvValue('=HYPERLINK("http://example.com")')).to.equal('"\'=HYPERLINK(""http://example.com"")"');
+		['+1', '-1', '@SUM(A1)'].forEach(value => expect(escapeCsvValue(value)).to.equal(`'${value}`));
+		expect(escapeFormula('=1+1')).to.equal('\'=1+1');
+		expect(escapeFormula(67)).to.equal(67);
+		expect(escapeFormula('a=b')).to.equal('a=b');
+	});
+
+	it('exports the submissions of a homework', () => {
+		return homeworkExportService.find({homeworkId: '59d1f63ce0a06325e8b5288b', query: {format: 'xlsx'}})
+			.then(result => {
+				expect(result.format).to.equal('xlsx');
+				return readRows(result.rows);
+			})
+			.then(rows => {
+				expect(rows).to.have.lengthOf(1);
+				expect(rows[0].grade).to.equal(67);
+				expect(rows[0].homework).to.equal('Aufgabe an Ida (Mathe) - mit Abgabe & Bewertung');
+			});
+	});
+
+	it('exports the submissions of all homework in a course', () => {
+		return courseExportService.find({courseId: '0000dcfbfb5c7a3f00bf21ab', query: {}})
+			.then(result => {
+				expect(result.format).to.equal('csv');
+				return readRows(result.rows);
+			})
+			.then(rows => {
+				expect(rows.length).to.be.at.least(2);
+			});
+	});
+
+	it('rejects unsupported formats', () => {
+		return homeworkExportService.find({homeworkId: '59d1f63ce0a06325e8b5288b', query: {format: 'pdf'}})
+			.then(result => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const homeworkService = app.service('homework');
+const submissionService = app.service('submissions');
+const expect = chai.expect;
+
+describe('submission due dates', function () {
+	this.timeout(10000);
+
+	const studentId = '0000d224816abba584714c9c';
+	const teacherId = '0000d231816abba584714c9e';
+	let createdHomeworkIds = [];
+	let createdSubmissionIds = [];
+
+	const createHomework = (data) => {
+		return homeworkService.create(Object.assign({
+			schoolId: '0000d186816abba584714c5f',
+			teacherId,
+			courseId: '0000dcfbfb5c7a3f00bf21ab',
+			name: 'Abgelaufene Testaufgabe',
+			availableDate: '2017-09-28T11:47:46.622Z',
+			dueDate: '2017-10-28T11:47:46.622Z'
+		}, data)).then(homework => {
+			createdHomeworkIds.push(homework._id);
+			return homework;
+		});
+	};
+
+	const submit = (homework) => {
+		return submissionService.create({
+			schoolId: '0000d186816abba584714c5f',
+			homeworkId: homework._id,
+			studentId,
+			comment: 'Meine Lösung'
+		}, {account: {userId: studentId}}).then(submission => {
+			createdSubmissionIds.push(submission._id);
+			return submission;
+		});
+	};
+
+	after(() => {
+		return Promise.all(createdSubmissionIds.map(id => submissionService.remove(id, {account: {userId: studentId}})))
+			.then(_ => Promise.all(createdHomeworkIds.map(id => homeworkService.remove(id))));
+	});
+
+	it('rejects late submissions if the policy says so', () => {
+		return createHomework({latePolicy: 'reject'})
+			.then(submit)
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				expect(err.code).to.equal(403);
+			});
+	});
+
+	it('marks late submissions', () => {
+		return createHomework({latePolicy: 'markLate'})
+			.then(submit)
+			.then(submission => {
+				expect(submission.late).to.equal(true);
+			});
+	});
+
+	it('accepts submissions within a deadline extension', () => {
+		return createHomework({
+			latePolicy: 'reject',
+			deadlineExtensions: [{userIds: [studentId], dueDate: '2100-01-01T00:00:00.000Z'}]
+		})
+			.then(submit)
+			.then(submission => {
+				expect(submission.late).to.equal(false);
+				return submissionService.get(submission._id);
+			})
+			.then(submission => {
+				expect(new Date(submission.dueDate).getFullYear()).to.equal(2100);
+			});
+	});
+
+	it('keeps submissions on time which are changed after the due date without handing in', () => {
+		let submission;
+		return createHomework({latePolicy: 'markLate', dueDate: '2100-01-01T00:00:00.000Z'})
+			.then(submit)
+			.then(created => {
+				submission = created;
+				expect(submission.late).to.equal(false);
+				return homeworkService.patch(submission.homeworkId, {dueDate: '2017-10-28T11:47:46.622Z'});
+			})
+			.then(_ => submissionService.patch(submission._id, {teamMembers: [studentId]}, {account: {userId: studentId}}))
+			.then(patched => {
+				expect(patched.late).to.equal(false);
+				return submissionService.patch(submission._id, {comment: 'Meine verbesserte Lösung'}, {account: {userId: studentId}});
+			})
+			.then(patched => {
+				expect(patched.late).to.equal(true);
+			});
+	});
+
+	it('applies the grade penalty to late submissions', () => {
+		return createHomework({latePolicy: 'penalty', latePenalty: 20})
+			.then(submit)
+			.then(submission => submissionService.patch(submission._id, {grade: 80}, {account: {userId: teacherId}}))
+			.then(submission => {
+				expect(submission.grade).to.equal(64);
+				expect(submission.gradeBeforePenalty).to.equal(80);
+			});
+	});
+
+	it('applies the grade penalty only once if the grade is saved again', () => {
+		return createHomework({latePolicy: 'penalty', latePenalty: 20})
+			.then(submit)
+			.then(submission => submissionService.patch(submission._id, {grade: 80}, {account: {userId: teacherId}}))
+			.then(submission => submissionService.patch(submission._id, {grade: submission.grade, gradeComment: 'Gut'}, {account: {userId: teacherId}}))
+			.then(submission => {
+				expect(submission.grade).to.equal(64);
+				expect(submission.gradeBeforePenalty).to.equal(80);
+				return submissionService.patch(submission._id, {grade: submission.grade, late: false}, {account: {userId: teacherId}});
+			})
+			.then(submission => {
+				expect(submission.grade).to.equal(80);
+				expect(submission.gradeBeforePenalty).to.equal(null);
+			});
+	});
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const lessonModel = require('../../../src/services/lesson/model');
+const lessonRevisionModel = require('../../../src/services/lesson/revision-model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {registerComponent, prepareContents} = require('../../../src/services/lesson/components');
+const seededLessons = require('../../../backup/setup/lessons.json');
+
+describe('lesson content components', function () {
+	this.timeout(20000);
+
+	const lessonService = app.service('/lessons');
+	const teacherId = '0000d231816abba584714c9e';
+	let course;
+
+	const createLesson = (contents) => lessonService.create({name: 'Komponenten', courseId: course._id, userId: teacherId, contents});
+
+	before(() => {
+		return courseModel.create({name: 'Komponenten', schoolId: '0000d186816abba584714c5f', teacherIds: [teacherId]}).then(created => {
+			course = created;
+		});
+	});
+
+	after(() => lessonModel.find({courseId: course._id}).select('_id').lean().exec()
+		.then(lessons => Promise.all([
+			lessonRevisionModel.remove({lessonId: {$in: lessons.map(topic => topic._id)}}).exec(),
+			lessonModel.remove({courseId: course._id}).exec(),
+			courseModel.findByIdAndRemove(course._id).exec()
+		])));
+
+	it('rejects unknown components', () => {
+		return createLesson([{component: 'flash', content: {}}]).catch(err => err).then(err => {
+			expect(err.code).to.equal(400);
+			expect(err.message).to.contain('flash');
+		});
+	});
+
+	it('rejects contents which do not match the schema of their component', () => {
+		return createLesson([{component: 'resources', content: {resources: [{url: 'javascript:alert(1)', title: 'Link'}]}}])
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+
+	it('sanitizes the contents by the rules of their component', () => {
+		return createLesson([
+			{component: 'text', content: {text: '<p><b>Brüche</b></p>'}},
+			{component: 'resources', content: {resources: [{url: 'https://example.com', title: 'Video', description: '<p>Ein <b>Video</b></p>'}]}}
+		]).then(topic => {
+			expect(topic.contents[0].content.text).to.equal('<p><b>Brüche</b></p>');
+			expect(topic.contents[1].content.resources[0].description).to.equal('Ein Video');
+		});
+	});
+
+	it('rejects unknown components in the contents aggregation', () => {
+		return app.service('/lessons/contents/:type/').find({type: 'flash', query: {type: 'flash'}}).catch(err => err).then(err => {
+			expect(err.code).to.equal(400);
+		});
+	});
+
+	it('accepts the contents of the seeded lessons', () => {
+		seededLessons.forEach(lesson => {
+			expect(() => prepareContents(JSON.parse(JSON.stringify(lesson.contents))), lesson._id.$oid).to.not.throw();
+		});
+	});
+
+	it('accepts registered components', () => {
+		registerComponent('quiz', {
+			schema: {type: 'object', required: ['question'], properties: {question: {type: 'string'}}},
+			sanitization: {question: 'text'}
+		});
+		const contents = prepareContents([{component: 'quiz', title: '<i>Quiz</i>', content: {question: '<b>2 + 2?</b>'}}]);
+		expect(contents[0].title).to.equal('Quiz');
+		expect(contents[0].content.question).to.equal('2 + 2?');
+	});
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const lessonModel = require('../../../src/services/lesson/model');
+const lessonRevisionModel = require('../../../src/services/lesson/revision-model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {MAX_REVISIONS, storeRevision} = require('../../../src/services/lesson/revisions');
+
+describe('lesson revisions', function () {
+	this.timeout(20000);
+
+	const lessonService = app.service('/lessons');
+	const revisionService = app.service('/lessons/:lessonId/revisions');
+	const diffService = app.service('/lessons/:lessonId/revisions/diff');
+	const teacherId = '0000d231816abba584714c9e';
+	const params = {account: {userId: teacherId}};
+	let course, lesson;
+
+	before(() => {
+		return courseModel.create({name: 'Versionen', schoolId: '0000d186816abba584714c5f', teacherIds: [teacherId]}).then(created => {
+			course = created;
+			return lessonService.create({
+				name: 'Bruchrechnung',
+				courseId: course._id,
+				userId: teacherId,
+				contents: [
+					{component: 'text', title: 'Einleitung', content: {text: 'Ein Bruch hat einen Zähler.'}},
+					{component: 'text', title: 'Übung', content: {text: 'Kürze 2/4.'}}
+				]
+			});
+		}).then(created => {
+			lesson = created;
+		});
+	});
+
+	after(() => Promise.all([
+		lessonRevisionModel.remove({lessonId: lesson._id}).exec(),
+		lessonModel.findByIdAndRemove(lesson._id).exec(),
+		courseModel.findByIdAndRemove(course._id).exec()
+	]));
+
+	it('stores a revision for every change with its editor', () => {
+		const contents = [
+			Object.assign({}, lesson.contents[0], {content: {text: 'Ein Bruch hat einen Zähler und einen Nenner.'}}),
+			{component: 'resources', title: 'Video', content: {resources: []}}
+		];
+		return lessonService.patch(lesson._id, {courseId: course._id, contents}, params)
+			.then(() => revisionService.find({lessonId: lesson._id}))
+			.then(revisions => {
+				expect(revisions.map(revision => revision.revision)).to.deep.equal([2, 1]);
+				expect(revisions[0].editorId._id.toString()).to.equal(teacherId);
+			});
+	});
+
+	it('does not store unchanged lessons', () => {
+		return lessonService.patch(lesson._id, {courseId: course._id, position: 2}, params)
+			.then(() => lessonRevisionModel.count({lessonId: lesson._id}).exec())
+			.then(count => {
+				expect(count).to.equal(2);
+			});
+	});
+
+	it('compares two revisions per content block', () => {
+		return diffService.find({lessonId: lesson._id, query: {from: 1}}).then(diff => {
+			expect(diff.to).to.equal(2);
+			expect(diff.name).to.equal(undefined);
+			expect(diff.contents.map(content => content.status)).to.deep.equal(['changed', 'added', 'removed']);
+			expect(diff.contents[0].changes.content.to.text).to.contain('Nenner');
+			expect(Object.keys(diff.contents[0].changes)).to.deep.equal(['content']);
+		});
+	});
+
+	it('restores a revision as new revision', () => {
+		return revisionService.create({revision: 1}, Object.assign({lessonId: lesson._id}, params))
+			.then(restored => {
+				expect(restored.contents.map(content => content.title)).to.deep.equal(['Einleitung', 'Übung']);
+				return diffService.find({lessonId: lesson._id, query: {from: 1, to: 3}});
+			}).then(diff => {
+				expect(diff.contents.every(content => content.status === 'unchanged')).to.equal(true);
+			});
+	});
+
+	it('keeps only the latest revisions', () => {
+		const topic = {_id: lesson._id, name: lesson.name, contents: []};
+		let stored = Promise.resolve();
+		for (let i = 0; i <= MAX_REVISIONS; i++) {
+			stored = stored.then(() => storeRevision(Object.assign({}, topic, {description: `Version ${i}`}), teacherId));
+		}
+		return stored.then(() => lessonRevisionModel.find({lessonId: lesson._id}).sort({revision: 1}).lean().exec())
+			.then(revisions => {
+				expect(revisions.length).to.equal(MAX_REVISIONS);
+				expect(revisions[revisions.length - 1].description).to.equal(`Version ${MAX_REVISIONS}`);
+			});
+	});
+
+	it('rejects unknown revisions', () => {
+		return revisionService.get(999, {lessonId: lesson._id}).catch(err => err).then(err => {
+			expect(err.code).to.equal(404);
+		});
+	});
+});
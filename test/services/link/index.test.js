@@ -36,4 +36,65 @@ describe('link service', function () {
 
 			});
 	});
+
+	const requestLink = id => new Promise(resolve => {
+		chai.request(app)
+			.get(`/link/${id}`)
+			.redirects(0)
+			.end((error, result) => resolve(result || error.response));
+	});
+
+	it('shows a 410 page for expired links', function () {
+		this.timeout(10000);
+
+		return service.create({target: 'https://schul-cloud.org/', expiresAt: new Date(Date.now() - 1000)})
+			.then(data => requestLink(data._id))
+			.then(result => {
+				chai.expect(result.status).to.equal(410);
+			});
+	});
+
+	it('counts the clicks up to the maximum uses', function () {
+		this.timeout(10000);
+
+		let id;
+		return service.create({target: 'https://schul-cloud.org/', maxUses: 1})
+			.then(data => {
+				id = data._id;
+				return requestLink(id);
+			})
+			.then(result => {
+				chai.expect(result.status).to.equal(302);
+				return requestLink(id);
+			})
+			.then(result => {
+				chai.expect(result.status).to.equal(410);
+				return service.Model.findById(id).lean().exec();
+			})
+			.then(data => {
+				chai.expect(data.clicks).to.equal(1);
+				chai.expect(data.clickedAt).to.have.lengthOf(1);
+			});
+	});
+
+	it('shows a 404 page for unknown and invalid links', function () {
+		this.timeout(10000);
+
+		return Promise.all([requestLink('xxxxx'), requestLink('%3Cscript%3E')])
+			.then(results => results.forEach(result => {
+				chai.expect(result.status).to.equal(404);
+				chai.expect(result.text).to.contain('Dieser Link existiert nicht.');
+			}));
+	});
+
+	it('creates registration links which belong to the school', function () {
+		this.timeout(10000);
+
+		const schoolId = '0000d186816abba584714c5f';
+		return app.service('registrationlink').create({role: 'student', schoolId, host: 'https://schul-cloud.org'})
+			.then(linkData => service.Model.findById(linkData.shortLink.split('/').pop()).lean().exec())
+			.then(data => {
+				chai.expect(data.schoolId.toString()).to.equal(schoolId);
+			});
+	});
 });
@@ -0,0 +1,102 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const ltiToolModel = require('../../../src/services/ltiTool/model');
+const Pseudonym = require('../../../src/services/pseudonym/model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {sign, mapRoles, customParameters} = require('../../../src/services/ltiTool/lti');
+
+describe('ltiTool launch service', function () {
+	this.timeout(20000);
+
+	const launchService = app.service('/ltiTools/:ltiToolId/launch');
+	const teacherId = '0000d231816abba584714c9e';
+	let tool, anonymousTool, course;
+
+	const launch = (toolId, courseId) => launchService.find({
+		ltiToolId: toolId,
+		query: {courseId},
+		account: {userId: teacherId}
+	});
+
+	before(() => {
+		const template = {
+			url: 'http://lti.tools/test/tp.php?mode=test',
+			key: 'jisc.ac.uk',
+			secret: 'secret',
+			lti_message_type: 'basic-lti-launch-request',
+			lti_version: 'LTI-1p0',
+			resource_link_id: '0'
+		};
+		return Promise.all([
+			ltiToolModel.create(Object.assign({name: 'Launch', privacy_permission: 'name', customs: [{key: 'Ziel-Seite', value: 'start'}]}, template)),
+			ltiToolModel.create(Object.assign({name: 'Anonymous launch'}, template))
+		]).then(([created, anonymous]) => {
+			tool = created;
+			anonymousTool = anonymous;
+			return courseModel.create({
+				name: 'LTI-Kurs',
+				schoolId: '0000d186816abba584714c5f',
+				teacherIds: [teacherId],
+				ltiToolIds: [tool._id, anonymousTool._id]
+			});
+		}).then(created => {
+			course = created;
+		});
+	});
+
+	after(() => Promise.all([
+		courseModel.findByIdAndRemove(course._id).exec(),
+		ltiToolModel.remove({_id: {$in: [tool._id, anonymousTool._id]}}).exec(),
+		Pseudonym.remove({toolId: anonymousTool._id}).exec()
+	]));
+
+	it('signs like OAuth 1.0a including the query of the url', () => {
+		const parameters = {a: '1', oauth_consumer_key: 'key', oauth_nonce: 'abc', custom_x: 'hello world!'};
+		expect(sign('POST', 'HTTP://Example.com:80/launch?q=z', parameters, 'secret')).to.equal('yYWWh0bLiN10MwltPS7QlK3EYFE=');
+	});
+
+	it('maps roles and custom parameters', () => {
+		expect(mapRoles(['teacher', 'demoTeacher', 'administrator', 'helpdesk'])).to.deep.equal(['Instructor', 'Administrator']);
+		expect(customParameters([{key: 'Ziel-Seite', value: 'start'}])).to.deep.equal({'custom_ziel_seite': 'start'});
+	});
+
+	it('returns a signed launch for the user and course', () => {
+		return launch(tool._id, course._id).then(result => {
+			const fields = result.fields;
+			expect(result.url).to.equal(tool.url);
+			expect(result.method).to.equal('POST');
+			expect(fields.roles).to.equal('Instructor');
+			expect(fields.context_id).to.equal(course._id.toString());
+			expect(fields.custom_ziel_seite).to.equal('start');
+			expect(fields.user_id).to.equal(teacherId);
+			expect(fields.lis_person_name_full).to.be.ok;
+			expect(fields.lis_person_contact_email_primary).to.equal(undefined);
+			expect(fields.oauth_consumer_key).to.equal('jisc.ac.uk');
+
+			const unsigned = Object.assign({}, fields);
+			delete unsigned.oauth_signature;
+			expect(fields.oauth_signature).to.equal(sign('POST', tool.url, unsigned, 'secret'));
+		});
+	});
+
+	it('uses the pseudonym for anonymous launches', () => {
+		return launch(anonymousTool._id, course._id).then(result => {
+			return Pseudonym.findOne({userId: teacherId, toolId: anonymousTool._id}).exec().then(pseudonym => {
+				expect(result.fields.user_id).to.equal(pseudonym.pseudonym);
+				expect(result.fields.lis_person_name_full).to.equal(undefined);
+			});
+		});
+	});
+
+	it('rejects tools which do not belong to the course', () => {
+		return courseModel.findByIdAndUpdate(course._id, {ltiToolIds: [anonymousTool._id]}).exec()
+			.then(() => launch(tool._id, course._id))
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+});
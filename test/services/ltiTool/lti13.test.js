@@ -0,0 +1,171 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const jose = require('node-jose');
+const ltiToolModel = require('../../../src/services/ltiTool/model');
+const keyModel = require('../../../src/services/keys/model');
+const lessonModel = require('../../../src/services/lesson/model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {verifyPlatformJwt} = require('../../../src/services/ltiTool/platform-keys');
+const {CLAIM, DEEP_LINKING_CLAIM, getIssuer} = require('../../../src/services/ltiTool/lti13');
+
+describe('ltiTool LTI 1.3', function () {
+	this.timeout(20000);
+
+	const launchService = app.service('/ltiTools/:ltiToolId/launch');
+	const oidcService = app.service('/ltiTools/oidc/auth');
+	const deepLinkingService = app.service('/ltiTools/deepLinking');
+	const jwksService = app.service('/ltiTools/jwks');
+	const teacherId = '0000d231816abba584714c9e';
+	let toolKey, tool, course, lesson, login;
+
+	// the authentication request of the tool to the login initiation
+	const authenticate = (fields, overrides) => oidcService.create(Object.assign({
+		scope: 'openid',
+		response_type: 'id_token',
+		response_mode: 'form_post',
+		prompt: 'none',
+		client_id: fields.client_id,
+		redirect_uri: tool.url,
+		login_hint: fields.login_hint,
+		lti_message_hint: fields.lti_message_hint,
+		state: 'state',
+		nonce: 'nonce'
+	}, overrides), {account: {userId: teacherId}});
+
+	before(() => {
+		return jose.JWK.createKeyStore().generate('RSA', 2048, {alg: 'RS256', use: 'sig'}).then(key => {
+			toolKey = key;
+			return app.service('/ltiTools').create({
+				name: 'LTI 1.3',
+				url: 'https://tool.example.com/launch',
+				lti_message_type: 'LtiResourceLinkRequest',
+				lti_version: 'LTI-1p3',
+				resource_link_id: '0',
+				login_url: 'https://tool.example.com/login',
+				public_key: key.toPEM()
+			});
+		}).then(created => {
+			tool = created;
+			return courseModel.create({name: 'LTI-1.3-Kurs', schoolId: '0000d186816abba584714c5f', teacherIds: [teacherId], ltiToolIds: [tool._id]});
+		}).then(created => {
+			course = created;
+			return lessonModel.create({name: 'Deep Linking', courseId: course._id});
+		}).then(created => {
+			lesson = created;
+		});
+	});
+
+	after(() => Promise.all([
+		lessonModel.findByIdAndRemove(lesson._id).exec(),
+		courseModel.findByIdAndRemove(course._id).exec(),
+		ltiToolModel.findByIdAndRemove(tool._id).exec()
+	]));
+
+	it('issues the client_id and the deployment_id of the registration', () => {
+		expect(tool.client_id).to.be.ok;
+		expect(tool.deployment_id).to.be.ok;
+		return app.service('/ltiTools').create({
+			name: 'Unregistered',
+			url: 'https://tool.example.com/launch',
+			lti_message_type: 'LtiResourceLinkRequest',
+			lti_version: 'LTI-1p3',
+			resource_link_id: '0'
+		}).catch(err => err).then(err => {
+			expect(err.code).to.equal(400);
+		});
+	});
+
+	it('publishes the retired keys after a rotation', () => {
+		return jwksService.create({}).then(first => jwksService.create({}).then(second => {
+			return jwksService.find({}).then(jwks => {
+				const kids = jwks.keys.map(key => key.kid);
+				expect(kids).to.include(first.kid);
+				expect(kids).to.include(second.kid);
+				expect(jwks.keys.every(key => key.d === undefined)).to.equal(true);
+				return keyModel.findOne({kid: first.kid}).lean().exec();
+			}).then(retired => {
+				expect(retired.retiredAt).to.be.ok;
+			});
+		}));
+	});
+
+	it('starts the launch with the login initiation', () => {
+		return launchService.find({
+			ltiToolId: tool._id,
+			query: {courseId: course._id, lessonId: lesson._id},
+			account: {userId: teacherId}
+		}).then(result => {
+			login = result.fields;
+			expect(result.url).to.equal(tool.login_url);
+			expect(login.iss).to.equal(getIssuer(app));
+			expect(login.client_id).to.equal(tool.client_id);
+			expect(login.login_hint).to.equal(teacherId);
+			return verifyPlatformJwt(login.lti_message_hint);
+		}).then(hint => {
+			expect(hint.lessonId).to.equal(lesson._id.toString());
+		});
+	});
+
+	it('answers the authentication request with the id_token', () => {
+		return authenticate(login).then(result => {
+			expect(result.form.url).to.equal(tool.url);
+			expect(result.form.fields.state).to.equal('state');
+			return verifyPlatformJwt(result.form.fields.id_token);
+		}).then(claims => {
+			expect(claims.aud).to.equal(tool.client_id);
+			expect(claims.nonce).to.equal('nonce');
+			expect(claims[`${CLAIM}message_type`]).to.equal('LtiDeepLinkingRequest');
+			expect(claims[`${CLAIM}roles`]).to.deep.equal(['http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor']);
+			expect(claims[`${CLAIM}context`].id).to.equal(course._id.toString());
+			expect(claims[`${DEEP_LINKING_CLAIM}deep_linking_settings`].data).to.equal(login.lti_message_hint);
+		});
+	});
+
+	it('rejects redirect uris which are not registered', () => {
+		return authenticate(login, {redirect_uri: 'https://evil.example.com'}).catch(err => err).then(err => {
+			expect(err.code).to.equal(400);
+		});
+	});
+
+	it('adds the content items of the deep linking response to the lesson', () => {
+		const response = {
+			iss: tool.client_id,
+			aud: getIssuer(app),
+			iat: Math.floor(Date.now() / 1000),
+			exp: Math.floor(Date.now() / 1000) + 60,
+			nonce: 'nonce',
+			[`${CLAIM}message_type`]: 'LtiDeepLinkingResponse',
+			[`${CLAIM}version`]: '1.3.0',
+			[`${CLAIM}deployment_id`]: tool.deployment_id,
+			[`${DEEP_LINKING_CLAIM}data`]: login.lti_message_hint,
+			[`${DEEP_LINKING_CLAIM}content_items`]: [
+				{type: 'link', url: 'https://tool.example.com/video', title: 'Video'},
+				{type: 'ltiResourceLink', title: 'Quiz', custom: {quiz: '42'}},
+				{type: 'image', url: 'https://tool.example.com/image.png'}
+			]
+		};
+		return jose.JWS.createSign({format: 'compact', fields: {typ: 'JWT'}}, toolKey).update(JSON.stringify(response)).final()
+			.then(token => deepLinkingService.create({JWT: token}))
+			.then(result => {
+				expect(result.redirect).to.contain(`/courses/${course._id}/topics/${lesson._id}`);
+				return lessonModel.findById(lesson._id).lean().exec();
+			}).then(updated => {
+				expect(updated.contents.map(content => content.component)).to.deep.equal(['resources', 'ltiTool']);
+				expect(updated.contents[1].content.url).to.equal(tool.url);
+				expect(updated.contents[1].content.custom.quiz).to.equal('42');
+			});
+	});
+
+	it('rejects deep linking responses which are not signed by the tool', () => {
+		return jose.JWK.createKeyStore().generate('RSA', 2048, {alg: 'RS256'})
+			.then(key => jose.JWS.createSign({format: 'compact'}, key).update(JSON.stringify({iss: tool.client_id})).final())
+			.then(token => deepLinkingService.create({JWT: token}))
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(401);
+			});
+	});
+});
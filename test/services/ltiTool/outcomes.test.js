@@ -0,0 +1,143 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const ltiToolModel = require('../../../src/services/ltiTool/model');
+const Pseudonym = require('../../../src/services/pseudonym/model');
+const {homeworkModel, submissionModel} = require('../../../src/services/homework/model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {userModel} = require('../../../src/services/user/model');
+const {sign, bodyHash} = require('../../../src/services/ltiTool/lti');
+const {getOutcomeServiceUrl, parseSourcedId, getXmlValue} = require('../../../src/services/ltiTool/outcomes');
+
+describe('ltiTool outcome service', function () {
+	this.timeout(20000);
+
+	const outcomeService = app.service('/ltiTools/outcomes');
+	const launchService = app.service('/ltiTools/:ltiToolId/launch');
+	const schoolId = '0000d186816abba584714c5f';
+	const teacherId = '0000d231816abba584714c9e';
+	let tool, student, course, homework, sourcedId;
+
+	const outcomeRequest = (operation, score) => '<?xml version="1.0" encoding="UTF-8"?>'
+		+ '<imsx_POXEnvelopeRequest xmlns="http://www.imsglobal.org/services/ltiv1p1/xsd/imsoms_v1p0">'
+		+ '<imsx_POXHeader><imsx_POXRequestHeaderInfo><imsx_version>V1.0</imsx_version>'
+		+ '<imsx_messageIdentifier>4711</imsx_messageIdentifier></imsx_POXRequestHeaderInfo></imsx_POXHeader>'
+		+ `<imsx_POXBody><${operation}Request><resultRecord><sourcedGUID><sourcedId>${sourcedId}</sourcedId></sourcedGUID>`
+		+ (score !== undefined ? `<result><resultScore><language>en</language><textString>${score}</textString></resultScore></result>` : '')
+		+ `</resultRecord></${operation}Request></imsx_POXBody></imsx_POXEnvelopeRequest>`;
+
+	// signs the request like a tool
+	const send = (xml, secret) => {
+		const body = Buffer.from(xml);
+		const oauth = {
+			oauth_consumer_key: tool.key,
+			oauth_nonce: 'nonce',
+			oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+			oauth_signature_method: 'HMAC-SHA1',
+			oauth_version: '1.0',
+			oauth_body_hash: bodyHash(body)
+		};
+		oauth.oauth_signature = sign('POST', getOutcomeServiceUrl(app), oauth, secret || tool.secret);
+		const authorization = 'OAuth ' + Object.keys(oauth).map(key => `${key}="${encodeURIComponent(oauth[key])}"`).join(',');
+		return outcomeService.create(body, {headers: {authorization}})
+			.then(result => getXmlValue(result.xml, 'imsx_POXEnvelopeResponse'));
+	};
+
+	before(() => {
+		return Promise.all([
+			ltiToolModel.create({
+				name: 'Outcomes',
+				url: 'http://lti.tools/test/tp.php',
+				key: 'outcomes',
+				secret: 'secret',
+				lti_message_type: 'basic-lti-launch-request',
+				lti_version: 'LTI-1p0',
+				resource_link_id: '0'
+			}),
+			userModel.create({email: 'student.outcomes@schul-cloud.org', firstName: 'Lea', lastName: 'Lernend', schoolId, roles: ['0000d186816abba584714c99']})
+		]).then(([createdTool, createdStudent]) => {
+			tool = createdTool;
+			student = createdStudent;
+			return courseModel.create({name: 'Outcome-Kurs', schoolId, userIds: [student._id], teacherIds: [teacherId], ltiToolIds: [tool._id]});
+		}).then(created => {
+			course = created;
+			return homeworkModel.create({
+				name: 'Quiz',
+				schoolId,
+				teacherId,
+				courseId: course._id,
+				ltiToolId: tool._id,
+				availableDate: new Date(),
+				dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+			});
+		}).then(created => {
+			homework = created;
+		});
+	});
+
+	after(() => Promise.all([
+		submissionModel.remove({homeworkId: homework._id}).exec(),
+		homeworkModel.findByIdAndRemove(homework._id).exec(),
+		courseModel.findByIdAndRemove(course._id).exec(),
+		Pseudonym.remove({toolId: tool._id}).exec(),
+		ltiToolModel.findByIdAndRemove(tool._id).exec(),
+		userModel.findByIdAndRemove(student._id).exec()
+	]));
+
+	it('sends the outcome service to students who launch a homework', () => {
+		return launchService.find({
+			ltiToolId: tool._id,
+			query: {courseId: course._id, homeworkId: homework._id},
+			account: {userId: student._id}
+		}).then(result => {
+			sourcedId = result.fields.lis_result_sourcedid;
+			expect(result.fields.lis_outcome_service_url).to.equal(getOutcomeServiceUrl(app));
+			expect(parseSourcedId(sourcedId).homeworkId).to.equal(homework._id.toString());
+		});
+	});
+
+	it('stores a replaced result as grade of the student', () => {
+		return send(outcomeRequest('replaceResult', '0.92')).then(response => {
+			expect(getXmlValue(response, 'imsx_codeMajor')).to.equal('success');
+			expect(getXmlValue(response, 'imsx_messageRefIdentifier')).to.equal('4711');
+			return submissionModel.findOne({homeworkId: homework._id, studentId: student._id}).exec();
+		}).then(submission => {
+			expect(submission.grade).to.equal(92);
+		});
+	});
+
+	it('reads the result', () => {
+		return send(outcomeRequest('readResult')).then(response => {
+			expect(getXmlValue(response, 'textString')).to.equal('0.92');
+		});
+	});
+
+	it('rejects scores outside of 0.0 and 1.0', () => {
+		return send(outcomeRequest('replaceResult', '1.5')).then(response => {
+			expect(getXmlValue(response, 'imsx_codeMajor')).to.equal('failure');
+		});
+	});
+
+	it('deletes the result', () => {
+		return send(outcomeRequest('deleteResult')).then(response => {
+			expect(getXmlValue(response, 'imsx_codeMajor')).to.equal('success');
+			return submissionModel.findOne({homeworkId: homework._id, studentId: student._id}).exec();
+		}).then(submission => {
+			expect(submission.grade).to.equal(undefined);
+		});
+	});
+
+	it('answers other operations as unsupported', () => {
+		return send(outcomeRequest('readMembership')).then(response => {
+			expect(getXmlValue(response, 'imsx_codeMajor')).to.equal('unsupported');
+		});
+	});
+
+	it('rejects requests with a wrong signature', () => {
+		return send(outcomeRequest('readResult'), 'wrong').catch(err => err).then(err => {
+			expect(err.code).to.equal(401);
+		});
+	});
+});
@@ -59,5 +59,55 @@ describe('passwordRecovery service', function() {
 					});
 			});
 	});
+
+	it('does not accept a recovery twice', () => {
+		return passwordRecoveryService.find()
+			.then(result => app.service('passwordRecovery/reset').create({ "accountId": result.data[0].account, "password": "schulcloud", "resetId": result.data[0]._id }))
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				chai.expect(err.code).to.equal(400);
+			});
+	});
+
+	it('does not accept a recovery for another account', () => {
+		let recovery;
+		return passwordRecoveryService.create(testRecovery)
+			.then(result => {
+				recovery = result;
+				return app.service('passwordRecovery/reset').create({ "accountId": "0000d213816abba584714c0a", "password": "schulcloud", "resetId": recovery._id });
+			})
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				chai.expect(err.code).to.equal(400);
+				return passwordRecoveryService.remove(recovery._id);
+			});
+	});
+
+	it('gives the same response for unknown usernames', () => {
+		return Promise.all([
+			passwordRecoveryService.create(testRecovery, {provider: 'rest'}),
+			passwordRecoveryService.create({username: 'niemand@schul-cloud.org'}, {provider: 'rest'})
+		]).then(([known, unknown]) => {
+			chai.expect(unknown).to.deep.equal(known);
+		});
+	});
+
+	it('does not list or change recoveries for external requests', () => {
+		return Promise.all([
+			passwordRecoveryService.find({provider: 'rest'}),
+			passwordRecoveryService.patch(null, {changed: false}, {provider: 'rest'})
+		].map(request => request
+			.then(_ => chai.fail('it succeeded', 'should have returned an error'))
+			.catch(err => {
+				chai.expect(err.code).to.equal(405);
+			})));
+	});
+
+	it('does not return the token to the requesting client', () => {
+		return passwordRecoveryService.create(testRecovery, {provider: 'rest'})
+			.then(result => {
+				chai.expect(result._id).to.be.undefined;
+			});
+	});
 });
 
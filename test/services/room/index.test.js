@@ -0,0 +1,92 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {roomModel, bookingModel} = require('../../../src/services/room/model');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {overlapsCourseTime} = require('../../../src/services/room/helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('room service', function () {
+	this.timeout(20000);
+
+	const courseService = app.service('/courses');
+	const bookingService = app.service('/bookings');
+	const schoolId = '0000d186816abba584714c5f';
+	const params = {account: {userId: '0000d213816abba584714c0a'}};
+	let room, course;
+	const courseIds = [];
+
+	before(() => {
+		return roomModel.create({schoolId, name: 'Testraum', capacity: 20, equipment: ['Beamer']})
+			.then(created => {
+				room = created;
+				return courseModel.create({
+					name: 'Raumtest',
+					schoolId,
+					times: [{weekday: 0, startTime: 8 * HOUR, duration: HOUR, room: room.name, roomId: room._id}]
+				});
+			})
+			.then(created => {
+				course = created;
+				courseIds.push(course._id);
+			});
+	});
+
+	after(() => Promise.all([
+		courseModel.remove({_id: {$in: courseIds}}).exec(),
+		bookingModel.remove({roomId: room._id}).exec()
+	]).then(() => roomModel.findByIdAndRemove(room._id).exec()));
+
+	it('finds lessons within a period', () => {
+		const time = {weekday: 0, startTime: 8 * HOUR, duration: HOUR};
+		// 2030-01-07 is a monday
+		expect(overlapsCourseTime({}, time, new Date(2030, 0, 7, 8, 30), new Date(2030, 0, 7, 10))).to.equal(true);
+		expect(overlapsCourseTime({}, time, new Date(2030, 0, 7, 9), new Date(2030, 0, 7, 10))).to.equal(false);
+		expect(overlapsCourseTime({untilDate: new Date(2029, 11, 1)}, time, new Date(2030, 0, 7), new Date(2030, 0, 8))).to.equal(false);
+	});
+
+	it('rejects course times in an occupied room', () => {
+		const data = {name: 'Raumtest 2', schoolId, times: [{weekday: 0, startTime: 8.5 * HOUR, duration: HOUR, room: 'testraum'}]};
+		return courseService.create(data, params)
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(409);
+				expect(err.data.conflicts[0]).to.include({type: 'room', resource: 'Testraum', start: '08:30', end: '09:00'});
+			});
+	});
+
+	it('saves the course with the conflicts as warnings if they are ignored', () => {
+		const data = {
+			name: 'Raumtest 3',
+			schoolId,
+			times: [{weekday: 0, startTime: 8.5 * HOUR, duration: HOUR, room: 'testraum'}],
+			ignoreRoomConflicts: true
+		};
+		return courseService.create(data, params).then(created => {
+			courseIds.push(created._id);
+			expect(created.times[0].roomId.toString()).to.equal(room._id.toString());
+			expect(created.times[0].room).to.equal('Testraum');
+			expect(created.roomConflicts).to.have.lengthOf(1);
+		});
+	});
+
+	it('books a free room and rejects overlapping bookings', () => {
+		const booking = {roomId: room._id, title: 'Elternabend', start: new Date(2030, 0, 6, 18), end: new Date(2030, 0, 6, 20)};
+		return bookingService.create(booking, params).then(created => {
+			expect(created.userId.toString()).to.equal(params.account.userId);
+			expect(created.schoolId.toString()).to.equal(schoolId);
+			return bookingService.create(Object.assign({}, booking, {title: 'Konferenz'}), params).catch(err => err);
+		}).then(err => {
+			expect(err.code).to.equal(409);
+			expect(err.data.conflicts[0]).to.include({type: 'booking', name: 'Elternabend'});
+			const lesson = {roomId: room._id, title: 'Prüfung', start: new Date(2030, 0, 7, 8, 15), end: new Date(2030, 0, 7, 8, 45)};
+			return bookingService.create(lesson, params).catch(err => err);
+		}).then(err => {
+			expect(err.code).to.equal(409);
+			expect(err.data.conflicts.map(conflict => conflict.name)).to.include('Raumtest');
+		});
+	});
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {computePlan} = require('../../../src/services/school/rollover-service');
+const {schoolModel, yearModel} = require('../../../src/services/school/model');
+const {classModel, courseModel} = require('../../../src/services/user-group/model');
+
+describe('school year rollover', function () {
+	const years = [{_id: 'y2', name: '2018/19'}, {_id: 'y1', name: '2017/18'}];
+	const gradeLevels = [{_id: 'g12', name: '12'}, {_id: 'g13', name: '13'}, {_id: 'g5', name: '5'}];
+	const classes = [
+		{_id: 'c1', name: 'a', nameFormat: 'gradeLevel+name', gradeLevel: 'g12', year: 'y1', userIds: ['s1'], teacherIds: ['t1']},
+		{_id: 'c2', name: 'b', nameFormat: 'gradeLevel+name', gradeLevel: 'g13', year: 'y1', userIds: ['s2', 't2'], teacherIds: []},
+		{_id: 'c3', name: 'Chor', nameFormat: 'static', year: 'y1', userIds: ['s1', 's2']},
+		{_id: 'c4', name: 'a', nameFormat: 'gradeLevel+name', gradeLevel: 'g5', year: 'y0', userIds: []}
+	];
+	const now = new Date('2018-08-01T00:00:00.000Z');
+	const courses = [
+		{_id: 'k1', name: 'Mathe', untilDate: new Date('2018-07-01T00:00:00.000Z')},
+		{_id: 'k2', name: 'Deutsch', untilDate: new Date('2019-07-01T00:00:00.000Z')},
+		{_id: 'k3', name: 'Physik', untilDate: new Date('2018-07-01T00:00:00.000Z'), archivedAt: new Date()}
+	];
+
+	it('registered the rollover service', () => {
+		expect(app.service('/schools/:schoolId/rollover')).to.be.ok;
+	});
+
+	it('plans the promotion of the classes of the current year', () => {
+		const plan = computePlan({school: {currentYear: 'y1'}, years, gradeLevels, classes, courses, studentIds: ['s1', 's2'], now});
+		expect(plan.fromYear.name).to.equal('2017/18');
+		expect(plan.toYear.name).to.equal('2018/19');
+		expect(plan.classes.map(entry => [entry.name, entry.newName])).to.deep.equal([['12a', '13a'], ['Chor', 'Chor']]);
+		expect(plan.graduatingClasses[0].name).to.equal('13b');
+		expect(plan.graduates).to.deep.equal(['s2']);
+		expect(plan.courses.map(course => course.courseId)).to.deep.equal(['k1']);
+	});
+
+	it('rejects a rollover without a next year', () => {
+		expect(() => computePlan({school: {currentYear: 'y2'}, years, gradeLevels, classes, courses, studentIds: [], now}))
+			.to.throw('Es gibt kein nächstes Schuljahr.');
+	});
+
+	describe('execution', () => {
+		const rolloverService = app.service('/schools/:schoolId/rollover');
+		let fromYear, toYear, school, schoolClass, course, copy;
+
+		before(() => {
+			return Promise.all([yearModel.create({name: '2090/91'}), yearModel.create({name: '2091/92'})])
+				.then(([year1, year2]) => {
+					[fromYear, toYear] = [year1, year2];
+					return schoolModel.create({name: 'Rollover-Schule', currentYear: fromYear._id});
+				})
+				.then(created => {
+					school = created;
+					return Promise.all([
+						classModel.create({name: 'Chor', nameFormat: 'static', schoolId: school._id, year: fromYear._id}),
+						courseModel.create({name: 'Mathe', schoolId: school._id, untilDate: new Date('2018-07-01T00:00:00.000Z')}),
+						// the copy of a failed rollover
+						classModel.create({name: 'Chor', nameFormat: 'static', schoolId: school._id, year: toYear._id})
+					]);
+				})
+				.then(([createdClass, createdCourse, createdCopy]) => {
+					[schoolClass, course, copy] = [createdClass, createdCourse, createdCopy];
+				});
+		});
+
+		after(() => {
+			return Promise.all([
+				classModel.remove({schoolId: school._id}).exec(),
+				courseModel.remove({schoolId: school._id}).exec(),
+				schoolModel.remove({_id: school._id}).exec(),
+				yearModel.remove({_id: {$in: [fromYear._id, toYear._id]}}).exec()
+			]);
+		});
+
+		it('continues a failed rollover without copying the classes again', () => {
+			const params = {schoolId: school._id};
+			return rolloverService.create({toYear: toYear._id.toString()}, params)
+				.then(job => {
+					expect(job.plan.classes.map(entry => entry.classId)).to.deep.equal([schoolClass._id.toString()]);
+					return rolloverService.patch(job._id.toString(), {confirm: true}, params);
+				})
+				.then(job => {
+					expect(job.status).to.equal('done');
+					expect(job.result.createdClassIds).to.deep.equal([copy._id.toString()]);
+					expect(job.result.archivedCourseIds).to.deep.equal([course._id.toString()]);
+					return Promise.all([
+						classModel.count({schoolId: school._id, year: toYear._id}).exec(),
+						courseModel.findById(course._id).lean().exec(),
+						schoolModel.findById(school._id).lean().exec()
+					]);
+				})
+				.then(([copies, archivedCourse, rolledOverSchool]) => {
+					expect(copies).to.equal(1);
+					expect(archivedCourse.archivedAt).to.be.ok;
+					expect(rolledOverSchool.currentYear.toString()).to.equal(toYear._id.toString());
+				});
+		});
+	});
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {parseUntis, parseGenericCsv, detectFormat, groupByCourse, findConflicts} = require('../../../src/services/timetable/parsers');
+const {matchTeacher, getFirstStart} = require('../../../src/services/timetable/import-service');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('timetable import service', function () {
+	this.timeout(20000);
+
+	const importService = app.service('/timetable/import');
+	const params = {account: {userId: '0000d213816abba584714c0a'}};
+	const untis = [
+		'1;Demo-Klasse;Cord;Mathe;R101;1;1',
+		'1;Demo-Klasse;Cord;Mathe;R101;1;2',
+		'2;7a;MÜL;Deutsch;R101;1;2',
+		'3;Demo-Klasse;Cord;Sport;;9;1'
+	].join('\n');
+
+	it('parses untis lessons and merges double periods', () => {
+		const {lessons, warnings} = parseUntis(untis);
+		expect(lessons).to.have.lengthOf(3);
+		expect(warnings).to.deep.equal([{line: 4, message: 'Der Tag 9 ist ungültig.'}]);
+
+		const courses = groupByCourse(lessons);
+		const math = courses.find(course => course.subject === 'Mathe');
+		expect(math.classes).to.deep.equal(['Demo-Klasse']);
+		expect(math.times).to.deep.equal([{weekday: 0, startTime: 8 * HOUR, duration: 95 * 60 * 1000, room: 'R101'}]);
+	});
+
+	it('parses the generic csv format', () => {
+		const csv = 'class,teacher,subject,room,weekday,start,end\n"5a, 5b",Cord,Chor,Aula,DI,13:30,14:15';
+		expect(detectFormat(csv)).to.equal('csv');
+		expect(detectFormat(untis)).to.equal('untis');
+		const {lessons} = parseGenericCsv(csv);
+		expect(lessons[0]).to.include({subject: 'Chor', weekday: 1, startTime: 13.5 * HOUR, duration: 45 * 60 * 1000});
+		expect(lessons[0].classes).to.deep.equal(['5a', '5b']);
+	});
+
+	it('finds double-booked rooms and teachers', () => {
+		const conflicts = findConflicts(groupByCourse(parseUntis(untis).lessons).map(course => Object.assign(course, {name: course.subject})));
+		expect(conflicts).to.deep.equal([
+			{type: 'room', resource: 'R101', weekday: 'MO', start: '08:50', end: '09:35', courses: ['Mathe', 'Deutsch']}
+		]);
+	});
+
+	it('matches teachers by abbreviations of their last name', () => {
+		const teachers = [{_id: '1', lastName: 'Müller'}, {_id: '2', lastName: 'Mülheim'}, {_id: '3', lastName: 'Schmidt'}];
+		expect(matchTeacher('SCHM', teachers, {})._id).to.equal('3');
+		expect(matchTeacher('MÜL', teachers, {})).to.equal(undefined);
+		expect(matchTeacher('MÜL', teachers, {'MÜL': '2'})._id).to.equal('2');
+	});
+
+	it('starts the course times at the local time of the school', () => {
+		// it's already tuesday in the school's timezone
+		const startDate = new Date('2018-08-13T22:30:00.000Z');
+		expect(getFirstStart(startDate, {weekday: 1, startTime: 8 * 60 * 60 * 1000}).toISOString()).to.equal('2018-08-14T06:00:00.000Z');
+		expect(getFirstStart(startDate, {weekday: 0, startTime: 8 * 60 * 60 * 1000}).toISOString()).to.equal('2018-08-20T06:00:00.000Z');
+		expect(getFirstStart(new Date('2018-12-03T10:00:00.000Z'), {weekday: 0, startTime: 8 * 60 * 60 * 1000}).toISOString()).to.equal('2018-12-03T07:00:00.000Z');
+	});
+
+	it('reports the courses and unknown classes in a dry run', () => {
+		return importService.create({file: untis, dryRun: true}, params).then(result => {
+			expect(result.dryRun).to.equal(true);
+			expect(result.format).to.equal('untis');
+			expect(result.courses.map(course => course.name)).to.include('Mathe Demo-Klasse');
+			expect(result.courses[0].times[0]).to.deep.equal({weekday: 'MO', startTime: '08:00', endTime: '09:35', room: 'R101'});
+			expect(result.warnings.some(warning => warning.message.includes('7a'))).to.equal(true);
+			expect(result.calendar.created).to.equal(0);
+		});
+	});
+});
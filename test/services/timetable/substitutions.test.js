@@ -0,0 +1,84 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {courseModel} = require('../../../src/services/user-group/model');
+const {computeDailyPlan} = require('../../../src/services/timetable/plan-service');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('substitution service', function () {
+	this.timeout(20000);
+
+	const substitutionService = app.service('/substitutions');
+	const planService = app.service('/timetable/plan');
+	const schoolId = '0000d186816abba584714c5f';
+	const params = {account: {userId: '0000d213816abba584714c0a'}};
+	let course, substitutionId;
+
+	before(() => {
+		// 2026-10-19 is a monday
+		return courseModel.create({
+			name: 'Vertretungstest',
+			schoolId,
+			teacherIds: ['0000d231816abba584714c9e'],
+			times: [{weekday: 0, startTime: 8 * HOUR, duration: HOUR, room: 'R101'}]
+		}).then(created => {
+			course = created;
+		});
+	});
+
+	after(() => (substitutionId ? substitutionService.remove(substitutionId, params) : Promise.resolve())
+		.then(() => courseModel.findByIdAndRemove(course._id).exec()));
+
+	it('rejects a date on another weekday than the course time', () => {
+		return substitutionService.create({courseId: course._id, courseTimeId: course.times[0]._id, date: '2026-10-20', cancelled: true}, params)
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+
+	it('rejects an exception without changes', () => {
+		return substitutionService.create({courseId: course._id, courseTimeId: course.times[0]._id, date: '2026-10-19'}, params)
+			.catch(err => err)
+			.then(err => {
+				expect(err.code).to.equal(400);
+			});
+	});
+
+	it('shows a moved lesson in the daily plan', () => {
+		return substitutionService.create({
+			courseId: course._id,
+			courseTimeId: course.times[0]._id,
+			date: '2026-10-19',
+			room: 'Aula',
+			note: 'Bitte Sportsachen mitbringen.'
+		}, params).then(substitution => {
+			substitutionId = substitution._id;
+			expect(substitution.schoolId.toString()).to.equal(schoolId);
+			return planService.find({query: {schoolId, date: '2026-10-19', changesOnly: 'true'}});
+		}).then(plan => {
+			expect(plan.date).to.equal('2026-10-19');
+			const lesson = plan.lessons.find(lesson => lesson.courseId === course._id.toString());
+			expect(lesson).to.include({status: 'changed', room: 'Aula', startTime: '08:00', endTime: '09:00'});
+		});
+	});
+
+	it('computes the lessons of a day', () => {
+		const courses = [
+			{_id: 'a', name: 'Mathe', teacherIds: ['t1'], times: [{_id: 'x', weekday: 0, startTime: 9 * HOUR, duration: HOUR}]},
+			{_id: 'b', name: 'Deutsch', teacherIds: ['t1'], times: [{_id: 'y', weekday: 0, startTime: 8 * HOUR, duration: HOUR}, {_id: 'z', weekday: 1, startTime: 8 * HOUR}]},
+			{_id: 'c', name: 'Kunst', untilDate: new Date('2026-10-01'), times: [{_id: 'w', weekday: 0, startTime: 8 * HOUR}]}
+		];
+		const lessons = computeDailyPlan({
+			date: new Date('2026-10-19'),
+			courses,
+			substitutions: [{_id: 's', courseTimeId: 'x', cancelled: true, substituteId: undefined}],
+			users: {t1: {firstName: 'Cord', lastName: 'Carl'}}
+		});
+		expect(lessons.map(lesson => [lesson.name, lesson.status])).to.deep.equal([['Deutsch', 'regular'], ['Mathe', 'cancelled']]);
+		expect(lessons[0].teachers).to.deep.equal(['Cord Carl']);
+	});
+});
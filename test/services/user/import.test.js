@@ -0,0 +1,61 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const {parseCsv} = require('../../../src/services/helpers/csv');
+const accountModel = require('../../../src/services/account/model');
+
+describe('user import service', function () {
+	this.timeout(20000);
+
+	const importService = app.service('/users/import');
+	const params = {account: {userId: '0000d213816abba584714c0a'}};
+	const csv = [
+		'firstName;lastName;email;birthday;class;role',
+		'Max;Mustermann;max.import@schul-cloud.org;01.02.2005;;student',
+		'Moritz;Mustermann;max.import@schul-cloud.org;;;student',
+		'Erika;Musterfrau;erika.import@schul-cloud.org;31.02.;;student',
+		'Paul;Lehrer;paul.import@schul-cloud.org;;7z;teacher',
+		'Jan;Test;jan@example.org;;;student'
+	].join('\n');
+	let createdUserId;
+
+	after(() => {
+		if (!createdUserId) return;
+		return accountModel.remove({userId: createdUserId}).exec()
+			.then(() => app.service('/users').remove(createdUserId));
+	});
+
+	it('parses quoted csv values', () => {
+		expect(parseCsv('a,"b, ""c""",d\r\n\r\n"e\nf",g')).to.deep.equal([['a', 'b, "c"', 'd'], ['e\nf', 'g']]);
+		expect(parseCsv('a;b\n1;2')).to.deep.equal([['a', 'b'], ['1', '2']]);
+	});
+
+	it('reports the errors of each row in a dry run', () => {
+		return importService.create({csv, dryRun: true}, params).then(result => {
+			expect(result.dryRun).to.equal(true);
+			expect(result.total).to.equal(5);
+			expect(result.created).to.equal(0);
+			expect(result.rows.map(row => row.status)).to.deep.equal(['valid', 'error', 'error', 'error', 'error']);
+			expect(result.rows[1].errors[0]).to.contain('mehrfach');
+			expect(result.rows[2].errors[0]).to.contain('Geburtsdatum');
+			expect(result.rows[3].errors[0]).to.contain('Klasse');
+			expect(result.rows[4].errors[0]).to.contain('bereits');
+		});
+	});
+
+	it('creates the valid users with a registration link', () => {
+		return importService.create({csv: csv.split('\n').slice(0, 2).join('\n')}, params).then(result => {
+			expect(result.created).to.equal(1);
+			const row = result.rows[0];
+			createdUserId = row.userId;
+			expect(row.status).to.equal('created');
+			expect(row.registrationLink).to.be.a('string');
+			return accountModel.findOne({userId: createdUserId}).lean().exec();
+		}).then(account => {
+			expect(account.username).to.equal('max.import@schul-cloud.org');
+			expect(account.activated).to.equal(false);
+		});
+	});
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const app = require('../../../src/app');
+const chai = require('chai');
+const expect = chai.expect;
+const globalHooks = require('../../../src/hooks');
+const {courseModel} = require('../../../src/services/user-group/model');
+const {userModel} = require('../../../src/services/user/model');
+const {newsModel} = require('../../../src/services/news/model');
+
+describe('parent access', function () {
+	this.timeout(20000);
+
+	const schoolId = '0000d186816abba584714c5f';
+	const childSchoolId = '599ec0bb8e4e364ec18ff46c';
+	const parentRoleId = '5b45f8d28c8dba65f8871e19';
+	let parent, child, course, news = [];
+
+	const findHook = (userId) => ({app, method: 'find', params: {account: {userId}, query: {}}});
+
+	before(() => {
+		return userModel.create({email: 'parent.portal@schul-cloud.org', firstName: 'Paula', lastName: 'Eltern', schoolId, roles: [parentRoleId]})
+			.then(created => {
+				parent = created;
+				return userModel.create({email: 'child.portal@schul-cloud.org', firstName: 'Kim', lastName: 'Kind', schoolId: childSchoolId, parents: [parent._id]});
+			})
+			.then(created => {
+				child = created;
+				return courseModel.create({name: 'Elternzugriff', schoolId: childSchoolId, userIds: [child._id]});
+			})
+			.then(created => {
+				course = created;
+			});
+	});
+
+	after(() => Promise.all([
+		courseModel.findByIdAndRemove(course._id).exec(),
+		userModel.remove({_id: {$in: [parent._id, child._id]}}).exec(),
+		newsModel.remove({_id: {$in: news.map(entry => entry._id)}}).exec()
+	]));
+
+	it('finds the children of users with the permission CHILDREN_VIEW only', () => {
+		return Promise.all([
+			globalHooks.findChildren({_id: parent._id, permissions: ['CHILDREN_VIEW']}),
+			globalHooks.findChildren({_id: parent._id, permissions: []})
+		]).then(([children, none]) => {
+			expect(children.map(c => c._id.toString())).to.deep.equal([child._id.toString()]);
+			expect(none).to.have.lengthOf(0);
+		});
+	});
+
+	it('resolves the children of the current user', () => {
+		return globalHooks.resolveChildren(findHook(parent._id)).then(hook => {
+			expect(hook.params.childIds).to.deep.equal([child._id.toString()]);
+		});
+	});
+
+	it('restricts parents to their own school and the schools of their children', () => {
+		return globalHooks.restrictToCurrentSchool(findHook(parent._id)).then(hook => {
+			expect(hook.params.query.schoolId.$in).to.have.members([schoolId, childSchoolId]);
+		});
+	});
+
+	it('restricts other users to their own school', () => {
+		return globalHooks.restrictToCurrentSchool(findHook('0000d231816abba584714c9e')).then(hook => {
+			expect(hook.params.query.schoolId.toString()).to.equal(schoolId);
+		});
+	});
+
+	it('gives parents the news of the schools of their children', () => {
+		const otherSchoolId = '5b1a7e8a7c4ae1f1e1bf4a6e';
+		return Promise.all([childSchoolId, otherSchoolId].map(id => newsModel.create({schoolId: id, title: 'Elternbrief', content: 'Inhalt'})))
+			.then(created => {
+				news = created;
+				return app.service('news').find({provider: 'rest', authenticated: true, account: {userId: parent._id}, query: {_id: {$in: news.map(entry => entry._id)}}});
+			})
+			.then(result => {
+				const ids = result.data.map(entry => entry._id.toString());
+				expect(ids).to.include(news[0]._id.toString());
+				expect(ids).to.not.include(news[1]._id.toString());
+			});
+	});
+
+	it('includes the courses of the children', () => {
+		return globalHooks.restrictToUsersOwnCourses(findHook(parent._id)).then(hook => {
+			const childCourses = hook.params.query.$or.find(condition => (condition.userIds || {}).$in);
+			expect(childCourses.userIds.$in.map(id => id.toString())).to.deep.equal([child._id.toString()]);
+		});
+	});
+
+	it('gives parents read access to the calendar scopes of their children', () => {
+		return app.service('/resolve/scopes').get(parent._id).then(response => {
+			const scope = response.data.find(entry => entry.id.toString() === course._id.toString());
+			expect(scope.attributes.authorities).to.deep.equal(['can-read']);
+		});
+	});
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const {replay, getUndoneEvents, record, MAX_SESSIONS} = require('../../../src/sockets/clipboard/history');
+const ClipboardModel = require('../../../src/sockets/clipboard/clipboard-model');
+const ClipboardEventModel = require('../../../src/sockets/clipboard/clipboard-event-model');
+
+describe('clipboard history', function () {
+
+	const snapshot = {
+		board: {layout: '1x1', media: {}},
+		desks: {
+			teachers: {teacher: {media: [], board: {layout: '1x1', media: {}}}},
+			students: {},
+			groups: {}
+		},
+		lastId: 0
+	};
+	const addMedium = name => ({action: 'ADD_MEDIA', payload: {deskType: 'teachers', desk: 'teacher', medium: {name}}});
+	const mediaNames = state => state.desks.teachers.teacher.media.map(medium => medium.name);
+
+	it('replays the events on top of the snapshot', () => {
+		const state = replay(snapshot, [addMedium('first'), addMedium('second'), {action: 'DELETE_MEDIA', payload: 1}]);
+		expect(mediaNames(state)).to.deep.equal(['second']);
+		expect(state.lastId).to.equal(2);
+		expect(snapshot.desks.teachers.teacher.media).to.have.lengthOf(0);
+	});
+
+	it('skips undone events and applies them again on redo', () => {
+		const events = [addMedium('first'), addMedium('second'), {action: 'UNDO'}];
+		expect(mediaNames(replay(snapshot, events))).to.deep.equal(['first']);
+		expect(mediaNames(replay(snapshot, events.concat({action: 'REDO'})))).to.deep.equal(['first', 'second']);
+	});
+
+	it('clears the redo stack when a new action is executed', () => {
+		const events = [addMedium('first'), {action: 'UNDO'}, addMedium('second'), {action: 'REDO'}];
+		expect(getUndoneEvents(events).has(events[0])).to.equal(true);
+		expect(mediaNames(replay(snapshot, events))).to.deep.equal(['second']);
+	});
+
+	it('does not undo joining users', () => {
+		const events = [{action: 'ADD_DESK', payload: {bucket: 'students', userId: 'student', name: 'Max'}}, {action: 'UNDO'}];
+		expect(replay(snapshot, events).desks.students.student.name).to.equal('Max');
+	});
+
+	it('removes the events of sessions before the latest ones', () => {
+		const {findOneAndUpdate} = ClipboardModel;
+		const {create, find, remove} = ClipboardEventModel;
+		const exec = result => ({exec: () => Promise.resolve(result)});
+		let skipped;
+		let removed;
+		ClipboardModel.findOneAndUpdate = () => exec({_id: 'clipboard', course: 'course', version: 42});
+		ClipboardEventModel.create = event => Promise.resolve(event);
+		ClipboardEventModel.find = () => ({
+			sort: () => ({
+				skip: count => {
+					skipped = count;
+					return {limit: () => ({select: () => ({lean: () => exec([{version: 7}])})})};
+				}
+			})
+		});
+		ClipboardEventModel.remove = query => {
+			removed = query;
+			return exec();
+		};
+		const restore = () => {
+			Object.assign(ClipboardModel, {findOneAndUpdate});
+			Object.assign(ClipboardEventModel, {create, find, remove});
+		};
+
+		return record('clipboard', {session: 'session', action: 'ADD_MEDIA'})
+			.then(() => {
+				expect(removed).to.equal(undefined);
+				return record('clipboard', {session: 'session', action: 'SESSION_START'});
+			})
+			.then(created => {
+				expect(created.version).to.equal(42);
+				expect(skipped).to.equal(MAX_SESSIONS - 1);
+				expect(removed).to.deep.equal({clipboard: 'clipboard', version: {$lt: 7}});
+			})
+			.then(restore, err => {
+				restore();
+				throw err;
+			});
+	});
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const {isAllowed} = require('../../../src/sockets/clipboard/permissions');
+
+describe('clipboard permissions', function () {
+
+	const course = {
+		desks: {
+			teachers: {teacher: {media: [{id: 1}]}},
+			students: {student: {media: [{id: 2}]}, other: {media: [{id: 3}]}},
+			groups: {group: {media: [{id: 4}]}}
+		}
+	};
+	const teacher = {id: 'teacher', role: 'teacher'};
+	const student = {id: 'student', role: 'student'};
+
+	it('allows teachers to execute every action', () => {
+		expect(isAllowed({user: teacher, course}, 'DELETE_MEDIA', 2)).to.equal(true);
+		expect(isAllowed({user: teacher, course}, 'SET_BOARD_LAYOUT', {deskType: 'students', desk: 'other'})).to.equal(true);
+		expect(isAllowed({user: teacher, course}, 'CREATE_GROUP_DESK', {name: 'group'})).to.equal(true);
+	});
+
+	it('restricts students to their own and the group desks', () => {
+		expect(isAllowed({user: student, course}, 'ADD_MEDIA', {deskType: 'students', desk: 'student'})).to.equal(true);
+		expect(isAllowed({user: student, course}, 'ADD_MEDIA', {deskType: 'groups', desk: 'group'})).to.equal(true);
+		expect(isAllowed({user: student, course}, 'SET_MEDIA_ON_BOARD', {deskType: 'students', desk: 'other'})).to.equal(false);
+		expect(isAllowed({user: student, course}, 'SET_BOARD_LAYOUT', {deskType: 'teachers', desk: 'teacher'})).to.equal(false);
+	});
+
+	it('does not let students delete media of the teacher', () => {
+		expect(isAllowed({user: student, course}, 'DELETE_MEDIA', 2)).to.equal(true);
+		expect(isAllowed({user: student, course}, 'DELETE_MEDIA', 1)).to.equal(false);
+		expect(isAllowed({user: student, course}, 'DELETE_MEDIA', 42)).to.equal(false);
+	});
+
+	it('rejects unknown actions and sockets without a course', () => {
+		expect(isAllowed({user: teacher, course}, 'WIPE_EVERYTHING')).to.equal(false);
+		expect(isAllowed({user: teacher}, 'ADD_MEDIA', {deskType: 'groups', desk: 'group'})).to.equal(false);
+		expect(isAllowed({user: student, course}, 'CREATE_GROUP_DESK', {name: 'group'})).to.equal(false);
+	});
+});
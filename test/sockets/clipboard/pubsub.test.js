@@ -0,0 +1,122 @@
+'use strict';
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const chai = require('chai');
+const expect = chai.expect;
+const createPubSubAdapter = require('../../../src/sockets/clipboard/pubsub');
+
+describe('clipboard pub/sub adapters', function () {
+
+	it('creates the memory adapter by default', () => {
+		const MemoryPubSubAdapter = require('../../../src/sockets/clipboard/pubsub/memory');
+		expect(createPubSubAdapter()).to.be.an.instanceof(MemoryPubSubAdapter);
+	});
+
+	it('rejects unknown adapters', () => {
+		expect(() => createPubSubAdapter({adapter: 'carrier-pigeon'})).to.throw('Unknown clipboard pub/sub adapter carrier-pigeon');
+	});
+
+	it('delivers copies of messages to all instances of the process', () => {
+		const first = createPubSubAdapter({adapter: 'memory'});
+		const second = createPubSubAdapter({adapter: 'memory'});
+		const message = {courseId: 'test', update: {board: {layout: '2x2'}}};
+
+		return new Promise(resolve => {
+			const handler = received => {
+				expect(received).to.deep.equal(message);
+				expect(received).to.not.equal(message);
+				second.unsubscribe('clipboard-test', handler).then(resolve);
+			};
+			second.subscribe('clipboard-test', handler)
+				.then(_ => first.publish('clipboard-test', message));
+		});
+	});
+
+	it('reconnects closed cursors with a growing delay', () => {
+		const MongoPubSubAdapter = require('../../../src/sockets/clipboard/pubsub/mongo');
+		const model = mongoose.model('clipboardmessage');
+		const {find} = model;
+		const originalSetTimeout = global.setTimeout;
+		const cursors = [];
+		const delays = [];
+		model.find = () => ({
+			tailable: () => ({
+				lean: () => ({
+					cursor: () => {
+						const cursor = new EventEmitter();
+						cursor.close = () => {
+							cursor.closed = true;
+							return Promise.resolve();
+						};
+						cursors.push(cursor);
+						return cursor;
+					}
+				})
+			})
+		});
+		const restore = () => {
+			model.find = find;
+			global.setTimeout = originalSetTimeout;
+		};
+		global.setTimeout = (reconnect, delay) => {
+			delays.push(delay);
+			reconnect();
+		};
+
+		const adapter = new MongoPubSubAdapter();
+		adapter.lastId = mongoose.Types.ObjectId();
+		const tick = () => new Promise(resolve => setImmediate(resolve));
+		return adapter._watch()
+			.then(() => cursors[0].emit('error', new Error('connection lost')))
+			.then(tick)
+			.then(() => cursors[1].emit('end'))
+			.then(tick)
+			.then(() => {
+				expect(cursors).to.have.lengthOf(3);
+				expect(cursors[0].closed).to.equal(true);
+				expect(cursors[1].closed).to.equal(true);
+				expect(delays).to.deep.equal([1000, 2000]);
+			})
+			.then(() => {
+				restore();
+				return adapter.close();
+			}, err => {
+				restore();
+				return adapter.close().then(() => Promise.reject(err));
+			});
+	});
+});
+
+describe('clipboard mongo pub/sub adapter', function () {
+	this.timeout(10000);
+
+	let MongoPubSubAdapter;
+
+	before(() => {
+		// connects mongoose to the database of the tests
+		require('../../../src/app');
+		MongoPubSubAdapter = require('../../../src/sockets/clipboard/pubsub/mongo');
+	});
+
+	it('delivers messages to the other instances through the database', () => {
+		const first = new MongoPubSubAdapter();
+		const second = new MongoPubSubAdapter();
+		const message = {courseId: 'test', update: {board: {layout: '2x2'}}};
+
+		return new Promise((resolve, reject) => {
+			second.subscribe('clipboard-test', received => {
+				try {
+					expect(received).to.deep.equal(message);
+					resolve();
+				} catch (err) {
+					reject(err);
+				}
+			})
+				// the cursor starts asynchronously
+				.then(_ => new Promise(wait => setTimeout(wait, 500)))
+				.then(_ => first.publish('clipboard-test', message))
+				.catch(reject);
+		}).then(() => Promise.all([first.close(), second.close()]));
+	});
+});